@@ -1,19 +1,62 @@
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 const compression = require('compression');
-const axios = require('axios');
 const { v4: uuidv4 } = require('uuid');
+const { openEventStream, sendEvent, readCompletionStream } = require('./lib/sse');
+const { createSessionStore, ObservedSessionStore } = require('./lib/sessionStore');
+const asyncHandler = require('./lib/asyncHandler');
+const { loadConfig, redactConfig } = require('./lib/config');
+const { createLogger } = require('./lib/logger');
+const { createTracing, correlationFields } = require('./lib/tracing');
+const { rateLimit, clientIp } = require('./lib/rateLimiter');
+const ModelCatalog = require('./lib/modelCatalog');
+const { PresetStore, renderTemplate, TemplateError } = require('./lib/presets');
+const createPresetsRouter = require('./routes/presets');
+const createOpenAIRouter = require('./routes/openai');
+const { buildContext } = require('./lib/contextBuilder');
+const { createAuth, canAccessSession, sessionOwner } = require('./lib/auth');
+const createAuthRouter = require('./routes/auth');
+const { SidecarError, SidecarUnavailableError } = require('./lib/sidecarClient');
+const { createBackendRegistry } = require('./lib/backendRegistry');
+const { toJson, toMarkdown, toJsonl, parseImport, EXPORT_FORMATS } = require('./lib/sessionExport');
+const { parseSessionMetadata, MAX_TITLE_LENGTH } = require('./lib/sessionMetadata');
+const { parseQuery, querySessions, QueryError } = require('./lib/sessionQuery');
+const { createMetrics } = require('./lib/metrics');
+const { summarizeUsage, summarizeUsageByUser } = require('./lib/usage');
+const { createModeration } = require('./lib/moderation');
+const { DocumentStore, parseUpload, sourcesPrompt, citationsFor } = require('./lib/documents');
+const createDocumentsRouter = require('./routes/documents');
+const { createToolRegistry, toolCallsFrom, runToolLoop } = require('./lib/tools');
+const { parseResponseSchema, responseFormat, checkReply, generateStructured } = require('./lib/structuredOutput');
+const { RequestQueue, QueueFullError, QueueCancelledError } = require('./lib/requestQueue');
+const { createResponseCache } = require('./lib/responseCache');
+const { RealtimeHub } = require('./lib/realtime');
+const { parseFeedback, summarizeFeedback, toFeedbackJsonl, FEEDBACK_RATINGS } = require('./lib/feedback');
+const { regenerableFrom, editMessage, deleteMessage, replaceReply, forkSession } = require('./lib/messageOps');
 require('dotenv').config();
 
+// Configuration - validated at startup, throws ConfigError on bad values
+const config = loadConfig();
+
+// Tracing first, so everything after it runs in a request's trace context
+const tracing = createTracing(config.tracing);
+const logger = createLogger(config.logLevel, {
+  format: config.logFormat,
+  context: correlationFields
+});
+
 const app = express();
-const PORT = process.env.PORT || 3000;
-// Configuration - Use 127.0.0.1 instead of 'localhost' to avoid IPv6 resolution issues
-// Following Azure-Samples/ai-slm-in-app-service-sidecar pattern
-const SIDECAR_ENDPOINT = 'http://127.0.0.1:11434';
+const PORT = config.port;
+const SIDECAR_ENDPOINT = config.sidecar.endpoint;
+
+if (config.trustProxy > 0) {
+  app.set('trust proxy', config.trustProxy);
+}
 
 // Middleware
+// Request id + server span for every request; the id is echoed in X-Request-Id
+app.use(tracing.middleware);
 app.use(helmet({
   contentSecurityPolicy: {
     directives: {
@@ -25,15 +68,443 @@ app.use(helmet({
     }
   }
 }));
-app.use(cors());
+app.use(cors({ origin: config.cors.origin, exposedHeaders: ['X-Request-Id'] }));
 app.use(compression());
-app.use(morgan('combined'));
+
+// Access log: one structured line per request
+app.use((req, res, next) => {
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    logger.info('Request completed', {
+      method: req.method,
+      path: req.originalUrl,
+      route: req.route ? `${req.baseUrl}${req.route.path}` : undefined,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e5) / 10,
+      userId: req.user?.id,
+      clientIp: clientIp(req)
+    });
+  });
+  next();
+});
+
+// Prometheus metrics; the stored-session gauge reads the store at scrape time
+const metrics = createMetrics({
+  activeWindowMs: config.metrics.activeSessionWindowMs,
+  countSessions: () => sessionStore.list().then(all => all.length, () => NaN),
+  queueStats: () => generationQueue.stats(),
+  cacheSize: config.cache.enabled ? () => responseCache.size().catch(() => NaN) : null
+});
+app.use(metrics.httpMiddleware);
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 app.use(express.static('public'));
 
-// In-memory store for chat sessions (use Redis in production)
-const chatSessions = new Map();
+// Rate limiting - a general budget for API calls, a larger one for reads so the UI's
+// polling does not use it up, and a stricter one for routes that run the model,
+// counted per client IP and per chat session
+const READ_METHODS = ['GET', 'HEAD'];
+
+const readRateLimit = rateLimit({
+  name: 'read',
+  enabled: config.rateLimit.enabled,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.readMaxRequests,
+  keys: (req) => [`ip:${clientIp(req)}`]
+});
+
+const apiRateLimit = rateLimit({
+  name: 'api',
+  enabled: config.rateLimit.enabled,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.maxRequests,
+  keys: (req) => [`ip:${clientIp(req)}`]
+});
+
+const modelRateLimit = rateLimit({
+  name: 'model',
+  enabled: config.rateLimit.enabled,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.modelMaxRequests,
+  keys: (req) => [`ip:${clientIp(req)}`],
+  message: 'You are sending messages too quickly. Please wait a moment before trying again.'
+});
+
+const sessionRateLimit = rateLimit({
+  name: 'session',
+  enabled: config.rateLimit.enabled,
+  windowMs: config.rateLimit.windowMs,
+  max: config.rateLimit.sessionMaxRequests,
+  // Runs before the ownership check, so the key includes the caller: requests naming
+  // someone else's session must not use up its owner's budget
+  keys: (req) => [`session:${req.user?.id}:${req.params.sessionId}`],
+  message: 'This chat session has reached its message limit for now. Please wait a moment before trying again.'
+});
+
+app.use('/api', (req, res, next) => (READ_METHODS.includes(req.method) ? readRateLimit : apiRateLimit)(req, res, next));
+
+// Authentication - AUTH_MODE picks the methods; health and info stay public
+const auth = createAuth({
+  ...config.auth,
+  sessionSecret: config.sessionSecret,
+  secureCookies: config.env === 'production'
+});
+
+app.use('/api/auth', createAuthRouter({ auth }));
+app.use(['/api/chat', '/api/presets', '/api/documents', '/api/models', '/api/usage', '/api/cache', '/api/feedback', '/v1'], auth.authenticate);
+
+// WebSocket hub for connected browsers, attached once the server listens; null when disabled
+let realtime = null;
+
+// Chat session store - memory (default), file or redis, picked by SESSION_STORE.
+// Every change is pushed to the WebSocket clients allowed to see the session.
+const sessionStore = new ObservedSessionStore(
+  createSessionStore({ ...config.sessionStore, logger }),
+  ({ change, session }) => realtime?.sessionChanged({
+    change,
+    sessionId: session.id,
+    ownerId: sessionOwner(session),
+    session: change === 'updated' ? session : undefined
+  })
+);
+
+// Model backends (the sidecar, plus any in SIDECAR_BACKENDS), each with retries, circuit
+// breaker and warm-up tracking; calls are routed by model with failover between them
+const sidecar = createBackendRegistry(config.backends, {
+  defaults: config.sidecar,
+  logger,
+  onRequest: metrics.observeSidecar
+});
+
+// Queue in front of model generation: QUEUE_CONCURRENCY replies are generated at once,
+// the rest wait their turn, and requests beyond QUEUE_MAX_SIZE are turned away
+const generationQueue = new RequestQueue(config.queue);
+
+// Replies reused for repeated prompts, in memory or Redis; null when CACHE_ENABLED=false
+const responseCache = config.cache.enabled ? createResponseCache({
+  ...config.cache,
+  redisUrl: config.sessionStore.redisUrl,
+  redisPrefix: config.sessionStore.redisPrefix,
+  logger
+}) : null;
+
+// Named system prompt templates
+const presetStore = new PresetStore({ file: config.presetsFile, logger });
+
+// Documents for retrieval-augmented answers; null when RAG_ENABLED=false
+const documentStore = config.rag.enabled ? new DocumentStore({
+  file: config.rag.documentsFile,
+  chunkSize: config.rag.chunkSize,
+  chunkOverlap: config.rag.chunkOverlap,
+  embeddingModel: config.rag.embeddingModel,
+  embed: config.rag.embeddingModel ? (texts) => sidecar.embeddings(config.rag.embeddingModel, texts) : null,
+  logger
+}) : null;
+
+// Content moderation (PII redaction, blocklists) for chat messages; null when SAFETY_ENABLED=false
+const moderation = createModeration(config.safety);
+
+// Server-side tools the model may call while answering; null when TOOLS_ENABLED=false
+const toolRegistry = config.tools.enabled
+  ? createToolRegistry({ allowed: config.tools.allowed, timeoutMs: config.tools.timeoutMs })
+  : null;
+
+// Models available on any backend (narrowed by AI_ALLOWED_MODELS), cached for a minute
+const modelCatalog = new ModelCatalog({
+  allowedModels: config.ai.allowedModels,
+  fetchModels: () => sidecar.listModels({ refresh: true })
+});
+
+// Reject models no backend has. Returns true when a 400 response was sent.
+// If the model list cannot be fetched the request is let through for the sidecar to decide.
+async function rejectUnknownModel(model, res) {
+  if (typeof model !== 'string' || !model.trim()) {
+    res.status(400).json({
+      error: 'Model must be a non-empty string',
+      model
+    });
+    return true;
+  }
+  
+  const result = await modelCatalog.check(model);
+  if (result.known === false) {
+    res.status(400).json({
+      error: 'Unknown model',
+      model,
+      availableModels: result.available
+    });
+    return true;
+  }
+  return false;
+}
+
+// Load a session the caller may access. Other users' sessions answer 404 as
+// well, so session ids cannot be probed. Returns null once a response is sent.
+async function findSession(req, res) {
+  const { sessionId } = req.params;
+  const session = await sessionStore.get(sessionId);
+  
+  if (!session || !canAccessSession(req.user, session)) {
+    res.status(404).json({
+      error: 'Chat session not found',
+      sessionId
+    });
+    return null;
+  }
+  return session;
+}
+
+// 503 with Retry-After while the sidecar is warming up, its circuit is open
+// or the generation queue is full
+function sendSidecarUnavailable(res, error, details = {}) {
+  res.set('Retry-After', String(error.retryAfterSeconds));
+  res.status(503).json({
+    error: error.message,
+    reason: error.reason,
+    retryAfter: error.retryAfterSeconds,
+    ...details,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Wait for a generation slot. Admins go first; everyone else takes turns per user
+// (per client IP without authentication). onUpdate({ position, estimatedWaitSeconds })
+// hears the caller's place while it waits. Resolves to { release, position, waitedMs };
+// rejects with QueueFullError, or QueueCancelledError once `signal` aborts.
+async function acquireGenerationSlot(req, { signal, onUpdate } = {}) {
+  const anonymous = !req.user || req.user.method === 'none';
+  try {
+    const ticket = await generationQueue.acquire({
+      userId: anonymous ? `ip:${clientIp(req)}` : req.user.id,
+      priority: req.user?.isAdmin && !anonymous ? 1 : 0,
+      signal,
+      onUpdate
+    });
+    metrics.observeQueue({ outcome: 'started', waitedSeconds: ticket.waitedMs / 1000 });
+    if (ticket.position > 0) {
+      logger.debug(`Generation started after ${ticket.waitedMs}ms in the queue at position ${ticket.position}`);
+    }
+    return ticket;
+  } catch (error) {
+    if (error instanceof QueueFullError) {
+      metrics.observeQueue({ outcome: 'rejected' });
+    } else if (error instanceof QueueCancelledError) {
+      metrics.observeQueue({ outcome: 'cancelled', waitedSeconds: error.waitedMs / 1000 });
+    }
+    throw error;
+  }
+}
+
+// Take back a user message whose reply never started, so a retry does not duplicate it
+async function withdrawMessage(sessionId, messageId) {
+  await sessionStore.update(sessionId, (session) => {
+    session.messages = session.messages.filter(msg => msg.id !== messageId);
+  });
+}
+
+// Run the input filter over user content, recording what it did
+async function screenInput(content, { sessionId, userId }) {
+  const result = await moderation.run(content, { direction: 'input', sessionId, userId });
+  if (result.interventions.length > 0) {
+    metrics.recordModeration('input', result.interventions);
+  }
+  if (result.blocked) {
+    // Which stage or term matched stays in the log: telling the caller helps them get round it
+    logger.warn('Message blocked by content policy', { sessionId, blockedBy: result.blockedBy, interventions: result.interventions });
+  }
+  return result;
+}
+
+// Moderate a user message before it is stored or sent. Resolves to the message's
+// { content, moderation } (interventions only when there were any), or null once
+// a 422 response is sent because the message was blocked.
+async function moderateUserMessage(req, res, session, content) {
+  if (!moderation) return { content };
+  
+  const result = await screenInput(content, { sessionId: session.id, userId: req.user.id });
+  if (result.blocked) {
+    res.status(422).json({
+      error: 'Message blocked by content policy',
+      reason: 'content-policy',
+      sessionId: session.id
+    });
+    return null;
+  }
+  
+  return {
+    content: result.text,
+    ...(result.interventions.length > 0 && { moderation: result.interventions })
+  };
+}
+
+// Run the output filter over an assistant reply before it is saved: redacted text
+// replaces the content, a blocked reply is swapped for SAFETY_BLOCKED_REPLY, and
+// the interventions are recorded on the reply
+async function moderateReply(reply, sessionId) {
+  if (!moderation) return reply;
+  
+  const result = await moderation.run(reply.content, { direction: 'output', sessionId, model: reply.model });
+  if (result.interventions.length === 0) return reply;
+  
+  metrics.recordModeration('output', result.interventions);
+  if (result.blocked) {
+    logger.warn('Reply blocked by content policy', { sessionId, interventions: result.interventions });
+  }
+  return {
+    ...reply,
+    content: result.blocked ? config.safety.blockedReply : result.text,
+    moderation: result.interventions
+  };
+}
+
+// What the built-in tools may see while answering in `sessionId`: only sessions
+// the caller can already open, and never the one being answered
+function toolContext(req, sessionId) {
+  return {
+    sessionId,
+    userId: req.user.id,
+    searchSessions: async (query, limit) => {
+      const sessions = (await sessionStore.list())
+        .filter(session => session.id !== sessionId && canAccessSession(req.user, session));
+      const { sessions: found, total } = querySessions(sessions, parseQuery({ q: query, limit, archived: 'include' }));
+      return {
+        total,
+        sessions: found.map(session => ({
+          sessionId: session.id,
+          title: session.title,
+          createdAt: session.createdAt,
+          matches: (session.matches || [])
+            .filter(match => match.field === 'message' && match.role !== 'tool')
+            .map(match => ({ role: match.role, snippet: match.snippet }))
+        }))
+      };
+    }
+  };
+}
+
+// The request's optional `responseSchema` for a structured reply.
+// Returns { schema } (null when absent), or null once a 400 response is sent.
+function readResponseSchema(req, res) {
+  const { schema, error } = parseResponseSchema(req.body.responseSchema);
+  if (error) {
+    res.status(400).json({
+      error: 'Invalid responseSchema',
+      details: error
+    });
+    return null;
+  }
+  return { schema };
+}
+
+// Work out a session's system prompt from a request body holding either
+// `systemPrompt` or `presetId` (+ `variables`). Returns { systemPrompt, presetId },
+// or { error, details } when the input is invalid.
+async function resolveSystemPrompt({ systemPrompt, presetId, variables }) {
+  if (presetId !== undefined && presetId !== null) {
+    const preset = await presetStore.get(presetId);
+    if (!preset) {
+      return { error: 'Preset not found', details: { presetId } };
+    }
+    
+    let rendered;
+    try {
+      rendered = renderTemplate(preset.template, variables);
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+      return { error: error.message, details: { presetId, missingVariables: error.missing } };
+    }
+    // Variables can make the prompt longer than the template, so the limit applies here too
+    if (rendered.length > config.ai.maxSystemPromptLength) {
+      return {
+        error: `System prompt must be a string of at most ${config.ai.maxSystemPromptLength} characters`,
+        details: { presetId, length: rendered.length }
+      };
+    }
+    return { systemPrompt: rendered, presetId: preset.id };
+  }
+  
+  if (systemPrompt === undefined || systemPrompt === null) {
+    return { systemPrompt: null, presetId: null };
+  }
+  
+  if (typeof systemPrompt !== 'string' || systemPrompt.length > config.ai.maxSystemPromptLength) {
+    return {
+      error: `System prompt must be a string of at most ${config.ai.maxSystemPromptLength} characters`,
+      details: {}
+    };
+  }
+  
+  return { systemPrompt: systemPrompt.trim() || null, presetId: null };
+}
+
+// OpenAI-compatible request body for the sidecar, using the configured generation settings
+function buildCompletionRequest(model, messages, overrides = {}) {
+  return {
+    model: model,
+    messages: messages,
+    stream: false,
+    cache_prompt: config.ai.cachePrompt,
+    temperature: config.ai.temperature,
+    max_tokens: config.ai.maxTokens,
+    ...overrides
+  };
+}
+
+// What a cached reply is keyed on: the model, the messages sent and the generation settings
+function cacheRequestFor(model, messages) {
+  return {
+    model,
+    messages,
+    temperature: config.ai.temperature,
+    max_tokens: config.ai.maxTokens,
+    tools: toolRegistry ? toolRegistry.names() : []
+  };
+}
+
+// Whether a chat request skips the cache lookup: `"cache": false` in the body or a
+// Cache-Control: no-cache header. The reply generated instead replaces the cached one.
+function bypassesCache(req) {
+  return req.body.cache === false || /no-cache|no-store/i.test(req.get('Cache-Control') || '');
+}
+
+// Cached reply for a request, or null on a miss, a bypass or a cache failure
+async function lookupCachedReply(cacheRequest, bypass) {
+  if (bypass) {
+    metrics.recordCacheLookup('bypass');
+    return null;
+  }
+  try {
+    const cached = await responseCache.get(cacheRequest);
+    metrics.recordCacheLookup(cached ? 'hit' : 'miss', cached?.match);
+    if (cached) {
+      logger.debug(`Answering from the response cache (${cached.match} match, cached ${cached.cachedAt})`);
+    }
+    return cached;
+  } catch (error) {
+    logger.warn('Response cache lookup failed:', error.message);
+    return null;
+  }
+}
+
+// A cached reply in place of a model result; it used no tokens
+function cachedResult(cached) {
+  return { content: cached.content, usage: { prompt_tokens: 0, completion_tokens: 0 } };
+}
+
+// Remember a generated reply without holding up the response; a failure only costs a generation later
+function cacheReply(cacheRequest, content) {
+  if (!content || !content.trim()) return;
+  responseCache.set(cacheRequest, content).catch((error) => {
+    logger.warn('Failed to cache reply:', error.message);
+  });
+}
+
+// Prometheus metrics
+if (config.metrics.enabled) {
+  app.get('/metrics', asyncHandler(async (req, res) => {
+    res.type(metrics.contentType).send(await metrics.render());
+  }));
+}
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -41,84 +512,264 @@ app.get('/health', (req, res) => {
     status: 'healthy',
     timestamp: new Date().toISOString(),
     version: '1.0.0',
-    environment: process.env.NODE_ENV || 'development',
-    sidecarEndpoint: SIDECAR_ENDPOINT
+    environment: config.env,
+    sidecarEndpoint: SIDECAR_ENDPOINT,
+    sessionStore: config.sessionStore.type
   });
 });
 
-// Sidecar health check
+// Health of every model backend: healthy when all answer, degraded when some do.
+// `available` is false when no backend answers.
+async function sidecarHealthReport() {
+  const { status, backends } = await sidecar.health();
+  const connected = backends.filter(backend => backend.status === 'connected');
+  
+  let sidecarStatus = status === 'healthy' ? 'connected' : status;
+  if (connected.length === 0) {
+    sidecarStatus = backends.some(backend => backend.status === 'warming-up') ? 'warming-up' : 'disconnected';
+  }
+  
+  return {
+    available: connected.length > 0,
+    status,
+    sidecarStatus,
+    availableModels: [...new Set(connected.flatMap(backend => backend.models))],
+    backends,
+    timestamp: new Date().toISOString()
+  };
+}
+
+function logUnhealthyBackends(report) {
+  report.backends
+    .filter(backend => backend.status !== 'connected')
+    .forEach(backend => logger.warn(`Health check failed for backend ${backend.name}:`, backend.error));
+}
+
 app.get('/api/sidecar/health', async (req, res) => {
-  try {
-    const response = await axios.get(`${SIDECAR_ENDPOINT}/api/tags`, {
-      timeout: 5000
-    });
-    res.status(200).json({
-      status: 'healthy',
-      sidecarStatus: 'connected',
-      availableModels: response.data.models || [],
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Sidecar health check failed:', error.message);
-    res.status(503).json({
-      status: 'unhealthy',
-      sidecarStatus: 'disconnected',
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+  const { available, ...report } = await sidecarHealthReport();
+  if (report.status !== 'healthy') {
+    logUnhealthyBackends(report);
   }
+  
+  res.status(available ? 200 : 503).json(report);
+});
+
+// Generation queue load, and roughly how long a new request would wait for a slot
+app.get('/api/queue', (req, res) => {
+  const stats = generationQueue.stats();
+  const busy = stats.running >= stats.concurrency || stats.waiting > 0;
+  res.json({
+    ...stats,
+    full: stats.waiting >= stats.maxQueued && busy,
+    estimatedWaitSeconds: busy ? generationQueue.estimateSeconds(stats.waiting + 1) : 0,
+    timestamp: new Date().toISOString()
+  });
 });
 
 // Create new chat session
-app.post('/api/chat/sessions', (req, res) => {
+app.post('/api/chat/sessions', asyncHandler(async (req, res) => {
+  const model = req.body.model || config.ai.defaultModel;
+  if (req.body.model && await rejectUnknownModel(model, res)) {
+    return;
+  }
+  
+  const prompt = await resolveSystemPrompt(req.body);
+  if (prompt.error) {
+    return res.status(400).json({
+      error: prompt.error,
+      ...prompt.details
+    });
+  }
+  
   const sessionId = uuidv4();
   const session = {
     id: sessionId,
     createdAt: new Date().toISOString(),
     messages: [],
-    title: req.body.title || 'New Chat Session'
+    title: req.body.title || 'New Chat Session',
+    ownerId: req.user.id,
+    model: model,
+    systemPrompt: prompt.systemPrompt,
+    presetId: prompt.presetId,
+    pinned: false,
+    archived: false,
+    tags: [],
+    // Let the model retitle the session after the first exchange
+    autoTitle: typeof req.body.autoTitle === 'boolean' ? req.body.autoTitle : config.ai.autoTitle
   };
   
-  chatSessions.set(sessionId, session);
+  await sessionStore.set(session);
   
   res.status(201).json({
     sessionId,
     message: 'Chat session created successfully',
     session
   });
-});
+}));
 
 // Get chat session
-app.get('/api/chat/sessions/:sessionId', (req, res) => {
-  const { sessionId } = req.params;
-  const session = chatSessions.get(sessionId);
+app.get('/api/chat/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) return;
+  
+  res.json(session);
+}));
+
+// Export chat session as JSON, Markdown or JSONL (?format=json|markdown|jsonl)
+// JSONL writes one record per conversation, or per assistant reply with ?per=turn
+app.get('/api/chat/sessions/:sessionId/export', asyncHandler(async (req, res) => {
+  const format = req.query.format || 'json';
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({
+      error: `Export format must be one of: ${EXPORT_FORMATS.join(', ')}`,
+      format
+    });
+  }
+  
+  const session = await findSession(req, res);
+  if (!session) return;
+  
+  const options = {
+    defaultSystemPrompt: config.ai.defaultSystemPrompt,
+    per: req.query.per === 'turn' ? 'turn' : 'conversation'
+  };
+  const filename = `chat-${session.id}`;
+  
+  if (format === 'markdown') {
+    res.attachment(`${filename}.md`);
+    res.type('text/markdown').send(toMarkdown(session, options));
+  } else if (format === 'jsonl') {
+    res.attachment(`${filename}.jsonl`);
+    res.type('application/x-ndjson').send(toJsonl(session, options));
+  } else {
+    res.attachment(`${filename}.json`);
+    res.json(toJson(session));
+  }
+}));
+
+// Import a chat session from a JSON export; the session and its messages get new ids
+app.post('/api/chat/sessions/import', asyncHandler(async (req, res) => {
+  const { session, errors } = parseImport(req.body, {
+    ownerId: req.user.id,
+    maxSystemPromptLength: config.ai.maxSystemPromptLength
+  });
+  
+  if (errors) {
+    return res.status(400).json({
+      error: 'Invalid session import',
+      details: errors
+    });
+  }
   
-  if (!session) {
+  // Imported user turns go to the model as history, so they are screened like new ones
+  if (moderation) {
+    for (const [index, message] of session.messages.entries()) {
+      if (message.role !== 'user') continue;
+      
+      const result = await screenInput(message.content, { sessionId: session.id, userId: req.user.id });
+      if (result.blocked) {
+        return res.status(422).json({
+          error: 'Import blocked by content policy',
+          reason: 'content-policy',
+          messageIndex: index
+        });
+      }
+      message.content = result.text;
+      if (result.interventions.length > 0) {
+        message.moderation = result.interventions;
+      }
+    }
+  }
+  
+  // Keep the exported model only if this deployment can serve it
+  if (!session.model || (await modelCatalog.check(session.model)).known === false) {
+    session.model = config.ai.defaultModel;
+  }
+  
+  await sessionStore.set(session);
+  
+  res.status(201).json({
+    sessionId: session.id,
+    message: 'Chat session imported successfully',
+    session
+  });
+}));
+
+// Update chat session settings and metadata
+// Body: any of { title, pinned, archived, tags } and { systemPrompt } or { presetId, variables };
+// a null systemPrompt restores the default. Renaming turns auto-titling off.
+app.patch('/api/chat/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) return;
+  
+  const metadata = parseSessionMetadata(req.body);
+  if (metadata.error) {
+    return res.status(400).json({
+      error: metadata.error
+    });
+  }
+  
+  if ('systemPrompt' in req.body || 'presetId' in req.body) {
+    const prompt = await resolveSystemPrompt(req.body);
+    if (prompt.error) {
+      return res.status(400).json({
+        error: prompt.error,
+        ...prompt.details
+      });
+    }
+    metadata.updates.systemPrompt = prompt.systemPrompt;
+    metadata.updates.presetId = prompt.presetId;
+  }
+  
+  const updated = await sessionStore.update(session.id, (current) => {
+    Object.assign(current, metadata.updates);
+    if ('title' in metadata.updates) {
+      current.autoTitle = false;
+    }
+    current.updatedAt = new Date().toISOString();
+  });
+  if (!updated) {
     return res.status(404).json({
       error: 'Chat session not found',
-      sessionId
+      sessionId: session.id
     });
   }
   
-  res.json(session);
-});
+  res.json({
+    message: 'Chat session updated successfully',
+    session: updated
+  });
+}));
 
-// List all chat sessions
-app.get('/api/chat/sessions', (req, res) => {
-  const sessions = Array.from(chatSessions.values())
-    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
-    .slice(0, 20); // Limit to last 20 sessions
+// List the caller's chat sessions (every session for admins), newest first
+// Query: limit, cursor (nextCursor of the previous page), from/to (ISO dates on createdAt),
+// model, q (search over titles and messages; each hit carries highlighted snippets)
+app.get('/api/chat/sessions', asyncHandler(async (req, res) => {
+  let options;
+  try {
+    options = parseQuery(req.query);
+  } catch (error) {
+    if (!(error instanceof QueryError)) throw error;
+    return res.status(400).json({
+      error: error.message
+    });
+  }
+  
+  const allSessions = (await sessionStore.list())
+    .filter(session => canAccessSession(req.user, session));
+  const { sessions, total, nextCursor } = querySessions(allSessions, options);
   
   res.json({
     sessions,
-    total: chatSessions.size
+    total,
+    nextCursor
   });
-});
+}));
 
-// Send message to chat
-app.post('/api/chat/sessions/:sessionId/messages', async (req, res) => {
+// Send message to chat; WebSocket `send` messages run the same handlers
+const sendMessageHandlers = [modelRateLimit, sessionRateLimit, asyncHandler(async (req, res) => {
   const { sessionId } = req.params;
-  const { message, model = 'phi4' } = req.body;
+  const { message } = req.body;
   
   if (!message || !message.trim()) {
     return res.status(400).json({
@@ -126,11 +777,23 @@ app.post('/api/chat/sessions/:sessionId/messages', async (req, res) => {
     });
   }
   
-  const session = chatSessions.get(sessionId);
-  if (!session) {
-    return res.status(404).json({
-      error: 'Chat session not found',
-      sessionId
+  const structured = readResponseSchema(req, res);
+  if (!structured) return;
+  
+  const existingSession = await findSession(req, res);
+  if (!existingSession) return;
+  
+  // PII is redacted before the message is stored or reaches the model
+  const screened = await moderateUserMessage(req, res, existingSession, message.trim());
+  if (!screened) return;
+  
+  const model = await resolveReplyModel(req, res, existingSession);
+  if (!model) return;
+  
+  // Remember an explicit choice as the session's default model
+  if (req.body.model && req.body.model !== existingSession.model) {
+    await sessionStore.update(sessionId, (current) => {
+      current.model = req.body.model;
     });
   }
   
@@ -138,71 +801,436 @@ app.post('/api/chat/sessions/:sessionId/messages', async (req, res) => {
   const userMessage = {
     id: uuidv4(),
     role: 'user',
-    content: message.trim(),
+    ...screened,
     timestamp: new Date().toISOString()
   };
-  session.messages.push(userMessage);
+  const session = await sessionStore.appendMessage(sessionId, userMessage);
+  
+  await sendChatReply(req, res, {
+    session,
+    model,
+    userMessage,
+    responseSchema: structured.schema,
+    bypassCache: bypassesCache(req),
+    save: (reply, toolMessages) => appendReply(sessionId, reply, toolMessages),
+    undo: () => withdrawMessage(sessionId, userMessage.id)
+  });
+})];
+
+app.post('/api/chat/sessions/:sessionId/messages', ...sendMessageHandlers);
+
+// Regenerate the last assistant reply; earlier versions are kept in its `alternates`
+app.post('/api/chat/sessions/:sessionId/messages/:messageId/regenerate', modelRateLimit, sessionRateLimit, asyncHandler(async (req, res) => {
+  const structured = readResponseSchema(req, res);
+  if (!structured) return;
+  
+  const found = await findMessage(req, res);
+  if (!found) return;
+  
+  const { session, index } = found;
+  const target = session.messages[index];
+  const userIndex = regenerableFrom(session.messages, index);
+  if (userIndex === -1) {
+    return res.status(409).json({
+      error: 'Only the last assistant reply can be regenerated',
+      sessionId: session.id,
+      messageId: target.id
+    });
+  }
+  
+  const model = await resolveReplyModel(req, res, session, target.error ? null : target.model);
+  if (!model) return;
+  
+  const history = session.messages.slice(0, userIndex + 1);
+  
+  await sendChatReply(req, res, {
+    session: { ...session, messages: history },
+    model,
+    userMessage: history[history.length - 1],
+    responseSchema: structured.schema,
+    // Asking again means wanting a different answer than the cached one
+    bypassCache: true,
+    save: (reply, toolMessages) => sessionStore.update(session.id, current => replaceReply(current, target.id, reply, toolMessages))
+  });
+}));
+
+// Edit a user message and resend the conversation from there; later messages are dropped
+app.patch('/api/chat/sessions/:sessionId/messages/:messageId', modelRateLimit, sessionRateLimit, asyncHandler(async (req, res) => {
+  const { content } = req.body;
+  if (typeof content !== 'string' || !content.trim()) {
+    return res.status(400).json({
+      error: 'Message content is required'
+    });
+  }
+  
+  const structured = readResponseSchema(req, res);
+  if (!structured) return;
+  
+  const found = await findMessage(req, res);
+  if (!found) return;
+  
+  const { session, index } = found;
+  const target = session.messages[index];
+  if (target.role !== 'user') {
+    return res.status(409).json({
+      error: 'Only user messages can be edited',
+      sessionId: session.id,
+      messageId: target.id
+    });
+  }
+  
+  const screened = await moderateUserMessage(req, res, session, content.trim());
+  if (!screened) return;
+  
+  const model = await resolveReplyModel(req, res, session);
+  if (!model) return;
+  
+  // Put the conversation back as it was if the sidecar cannot answer
+  let snapshot = null;
+  
+  const userMessage = {
+    ...target,
+    ...screened,
+    editedAt: new Date().toISOString()
+  };
+  if (!screened.moderation) {
+    delete userMessage.moderation;
+  }
+  const edited = await sessionStore.update(session.id, (current) => {
+    snapshot = { messages: current.messages, summary: current.summary, updatedAt: current.updatedAt };
+    if (!editMessage(current, userMessage)) {
+      snapshot = null;
+      return false;
+    }
+  });
+  if (!snapshot) {
+    return res.status(404).json({
+      error: 'Message not found',
+      sessionId: session.id,
+      messageId: target.id
+    });
+  }
+  
+  await sendChatReply(req, res, {
+    session: edited,
+    model,
+    userMessage,
+    responseSchema: structured.schema,
+    bypassCache: bypassesCache(req),
+    save: (reply, toolMessages) => appendReply(session.id, reply, toolMessages),
+    undo: () => sessionStore.update(session.id, (current) => Object.assign(current, snapshot))
+  });
+}));
+
+// Delete a single message
+app.delete('/api/chat/sessions/:sessionId/messages/:messageId', asyncHandler(async (req, res) => {
+  const found = await findMessage(req, res);
+  if (!found) return;
+  
+  const { session } = found;
+  const { messageId } = req.params;
+  const updated = await sessionStore.update(session.id, current => deleteMessage(current, messageId));
+  
+  res.json({
+    message: 'Message deleted successfully',
+    sessionId: session.id,
+    messageId,
+    messageCount: updated ? updated.messages.length : 0
+  });
+}));
+
+// Rate an assistant reply: { rating: up|down, comment?, tags? } replaces earlier feedback
+app.put('/api/chat/sessions/:sessionId/messages/:messageId/feedback', asyncHandler(async (req, res) => {
+  const { feedback, errors } = parseFeedback(req.body);
+  if (errors) {
+    return res.status(400).json({
+      error: 'Invalid feedback',
+      details: errors
+    });
+  }
+  
+  const found = await findMessage(req, res);
+  if (!found) return;
+  
+  const { session, index } = found;
+  const message = session.messages[index];
+  if (message.role !== 'assistant' || message.error) {
+    return res.status(400).json({
+      error: 'Only assistant replies can be rated',
+      sessionId: session.id,
+      messageId: message.id
+    });
+  }
+  
+  const rated = {
+    ...feedback,
+    userId: req.user.id,
+    ratedAt: new Date().toISOString()
+  };
+  await sessionStore.update(session.id, (current) => {
+    const stored = current.messages.find(msg => msg.id === message.id);
+    if (!stored) return false;
+    stored.feedback = rated;
+  });
+  metrics.recordFeedback(feedback.rating);
+  
+  res.json({
+    message: 'Feedback saved',
+    sessionId: session.id,
+    messageId: message.id,
+    feedback: rated
+  });
+}));
+
+// Withdraw feedback on a reply
+app.delete('/api/chat/sessions/:sessionId/messages/:messageId/feedback', asyncHandler(async (req, res) => {
+  const found = await findMessage(req, res);
+  if (!found) return;
+  
+  const { session, index } = found;
+  const message = session.messages[index];
+  await sessionStore.update(session.id, (current) => {
+    const stored = current.messages.find(msg => msg.id === message.id);
+    if (!stored?.feedback) return false;
+    delete stored.feedback;
+  });
+  
+  res.json({
+    message: 'Feedback removed',
+    sessionId: session.id,
+    messageId: message.id
+  });
+}));
+
+// Start a new session from the conversation up to and including a message
+app.post('/api/chat/sessions/:sessionId/messages/:messageId/fork', asyncHandler(async (req, res) => {
+  const found = await findMessage(req, res);
+  if (!found) return;
+  
+  const { session, index } = found;
+  const fork = forkSession(session, index, { ownerId: req.user.id, maxTitleLength: MAX_TITLE_LENGTH });
+  
+  await sessionStore.set(fork);
+  
+  res.status(201).json({
+    sessionId: fork.id,
+    message: 'Chat session forked successfully',
+    session: fork
+  });
+}));
+
+// Load a message from a session the caller may access.
+// Returns { session, index }, or null once a 404 response is sent.
+async function findMessage(req, res) {
+  const session = await findSession(req, res);
+  if (!session) return null;
+  
+  const { messageId } = req.params;
+  const index = session.messages.findIndex(msg => msg.id === messageId);
+  if (index === -1) {
+    res.status(404).json({
+      error: 'Message not found',
+      sessionId: session.id,
+      messageId
+    });
+    return null;
+  }
+  return { session, index };
+}
+
+// Pick the model for a reply - the request's, else `preferred`, else the session's,
+// else the app default - and check it can be served. Returns null once an error response is sent.
+async function resolveReplyModel(req, res, session, preferred = null) {
+  const model = req.body.model || preferred || session.model || config.ai.defaultModel;
+  if (await rejectUnknownModel(model, res)) {
+    return null;
+  }
   
+  // Fail fast while every backend for the model is warming up or has its circuit open
   try {
-    // Format conversation for OpenAI-compatible API (following Azure-Samples pattern)
-    const messages = [
-      { role: 'system', content: 'You are a helpful assistant.' }
-    ];
-    
-    // Add conversation history to messages (keep last 10 for context)
-    session.messages.slice(-10).forEach(msg => {
-      messages.push({
-        role: msg.role,
-        content: msg.content
-      });
+    sidecar.assertAvailable(model);
+  } catch (error) {
+    sendSidecarUnavailable(res, error, { sessionId: session.id });
+    return null;
+  }
+  return model;
+}
+
+// Store a reply after the tool calls made while generating it
+async function appendReply(sessionId, reply, toolMessages = []) {
+  let session = null;
+  for (const message of [...toolMessages, reply]) {
+    session = await sessionStore.appendMessage(sessionId, message);
+  }
+  return session;
+}
+
+// Generate an assistant reply to `session.messages` (which end with `userMessage`) and
+// answer with JSON, or with SSE when the client accepts text/event-stream. With a
+// responseSchema the reply must be JSON matching it, and is returned parsed as well.
+// save(reply, toolMessages) stores the reply or error reply after the tool calls made
+// for it - it may set the reply's id - and resolves to the updated session; undo()
+// reverts the caller's changes when nothing was generated: the sidecar was unavailable,
+// the generation queue was full, or the client left while queued. Repeated prompts are
+// answered from the response cache unless bypassCache is set.
+async function sendChatReply(req, res, { session, model, userMessage, responseSchema = null, bypassCache = false, save, undo }) {
+  const sessionId = session.id;
+  // Structured replies are validated as a whole, so they are always answered with JSON
+  const wantsStream = !responseSchema && req.accepts(['json', 'text/event-stream']) === 'text/event-stream';
+  const toolMessages = [];
+  let ticket = null;
+  
+  // Leave the queue, or stop generating, if the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  
+  // Wait for a generation slot before the first call that generates; streaming clients
+  // are told their place in the queue. Cached replies never take one.
+  const waitForSlot = async () => {
+    ticket = ticket || await acquireGenerationSlot(req, {
+      signal: controller.signal,
+      onUpdate: wantsStream ? ({ position, estimatedWaitSeconds }) => {
+        if (!res.headersSent) {
+          openEventStream(res);
+        }
+        sendEvent(res, 'queued', { position, estimatedWaitSeconds, sessionId });
+      } : null
     });
+  };
+  
+  try {
+    // Format conversation for OpenAI-compatible API (following Azure-Samples pattern),
+    // fitting history - which already ends with the new user message - into the context
+    // window, with the document passages that best match the user's message
+    const passages = await retrievePassages(session, userMessage.content);
+    const messages = await buildChatContext(session, model, passages, { beforeSummarize: waitForSlot });
     
-    // Add current user message
-    messages.push({
-      role: 'user',
-      content: message
-    });
+    // Look for a cached reply to the same conversation; structured replies are always generated
+    const cacheRequest = responseCache && !responseSchema ? cacheRequestFor(model, messages) : null;
+    const cached = cacheRequest ? await lookupCachedReply(cacheRequest, bypassCache) : null;
+    if (!cached) {
+      await waitForSlot();
+    }
+    
+    // Stream tokens back over Server-Sent Events when the client asks for it
+    if (wantsStream) {
+      return await streamChatReply(req, res, {
+        sessionId, userMessage, messages, passages, model, save, toolMessages, controller, cacheRequest, cached
+      });
+    }
     
-    // Call the sidecar AI model using OpenAI-compatible endpoint
-    console.log(`Calling sidecar at ${SIDECAR_ENDPOINT}/v1/chat/completions`);
-    const aiResponse = await axios.post(`${SIDECAR_ENDPOINT}/v1/chat/completions`, {
-      messages: messages,
-      stream: false,
-      cache_prompt: false,
-      n_predict: 2048
-    }, {
-      timeout: 30000, // 30 second timeout
-      headers: {
-        'Content-Type': 'application/json'
+    // Call the sidecar AI model using OpenAI-compatible endpoint, running any
+    // tools it asks for and passing their results back until it answers
+    const format = responseSchema ? responseFormat(responseSchema, config.structuredOutput.responseFormat) : {};
+    const answer = (conversation) => runToolLoop({
+      registry: toolRegistry,
+      messages: conversation,
+      maxSteps: config.tools.maxSteps,
+      context: toolContext(req, sessionId),
+      onToolMessage: (toolMessage) => toolMessages.push(toolMessage),
+      complete: async (turn, extra) => {
+        const completion = await sidecar.chatCompletion(buildCompletionRequest(model, turn, { ...format, ...extra }), {
+          signal: controller.signal
+        });
+        metrics.recordUsage(model, completion.usage, 'chat');
+        const message = completion.choices?.[0]?.message || {};
+        return {
+          content: message.content || '',
+          toolCalls: toolCallsFrom(message.tool_calls),
+          usage: completion.usage
+        };
       }
     });
     
+    // With a responseSchema, invalid JSON is sent back to the model with the problems found
+    let result;
+    if (cached) {
+      result = cachedResult(cached);
+    } else {
+      logger.debug(`Requesting a ${model} completion`);
+      result = responseSchema
+        ? await generateStructured({
+          messages,
+          schema: responseSchema,
+          maxRetries: config.structuredOutput.maxRetries,
+          generate: answer
+        })
+        : await answer(messages);
+    }
+    
     // Extract response content (OpenAI format)
-    const aiContent = aiResponse.data.choices?.[0]?.message?.content || 'I apologize, but I was unable to generate a response.';
+    const aiContent = result.content || 'I apologize, but I was unable to generate a response.';
     
-    // Add AI response to session
-    const aiMessage = {
+    // Add AI response to session, after the output filter
+    const aiMessage = await moderateReply({
       id: uuidv4(),
       role: 'assistant',
       content: aiContent.trim(),
       timestamp: new Date().toISOString(),
       model: model,
-      tokens: aiResponse.data.eval_count || 0
-    };
-    session.messages.push(aiMessage);
+      tokens: result.usage.completion_tokens,
+      promptTokens: result.usage.prompt_tokens,
+      ...(passages.length > 0 && { citations: citationsFor(aiContent, passages) }),
+      ...(responseSchema && { parsed: result.value, attempts: result.attempts }),
+      ...(cached && { cached: { match: cached.match, cachedAt: cached.cachedAt } })
+    }, sessionId);
+    metrics.touchSession(sessionId);
+    
+    if (responseSchema) {
+      // The output filter may have redacted or replaced the JSON, so check what is kept
+      const { value, problems } = aiMessage.moderation ? checkReply(aiMessage.content, responseSchema) : result;
+      if (problems.length > 0) {
+        return await rejectStructuredReply(res, { sessionId, aiMessage, problems, userMessage, toolMessages, save });
+      }
+      aiMessage.parsed = value;
+    }
     
-    // Update session
-    chatSessions.set(sessionId, session);
+    const updatedSession = await save(aiMessage, toolMessages);
+    if (cacheRequest && !cached && toolMessages.length === 0) {
+      cacheReply(cacheRequest, result.content);
+    }
+    const title = await autoTitleSession(updatedSession, model);
     
     res.json({
       userMessage,
+      ...(toolMessages.length > 0 && { toolMessages }),
       aiMessage,
       sessionId,
-      messageCount: session.messages.length
+      messageCount: updatedSession?.messages.length,
+      ...(title && { title }),
+      ...(ticket?.position > 0 && { queue: { position: ticket.position, waitedSeconds: Math.round(ticket.waitedMs / 1000) } })
     });
     
   } catch (error) {
-    console.error('Error calling sidecar AI:', error.message);
+    // Client gone while waiting for a slot: nothing was generated
+    if (error instanceof QueueCancelledError) {
+      logger.info(`Client disconnected while queued for session ${sessionId}`);
+      if (undo) {
+        await undo();
+      }
+      return;
+    }
+    if (controller.signal.aborted) {
+      logger.info(`Client disconnected before the reply was ready for session ${sessionId}`);
+      return;
+    }
+    
+    // Queue full, or warming up or circuit open before the first answer: nothing
+    // was generated, so undo the caller's changes
+    if ((error instanceof SidecarUnavailableError || error instanceof QueueFullError)
+      && toolMessages.length === 0 && !res.headersSent) {
+      logger.warn(`Sidecar unavailable (${error.reason}):`, error.message);
+      if (undo) {
+        await undo();
+      }
+      return sendSidecarUnavailable(res, error, { sessionId });
+    }
+    
+    logger.error('Error calling sidecar AI:', error.message);
     
     // Add error response to session
     const errorMessage = {
@@ -213,23 +1241,511 @@ app.post('/api/chat/sessions/:sessionId/messages', async (req, res) => {
       error: true,
       errorDetails: error.message
     };
-    session.messages.push(errorMessage);
-    chatSessions.set(sessionId, session);
+    await save(errorMessage, toolMessages);
+    
+    // The event stream is already open when the request was queued
+    if (res.headersSent) {
+      sendEvent(res, 'error', {
+        error: 'Failed to get AI response',
+        details: error.message,
+        userMessage,
+        errorMessage,
+        sessionId,
+        requestId: req.id
+      });
+      return res.end();
+    }
     
-    res.status(500).json({
+    res.status(error instanceof SidecarError ? error.status : 500).json({
       error: 'Failed to get AI response',
       details: error.message,
       userMessage,
       errorMessage,
       sessionId
     });
+  } finally {
+    ticket?.release();
   }
-});
+}
+
+// A structured reply that never matched its schema: store a failed reply in its
+// place and answer 422 with the problems from the last attempt
+async function rejectStructuredReply(res, { sessionId, aiMessage, problems, userMessage, toolMessages, save }) {
+  const { id, timestamp, model, tokens, promptTokens, attempts, moderation } = aiMessage;
+  logger.warn('Reply did not match the response schema', { sessionId, attempts, problems: problems.length });
+  
+  const errorMessage = {
+    id,
+    role: 'assistant',
+    content: 'I apologize, but I was unable to produce a reply in the requested format.',
+    timestamp,
+    model,
+    tokens,
+    promptTokens,
+    error: true,
+    errorDetails: `Reply did not match the response schema after ${attempts} attempt${attempts === 1 ? '' : 's'}`
+  };
+  const updatedSession = await save(errorMessage, toolMessages);
+  
+  res.status(422).json({
+    error: 'Reply did not match the response schema',
+    details: problems,
+    attempts,
+    rawContent: aiMessage.content,
+    ...(moderation && { moderation }),
+    userMessage,
+    errorMessage,
+    sessionId,
+    messageCount: updatedSession?.messages.length
+  });
+}
+
+// Document passages for a chat turn, searched with the user's message. Resolves to []
+// when retrieval is off, the session has no documents to search, or the search fails.
+async function retrievePassages(session, query) {
+  if (!documentStore || !(await documentStore.hasDocuments(session.id))) {
+    return [];
+  }
+  
+  try {
+    return await documentStore.search(query, { sessionId: session.id, limit: config.rag.topK });
+  } catch (error) {
+    logger.warn('Document search failed, answering without sources:', error.message);
+    return [];
+  }
+}
+
+// System prompt (plus any retrieved passages), optional summary of older turns,
+// and as much recent history as fits. beforeSummarize() runs before the sidecar is
+// asked for a summary.
+async function buildChatContext(session, model, passages = [], { beforeSummarize } = {}) {
+  const systemPrompt = session.systemPrompt || config.ai.defaultSystemPrompt;
+  const context = await buildContext(session, {
+    systemPrompt: passages.length > 0 ? `${systemPrompt}\n\n${sourcesPrompt(passages)}` : systemPrompt,
+    contextWindow: config.ai.contextWindowTokens,
+    reserveTokens: config.ai.maxTokens,
+    maxMessages: config.ai.maxConversationHistory,
+    summarize: config.ai.summarizeHistory
+      ? async (previousSummary, olderMessages) => {
+        await beforeSummarize?.();
+        return summarizeHistory(model, previousSummary, olderMessages);
+      }
+      : null
+  });
+  
+  // Save only the summary: `session` may be a trimmed copy of the stored session
+  if (context.summaryUpdated) {
+    await sessionStore.update(session.id, (stored) => {
+      stored.summary = context.summary;
+    });
+    logger.debug(`Summarized ${context.summary.messageCount} earlier messages for session ${session.id}`);
+  }
+  
+  return context.messages;
+}
+
+// Ask the sidecar to condense older turns (plus any previous summary) into a short summary.
+// Returns null when summarization fails so the chat can continue with truncated history.
+async function summarizeHistory(model, previousSummary, olderMessages) {
+  const transcript = olderMessages
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n\n');
+  
+  const prompt = [
+    previousSummary ? `Existing summary:\n${previousSummary}\n\n` : '',
+    `Conversation to add:\n${transcript}\n\n`,
+    'Write a concise summary of the conversation so far, keeping names, facts, decisions and open questions. Reply with the summary only.'
+  ].join('');
+  
+  try {
+    const completion = await sidecar.chatCompletion(buildCompletionRequest(model, [
+      { role: 'system', content: 'You summarize conversations accurately and briefly.' },
+      { role: 'user', content: prompt }
+    ], { max_tokens: config.ai.summaryMaxTokens, temperature: 0.2 }));
+    metrics.recordUsage(model, completion.usage, 'summary');
+    return completion.choices?.[0]?.message?.content || null;
+  } catch (error) {
+    logger.warn('Failed to summarize conversation history:', error.message);
+    return null;
+  }
+}
+
+// After a session's first successful exchange, ask the sidecar for a short title.
+// Returns the new title, or null when auto-titling is off, not due, or fails.
+async function autoTitleSession(session, model) {
+  if (!session?.autoTitle) return null;
+  
+  const replies = session.messages.filter(msg => msg.role === 'assistant' && !msg.error);
+  if (replies.length !== 1) return null;
+  
+  const transcript = session.messages
+    .filter(msg => !msg.error && msg.role !== 'tool')
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n\n');
+  
+  try {
+    const completion = await sidecar.chatCompletion(buildCompletionRequest(model, [
+      { role: 'system', content: 'You write short, specific titles for conversations.' },
+      { role: 'user', content: `${transcript}\n\nWrite a title of at most six words for this conversation. Reply with the title only.` }
+    ], { max_tokens: 24, temperature: 0.3 }));
+    metrics.recordUsage(model, completion.usage, 'title');
+    
+    const title = (completion.choices?.[0]?.message?.content || '')
+      .split('\n')[0]
+      .replace(/^(title:\s*)/i, '')
+      .replace(/^["'*\s]+|["'*.\s]+$/g, '')
+      .slice(0, MAX_TITLE_LENGTH);
+    if (!title) return null;
+    
+    // A rename made while the title was generated wins
+    let retitled = false;
+    await sessionStore.update(session.id, (latest) => {
+      retitled = Boolean(latest.autoTitle);
+      if (!retitled) return false;
+      latest.title = title;
+      latest.autoTitle = false;
+    });
+    return retitled ? title : null;
+  } catch (error) {
+    logger.warn('Failed to generate a session title:', error.message);
+    return null;
+  }
+}
+
+// Stream a chat reply from the sidecar to the browser as SSE events (after any
+// `queued` -> { position, estimatedWaitSeconds } events sent while waiting for a slot):
+//   start -> { userMessage }, token -> { content }, tool -> { toolMessage },
+//   done -> { aiMessage }, error -> { error }, then title -> { title } when the
+//   session was just auto-titled
+// The assistant message is saved with save() once the upstream stream ends. With the
+// output filter on, tokens are only forwarded once it has screened them (a short tail
+// is held back until the text after it is known), so `done` carries the reply as
+// saved for the client to show in place of the streamed text. When the model calls
+// tools, a `tool` event follows each result and the text streamed so far is discarded.
+// The event stream may already be open with `queued` events; otherwise failures before
+// the sidecar starts answering are thrown to the caller, which can still send a plain
+// JSON error (e.g. 503 + Retry-After while warming up). `controller` aborts when the
+// client goes away. Tool calls made before a failure are pushed to `toolMessages` for
+// the caller to save. A `cached` reply is screened and sent whole as one token;
+// generated replies are cached under `cacheRequest` when given.
+async function streamChatReply(req, res, { sessionId, userMessage, messages, passages, model, save, toolMessages, controller, cacheRequest = null, cached = null }) {
+  let started = false;
+  
+  const begin = () => {
+    if (!started) {
+      if (!res.headersSent) {
+        openEventStream(res);
+      }
+      sendEvent(res, 'start', { userMessage, sessionId });
+      started = true;
+    }
+  };
+  
+  // One streamed model call; the event stream opens when the sidecar first answers
+  const complete = async (conversation, extra) => {
+    logger.debug(`Streaming a ${model} completion`);
+    // Ask for a final usage chunk so token counts are known for streamed replies too
+    const upstream = await sidecar.chatCompletionStream(buildCompletionRequest(model, conversation, {
+      stream_options: { include_usage: true },
+      ...extra
+    }), {
+      signal: controller.signal
+    });
+    begin();
+    
+    const screen = moderation && config.safety.filterOutput ? moderation.stream({ sessionId, model }) : null;
+    const result = await readCompletionStream(upstream, (delta) => {
+      if (!screen) {
+        sendEvent(res, 'token', { content: delta });
+        return;
+      }
+      screen.push(delta).then((content) => {
+        if (content && !res.writableEnded) {
+          sendEvent(res, 'token', { content });
+        }
+      });
+    });
+    await screen?.drain();
+    metrics.recordUsage(model, result.usage, 'chat');
+    return result;
+  };
+  
+  try {
+    let result;
+    if (cached) {
+      begin();
+      result = cachedResult(cached);
+    } else {
+      result = await runToolLoop({
+        registry: toolRegistry,
+        messages,
+        complete,
+        maxSteps: config.tools.maxSteps,
+        context: toolContext(req, sessionId),
+        onToolMessage: (toolMessage) => {
+          toolMessages.push(toolMessage);
+          sendEvent(res, 'tool', { toolMessage, sessionId });
+        }
+      });
+    }
+    
+    const aiMessage = await moderateReply({
+      id: uuidv4(),
+      role: 'assistant',
+      content: result.content.trim() || 'I apologize, but I was unable to generate a response.',
+      timestamp: new Date().toISOString(),
+      model: model,
+      tokens: result.usage.completion_tokens,
+      promptTokens: result.usage.prompt_tokens,
+      ...(passages.length > 0 && { citations: citationsFor(result.content, passages) }),
+      ...(cached && { cached: { match: cached.match, cachedAt: cached.cachedAt } })
+    }, sessionId);
+    metrics.touchSession(sessionId);
+    if (cached) {
+      sendEvent(res, 'token', { content: aiMessage.content });
+    }
+    const updatedSession = await save(aiMessage, toolMessages);
+    if (cacheRequest && !cached && toolMessages.length === 0) {
+      cacheReply(cacheRequest, result.content);
+    }
+    
+    sendEvent(res, 'done', {
+      aiMessage,
+      sessionId,
+      messageCount: updatedSession?.messages.length
+    });
+    
+    const title = await autoTitleSession(updatedSession, model);
+    if (title) {
+      sendEvent(res, 'title', { title, sessionId });
+    }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      logger.info(started
+        ? `Client disconnected, stopped streaming for session ${sessionId}`
+        : `Client disconnected before the sidecar answered for session ${sessionId}`);
+      return;
+    }
+    if (!res.headersSent) {
+      throw error;
+    }
+    
+    logger.error('Error streaming from sidecar AI:', error.message);
+    
+    const errorMessage = {
+      id: uuidv4(),
+      role: 'assistant',
+      content: 'I apologize, but I\'m experiencing technical difficulties. Please try again in a moment.',
+      timestamp: new Date().toISOString(),
+      error: true,
+      errorDetails: error.message
+    };
+    await save(errorMessage, toolMessages).catch((storeError) => {
+      logger.error('Failed to save error reply:', storeError.message);
+    });
+    
+    sendEvent(res, 'error', {
+      error: 'Failed to get AI response',
+      details: error.message,
+      errorMessage,
+      sessionId,
+      requestId: req.id
+    });
+  } finally {
+    if (res.headersSent) {
+      res.end();
+    }
+  }
+}
+
+// Documents attached to a session; they are searched together with the shared knowledge base
+if (documentStore) {
+  app.get('/api/chat/sessions/:sessionId/documents', asyncHandler(async (req, res) => {
+    const session = await findSession(req, res);
+    if (!session) return;
+    
+    const documents = await documentStore.list({ sessionId: session.id });
+    res.json({
+      sessionId: session.id,
+      documents,
+      total: documents.length
+    });
+  }));
+  
+  app.post('/api/chat/sessions/:sessionId/documents', modelRateLimit, asyncHandler(async (req, res) => {
+    const session = await findSession(req, res);
+    if (!session) return;
+    
+    const { upload, errors } = parseUpload(req.body, { maxCharacters: config.rag.maxDocumentCharacters });
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid document',
+        details: errors
+      });
+    }
+    
+    const document = await documentStore.add({ ...upload, sessionId: session.id, ownerId: req.user.id });
+    res.status(201).json({
+      message: 'Document added to the session',
+      sessionId: session.id,
+      document
+    });
+  }));
+  
+  app.get('/api/chat/sessions/:sessionId/documents/search', asyncHandler(async (req, res) => {
+    const session = await findSession(req, res);
+    if (!session) return;
+    
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({
+        error: 'Search query (q) is required'
+      });
+    }
+    
+    const passages = await documentStore.search(query, { sessionId: session.id, limit: 10 });
+    res.json({
+      sessionId: session.id,
+      query,
+      passages
+    });
+  }));
+  
+  app.delete('/api/chat/sessions/:sessionId/documents/:documentId', asyncHandler(async (req, res) => {
+    const session = await findSession(req, res);
+    if (!session) return;
+    
+    const { documentId } = req.params;
+    const document = await documentStore.get(documentId);
+    if (!document || document.sessionId !== session.id) {
+      return res.status(404).json({
+        error: 'Document not found',
+        sessionId: session.id,
+        documentId
+      });
+    }
+    
+    await documentStore.delete(documentId);
+    res.json({
+      message: 'Document deleted successfully',
+      sessionId: session.id,
+      documentId
+    });
+  }));
+}
+
+// Token usage of a session
+app.get('/api/chat/sessions/:sessionId/usage', asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) return;
+  
+  const { messages, replies, promptTokens, completionTokens, totalTokens, byModel } = summarizeUsage([session]);
+  res.json({
+    sessionId: session.id,
+    messages,
+    replies,
+    promptTokens,
+    completionTokens,
+    totalTokens,
+    byModel,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Token usage of the caller's sessions
+app.get('/api/usage', asyncHandler(async (req, res) => {
+  const ownSessions = (await sessionStore.list())
+    .filter(session => sessionOwner(session) === req.user.id);
+  
+  res.json({
+    userId: req.user.id,
+    ...summarizeUsage(ownSessions),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Token usage per user (administrators only)
+app.get('/api/usage/users', auth.requireAdmin, asyncHandler(async (req, res) => {
+  const allSessions = await sessionStore.list();
+  
+  res.json({
+    users: summarizeUsageByUser(allSessions, sessionOwner),
+    total: summarizeUsage(allSessions),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Feedback on replies across every session, per model and per system prompt (admin)
+app.get('/api/feedback', auth.requireAdmin, asyncHandler(async (req, res) => {
+  const allSessions = await sessionStore.list();
+  
+  res.json({
+    ...summarizeFeedback(allSessions, { defaultSystemPrompt: config.ai.defaultSystemPrompt }),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Rated exchanges as JSONL for offline evaluation (admin); ?rating=up|down&model= to filter
+app.get('/api/feedback/export', auth.requireAdmin, asyncHandler(async (req, res) => {
+  const { rating, model } = req.query;
+  if (rating !== undefined && !FEEDBACK_RATINGS.includes(rating)) {
+    return res.status(400).json({
+      error: `rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`,
+      rating
+    });
+  }
+  
+  const allSessions = await sessionStore.list();
+  res.attachment(`feedback-${new Date().toISOString().slice(0, 10)}.jsonl`);
+  res.type('application/x-ndjson').send(toFeedbackJsonl(allSessions, {
+    defaultSystemPrompt: config.ai.defaultSystemPrompt,
+    rating,
+    model
+  }));
+}));
+
+// Response cache settings and size (admin)
+app.get('/api/cache', auth.requireAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    enabled: Boolean(responseCache),
+    ...(responseCache && {
+      store: config.cache.store,
+      match: config.cache.match,
+      ttlSeconds: config.cache.ttlMs / 1000,
+      maxEntries: config.cache.maxEntries,
+      entries: await responseCache.size()
+    }),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Purge cached replies (admin), only those of one model with ?model=
+app.delete('/api/cache', auth.requireAdmin, asyncHandler(async (req, res) => {
+  if (!responseCache) {
+    return res.status(404).json({
+      error: 'The response cache is not enabled'
+    });
+  }
+  
+  const model = typeof req.query.model === 'string' && req.query.model ? req.query.model : undefined;
+  const purged = await responseCache.purge({ model });
+  logger.info(`Purged ${purged} cached replies${model ? ` for ${model}` : ''}`, { userId: req.user.id });
+  
+  res.json({
+    message: 'Response cache purged',
+    purged,
+    ...(model && { model }),
+    timestamp: new Date().toISOString()
+  });
+}));
 
 // Delete chat session
-app.delete('/api/chat/sessions/:sessionId', (req, res) => {
+app.delete('/api/chat/sessions/:sessionId', asyncHandler(async (req, res) => {
+  const session = await findSession(req, res);
+  if (!session) return;
+  
   const { sessionId } = req.params;
-  const deleted = chatSessions.delete(sessionId);
+  const deleted = await sessionStore.delete(sessionId);
   
   if (!deleted) {
     return res.status(404).json({
@@ -238,26 +1754,47 @@ app.delete('/api/chat/sessions/:sessionId', (req, res) => {
     });
   }
   
+  if (documentStore) {
+    await documentStore.deleteForSession(sessionId);
+  }
+  
   res.json({
     message: 'Chat session deleted successfully',
     sessionId
   });
-});
+}));
+
+// Prompt presets
+app.use('/api/presets', createPresetsRouter({
+  presetStore,
+  maxSystemPromptLength: config.ai.maxSystemPromptLength,
+  requireAdmin: auth.requireAdmin
+}));
+
+// Shared knowledge base
+if (documentStore) {
+  app.use('/api/documents', createDocumentsRouter({
+    documentStore,
+    maxDocumentCharacters: config.rag.maxDocumentCharacters,
+    requireAdmin: auth.requireAdmin,
+    uploadRateLimit: modelRateLimit
+  }));
+}
 
 // List available AI models
 app.get('/api/models', async (req, res) => {
   try {
-    const response = await axios.get(`${SIDECAR_ENDPOINT}/api/tags`, {
-      timeout: 5000
-    });
+    const models = await modelCatalog.list({ refresh: req.query.refresh === 'true' });
     
     res.json({
-      models: response.data.models || [],
+      models,
+      defaultModel: config.ai.defaultModel,
       sidecarEndpoint: SIDECAR_ENDPOINT,
+      backends: sidecar.state().map(({ name, api, priority, circuit, warmingUp }) => ({ name, api, priority, circuit, warmingUp })),
       timestamp: new Date().toISOString()
     });
   } catch (error) {
-    console.error('Failed to fetch models:', error.message);
+    logger.warn('Failed to fetch models:', error.message);
     res.status(503).json({
       error: 'Unable to fetch available models',
       details: error.message,
@@ -274,23 +1811,65 @@ app.get('/api/info', (req, res) => {
     description: 'AI Chatbot with Phi-4 Sidecar Extension',
     endpoints: {
       health: '/health',
+      currentUser: 'GET /api/auth/me',
+      login: 'POST /api/auth/login',
+      logout: 'POST /api/auth/logout',
       sidecarHealth: '/api/sidecar/health',
+      queue: '/api/queue',
+      realtime: 'WebSocket /ws (subscribe, send, and session and health updates)',
       createSession: 'POST /api/chat/sessions',
       getSession: 'GET /api/chat/sessions/:sessionId',
-      listSessions: 'GET /api/chat/sessions',
-      sendMessage: 'POST /api/chat/sessions/:sessionId/messages',
+      updateSession: 'PATCH /api/chat/sessions/:sessionId',
+      exportSession: 'GET /api/chat/sessions/:sessionId/export?format=json|markdown|jsonl',
+      importSession: 'POST /api/chat/sessions/import',
+      listSessions: 'GET /api/chat/sessions?q=&model=&tag=&from=&to=&archived=exclude|include|only&limit=&cursor=',
+      sendMessage: 'POST /api/chat/sessions/:sessionId/messages (Accept: text/event-stream to stream, responseSchema for a validated JSON reply, cache: false to skip the response cache)',
+      regenerateMessage: 'POST /api/chat/sessions/:sessionId/messages/:messageId/regenerate',
+      editMessage: 'PATCH /api/chat/sessions/:sessionId/messages/:messageId',
+      deleteMessage: 'DELETE /api/chat/sessions/:sessionId/messages/:messageId',
+      forkSession: 'POST /api/chat/sessions/:sessionId/messages/:messageId/fork',
+      messageFeedback: 'PUT|DELETE /api/chat/sessions/:sessionId/messages/:messageId/feedback',
       deleteSession: 'DELETE /api/chat/sessions/:sessionId',
-      listModels: 'GET /api/models'
+      sessionDocuments: 'GET|POST /api/chat/sessions/:sessionId/documents, GET /api/chat/sessions/:sessionId/documents/search?q=, DELETE /api/chat/sessions/:sessionId/documents/:documentId',
+      sharedDocuments: 'GET|POST (admin) /api/documents, GET /api/documents/search?q=, GET|DELETE (admin) /api/documents/:documentId',
+      sessionUsage: 'GET /api/chat/sessions/:sessionId/usage',
+      usage: 'GET /api/usage',
+      usageByUser: 'GET /api/usage/users (admin)',
+      feedback: 'GET /api/feedback (admin)',
+      feedbackExport: 'GET /api/feedback/export?rating=up|down&model= (admin)',
+      responseCache: 'GET|DELETE /api/cache?model= (admin)',
+      metrics: '/metrics',
+      listModels: 'GET /api/models',
+      openAIModels: 'GET /v1/models',
+      openAIChatCompletions: 'POST /v1/chat/completions',
+      presets: 'GET|POST /api/presets, GET|PATCH|DELETE /api/presets/:presetId, POST /api/presets/:presetId/render'
     },
-    environment: process.env.NODE_ENV || 'development',
+    environment: config.env,
     sidecarEndpoint: SIDECAR_ENDPOINT,
+    authModes: config.auth.modes,
+    tools: toolRegistry ? toolRegistry.names() : [],
+    queue: generationQueue.stats(),
+    realtimeClients: realtime ? realtime.size : null,
+    config: redactConfig(config),
     timestamp: new Date().toISOString()
   });
 });
 
+// OpenAI-compatible API for other services
+app.use('/v1', createOpenAIRouter({
+  config,
+  logger,
+  sidecar,
+  modelCatalog,
+  apiRateLimit,
+  modelRateLimit,
+  acquireSlot: acquireGenerationSlot,
+  recordUsage: metrics.recordUsage
+}));
+
 // Error handling middleware
 app.use((err, req, res, next) => {
-  console.error('Unhandled error:', err);
+  logger.error('Unhandled error:', err);
   res.status(500).json({
     error: 'Internal server error',
     message: err.message,
@@ -310,28 +1889,107 @@ app.use((req, res) => {
 
 // Start server
 const server = app.listen(PORT, () => {
-  console.log(`🚀 Chatbot Sidecar App running on port ${PORT}`);
-  console.log(`📍 Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`🤖 Sidecar endpoint: ${SIDECAR_ENDPOINT}`);
-  console.log(`🌐 Health check: http://localhost:${PORT}/health`);
-  console.log(`📖 API info: http://localhost:${PORT}/api/info`);
+  logger.info(`Chatbot Sidecar App running on port ${PORT}`, {
+    environment: config.env,
+    backends: config.backends.map(backend => `${backend.name}=${backend.endpoint}`).join(', '),
+    sessionStore: config.sessionStore.type,
+    moderation: moderation ? 'enabled' : 'disabled',
+    tools: toolRegistry ? toolRegistry.names().join(', ') || 'none' : 'disabled',
+    queue: `${config.queue.concurrency} at once, ${config.queue.maxQueued} waiting`,
+    responseCache: responseCache ? `${config.cache.store}, ${config.cache.match} match` : 'disabled',
+    realtime: config.realtime.enabled ? `ws://localhost:${PORT}/ws` : 'disabled',
+    traceExporter: config.tracing.exporter,
+    healthCheck: `http://localhost:${PORT}/health`,
+    apiInfo: `http://localhost:${PORT}/api/info`
+  });
+  
+  if (config.env === 'production' && config.trustProxy === 0) {
+    logger.warn('TRUST_PROXY is 0: behind a reverse proxy every client shares one rate limit budget');
+  }
+  
+  // Watch for the backends to finish loading their models
+  sidecar.startWarmupProbe();
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('Received SIGTERM. Shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed.');
-    process.exit(0);
+// Live updates over WebSocket (/ws): session changes, streamed replies and backend health
+let lastHealth = null;
+let healthTimer = null;
+
+// Check the backends and tell every client when their health changed
+async function refreshHealth() {
+  const report = await sidecarHealthReport();
+  const summary = ({ status, sidecarStatus, availableModels, backends }) => JSON.stringify({
+    status,
+    sidecarStatus,
+    availableModels,
+    backends: backends.map(({ name, status: backendStatus }) => [name, backendStatus])
   });
-});
+  
+  if (!lastHealth || summary(lastHealth) !== summary(report)) {
+    if (lastHealth && report.status !== 'healthy') {
+      logUnhealthyBackends(report);
+    }
+    realtime?.broadcast({ type: 'health', ...report });
+  }
+  lastHealth = report;
+}
 
-process.on('SIGINT', () => {
-  console.log('Received SIGINT. Shutting down gracefully...');
-  server.close(() => {
-    console.log('Server closed.');
+if (config.realtime.enabled) {
+  realtime = new RealtimeHub({
+    server,
+    authenticate: auth.authenticateUpgrade,
+    canAccessSession: async (user, sessionId) => {
+      const session = await sessionStore.get(sessionId);
+      return Boolean(session) && canAccessSession(user, session);
+    },
+    canSeeSessionsOf: (user, ownerId) => user.isAdmin || user.id === ownerId,
+    sendHandlers: [tracing.middleware, apiRateLimit, ...sendMessageHandlers],
+    // The client IP as Express works it out, honouring TRUST_PROXY
+    clientIp: req => clientIp(Object.assign(Object.create(app.request), {
+      headers: req.headers,
+      connection: req.socket,
+      socket: req.socket
+    })),
+    allowedOrigins: Array.isArray(config.cors.origin) ? config.cors.origin : [],
+    logger
+  });
+  
+  // Health is only checked while someone is listening; new clients get the latest report
+  realtime.on('connection', (client) => {
+    if (!healthTimer) {
+      healthTimer = setInterval(() => {
+        refreshHealth().catch(error => logger.warn('Realtime health check failed:', error.message));
+      }, config.realtime.healthIntervalMs);
+      refreshHealth().catch(error => logger.warn('Realtime health check failed:', error.message));
+    } else if (lastHealth) {
+      realtime.send(client, { type: 'health', ...lastHealth });
+    }
+  });
+  realtime.on('disconnect', () => {
+    if (realtime.size === 0) {
+      clearInterval(healthTimer);
+      healthTimer = null;
+      lastHealth = null;
+    }
+  });
+}
+
+// Graceful shutdown: stop taking requests, then close the store and flush pending spans
+function shutdown(signal) {
+  logger.info(`Received ${signal}. Shutting down gracefully...`);
+  sidecar.stopWarmupProbe();
+  clearInterval(healthTimer);
+  realtime?.close();
+  server.close(async () => {
+    await sessionStore.close().catch(() => {});
+    await responseCache?.close().catch(() => {});
+    await tracing.shutdown().catch(() => {});
+    logger.info('Server closed.');
     process.exit(0);
   });
-});
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 module.exports = app;
\ No newline at end of file
@@ -0,0 +1,8 @@
+// Wrap an async Express handler so rejected promises reach the error middleware
+function asyncHandler(handler) {
+  return (req, res, next) => {
+    Promise.resolve(handler(req, res, next)).catch(next);
+  };
+}
+
+module.exports = asyncHandler;
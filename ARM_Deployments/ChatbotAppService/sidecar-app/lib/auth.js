@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// Pluggable authentication. AUTH_MODE lists the methods to try, in order:
+//
+//   none     - no authentication; every caller is an anonymous admin (the old behaviour)
+//   apikey   - service callers send `Authorization: Bearer <key>` or `X-API-Key: <key>`
+//   easyauth - trust the App Service Authentication (Easy Auth) X-MS-CLIENT-PRINCIPAL
+//              header. Only enable behind App Service, which strips client-sent copies.
+//   cookie   - HMAC-signed cookie sessions keyed by SESSION_SECRET. Browsers without
+//              a cookie get a new guest identity so their chats stay private.
+//
+// Authenticated requests get `req.user = { id, name, roles, isAdmin, method }`.
+
+const AUTH_MODES = ['none', 'apikey', 'easyauth', 'cookie'];
+
+const ANONYMOUS_USER = Object.freeze({
+  id: 'anonymous',
+  name: 'Anonymous',
+  roles: ['admin'],
+  isAdmin: true,
+  method: 'none'
+});
+
+// Claim types Easy Auth uses for the user's object id
+const OBJECT_ID_CLAIMS = [
+  'http://schemas.microsoft.com/identity/claims/objectidentifier',
+  'oid',
+  'sub'
+];
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Constant-time comparison that does not leak the length of the expected value
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(sha256(a), sha256(b));
+}
+
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      const name = part.slice(0, index).trim();
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+    return cookies;
+  }, {});
+}
+
+function createAuth({ modes, apiKeys = [], adminUsers = [], adminRoles = ['admin'], sessionSecret, cookieName = 'chatbot_session', cookieMaxAgeMs, secureCookies = false }) {
+  const enabled = (mode) => modes.includes(mode);
+
+  function buildUser({ id, name, roles = [], method }) {
+    const isAdmin = adminUsers.includes(id) || (name && adminUsers.includes(name)) ||
+      roles.some(role => adminRoles.includes(role));
+    return { id, name: name || id, roles, isAdmin, method };
+  }
+
+  // API keys
+  function verifyApiKey(key) {
+    const match = typeof key === 'string' && apiKeys.find(entry => safeEqual(entry.key, key.trim()));
+    return match ? buildUser({ id: match.userId, method: 'apikey' }) : null;
+  }
+
+  function fromApiKey(req) {
+    const authorization = req.get('Authorization') || '';
+    const key = req.get('X-API-Key') || (/^Bearer\s+(.+)$/i.exec(authorization)?.[1]);
+    if (!key) return undefined;
+
+    // A presented but unknown key is an explicit failure, not "try the next method"
+    return verifyApiKey(key);
+  }
+
+  // App Service Easy Auth principal
+  function fromEasyAuth(req) {
+    const header = req.get('X-MS-CLIENT-PRINCIPAL');
+    if (!header) return undefined;
+
+    let principal;
+    try {
+      principal = JSON.parse(Buffer.from(header, 'base64').toString('utf8'));
+    } catch (error) {
+      return null;
+    }
+
+    const claims = Array.isArray(principal.claims) ? principal.claims : [];
+    const claim = (types) => claims.find(c => types.includes(c.typ))?.val;
+    const roleType = principal.role_typ || 'roles';
+    const nameType = principal.name_typ || 'name';
+
+    const id = req.get('X-MS-CLIENT-PRINCIPAL-ID') || claim(OBJECT_ID_CLAIMS);
+    if (!id) return null;
+
+    return buildUser({
+      id,
+      name: req.get('X-MS-CLIENT-PRINCIPAL-NAME') || claim([nameType, 'name', 'preferred_username']),
+      roles: claims.filter(c => c.typ === roleType || c.typ === 'roles').map(c => c.val),
+      method: 'easyauth'
+    });
+  }
+
+  // Signed cookies: base64url(JSON payload) + "." + base64url(HMAC-SHA256)
+  function sign(payload) {
+    const body = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    const signature = crypto.createHmac('sha256', sessionSecret).update(body).digest('base64url');
+    return `${body}.${signature}`;
+  }
+
+  function verify(token) {
+    const [body, signature] = (token || '').split('.');
+    if (!body || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', sessionSecret).update(body).digest('base64url');
+    if (!safeEqual(expected, signature)) return null;
+
+    try {
+      const payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+      return payload.exp && payload.exp > Date.now() ? payload : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function issueCookie(res, user) {
+    const token = sign({
+      sub: user.id,
+      name: user.name,
+      roles: user.roles,
+      exp: Date.now() + cookieMaxAgeMs
+    });
+    res.cookie(cookieName, token, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: secureCookies,
+      maxAge: cookieMaxAgeMs
+    });
+  }
+
+  function clearCookie(res) {
+    res.clearCookie(cookieName, { httpOnly: true, sameSite: 'lax', secure: secureCookies });
+  }
+
+  function fromCookie(req, res) {
+    const payload = verify(parseCookies(req.get('Cookie'))[cookieName]);
+    if (payload) {
+      return buildUser({ id: payload.sub, name: payload.name, roles: payload.roles, method: 'cookie' });
+    }
+
+    // First visit (or expired cookie): hand out a guest identity, when there is a response to set it on
+    if (!res) return undefined;
+    const guest = buildUser({ id: `guest:${uuidv4()}`, name: 'Guest', method: 'cookie' });
+    issueCookie(res, guest);
+    return guest;
+  }
+
+  function resolveUser(req, res) {
+    if (enabled('none')) {
+      return ANONYMOUS_USER;
+    }
+
+    const strategies = [
+      ['apikey', fromApiKey],
+      ['easyauth', fromEasyAuth],
+      ['cookie', fromCookie]
+    ];
+
+    for (const [mode, strategy] of strategies) {
+      if (!enabled(mode)) continue;
+
+      const user = strategy(req, res);
+      if (user !== undefined) {
+        return user;
+      }
+    }
+    return null;
+  }
+
+  // Middleware: attach req.user or answer 401
+  function authenticate(req, res, next) {
+    const user = resolveUser(req, res);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Authentication required',
+        methods: modes,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.user = user;
+    next();
+  }
+
+  // User for a WebSocket upgrade (a plain Node request), or null. No guest cookie can be
+  // issued here, so cookie users must have loaded the page first.
+  function authenticateUpgrade(req) {
+    const request = { get: name => req.headers[name.toLowerCase()] };
+    return resolveUser(request, null);
+  }
+
+  function requireAdmin(req, res, next) {
+    if (!req.user?.isAdmin) {
+      return res.status(403).json({
+        error: 'Administrator role required',
+        timestamp: new Date().toISOString()
+      });
+    }
+    next();
+  }
+
+  return {
+    modes,
+    authenticate,
+    authenticateUpgrade,
+    requireAdmin,
+    issueCookie,
+    clearCookie,
+    verifyApiKey
+  };
+}
+
+// Sessions created before ownership existed belong to the anonymous user
+function sessionOwner(session) {
+  return session.ownerId || ANONYMOUS_USER.id;
+}
+
+function canAccessSession(user, session) {
+  return Boolean(user) && (user.isAdmin || sessionOwner(session) === user.id);
+}
+
+module.exports = {
+  createAuth,
+  canAccessSession,
+  sessionOwner,
+  AUTH_MODES,
+  ANONYMOUS_USER
+};
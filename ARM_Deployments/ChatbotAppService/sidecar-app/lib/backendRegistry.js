@@ -0,0 +1,227 @@
+const ModelCatalog = require('./modelCatalog');
+const { SidecarClient, SidecarError, SidecarUnavailableError } = require('./sidecarClient');
+
+// Several OpenAI-compatible backends behind the SidecarClient interface the app uses.
+//
+// - Each backend has its own client, and so its own retries, circuit breaker and
+//   warm-up state; `models` (if declared) lists what it serves, otherwise its own
+//   model list is asked
+// - Calls are routed by model name to the backends serving it, lowest `priority`
+//   first; a backend that is down, unavailable or failing with 5xx hands over to
+//   the next one. 4xx answers are the caller's problem and are not retried elsewhere
+// - Streams fail over only until a backend starts answering
+
+const BACKEND_APIS = ['ollama', 'openai'];
+
+class BackendRegistry {
+  constructor({ backends, catalogTtlMs = 60000, logger = console }) {
+    if (!backends || backends.length === 0) {
+      throw new TypeError('BackendRegistry needs at least one backend');
+    }
+    this.logger = logger;
+    this.backends = [...backends]
+      .sort((a, b) => a.priority - b.priority)
+      .map(backend => ({
+        ...backend,
+        models: backend.models || [],
+        catalog: new ModelCatalog({ fetchModels: () => backend.client.listModels(), ttlMs: catalogTtlMs })
+      }));
+  }
+
+  // Does `backend` serve `model`? A backend whose model list cannot be fetched may; the
+  // failure is cached like a list, so a backend that is down is not asked every time.
+  // Cached lists are not refreshed on a miss, so other backends' models cost nothing.
+  async serves(backend, model) {
+    if (backend.models.length > 0) {
+      return Boolean(ModelCatalog.match(backend.models.map(name => ({ name })), model));
+    }
+    try {
+      return Boolean(ModelCatalog.match(await backend.catalog.list(), model));
+    } catch (error) {
+      return true;
+    }
+  }
+
+  // The same question without waiting on the network: the last fetched list decides
+  mightServe(backend, model) {
+    const models = backend.models.length > 0
+      ? backend.models.map(name => ({ name }))
+      : backend.catalog.models;
+    return !models || Boolean(ModelCatalog.match(models, model));
+  }
+
+  // Backends serving `model`, in priority order
+  async candidates(model) {
+    const serving = [];
+    for (const backend of this.backends) {
+      if (await this.serves(backend, model)) {
+        serving.push(backend);
+      }
+    }
+    return serving;
+  }
+
+  // Run call(client) on the first backend for `model` that succeeds
+  async route(model, call, { signal } = {}) {
+    const backends = await this.candidates(model);
+    if (backends.length === 0) {
+      const message = `No backend serves model "${model}"`;
+      throw new SidecarError(message, {
+        status: 400,
+        upstreamStatus: 404,
+        upstreamData: { error: { message, type: 'invalid_request_error', param: 'model', code: 'model_not_found' } }
+      });
+    }
+
+    let lastError = null;
+    for (const [index, backend] of backends.entries()) {
+      try {
+        this.logger.debug(`Routing ${model} to backend ${backend.name} at ${backend.client.endpoint}`);
+        const result = await call(backend.client);
+        if (lastError) {
+          this.logger.info(`Backend ${backend.name} served ${model} after failover`);
+        }
+        return result;
+      } catch (error) {
+        if (signal?.aborted || !canFailOver(error)) {
+          throw error;
+        }
+        lastError = error;
+        if (index < backends.length - 1) {
+          this.logger.warn(`Backend ${backend.name} failed for ${model}, trying ${backends[index + 1].name}: ${error.message}`);
+        }
+      }
+    }
+    throw lastError;
+  }
+
+  // Throw SidecarUnavailableError when no backend that may serve `model` can take a
+  // request right now - the one that becomes available soonest
+  assertAvailable(model) {
+    const backends = this.backends.filter(backend => !model || this.mightServe(backend, model));
+    let soonest = null;
+    for (const backend of backends) {
+      try {
+        backend.client.assertAvailable();
+        return;
+      } catch (error) {
+        if (!soonest || error.retryAfterSeconds < soonest.retryAfterSeconds) {
+          soonest = error;
+        }
+      }
+    }
+    if (soonest) {
+      throw soonest;
+    }
+  }
+
+  chatCompletion(body, options = {}) {
+    return this.route(body.model, client => client.chatCompletion(body, options), options);
+  }
+
+  chatCompletionStream(body, options = {}) {
+    return this.route(body.model, client => client.chatCompletionStream(body, options), options);
+  }
+
+  embeddings(model, input, options = {}) {
+    return this.route(model, client => client.embeddings(model, input, options), options);
+  }
+
+  // Models of every backend that answers, merged by name; each lists the backends
+  // serving it in priority order. Rejects only when no backend answers.
+  async listModels({ refresh = false } = {}) {
+    const results = await Promise.allSettled(this.backends.map(backend => (
+      backend.models.length > 0
+        ? backend.models.map(name => ({ name, model: name }))
+        : backend.catalog.list({ refresh })
+    )));
+    if (results.every(result => result.status === 'rejected')) {
+      throw results[0].reason;
+    }
+
+    const combined = new Map();
+    results.forEach((result, index) => {
+      if (result.status !== 'fulfilled') return;
+      result.value.forEach(model => {
+        const known = combined.get(model.name);
+        if (known) {
+          known.backends.push(this.backends[index].name);
+        } else {
+          combined.set(model.name, { ...model, backends: [this.backends[index].name] });
+        }
+      });
+    });
+    return [...combined.values()];
+  }
+
+  // Probe every backend, ignoring circuit breakers. Resolves to
+  // { status: healthy | degraded | unhealthy, backends: [...] } with one entry per backend.
+  async health() {
+    const backends = await Promise.all(this.backends.map(async (backend) => {
+      try {
+        const models = await backend.client.health();
+        return { ...this.describe(backend), status: 'connected', models: models.map(model => model.name) };
+      } catch (error) {
+        const state = this.describe(backend);
+        return { ...state, status: state.warmingUp ? 'warming-up' : 'disconnected', error: error.message };
+      }
+    }));
+
+    const connected = backends.filter(backend => backend.status === 'connected').length;
+    let status = 'unhealthy';
+    if (connected === backends.length) status = 'healthy';
+    else if (connected > 0) status = 'degraded';
+    return { status, backends };
+  }
+
+  describe(backend) {
+    return {
+      name: backend.name,
+      endpoint: backend.client.endpoint,
+      api: backend.client.api,
+      priority: backend.priority,
+      declaredModels: backend.models,
+      ...backend.client.state()
+    };
+  }
+
+  // Snapshot of every backend's configuration, circuit and warm-up state
+  state() {
+    return this.backends.map(backend => this.describe(backend));
+  }
+
+  startWarmupProbe(intervalMs) {
+    this.backends.forEach(backend => backend.client.startWarmupProbe(intervalMs));
+  }
+
+  stopWarmupProbe() {
+    this.backends.forEach(backend => backend.client.stopWarmupProbe());
+  }
+}
+
+// Connection failures, 5xx answers and unavailable backends; not 4xx answers or aborts
+function canFailOver(error) {
+  if (error instanceof SidecarUnavailableError) return true;
+  if (!(error instanceof SidecarError)) return false;
+  return !(error.upstreamStatus && error.upstreamStatus < 500);
+}
+
+// Registry with a SidecarClient for each configured backend. `defaults` holds the
+// shared client settings (timeouts, retries, breaker); `onRequest` observes every call.
+function createBackendRegistry(backends, { defaults = {}, logger, onRequest } = {}) {
+  return new BackendRegistry({
+    logger,
+    backends: backends.map(({ name, endpoint, api, apiKey, priority, models }) => ({
+      name,
+      priority,
+      models,
+      client: new SidecarClient({ ...defaults, name, endpoint, api, apiKey, logger, onRequest })
+    }))
+  });
+}
+
+module.exports = {
+  BackendRegistry,
+  createBackendRegistry,
+  BACKEND_APIS
+};
@@ -0,0 +1,475 @@
+// Application configuration loaded from environment variables (see .env.example).
+// Every value is parsed and validated up front so a bad setting stops the app
+// at startup instead of surfacing later as a confusing runtime failure.
+
+const { SESSION_STORES } = require('./sessionStore');
+const { AUTH_MODES } = require('./auth');
+const { TRACE_EXPORTERS } = require('./tracing');
+const { PII_CATEGORIES, parseTerms, readTermsFile } = require('./moderation');
+const { BUILT_IN_TOOL_NAMES } = require('./tools');
+const { RESPONSE_FORMATS } = require('./structuredOutput');
+const { BACKEND_APIS } = require('./backendRegistry');
+const { CACHE_STORES, CACHE_MATCHES } = require('./responseCache');
+
+const LOG_LEVELS = ['error', 'warn', 'info', 'debug'];
+const LOG_FORMATS = ['json', 'text'];
+
+class ConfigError extends Error {
+  constructor(problems) {
+    super(`Invalid configuration:\n  - ${problems.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+// Small parsing helpers; each records a problem instead of throwing so that
+// all invalid settings are reported together.
+function createReader(env, problems) {
+  const raw = (name) => {
+    const value = env[name];
+    return value === undefined || value.trim() === '' ? undefined : value.trim();
+  };
+
+  return {
+    string(name, fallback) {
+      return raw(name) ?? fallback;
+    },
+
+    integer(name, fallback, { min = -Infinity, max = Infinity } = {}) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+
+      const parsed = Number(value);
+      if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+        problems.push(`${name} must be an integer between ${min} and ${max} (got "${value}")`);
+        return fallback;
+      }
+      return parsed;
+    },
+
+    number(name, fallback, { min = -Infinity, max = Infinity } = {}) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+
+      const parsed = Number(value);
+      if (!Number.isFinite(parsed) || parsed < min || parsed > max) {
+        problems.push(`${name} must be a number between ${min} and ${max} (got "${value}")`);
+        return fallback;
+      }
+      return parsed;
+    },
+
+    boolean(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      problems.push(`${name} must be true or false (got "${value}")`);
+      return fallback;
+    },
+
+    oneOf(name, fallback, allowed) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+
+      const normalized = value.toLowerCase();
+      if (!allowed.includes(normalized)) {
+        problems.push(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+        return fallback;
+      }
+      return normalized;
+    },
+
+    url(name, fallback, protocols = ['http:', 'https:']) {
+      const value = raw(name) ?? fallback;
+      if (value === undefined) return undefined;
+
+      try {
+        const parsed = new URL(value);
+        if (!protocols.includes(parsed.protocol)) {
+          problems.push(`${name} must use ${protocols.join(' or ')} (got "${value}")`);
+          return fallback;
+        }
+      } catch (error) {
+        problems.push(`${name} must be a valid URL (got "${value}")`);
+        return fallback;
+      }
+      // Drop the trailing slash so `${endpoint}/v1/...` never doubles it
+      return value.replace(/\/+$/, '');
+    },
+
+    list(name, fallback) {
+      const value = raw(name);
+      if (value === undefined) return fallback;
+      return value.split(',').map(item => item.trim()).filter(Boolean);
+    }
+  };
+}
+
+function parseCorsOrigin(origins) {
+  // "*" allows any origin; otherwise an explicit allow-list
+  if (origins.length === 0 || origins.includes('*')) {
+    return '*';
+  }
+  return origins;
+}
+
+// AUTH_API_KEYS: comma-separated `userId=key` pairs
+function parseApiKeys(entries, problems) {
+  return entries.map(entry => {
+    const index = entry.indexOf('=');
+    const userId = entry.slice(0, index).trim();
+    const key = entry.slice(index + 1).trim();
+    if (index <= 0 || !userId || key.length < 16) {
+      problems.push('AUTH_API_KEYS entries must look like userId=key with keys of at least 16 characters');
+      return null;
+    }
+    return { userId, key };
+  }).filter(Boolean);
+}
+
+// SIDECAR_BACKENDS: JSON array of { name, endpoint, api, apiKey, priority, models }.
+// Without it the app has one backend, the sidecar at SIDECAR_ENDPOINT.
+function parseBackends(value, sidecarEndpoint, problems) {
+  if (value === undefined) {
+    return [{ name: 'sidecar', endpoint: sidecarEndpoint, api: 'ollama', priority: 0, models: [] }];
+  }
+
+  let entries;
+  try {
+    entries = JSON.parse(value);
+  } catch (error) {
+    problems.push(`SIDECAR_BACKENDS must be a JSON array (${error.message})`);
+    return [];
+  }
+  if (!Array.isArray(entries) || entries.length === 0) {
+    problems.push('SIDECAR_BACKENDS must be a non-empty JSON array of backends');
+    return [];
+  }
+
+  const names = new Set();
+  return entries.map((entry, index) => {
+    const where = `SIDECAR_BACKENDS[${index}]`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      problems.push(`${where} must be an object`);
+      return null;
+    }
+
+    const { name = `backend-${index + 1}`, endpoint, api = 'ollama', apiKey, priority = index, models = [] } = entry;
+    if (typeof name !== 'string' || !/^[A-Za-z0-9_.-]{1,64}$/.test(name) || names.has(name)) {
+      problems.push(`${where}.name must be a unique name of letters, digits, _ . or -`);
+    }
+    names.add(name);
+
+    let url = null;
+    try {
+      url = new URL(endpoint);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push(`${where}.endpoint must be an http or https URL (got "${endpoint}")`);
+    }
+    if (!BACKEND_APIS.includes(api)) {
+      problems.push(`${where}.api must be one of ${BACKEND_APIS.join(', ')} (got "${api}")`);
+    }
+    if (apiKey !== undefined && (typeof apiKey !== 'string' || !apiKey)) {
+      problems.push(`${where}.apiKey must be a non-empty string`);
+    }
+    if (!Number.isInteger(priority)) {
+      problems.push(`${where}.priority must be an integer`);
+    }
+    if (!Array.isArray(models) || models.some(model => typeof model !== 'string' || !model.trim())) {
+      problems.push(`${where}.models must be an array of model names`);
+    }
+
+    return {
+      name,
+      endpoint: typeof endpoint === 'string' ? endpoint.replace(/\/+$/, '') : endpoint,
+      api,
+      apiKey,
+      priority,
+      models
+    };
+  }).filter(Boolean);
+}
+
+function loadConfig(env = process.env) {
+  const problems = [];
+  const read = createReader(env, problems);
+  const sidecarEndpoint = read.url('SIDECAR_ENDPOINT', 'http://127.0.0.1:11434');
+
+  const config = {
+    env: read.string('NODE_ENV', 'development'),
+    port: read.integer('PORT', 3000, { min: 0, max: 65535 }),
+    logLevel: read.oneOf('LOG_LEVEL', 'info', LOG_LEVELS),
+    // json: one object per line for Log Analytics / App Insights; text: for local development
+    logFormat: read.oneOf('LOG_FORMAT', 'json', LOG_FORMATS),
+    // Number of reverse proxy hops to trust for the client IP. App Service (which sets
+    // WEBSITE_SITE_NAME) puts one front end in the way; without trusting it every client
+    // shares the front end's address, and so one rate limit budget.
+    trustProxy: read.integer('TRUST_PROXY', env.WEBSITE_SITE_NAME ? 1 : 0, { min: 0, max: 10 }),
+
+    // Use 127.0.0.1 instead of 'localhost' to avoid IPv6 resolution issues
+    // Following Azure-Samples/ai-slm-in-app-service-sidecar pattern
+    sidecar: {
+      endpoint: sidecarEndpoint,
+      timeout: read.integer('AI_TIMEOUT', 30000, { min: 1000, max: 600000 }),
+      healthCheckTimeout: read.integer('HEALTH_CHECK_TIMEOUT', 5000, { min: 100, max: 60000 }),
+      // Retries with jittered backoff for connection errors and 5xx responses
+      maxRetries: read.integer('SIDECAR_MAX_RETRIES', 2, { min: 0, max: 10 }),
+      retryBaseDelayMs: read.integer('SIDECAR_RETRY_BASE_DELAY_MS', 250, { min: 10, max: 60000 }),
+      // Circuit breaker: open after N consecutive failures, try again after the reset time
+      failureThreshold: read.integer('SIDECAR_BREAKER_THRESHOLD', 5, { min: 1, max: 1000 }),
+      resetTimeoutMs: read.integer('SIDECAR_BREAKER_RESET_MS', 30000, { min: 1000, max: 3600000 }),
+      // Retry-After sent to clients while the model is still loading
+      warmupRetryAfterSeconds: read.integer('SIDECAR_WARMUP_RETRY_AFTER_SECONDS', 10, { min: 1, max: 600 })
+    },
+
+    // Model backends, each with its own client using the settings above; requests
+    // go to the backends serving their model in priority order, failing over on errors
+    backends: parseBackends(read.string('SIDECAR_BACKENDS'), sidecarEndpoint, problems),
+
+    // Generation queue: how many model calls run at once, and how many may wait
+    // before new ones are turned away with 503
+    queue: {
+      concurrency: read.integer('QUEUE_CONCURRENCY', 1, { min: 1, max: 64 }),
+      maxQueued: read.integer('QUEUE_MAX_SIZE', 20, { min: 0, max: 10000 })
+    },
+
+    ai: {
+      defaultModel: read.string('DEFAULT_AI_MODEL', 'phi4'),
+      // Models this app may serve; empty allows every model the sidecar has
+      allowedModels: read.list('AI_ALLOWED_MODELS', []),
+      temperature: read.number('AI_TEMPERATURE', 0.7, { min: 0, max: 2 }),
+      maxTokens: read.integer('AI_MAX_TOKENS', 500, { min: 1, max: 32768 }),
+      maxConversationHistory: read.integer('MAX_CONVERSATION_HISTORY', 10, { min: 1, max: 1000 }),
+      // Model context size used to fit conversation history, and whether older
+      // turns that no longer fit are summarized by the model
+      contextWindowTokens: read.integer('AI_CONTEXT_WINDOW_TOKENS', 4096, { min: 512, max: 1048576 }),
+      summarizeHistory: read.boolean('AI_SUMMARIZE_HISTORY', true),
+      summaryMaxTokens: read.integer('AI_SUMMARY_MAX_TOKENS', 256, { min: 16, max: 4096 }),
+      // Let llama.cpp-based sidecars reuse the evaluated prompt prefix between requests
+      cachePrompt: read.boolean('AI_CACHE_PROMPT', false),
+      // Whether new sessions are retitled by the model after their first exchange
+      autoTitle: read.boolean('AI_AUTO_TITLE', false),
+      defaultSystemPrompt: read.string('DEFAULT_SYSTEM_PROMPT', 'You are a helpful assistant.'),
+      maxSystemPromptLength: read.integer('MAX_SYSTEM_PROMPT_LENGTH', 8000, { min: 100, max: 100000 })
+    },
+
+    // Optional JSON file for custom prompt presets; kept in memory when unset
+    presetsFile: read.string('PRESETS_FILE'),
+
+    // Retrieval-augmented answers from uploaded documents
+    rag: {
+      enabled: read.boolean('RAG_ENABLED', true),
+      // Optional JSON file for documents and their index; kept in memory when unset
+      documentsFile: read.string('DOCUMENTS_FILE'),
+      topK: read.integer('RAG_TOP_K', 4, { min: 1, max: 20 }),
+      chunkSize: read.integer('RAG_CHUNK_SIZE', 1000, { min: 200, max: 8000 }),
+      chunkOverlap: read.integer('RAG_CHUNK_OVERLAP', 150, { min: 0, max: 2000 }),
+      maxDocumentCharacters: read.integer('RAG_MAX_DOCUMENT_CHARS', 2000000, { min: 1000, max: 9000000 }),
+      // Sidecar model for /v1/embeddings; keyword (BM25) search only when unset
+      embeddingModel: read.string('RAG_EMBEDDING_MODEL')
+    },
+
+    cors: {
+      origin: parseCorsOrigin(read.list('CORS_ORIGIN', ['*']))
+    },
+
+    // WebSocket channel (/ws) for live session updates and streamed replies; backend
+    // health is checked on this interval while clients are connected and pushed on change
+    realtime: {
+      enabled: read.boolean('REALTIME_ENABLED', true),
+      healthIntervalMs: read.integer('REALTIME_HEALTH_INTERVAL_SECONDS', 15, { min: 1, max: 3600 }) * 1000
+    },
+
+    rateLimit: {
+      enabled: read.boolean('RATE_LIMIT_ENABLED', true),
+      windowMs: read.integer('RATE_LIMIT_WINDOW_MINUTES', 15, { min: 1, max: 1440 }) * 60000,
+      // Budget for API calls that change something (creating, renaming, rating) per client IP
+      maxRequests: read.integer('RATE_LIMIT_MAX_REQUESTS', 100, { min: 1, max: 100000 }),
+      // Separate, larger budget for reads (GET/HEAD) such as the UI's session list and health polling
+      readMaxRequests: read.integer('RATE_LIMIT_READ_MAX_REQUESTS', 1000, { min: 1, max: 100000 }),
+      // Stricter budgets for calls that run the model
+      modelMaxRequests: read.integer('RATE_LIMIT_MODEL_MAX_REQUESTS', 20, { min: 1, max: 100000 }),
+      sessionMaxRequests: read.integer('RATE_LIMIT_SESSION_MAX_REQUESTS', 10, { min: 1, max: 100000 })
+    },
+
+    sessionStore: {
+      type: read.oneOf('SESSION_STORE', 'memory', SESSION_STORES),
+      path: read.string('SESSION_STORE_PATH', './data/sessions'),
+      redisUrl: read.url('REDIS_URL', 'redis://127.0.0.1:6379', ['redis:', 'rediss:']),
+      redisPrefix: read.string('REDIS_KEY_PREFIX', 'chatbot:')
+    },
+
+    sessionSecret: read.string('SESSION_SECRET'),
+
+    auth: {
+      modes: read.list('AUTH_MODE', ['none']).map(mode => mode.toLowerCase()),
+      apiKeys: parseApiKeys(read.list('AUTH_API_KEYS', []), problems),
+      // Users (ids or names) and Easy Auth roles that may see every session
+      adminUsers: read.list('AUTH_ADMIN_USERS', []),
+      adminRoles: read.list('AUTH_ADMIN_ROLES', ['admin']),
+      cookieMaxAgeMs: read.integer('AUTH_COOKIE_MAX_AGE_DAYS', 30, { min: 1, max: 365 }) * 86400000
+    },
+
+    // Tool calling: built-in tools offered to the model in chat, for up to maxSteps rounds per reply.
+    // Off by default because not every model served by the sidecar supports tools.
+    tools: {
+      enabled: read.boolean('TOOLS_ENABLED', false),
+      allowed: read.list('TOOLS_ALLOWED', BUILT_IN_TOOL_NAMES),
+      maxSteps: read.integer('TOOLS_MAX_STEPS', 4, { min: 1, max: 10 }),
+      timeoutMs: read.integer('TOOLS_TIMEOUT_MS', 5000, { min: 100, max: 60000 })
+    },
+
+    // Replies to requests with a `responseSchema`: how the backend is asked for JSON
+    // (response_format) and how many repair attempts follow an invalid reply
+    structuredOutput: {
+      responseFormat: read.oneOf('STRUCTURED_OUTPUT_FORMAT', 'json_object', RESPONSE_FORMATS),
+      maxRetries: read.integer('STRUCTURED_OUTPUT_MAX_RETRIES', 2, { min: 0, max: 5 })
+    },
+
+    // Replies reused for repeated prompts (same model, conversation and settings).
+    // memory keeps entries per instance; redis shares them (REDIS_URL, REDIS_KEY_PREFIX)
+    cache: {
+      enabled: read.boolean('CACHE_ENABLED', false),
+      store: read.oneOf('CACHE_STORE', 'memory', CACHE_STORES),
+      match: read.oneOf('CACHE_MATCH', 'normalized', CACHE_MATCHES),
+      ttlMs: read.integer('CACHE_TTL_SECONDS', 3600, { min: 1, max: 2592000 }) * 1000,
+      maxEntries: read.integer('CACHE_MAX_ENTRIES', 500, { min: 1, max: 1000000 })
+    },
+
+    // Moderation of chat messages: PII redaction and blocklists on input,
+    // and the same checks on assistant replies when filterOutput is on
+    safety: {
+      enabled: read.boolean('SAFETY_ENABLED', true),
+      piiCategories: read.list('SAFETY_PII_CATEGORIES', PII_CATEGORIES)
+        .map(category => category.toLowerCase())
+        .filter(category => category !== 'none'),
+      blocklist: read.list('SAFETY_BLOCKLIST', []),
+      blocklistFile: read.string('SAFETY_BLOCKLIST_FILE'),
+      allowlist: read.list('SAFETY_ALLOWLIST', []),
+      allowlistFile: read.string('SAFETY_ALLOWLIST_FILE'),
+      filterOutput: read.boolean('SAFETY_OUTPUT_FILTER', true),
+      // Shown in place of a reply the output filter blocked
+      blockedReply: read.string('SAFETY_BLOCKED_REPLY', 'I\'m sorry, but I can\'t provide that response.')
+    },
+
+    // OpenTelemetry spans; trace context is propagated to the sidecar even when export is off
+    tracing: {
+      exporter: read.oneOf('OTEL_TRACES_EXPORTER', 'none', TRACE_EXPORTERS),
+      serviceName: read.string('OTEL_SERVICE_NAME', 'chatbot-sidecar-app'),
+      otlpEndpoint: read.url('OTEL_EXPORTER_OTLP_ENDPOINT')
+    },
+
+    metrics: {
+      // Serve Prometheus metrics at /metrics
+      enabled: read.boolean('METRICS_ENABLED', true),
+      activeSessionWindowMs: read.integer('METRICS_ACTIVE_SESSION_MINUTES', 15, { min: 1, max: 1440 }) * 60000
+    },
+
+    appInsights: {
+      instrumentationKey: read.string('APPINSIGHTS_INSTRUMENTATIONKEY'),
+      connectionString: read.string('APPLICATIONINSIGHTS_CONNECTION_STRING')
+    }
+  };
+
+  const { modes } = config.auth;
+  const unknownModes = modes.filter(mode => !AUTH_MODES.includes(mode));
+  if (unknownModes.length > 0) {
+    problems.push(`AUTH_MODE must be a list of ${AUTH_MODES.join(', ')} (got "${unknownModes.join(', ')}")`);
+  }
+  if (modes.includes('none') && modes.length > 1) {
+    problems.push('AUTH_MODE=none cannot be combined with other methods');
+  }
+  if (modes.includes('apikey') && config.auth.apiKeys.length === 0) {
+    problems.push('AUTH_MODE includes apikey but AUTH_API_KEYS is empty');
+  }
+  if (modes.includes('cookie') && (!config.sessionSecret || config.sessionSecret.length < 32)) {
+    problems.push('AUTH_MODE includes cookie, which needs a SESSION_SECRET of at least 32 characters');
+  }
+
+  if (config.rag.chunkOverlap >= config.rag.chunkSize) {
+    problems.push('RAG_CHUNK_OVERLAP must be smaller than RAG_CHUNK_SIZE');
+  }
+
+  const unknownTools = config.tools.allowed.filter(name => !BUILT_IN_TOOL_NAMES.includes(name));
+  if (unknownTools.length > 0) {
+    problems.push(`TOOLS_ALLOWED must be a list of ${BUILT_IN_TOOL_NAMES.join(', ')} (got "${unknownTools.join(', ')}")`);
+  }
+
+  const unknownCategories = config.safety.piiCategories.filter(category => !PII_CATEGORIES.includes(category));
+  if (unknownCategories.length > 0) {
+    problems.push(`SAFETY_PII_CATEGORIES must be a list of ${PII_CATEGORIES.join(', ')} (got "${unknownCategories.join(', ')}")`);
+  }
+  ['SAFETY_BLOCKLIST', 'SAFETY_ALLOWLIST'].forEach(name => {
+    try {
+      parseTerms(read.list(name, []));
+    } catch (error) {
+      problems.push(`${name} has an invalid regular expression: ${error.message}`);
+    }
+  });
+  [['SAFETY_BLOCKLIST_FILE', config.safety.blocklistFile], ['SAFETY_ALLOWLIST_FILE', config.safety.allowlistFile]]
+    .filter(([, file]) => file)
+    .forEach(([name, file]) => {
+      try {
+        parseTerms(readTermsFile(file));
+      } catch (error) {
+        problems.push(error.code
+          ? `${name} cannot be read: ${file} (${error.code})`
+          : `${name} has an invalid regular expression: ${error.message}`);
+      }
+    });
+
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return deepFreeze(config);
+}
+
+function deepFreeze(object) {
+  Object.values(object).forEach(value => {
+    if (value && typeof value === 'object') {
+      deepFreeze(value);
+    }
+  });
+  return Object.freeze(object);
+}
+
+const SECRET_KEY_PATTERN = /secret|password|instrumentationkey|connectionstring|apikey|^key$/i;
+
+// Copy of the config that is safe to return from /api/info
+function redactConfig(config) {
+  const redact = (value, key) => {
+    if (value === undefined || value === null) {
+      return value;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => redact(item));
+    }
+    if (typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redact(v, k)]));
+    }
+    if (key && SECRET_KEY_PATTERN.test(key) && typeof value === 'string') {
+      return '[redacted]';
+    }
+    if (typeof value === 'string' && /^[a-z]+:\/\/[^/]*@/i.test(value)) {
+      // Strip credentials embedded in URLs such as rediss://:password@host:6380
+      return value.replace(/\/\/[^/]*@/, '//[redacted]@');
+    }
+    return value;
+  };
+
+  return redact(config);
+}
+
+module.exports = {
+  loadConfig,
+  redactConfig,
+  ConfigError,
+  LOG_LEVELS,
+  LOG_FORMATS
+};
@@ -0,0 +1,139 @@
+// Builds the message list sent to the model for a chat turn.
+//
+// History is fitted into a token budget (newest messages first) instead of a
+// fixed message count. Failed replies (`error: true`) are left out. When older
+// turns no longer fit, they are condensed into a running summary that is kept
+// on the session (`session.summary`) and sent ahead of the recent messages.
+// Messages left out only by the message cap are dropped without a summary.
+
+// Rough token estimate without a tokenizer: ~4 characters per token for English
+// text plus a few tokens of per-message framing. Deliberately errs high.
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+// A summary folds history down to this share of the budget, so the next few turns
+// fit without summarizing again
+const SUMMARIZE_TO_SHARE = 0.5;
+
+function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+function summaryMessage(summary) {
+  return {
+    role: 'system',
+    content: `Summary of the earlier conversation:\n${summary.content}`
+  };
+}
+
+// Messages that may be sent to the model, oldest first, skipping failed
+// replies and anything already folded into the session summary
+function eligibleHistory(session) {
+  let messages = session.messages;
+  const summarizedThrough = session.summary?.throughMessageId;
+
+  if (summarizedThrough) {
+    const index = messages.findIndex(message => message.id === summarizedThrough);
+    if (index !== -1) {
+      messages = messages.slice(index + 1);
+    }
+  }
+
+  return messages.filter(message =>
+    !message.error && (message.role === 'user' || message.role === 'assistant'));
+}
+
+// Pick the newest messages that fit the budget. The last message (the new
+// user turn) is always kept even if it alone exceeds the budget.
+function fitHistory(history, budget, maxMessages) {
+  const included = [];
+  let used = 0;
+
+  for (let i = history.length - 1; i >= 0; i--) {
+    const tokens = estimateMessageTokens(history[i]);
+    const isLatest = i === history.length - 1;
+    if (!isLatest && (used + tokens > budget || included.length >= maxMessages)) {
+      break;
+    }
+    included.unshift(history[i]);
+    used += tokens;
+  }
+
+  return {
+    included,
+    omitted: history.slice(0, history.length - included.length),
+    tokens: used
+  };
+}
+
+// Options:
+//   systemPrompt   - system message content
+//   contextWindow  - model context size in tokens
+//   reserveTokens  - tokens kept free for the reply
+//   maxMessages    - hard cap on history messages
+//   summarize      - optional async (previousSummary, messages) => summary text
+//
+// Resolves to { messages, summary, summaryUpdated, estimatedTokens, omittedCount }.
+// When `summaryUpdated` is true the caller should persist `summary` on the session.
+async function buildContext(session, {
+  systemPrompt,
+  contextWindow,
+  reserveTokens,
+  maxMessages = Infinity,
+  summarize
+}) {
+  const system = { role: 'system', content: systemPrompt };
+  let summary = session.summary || null;
+  let summaryUpdated = false;
+
+  const history = eligibleHistory(session);
+  const baseTokens = estimateMessageTokens(system) + (summary ? estimateMessageTokens(summaryMessage(summary)) : 0);
+  const budget = contextWindow - reserveTokens - baseTokens;
+  let fitted = fitHistory(history, budget, maxMessages);
+  const overBudget = fitHistory(history, budget, Infinity).omitted.length > 0;
+
+  if (overBudget && summarize) {
+    const folded = fitHistory(history, Math.floor(budget * SUMMARIZE_TO_SHARE), maxMessages).omitted;
+    const content = await summarize(summary?.content || null, folded);
+    if (content) {
+      summary = {
+        content: content.trim(),
+        throughMessageId: folded[folded.length - 1].id,
+        messageCount: (summary?.messageCount || 0) + folded.length,
+        updatedAt: new Date().toISOString()
+      };
+      summaryUpdated = true;
+
+      // Refit what is left now that the summary takes part of the budget.
+      // Anything squeezed out here is folded into the summary on a later turn.
+      const recent = history.slice(folded.length);
+      const summaryTokens = estimateMessageTokens(system) + estimateMessageTokens(summaryMessage(summary));
+      fitted = fitHistory(recent, contextWindow - reserveTokens - summaryTokens, maxMessages);
+    }
+  }
+
+  const messages = [system];
+  if (summary) {
+    messages.push(summaryMessage(summary));
+  }
+  fitted.included.forEach(message => {
+    messages.push({ role: message.role, content: message.content });
+  });
+
+  return {
+    messages,
+    summary,
+    summaryUpdated,
+    estimatedTokens: messages.reduce((total, message) => total + estimateMessageTokens(message), 0),
+    omittedCount: fitted.omitted.length
+  };
+}
+
+module.exports = {
+  buildContext,
+  estimateTokens,
+  estimateMessageTokens
+};
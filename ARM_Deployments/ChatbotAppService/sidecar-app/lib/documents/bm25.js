@@ -0,0 +1,88 @@
+// In-memory BM25 keyword index (https://en.wikipedia.org/wiki/Okapi_BM25)
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+  'has', 'have', 'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not',
+  'of', 'on', 'or', 'our', 'so', 'that', 'the', 'their', 'then', 'there', 'these', 'they',
+  'this', 'to', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'who', 'why', 'will',
+  'with', 'you', 'your'
+]);
+
+// Lowercased words without accents or stop words
+function tokenize(text) {
+  return (text.toLowerCase().normalize('NFKD').replace(/\p{M}/gu, '').match(/[\p{L}\p{N}]+/gu) || [])
+    .filter(token => !STOP_WORDS.has(token));
+}
+
+class Bm25Index {
+  constructor({ k1 = 1.2, b = 0.75 } = {}) {
+    this.k1 = k1;
+    this.b = b;
+    this.entries = new Map();
+    this.postings = new Map();
+    this.totalLength = 0;
+  }
+
+  add(id, text) {
+    this.remove(id);
+
+    const tokens = tokenize(text);
+    const frequencies = new Map();
+    tokens.forEach(token => frequencies.set(token, (frequencies.get(token) || 0) + 1));
+
+    this.entries.set(id, { length: tokens.length, frequencies });
+    this.totalLength += tokens.length;
+    frequencies.forEach((count, token) => {
+      if (!this.postings.has(token)) this.postings.set(token, new Set());
+      this.postings.get(token).add(id);
+    });
+  }
+
+  remove(id) {
+    const entry = this.entries.get(id);
+    if (!entry) return;
+
+    entry.frequencies.forEach((count, token) => {
+      const ids = this.postings.get(token);
+      ids.delete(id);
+      if (ids.size === 0) this.postings.delete(token);
+    });
+    this.totalLength -= entry.length;
+    this.entries.delete(id);
+  }
+
+  // Best matches for a query as [{ id, score }], highest first.
+  // `filter(id)` limits the search to some entries (e.g. one session's documents).
+  search(query, { limit = 10, filter = () => true } = {}) {
+    const count = this.entries.size;
+    if (count === 0) return [];
+
+    const averageLength = this.totalLength / count || 1;
+    const scores = new Map();
+
+    new Set(tokenize(query)).forEach(token => {
+      const ids = this.postings.get(token);
+      if (!ids) return;
+
+      const idf = Math.log(1 + (count - ids.size + 0.5) / (ids.size + 0.5));
+      ids.forEach(id => {
+        if (!filter(id)) return;
+        const { length, frequencies } = this.entries.get(id);
+        const frequency = frequencies.get(token);
+        const score = idf * (frequency * (this.k1 + 1)) /
+          (frequency + this.k1 * (1 - this.b + this.b * length / averageLength));
+        scores.set(id, (scores.get(id) || 0) + score);
+      });
+    });
+
+    return [...scores.entries()]
+      .map(([id, score]) => ({ id, score }))
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+}
+
+module.exports = {
+  Bm25Index,
+  tokenize
+};
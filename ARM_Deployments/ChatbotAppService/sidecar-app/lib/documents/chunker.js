@@ -0,0 +1,124 @@
+// Splits documents into overlapping passages for retrieval. Chunks follow
+// paragraph and sentence boundaries where possible, never span a page break
+// (form feed, as left by PDF text extraction) and remember the Markdown
+// heading they sit under.
+
+const DOCUMENT_TYPES = ['text', 'markdown', 'pdf'];
+
+const HEADING_PATTERN = /^#{1,6}\s+(.+?)\s*#*\s*$/;
+
+// Undo the usual PDF extraction artifacts: words hyphenated across lines and
+// hard line breaks inside paragraphs
+function cleanPdfText(text) {
+  return text
+    .replace(/(\p{L})-\n(\p{Ll})/gu, '$1$2')
+    .replace(/([^\n])\n(?!\n)/g, '$1 ')
+    .replace(/[ \t]+/g, ' ');
+}
+
+// Paragraphs of a page, each with the heading in effect
+function paragraphsOf(page, type) {
+  const paragraphs = [];
+  let heading = null;
+
+  page.split(/\n\s*\n/).forEach(block => {
+    const lines = block.trim().split('\n');
+    let body = [];
+    lines.forEach(line => {
+      const match = type === 'markdown' && line.match(HEADING_PATTERN);
+      if (match) {
+        if (body.length > 0) paragraphs.push({ text: body.join('\n'), heading });
+        body = [];
+        heading = match[1];
+      } else if (line.trim()) {
+        body.push(line);
+      }
+    });
+    if (body.length > 0) paragraphs.push({ text: body.join('\n'), heading });
+  });
+
+  return paragraphs;
+}
+
+// Pieces of at most `size` characters: whole sentences where they fit, else hard cuts
+function splitLong(text, size) {
+  if (text.length <= size) return [text];
+
+  const pieces = [];
+  let current = '';
+  (text.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [text]).forEach(sentence => {
+    if (current && current.length + sentence.length > size) {
+      pieces.push(current.trim());
+      current = '';
+    }
+    while (sentence.length > size) {
+      pieces.push(sentence.slice(0, size).trim());
+      sentence = sentence.slice(size);
+    }
+    current += sentence;
+  });
+  if (current.trim()) pieces.push(current.trim());
+  return pieces;
+}
+
+// The last `overlap` characters of a chunk, starting at a word boundary
+function tailOf(text, overlap) {
+  if (overlap <= 0) return '';
+  if (text.length <= overlap) return text;
+  const tail = text.slice(-overlap);
+  const space = tail.indexOf(' ');
+  return space === -1 ? tail : tail.slice(space + 1);
+}
+
+// Returns [{ index, text, page, heading }]; page is null for documents without page breaks
+function chunkText(text, { type = 'text', chunkSize = 1000, overlap = 150 } = {}) {
+  const normalized = text.replace(/\r\n?/g, '\n');
+  const pages = normalized.split('\f');
+  const chunks = [];
+
+  pages.forEach((rawPage, pageIndex) => {
+    const page = type === 'pdf' ? cleanPdfText(rawPage) : rawPage;
+    let current = null;
+
+    const flush = () => {
+      if (current && current.text.trim()) {
+        chunks.push({
+          index: chunks.length,
+          text: current.text.trim(),
+          page: pages.length > 1 ? pageIndex + 1 : null,
+          heading: current.heading
+        });
+      }
+    };
+
+    paragraphsOf(page, type).forEach(paragraph => {
+      // Leave room for the overlap carried into the next chunk
+      splitLong(paragraph.text, chunkSize - overlap).forEach(piece => {
+        const fits = current && current.heading === paragraph.heading &&
+          current.text.length + piece.length + 2 <= chunkSize;
+        if (fits) {
+          current.text += `\n\n${piece}`;
+          return;
+        }
+
+        // Carry the end of the previous chunk over, unless the section changed
+        const carry = current && current.heading === paragraph.heading
+          ? tailOf(current.text, overlap)
+          : '';
+        flush();
+        current = {
+          text: carry && carry.length + piece.length + 2 <= chunkSize ? `${carry}\n\n${piece}` : piece,
+          heading: paragraph.heading
+        };
+      });
+    });
+    flush();
+  });
+
+  return chunks;
+}
+
+module.exports = {
+  chunkText,
+  DOCUMENT_TYPES
+};
@@ -0,0 +1,56 @@
+// Turns retrieved passages into prompt context and into citations stored on
+// the assistant reply. Passages are numbered from 1 in retrieval order.
+
+const SNIPPET_LENGTH = 500;
+const CITATION_MARKER = /\[(\d+(?:\s*,\s*\d+)*)\]/g;
+
+function sourceLabel(passage) {
+  return [
+    passage.documentName,
+    passage.heading,
+    passage.page ? `page ${passage.page}` : null
+  ].filter(Boolean).join(' - ');
+}
+
+// System prompt section holding the passages, to append to the session's system prompt
+function sourcesPrompt(passages) {
+  const sources = passages
+    .map((passage, i) => `[${i + 1}] ${sourceLabel(passage)}\n${passage.text}`)
+    .join('\n\n');
+
+  return [
+    'Answer using the numbered sources below when they are relevant and cite them in square brackets, e.g. [1].',
+    'If the sources do not contain the answer, say so instead of guessing.',
+    '',
+    sources
+  ].join('\n');
+}
+
+// Citations for a reply: the passages it refers to as [n], or every passage
+// when it has no markers
+function citationsFor(content, passages) {
+  const citations = passages.map((passage, i) => ({
+    index: i + 1,
+    documentId: passage.documentId,
+    documentName: passage.documentName,
+    chunkId: passage.chunkId,
+    chunkIndex: passage.chunkIndex,
+    page: passage.page,
+    heading: passage.heading,
+    snippet: passage.text.length > SNIPPET_LENGTH ? `${passage.text.slice(0, SNIPPET_LENGTH)}...` : passage.text,
+    score: passage.score
+  }));
+
+  const referenced = new Set();
+  for (const match of content.matchAll(CITATION_MARKER)) {
+    match[1].split(',').forEach(number => referenced.add(Number(number)));
+  }
+
+  const cited = citations.filter(citation => referenced.has(citation.index));
+  return cited.length > 0 ? cited : citations;
+}
+
+module.exports = {
+  sourcesPrompt,
+  citationsFor
+};
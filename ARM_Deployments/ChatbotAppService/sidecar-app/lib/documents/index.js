@@ -0,0 +1,279 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { readJsonFile, JsonFileWriter } = require('../jsonFile');
+const { chunkText, DOCUMENT_TYPES } = require('./chunker');
+const { Bm25Index } = require('./bm25');
+const { sourcesPrompt, citationsFor } = require('./citations');
+
+// Documents for retrieval-augmented answers. A document belongs to one chat
+// session, or to the shared knowledge base (sessionId null) that every session
+// searches. Documents are chunked and indexed with BM25; when `embed` is given
+// chunks also get embeddings, and searches fuse keyword and vector rankings.
+//
+// Everything is kept in memory; when `file` is given documents (with their
+// chunks and embeddings) are loaded from and saved to that JSON file. If the file
+// cannot be read every call fails, and the file is left alone for an operator to fix.
+
+const MAX_NAME_LENGTH = 200;
+const EMBEDDING_BATCH_SIZE = 32;
+// Reciprocal rank fusion constant (Cormack et al.); larger values flatten the rankings
+const RRF_K = 60;
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Markdown and PDF text (e.g. report.pdf or report.pdf.txt) are chunked differently
+function typeFromName(name) {
+  if (/\.(md|markdown)$/i.test(name)) return 'markdown';
+  if (/\.pdf(\.txt)?$/i.test(name)) return 'pdf';
+  return 'text';
+}
+
+// Validate an upload body { name, content, type }; the type defaults from the name.
+// Returns { upload } or { errors }.
+function parseUpload(body, { maxCharacters }) {
+  const { name, content, type } = body || {};
+  const errors = [];
+
+  if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+    errors.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+  }
+  if (typeof content !== 'string' || !content.trim()) {
+    errors.push('content must be a non-empty string');
+  } else if (content.length > maxCharacters) {
+    errors.push(`content must be at most ${maxCharacters} characters`);
+  } else if (content.includes('\u0000')) {
+    errors.push('content must be text; extract the text of binary files such as PDFs before uploading');
+  }
+  if (type !== undefined && !DOCUMENT_TYPES.includes(type)) {
+    errors.push(`type must be one of ${DOCUMENT_TYPES.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return { upload: { name: name.trim(), content, type: type || typeFromName(name) } };
+}
+
+// Document metadata without its chunks, for API responses
+function describe({ chunks, ...document }) {
+  return document;
+}
+
+class DocumentStore {
+  // embed(texts) resolves to one vector per text; embeddingModel names the vectors,
+  // so chunks embedded by another model are not compared with new queries
+  constructor({ file, chunkSize = 1000, chunkOverlap = 150, embed = null, embeddingModel = null, minSimilarity = 0.3, logger = console } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.chunkSize = chunkSize;
+    this.chunkOverlap = chunkOverlap;
+    this.embed = embed;
+    this.embeddingModel = embed ? embeddingModel : null;
+    this.minSimilarity = minSimilarity;
+    this.logger = logger;
+    this.documents = new Map();
+    this.chunks = new Map();
+    this.index = new Bm25Index();
+    this.writer = this.file && new JsonFileWriter(this.file, () => [...this.documents.values()]);
+    this.ready = this.load();
+    this.ready.catch(error => logger.error(error.message));
+  }
+
+  async load() {
+    if (!this.file) return;
+
+    try {
+      const saved = await readJsonFile(this.file);
+      (saved || []).forEach(document => this.insert(document));
+    } catch (error) {
+      throw new Error(`Failed to load documents from ${this.file}: ${error.message}`);
+    }
+  }
+
+  async save() {
+    if (this.writer) {
+      await this.writer.save();
+    }
+  }
+
+  insert(document) {
+    this.documents.set(document.id, document);
+    document.chunks.forEach(chunk => {
+      this.chunks.set(chunk.id, { ...chunk, documentId: document.id });
+      this.index.add(chunk.id, chunk.heading ? `${chunk.heading}\n${chunk.text}` : chunk.text);
+    });
+  }
+
+  // Embeddings for the chunk texts, or null when embedding is off or fails;
+  // keyword search still works without them
+  async embedChunks(chunks) {
+    if (!this.embed) return null;
+
+    try {
+      const vectors = [];
+      for (let i = 0; i < chunks.length; i += EMBEDDING_BATCH_SIZE) {
+        const batch = chunks.slice(i, i + EMBEDDING_BATCH_SIZE);
+        vectors.push(...await this.embed(batch.map(chunk => chunk.text)));
+      }
+      return vectors.length === chunks.length ? vectors : null;
+    } catch (error) {
+      this.logger.warn('Failed to embed document chunks, using keyword search only:', error.message);
+      return null;
+    }
+  }
+
+  async add({ name, type = 'text', content, sessionId = null, ownerId }) {
+    await this.ready;
+
+    const chunks = chunkText(content, { type, chunkSize: this.chunkSize, overlap: this.chunkOverlap })
+      .map(chunk => ({ id: uuidv4(), ...chunk }));
+    const vectors = await this.embedChunks(chunks);
+    if (vectors) {
+      chunks.forEach((chunk, i) => { chunk.embedding = vectors[i]; });
+    }
+
+    const document = {
+      id: uuidv4(),
+      name,
+      type,
+      sessionId,
+      ownerId,
+      characters: content.length,
+      chunkCount: chunks.length,
+      embeddingModel: vectors ? this.embeddingModel : null,
+      createdAt: new Date().toISOString(),
+      chunks
+    };
+    this.insert(document);
+    await this.save();
+    return describe(document);
+  }
+
+  // Documents of a session, or of the shared knowledge base when sessionId is null
+  async list({ sessionId = null } = {}) {
+    await this.ready;
+    return [...this.documents.values()]
+      .filter(document => document.sessionId === sessionId)
+      .map(describe);
+  }
+
+  async get(id) {
+    await this.ready;
+    const document = this.documents.get(id);
+    return document ? describe(document) : null;
+  }
+
+  async delete(id) {
+    await this.ready;
+    const document = this.documents.get(id);
+    if (!document) return false;
+
+    document.chunks.forEach(chunk => {
+      this.chunks.delete(chunk.id);
+      this.index.remove(chunk.id);
+    });
+    this.documents.delete(id);
+    await this.save();
+    return true;
+  }
+
+  // Remove a deleted session's documents
+  async deleteForSession(sessionId) {
+    await this.ready;
+    const ids = [...this.documents.values()]
+      .filter(document => document.sessionId === sessionId)
+      .map(document => document.id);
+    for (const id of ids) {
+      await this.delete(id);
+    }
+    return ids.length;
+  }
+
+  // Whether a session has any documents to search, including shared ones
+  async hasDocuments(sessionId) {
+    await this.ready;
+    return [...this.documents.values()].some(document =>
+      document.sessionId === null || document.sessionId === sessionId);
+  }
+
+  // Passages from the session's and shared documents that best match the query:
+  // [{ documentId, documentName, chunkId, chunkIndex, page, heading, text, score }]
+  async search(query, { sessionId = null, limit = 4 } = {}) {
+    await this.ready;
+
+    const inScope = (chunkId) => {
+      const document = this.documents.get(this.chunks.get(chunkId).documentId);
+      return document.sessionId === null || document.sessionId === sessionId;
+    };
+
+    const candidates = limit * 5;
+    const keywordHits = this.index.search(query, { limit: candidates, filter: inScope });
+    const vectorHits = await this.vectorSearch(query, candidates, inScope);
+
+    let ranked = keywordHits;
+    if (vectorHits.length > 0) {
+      const fused = new Map();
+      [keywordHits, vectorHits].forEach(hits => hits.forEach(({ id }, rank) => {
+        fused.set(id, (fused.get(id) || 0) + 1 / (RRF_K + rank + 1));
+      }));
+      ranked = [...fused.entries()]
+        .map(([id, score]) => ({ id, score }))
+        .sort((a, b) => b.score - a.score);
+    }
+
+    return ranked.slice(0, limit).map(({ id, score }) => {
+      const chunk = this.chunks.get(id);
+      const document = this.documents.get(chunk.documentId);
+      return {
+        documentId: document.id,
+        documentName: document.name,
+        chunkId: chunk.id,
+        chunkIndex: chunk.index,
+        page: chunk.page,
+        heading: chunk.heading,
+        text: chunk.text,
+        score: Number(score.toFixed(4))
+      };
+    });
+  }
+
+  // Chunks most similar to the query embedding; empty when embeddings are off or fail
+  async vectorSearch(query, limit, inScope) {
+    if (!this.embed) return [];
+
+    let queryVector;
+    try {
+      [queryVector] = await this.embed([query]);
+    } catch (error) {
+      this.logger.warn('Failed to embed search query, using keyword search only:', error.message);
+      return [];
+    }
+
+    const hits = [];
+    this.chunks.forEach((chunk, id) => {
+      const document = this.documents.get(chunk.documentId);
+      if (!chunk.embedding || document.embeddingModel !== this.embeddingModel || !inScope(id)) return;
+
+      const score = cosineSimilarity(queryVector, chunk.embedding);
+      if (score >= this.minSimilarity) hits.push({ id, score });
+    });
+    return hits.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
+
+module.exports = {
+  DocumentStore,
+  parseUpload,
+  sourcesPrompt,
+  citationsFor,
+  DOCUMENT_TYPES
+};
@@ -0,0 +1,145 @@
+const { transcript } = require('./sessionExport');
+
+// User feedback on assistant replies: validation, summaries and the evaluation export.
+// Feedback lives on the reply as `feedback = { rating, comment, tags, userId, ratedAt }`.
+// Regenerating a reply moves it, feedback included, into `alternates`, so ratings
+// always belong to the version that was rated.
+
+const FEEDBACK_RATINGS = ['up', 'down'];
+const FEEDBACK_TAGS = [
+  'accurate', 'helpful', 'well-written',
+  'inaccurate', 'incomplete', 'unhelpful', 'off-topic', 'unsafe', 'formatting', 'too-long'
+];
+const MAX_COMMENT_LENGTH = 2000;
+
+// Validate a feedback body { rating, comment?, tags? }; returns { feedback } or { errors }
+function parseFeedback(body) {
+  if (!body || typeof body !== 'object') {
+    return { errors: ['Body must be a JSON object'] };
+  }
+
+  const { rating, comment = '', tags = [] } = body;
+  const errors = [];
+
+  if (!FEEDBACK_RATINGS.includes(rating)) {
+    errors.push(`rating must be one of: ${FEEDBACK_RATINGS.join(', ')}`);
+  }
+  if (comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    errors.push(`comment must be a string of at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  if (!Array.isArray(tags) || tags.some(tag => !FEEDBACK_TAGS.includes(tag))) {
+    errors.push(`tags must be a list of: ${FEEDBACK_TAGS.join(', ')}`);
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+  return {
+    feedback: {
+      rating,
+      comment: (comment || '').trim(),
+      tags: [...new Set(tags)]
+    }
+  };
+}
+
+// Copy of a message without feedback on it or its earlier versions, so copies made
+// by forking a session are not counted twice
+function withoutFeedback({ feedback, alternates, ...message }) {
+  return alternates
+    ? { ...message, alternates: alternates.map(version => withoutFeedback(version)) }
+    : message;
+}
+
+// Every rated reply version as { session, index, reply }, where index is the position
+// of the message holding it (the current version or one of its alternates)
+function ratedReplies(sessions) {
+  return sessions.flatMap(session => session.messages.flatMap((message, index) => {
+    if (message.role !== 'assistant') return [];
+    return (message.alternates || []).concat(message)
+      .filter(reply => reply.feedback)
+      .map(reply => ({ session, index, reply }));
+  }));
+}
+
+function emptyTotals() {
+  return {
+    rated: 0,
+    up: 0,
+    down: 0,
+    upRate: null,
+    comments: 0,
+    tags: {}
+  };
+}
+
+function addFeedback(totals, { rating, comment, tags }) {
+  totals.rated++;
+  totals[rating]++;
+  totals.upRate = Math.round((totals.up / totals.rated) * 1000) / 1000;
+  if (comment) totals.comments++;
+  tags.forEach(tag => {
+    totals.tags[tag] = (totals.tags[tag] || 0) + 1;
+  });
+}
+
+// Totals across sessions, broken down per model and per system prompt (most rated first)
+function summarizeFeedback(sessions, { defaultSystemPrompt } = {}) {
+  const summary = { ...emptyTotals(), byModel: {}, bySystemPrompt: [] };
+  const byPrompt = new Map();
+
+  ratedReplies(sessions).forEach(({ session, reply }) => {
+    const model = reply.model || 'unknown';
+    const systemPrompt = session.systemPrompt || defaultSystemPrompt || '';
+    summary.byModel[model] = summary.byModel[model] || emptyTotals();
+    if (!byPrompt.has(systemPrompt)) {
+      byPrompt.set(systemPrompt, { systemPrompt, sessions: new Set(), ...emptyTotals() });
+    }
+
+    const promptTotals = byPrompt.get(systemPrompt);
+    promptTotals.sessions.add(session.id);
+    addFeedback(summary, reply.feedback);
+    addFeedback(summary.byModel[model], reply.feedback);
+    addFeedback(promptTotals, reply.feedback);
+  });
+
+  summary.bySystemPrompt = [...byPrompt.values()]
+    .map(totals => ({ ...totals, sessions: totals.sessions.size }))
+    .sort((a, b) => b.rated - a.rated);
+  return summary;
+}
+
+// Rated exchanges for offline evaluation, one JSON object per line: the conversation the
+// reply answered as OpenAI-style `messages` (system prompt first), the reply as
+// `completion`, and its feedback. Filter with `rating` and `model`.
+function toFeedbackJsonl(sessions, { defaultSystemPrompt, rating, model } = {}) {
+  const records = ratedReplies(sessions)
+    .filter(({ reply }) => (!rating || reply.feedback.rating === rating) && (!model || reply.model === model))
+    .map(({ session, index, reply }) => {
+      const system = session.systemPrompt || defaultSystemPrompt;
+      const context = transcript(session.messages.slice(0, index))
+        .map(message => ({ role: message.role, content: message.content }));
+      return {
+        sessionId: session.id,
+        messageId: session.messages[index].id,
+        model: reply.model || null,
+        messages: system ? [{ role: 'system', content: system }, ...context] : context,
+        completion: reply.content,
+        rating: reply.feedback.rating,
+        comment: reply.feedback.comment,
+        tags: reply.feedback.tags,
+        ratedAt: reply.feedback.ratedAt
+      };
+    });
+
+  return records.map(record => JSON.stringify(record)).join('\n') + (records.length > 0 ? '\n' : '');
+}
+
+module.exports = {
+  parseFeedback,
+  summarizeFeedback,
+  toFeedbackJsonl,
+  withoutFeedback,
+  FEEDBACK_RATINGS,
+  FEEDBACK_TAGS
+};
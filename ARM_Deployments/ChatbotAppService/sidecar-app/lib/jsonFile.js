@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// JSON files the app keeps its own state in (custom presets, RAG documents).
+
+// Parsed contents of `file`, or null when it does not exist
+async function readJsonFile(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Write to a uniquely named temp file and rename it over `file`, so readers and a
+// crash part-way through never leave a half-written document
+async function writeJsonFile(file, value, space) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tempFile = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+  try {
+    await fs.writeFile(tempFile, JSON.stringify(value, null, space), 'utf8');
+    await fs.rename(tempFile, file);
+  } catch (error) {
+    await fs.unlink(tempFile).catch(() => {});
+    throw error;
+  }
+}
+
+// Saves `snapshot()` to `file` one write at a time. Each write takes the snapshot
+// when it starts, so the last one always holds the latest state.
+class JsonFileWriter {
+  constructor(file, snapshot, { space } = {}) {
+    this.file = file;
+    this.snapshot = snapshot;
+    this.space = space;
+    this.pending = Promise.resolve();
+  }
+
+  save() {
+    const write = this.pending.catch(() => {}).then(() => writeJsonFile(this.file, this.snapshot(), this.space));
+    this.pending = write;
+    return write;
+  }
+}
+
+module.exports = {
+  readJsonFile,
+  writeJsonFile,
+  JsonFileWriter
+};
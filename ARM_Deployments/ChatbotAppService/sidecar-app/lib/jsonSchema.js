@@ -0,0 +1,244 @@
+// Small JSON Schema validator covering the keywords tool and response schemas
+// use in practice: type, enum, const, properties, required, additionalProperties,
+// items, min/max(Length|Items), minimum/maximum (and exclusive forms), pattern,
+// anyOf, oneOf and allOf. Unknown keywords are ignored.
+//
+// Schemas from outside the app go through schemaProblems() first: validate() trusts
+// the shape of its schema, and patterns are limited to ones that match in linear time.
+
+const TYPES = ['null', 'boolean', 'object', 'array', 'number', 'integer', 'string'];
+const MAX_PATTERN_LENGTH = 200;
+const COUNT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems'];
+const NUMBER_KEYWORDS = ['minimum', 'maximum', 'exclusiveMinimum', 'exclusiveMaximum'];
+const SCHEMA_LIST_KEYWORDS = ['anyOf', 'oneOf', 'allOf'];
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+// Patterns where a repeated group itself repeats or branches, like (a+)+ or (a|ab)*,
+// can backtrack for exponential time on a near miss, so they are refused
+function unsafePattern(pattern) {
+  const groups = [{ repeats: false }];
+  let index = 0;
+  const quantifierAt = (position) => /[*+{]/.test(pattern[position] || '');
+
+  while (index < pattern.length) {
+    const char = pattern[index];
+    if (char === '\\') {
+      index += 2;
+      // An escaped atom may be quantified too
+      if (quantifierAt(index)) groups[groups.length - 1].repeats = true;
+      continue;
+    }
+    if (char === '[') {
+      index++;
+      while (index < pattern.length && pattern[index] !== ']') {
+        index += pattern[index] === '\\' ? 2 : 1;
+      }
+    } else if (char === '(') {
+      groups.push({ repeats: false });
+    } else if (char === ')') {
+      const group = groups.length > 1 ? groups.pop() : { repeats: false };
+      if (quantifierAt(index + 1)) {
+        if (group.repeats || group.branches) return true;
+        groups[groups.length - 1].repeats = true;
+      } else if (group.repeats) {
+        groups[groups.length - 1].repeats = true;
+      }
+    } else if (char === '|') {
+      groups[groups.length - 1].branches = true;
+    } else if (/[*+{]/.test(char)) {
+      groups[groups.length - 1].repeats = true;
+    }
+    index++;
+  }
+  return false;
+}
+
+function isPlainObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Problems with the schema itself as "path: message" strings; an empty list means
+// validate() can use it
+function schemaProblems(schema, path = '$') {
+  if (typeof schema === 'boolean') return [];
+  if (!isPlainObject(schema)) return [`${path}: a schema must be an object or a boolean`];
+
+  const problems = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (types.length === 0 || !types.every(type => TYPES.includes(type))) {
+      problems.push(`${path}.type: must be one of ${TYPES.join(', ')}, or a list of them`);
+    }
+  }
+  if (schema.enum !== undefined && !Array.isArray(schema.enum)) {
+    problems.push(`${path}.enum: must be an array`);
+  }
+
+  COUNT_KEYWORDS.forEach((keyword) => {
+    if (schema[keyword] !== undefined && !(Number.isInteger(schema[keyword]) && schema[keyword] >= 0)) {
+      problems.push(`${path}.${keyword}: must be a non-negative integer`);
+    }
+  });
+  NUMBER_KEYWORDS.forEach((keyword) => {
+    if (schema[keyword] !== undefined && !Number.isFinite(schema[keyword])) {
+      problems.push(`${path}.${keyword}: must be a number`);
+    }
+  });
+
+  if (schema.pattern !== undefined) {
+    if (typeof schema.pattern !== 'string') {
+      problems.push(`${path}.pattern: must be a string`);
+    } else if (schema.pattern.length > MAX_PATTERN_LENGTH) {
+      problems.push(`${path}.pattern: must be at most ${MAX_PATTERN_LENGTH} characters`);
+    } else if (unsafePattern(schema.pattern)) {
+      problems.push(`${path}.pattern: nested repetition such as (a+)+ is not supported`);
+    } else {
+      try {
+        new RegExp(schema.pattern, 'u');
+      } catch (error) {
+        problems.push(`${path}.pattern: ${error.message}`);
+      }
+    }
+  }
+
+  if (schema.properties !== undefined) {
+    if (!isPlainObject(schema.properties)) {
+      problems.push(`${path}.properties: must be an object of schemas`);
+    } else {
+      Object.entries(schema.properties).forEach(([name, subschema]) => {
+        problems.push(...schemaProblems(subschema, `${path}.properties.${name}`));
+      });
+    }
+  }
+  if (schema.required !== undefined
+    && !(Array.isArray(schema.required) && schema.required.every(name => typeof name === 'string'))) {
+    problems.push(`${path}.required: must be an array of property names`);
+  }
+  if (schema.additionalProperties !== undefined) {
+    problems.push(...schemaProblems(schema.additionalProperties, `${path}.additionalProperties`));
+  }
+  if (schema.items !== undefined) {
+    problems.push(...schemaProblems(schema.items, `${path}.items`));
+  }
+
+  SCHEMA_LIST_KEYWORDS.forEach((keyword) => {
+    if (schema[keyword] === undefined) return;
+    if (!Array.isArray(schema[keyword]) || schema[keyword].length === 0) {
+      problems.push(`${path}.${keyword}: must be a non-empty array of schemas`);
+      return;
+    }
+    schema[keyword].forEach((subschema, index) => {
+      problems.push(...schemaProblems(subschema, `${path}.${keyword}[${index}]`));
+    });
+  });
+
+  return problems;
+}
+
+// Problems as "path: message" strings; an empty list means the value is valid
+function validate(schema, value, path = '$') {
+  if (schema === true || schema === undefined) return [];
+  if (schema === false) return [`${path}: no value is allowed here`];
+
+  const problems = [];
+
+  if (schema.type !== undefined) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(option => JSON.stringify(option) === JSON.stringify(value))) {
+    problems.push(`${path}: must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    problems.push(`${path}: must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      problems.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      problems.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      problems.push(`${path}: must match /${schema.pattern}/`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      problems.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      problems.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      problems.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      problems.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      problems.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      problems.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, index) => problems.push(...validate(schema.items, item, `${path}[${index}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(name => {
+      if (!Object.hasOwn(value, name)) problems.push(`${path}: missing required property "${name}"`);
+    });
+    Object.entries(value).forEach(([name, propertyValue]) => {
+      if (Object.hasOwn(properties, name)) {
+        problems.push(...validate(properties[name], propertyValue, `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        problems.push(`${path}: unexpected property "${name}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        problems.push(...validate(schema.additionalProperties, propertyValue, `${path}.${name}`));
+      }
+    });
+  }
+
+  if (schema.allOf) {
+    schema.allOf.forEach(subschema => problems.push(...validate(subschema, value, path)));
+  }
+  if (schema.anyOf && !schema.anyOf.some(subschema => validate(subschema, value, path).length === 0)) {
+    problems.push(`${path}: must match at least one of the anyOf schemas`);
+  }
+  if (schema.oneOf && schema.oneOf.filter(subschema => validate(subschema, value, path).length === 0).length !== 1) {
+    problems.push(`${path}: must match exactly one of the oneOf schemas`);
+  }
+
+  return problems;
+}
+
+module.exports = {
+  validate,
+  schemaProblems,
+  unsafePattern,
+  MAX_PATTERN_LENGTH
+};
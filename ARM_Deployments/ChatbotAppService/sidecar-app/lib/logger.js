@@ -0,0 +1,82 @@
+// Structured leveled logger honoring LOG_LEVEL (error < warn < info < debug).
+//
+// Call it like console: logger.info('Message', detail, ...). A trailing plain
+// object is merged into the record as fields, and Error arguments are logged
+// with their stack. In json format every line is one JSON object; text is for
+// local development. `context` supplies fields for the current request, such
+// as the request id and trace ids.
+
+const util = require('util');
+const { LOG_LEVELS } = require('./config');
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+// Split console-style arguments into a message and structured fields
+function toRecord(level, args, contextFields) {
+  const parts = [...args];
+  const fields = isPlainObject(parts[parts.length - 1]) && parts.length > 1 ? parts.pop() : {};
+
+  const error = parts.find(part => part instanceof Error);
+  const message = parts
+    .map(part => (part instanceof Error ? part.message : part))
+    .map(part => (typeof part === 'string' ? part : util.inspect(part, { depth: 4, breakLength: Infinity })))
+    .join(' ');
+
+  return {
+    timestamp: new Date().toISOString(),
+    level,
+    message,
+    ...contextFields,
+    ...fields,
+    ...(error && { error: serializeError(error) })
+  };
+}
+
+function formatText({ timestamp, level, message, requestId, error, ...fields }) {
+  const extra = Object.entries(fields)
+    .filter(([key]) => key !== 'traceId' && key !== 'spanId')
+    .map(([key, value]) => `${key}=${typeof value === 'string' ? value : JSON.stringify(value)}`);
+
+  return [
+    timestamp,
+    level.toUpperCase().padEnd(5),
+    requestId ? `[${requestId}]` : null,
+    message,
+    ...extra
+  ].filter(Boolean).join(' ') + (error?.stack ? `\n${error.stack}` : '');
+}
+
+function createLogger(level = 'info', { format = 'json', context = () => ({}) } = {}) {
+  const threshold = LOG_LEVELS.indexOf(level);
+  const enabled = (candidate) => LOG_LEVELS.indexOf(candidate) <= threshold;
+
+  const write = (recordLevel, args) => {
+    if (!enabled(recordLevel)) return;
+
+    const record = toRecord(recordLevel, args, context());
+    const line = format === 'text' ? formatText(record) : JSON.stringify(record);
+    (recordLevel === 'error' || recordLevel === 'warn' ? process.stderr : process.stdout).write(line + '\n');
+  };
+
+  return {
+    level,
+    isLevelEnabled: enabled,
+    error: (...args) => write('error', args),
+    warn: (...args) => write('warn', args),
+    info: (...args) => write('info', args),
+    debug: (...args) => write('debug', args)
+  };
+}
+
+module.exports = { createLogger };
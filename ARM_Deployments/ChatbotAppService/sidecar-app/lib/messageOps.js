@@ -0,0 +1,98 @@
+const { v4: uuidv4 } = require('uuid');
+const { withoutFeedback } = require('./feedback');
+const { withoutUsage } = require('./usage');
+
+// Message operations on a session: regenerate, edit and resend, delete and fork.
+// The mutating helpers change the session in place and return false when there is
+// nothing to change, so they can run as sessionStore.update() callbacks.
+
+// Index of the user message the reply at `index` answers, past any tool calls made
+// for it, or -1 unless that reply is the last message and can be regenerated
+function regenerableFrom(messages, index) {
+  if (messages[index]?.role !== 'assistant' || index !== messages.length - 1) return -1;
+
+  let userIndex = index - 1;
+  while (messages[userIndex]?.role === 'tool') userIndex--;
+  return messages[userIndex]?.role === 'user' ? userIndex : -1;
+}
+
+// Forget a history summary that covers messages from `index` on, before they change.
+// It is rebuilt from the remaining messages on the next reply.
+function dropSummaryFrom(session, index) {
+  const throughId = session.summary?.throughMessageId;
+  if (throughId && !session.messages.slice(0, index).some(msg => msg.id === throughId)) {
+    delete session.summary;
+  }
+}
+
+// Put `userMessage` in place of the message with its id and drop everything after it
+function editMessage(session, userMessage) {
+  const index = session.messages.findIndex(msg => msg.id === userMessage.id);
+  if (index === -1) return false;
+
+  dropSummaryFrom(session, index);
+  session.messages = [...session.messages.slice(0, index), userMessage];
+  session.updatedAt = userMessage.editedAt;
+  return true;
+}
+
+function deleteMessage(session, messageId) {
+  const index = session.messages.findIndex(msg => msg.id === messageId);
+  if (index === -1) return false;
+
+  dropSummaryFrom(session, index);
+  session.messages.splice(index, 1);
+  session.updatedAt = new Date().toISOString();
+  return true;
+}
+
+// Swap in a regenerated reply, keeping the previous version in `alternates`.
+// The previous version's tool calls are replaced by the new ones.
+// Failed attempts are not stored, and failed replies are not kept as alternates.
+function replaceReply(session, messageId, reply, toolMessages = []) {
+  const index = session.messages.findIndex(msg => msg.id === messageId);
+  if (index === -1 || reply.error) return false;
+
+  const { alternates = [], ...previous } = session.messages[index];
+  delete previous.id;
+
+  let start = index;
+  while (session.messages[start - 1]?.role === 'tool') start--;
+
+  reply.id = messageId;
+  reply.alternates = previous.error ? alternates : [...alternates, previous];
+  session.messages.splice(start, index - start + 1, ...toolMessages, reply);
+  return true;
+}
+
+// New session holding copies of the conversation up to and including the message at
+// `index`. Ratings and token counts stay with the original.
+function forkSession(session, index, { ownerId, maxTitleLength }) {
+  return {
+    id: uuidv4(),
+    createdAt: new Date().toISOString(),
+    messages: session.messages.slice(0, index + 1).map(msg => ({ ...withoutUsage(withoutFeedback(msg)), id: uuidv4() })),
+    title: `${session.title} (fork)`.slice(0, maxTitleLength),
+    ownerId,
+    model: session.model,
+    systemPrompt: session.systemPrompt,
+    presetId: session.presetId,
+    pinned: false,
+    archived: false,
+    tags: [...(session.tags || [])],
+    autoTitle: false,
+    forkedFrom: {
+      sessionId: session.id,
+      messageId: session.messages[index].id
+    }
+  };
+}
+
+module.exports = {
+  regenerableFrom,
+  dropSummaryFrom,
+  editMessage,
+  deleteMessage,
+  replaceReply,
+  forkSession
+};
@@ -0,0 +1,355 @@
+// Minimal Prometheus metrics: counters, gauges and histograms rendered in the
+// text exposition format (https://prometheus.io/docs/instrumenting/exposition_formats/)
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+// Model calls take seconds, not milliseconds
+const SIDECAR_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+// Base for a metric family whose series are keyed by their label values
+class Metric {
+  constructor(type, { name, help, labelNames = [] }) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labelsFor(labels) {
+    const picked = {};
+    this.labelNames.forEach(name => {
+      picked[name] = labels[name] === undefined ? '' : String(labels[name]);
+    });
+    return picked;
+  }
+
+  seriesFor(labels, create) {
+    const picked = this.labelsFor(labels);
+    const key = JSON.stringify(picked);
+    if (!this.series.has(key)) {
+      this.series.set(key, create(picked));
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  inc(labels = {}, value = 1) {
+    this.seriesFor(labels, picked => ({ labels: picked, value: 0 })).value += value;
+  }
+
+  collect() {
+    return this.header().concat(
+      [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    );
+  }
+}
+
+// A gauge is either set directly or computed at scrape time by `collect`,
+// which may be async and resolves to a number or [{ labels, value }]
+class Gauge extends Metric {
+  constructor({ collect, ...options }) {
+    super('gauge', options);
+    this.collectValue = collect;
+  }
+
+  set(labels, value) {
+    this.seriesFor(labels, picked => ({ labels: picked, value: 0 })).value = value;
+  }
+
+  async collect() {
+    if (this.collectValue) {
+      const result = await this.collectValue();
+      const samples = Array.isArray(result) ? result : [{ labels: {}, value: result }];
+      this.series.clear();
+      samples.forEach(({ labels, value }) => this.set(labels, value));
+    }
+    return this.header().concat(
+      [...this.series.values()].map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}`)
+    );
+  }
+}
+
+class Histogram extends Metric {
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super('histogram', options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, picked => ({
+      labels: picked,
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) series.counts[index]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  // Start a timer; calling the returned function records the elapsed seconds
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (moreLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...moreLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  collect() {
+    const lines = this.header();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+class Registry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  register(metric) {
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  async render() {
+    const families = await Promise.all(this.metrics.map(metric => metric.collect()));
+    return families.map(lines => lines.join('\n')).join('\n') + '\n';
+  }
+}
+
+// The app's metrics. `countSessions` resolves to the number of stored sessions;
+// sessions count as active for `activeWindowMs` after their last message.
+// `queueStats` returns the generation queue's { running, waiting }; `cacheSize`
+// resolves to the number of cached replies.
+function createMetrics({ countSessions, queueStats, cacheSize, activeWindowMs = 15 * 60 * 1000 } = {}) {
+  const registry = new Registry();
+  const sessionActivity = new Map();
+
+  const httpRequests = registry.counter({
+    name: 'chatbot_http_requests_total',
+    help: 'HTTP requests handled, by route and status code',
+    labelNames: ['method', 'route', 'status']
+  });
+  const httpDuration = registry.histogram({
+    name: 'chatbot_http_request_duration_seconds',
+    help: 'HTTP request latency in seconds, by route',
+    labelNames: ['method', 'route']
+  });
+  const sidecarDuration = registry.histogram({
+    name: 'chatbot_sidecar_request_duration_seconds',
+    help: 'Backend call latency in seconds, including retries',
+    labelNames: ['backend', 'operation', 'outcome'],
+    buckets: SIDECAR_BUCKETS
+  });
+  const sidecarErrors = registry.counter({
+    name: 'chatbot_sidecar_errors_total',
+    help: 'Failed backend calls, by reason',
+    labelNames: ['backend', 'operation', 'reason']
+  });
+  const tokens = registry.counter({
+    name: 'chatbot_tokens_total',
+    help: 'Tokens reported in sidecar usage blocks',
+    labelNames: ['model', 'type', 'purpose']
+  });
+  const moderation = registry.counter({
+    name: 'chatbot_moderation_interventions_total',
+    help: 'Content moderation interventions (redactions and blocks), by direction',
+    labelNames: ['direction', 'stage', 'category', 'action']
+  });
+  const queueWait = registry.histogram({
+    name: 'chatbot_queue_wait_seconds',
+    help: 'Time generation requests spent in the queue, by outcome',
+    labelNames: ['outcome'],
+    buckets: SIDECAR_BUCKETS
+  });
+  const queueRejections = registry.counter({
+    name: 'chatbot_queue_rejections_total',
+    help: 'Generation requests turned away because the queue was full'
+  });
+  const cacheLookups = registry.counter({
+    name: 'chatbot_response_cache_lookups_total',
+    help: 'Response cache lookups, by outcome (hit, miss, bypass) and match',
+    labelNames: ['outcome', 'match']
+  });
+  const feedback = registry.counter({
+    name: 'chatbot_feedback_total',
+    help: 'Feedback given on assistant replies, by rating (up, down)',
+    labelNames: ['rating']
+  });
+  registry.gauge({
+    name: 'chatbot_active_sessions',
+    help: 'Sessions with a message in the last ' + Math.round(activeWindowMs / 60000) + ' minutes on this instance',
+    collect: () => {
+      const cutoff = Date.now() - activeWindowMs;
+      sessionActivity.forEach((lastActive, sessionId) => {
+        if (lastActive < cutoff) sessionActivity.delete(sessionId);
+      });
+      return sessionActivity.size;
+    }
+  });
+  if (countSessions) {
+    registry.gauge({
+      name: 'chatbot_sessions',
+      help: 'Chat sessions in the session store',
+      collect: countSessions
+    });
+  }
+  if (cacheSize) {
+    registry.gauge({
+      name: 'chatbot_response_cache_entries',
+      help: 'Replies in the response cache',
+      collect: cacheSize
+    });
+  }
+  if (queueStats) {
+    registry.gauge({
+      name: 'chatbot_queue_requests',
+      help: 'Generation requests running or waiting in the queue',
+      labelNames: ['state'],
+      collect: () => {
+        const { running, waiting } = queueStats();
+        return [{ labels: { state: 'running' }, value: running }, { labels: { state: 'waiting' }, value: waiting }];
+      }
+    });
+  }
+
+  // Express middleware timing every request. Routes are labelled by their
+  // pattern (e.g. /api/chat/sessions/:sessionId) to keep label values bounded.
+  function httpMiddleware(req, res, next) {
+    const stopTimer = httpDuration.startTimer();
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : 'other';
+      const labels = { method: req.method, route };
+      stopTimer(labels);
+      httpRequests.inc({ ...labels, status: res.statusCode });
+    });
+    next();
+  }
+
+  // Hook for SidecarClient's onRequest option
+  function observeSidecar({ backend = 'sidecar', path, durationSeconds, error }) {
+    sidecarDuration.observe({ backend, operation: path, outcome: error ? 'error' : 'success' }, durationSeconds);
+    if (error) {
+      sidecarErrors.inc({ backend, operation: path, reason: sidecarErrorReason(error) });
+    }
+  }
+
+  // Count an OpenAI-style usage block ({ prompt_tokens, completion_tokens })
+  function recordUsage(model, usage, purpose) {
+    if (!usage) return;
+    if (usage.prompt_tokens) tokens.inc({ model, type: 'prompt', purpose }, usage.prompt_tokens);
+    if (usage.completion_tokens) tokens.inc({ model, type: 'completion', purpose }, usage.completion_tokens);
+  }
+
+  // Count the interventions of one moderation pipeline run
+  function recordModeration(direction, interventions) {
+    interventions.forEach(({ stage, category, action, count }) => {
+      moderation.inc({ direction, stage, category, action }, count || 1);
+    });
+  }
+
+  // Count a generation request leaving the queue: started, cancelled or rejected
+  function observeQueue({ outcome, waitedSeconds = 0 }) {
+    if (outcome === 'rejected') {
+      queueRejections.inc();
+    } else {
+      queueWait.observe({ outcome }, waitedSeconds);
+    }
+  }
+
+  // Count a response cache lookup; `match` is exact or normalized for hits
+  function recordCacheLookup(outcome, match = '') {
+    cacheLookups.inc({ outcome, match });
+  }
+
+  function recordFeedback(rating) {
+    feedback.inc({ rating });
+  }
+
+  function touchSession(sessionId) {
+    sessionActivity.set(sessionId, Date.now());
+  }
+
+  return {
+    contentType: CONTENT_TYPE,
+    render: () => registry.render(),
+    httpMiddleware,
+    observeSidecar,
+    recordUsage,
+    recordModeration,
+    observeQueue,
+    recordCacheLookup,
+    recordFeedback,
+    touchSession
+  };
+}
+
+// Short, bounded reason label for a failed sidecar call
+function sidecarErrorReason(error) {
+  if (error.reason) return error.reason;
+  if (error.upstreamStatus) return `http_${error.upstreamStatus}`;
+  if (error.name === 'CanceledError' || error.code === 'ERR_CANCELED') return 'aborted';
+  const code = error.cause?.code || error.code;
+  if (code === 'ECONNABORTED' || code === 'ETIMEDOUT') return 'timeout';
+  return code ? code.toLowerCase() : 'error';
+}
+
+module.exports = {
+  createMetrics,
+  Registry,
+  Counter,
+  Gauge,
+  Histogram
+};
@@ -0,0 +1,97 @@
+// Cached view of the models the sidecar has available (Ollama-style /api/tags),
+// used to validate the model a client asks for before calling the sidecar.
+// An optional allow-list narrows the sidecar's models down to the ones this
+// app is permitted to serve. A failed fetch is remembered for `failureTtlMs`, so
+// a sidecar that is down is not asked again on every request. Likewise a miss
+// refetches the list only when it is older than `missRefreshMs`, so requests for a
+// model that does not exist cannot make every call a round trip to the sidecar.
+
+class ModelCatalog {
+  constructor({ fetchModels, ttlMs = 60000, failureTtlMs = 10000, missRefreshMs = 5000, allowedModels = [] }) {
+    this.fetchModels = fetchModels;
+    this.ttlMs = ttlMs;
+    this.failureTtlMs = failureTtlMs;
+    this.missRefreshMs = missRefreshMs;
+    this.allowedModels = allowedModels;
+    this.models = null;
+    this.fetchedAt = 0;
+    this.failure = null;
+    this.failedAt = 0;
+    this.inflight = null;
+  }
+
+  // Resolves to the model objects reported by the sidecar; rejects when the
+  // sidecar cannot be reached
+  async list({ refresh = false } = {}) {
+    const fresh = this.models && Date.now() - this.fetchedAt < this.ttlMs;
+    if (fresh && !refresh) {
+      return this.models;
+    }
+    if (this.failure && !refresh && Date.now() - this.failedAt < this.failureTtlMs) {
+      throw this.failure;
+    }
+
+    if (!this.inflight) {
+      this.inflight = this.fetchModels()
+        .then(models => models.filter(model => this.isAllowed(model.name)))
+        .then(models => {
+          this.models = models;
+          this.fetchedAt = Date.now();
+          this.failure = null;
+          return models;
+        }, error => {
+          this.failure = error;
+          this.failedAt = Date.now();
+          throw error;
+        })
+        .finally(() => {
+          this.inflight = null;
+        });
+    }
+    return this.inflight;
+  }
+
+  // Find a model by name. "phi4" also matches the sidecar's "phi4:latest" tag.
+  static match(models, name) {
+    return models.find(model => model.name === name || model.model === name) ||
+      models.find(model => model.name === `${name}:latest`) ||
+      null;
+  }
+
+  isAllowed(name) {
+    if (this.allowedModels.length === 0) {
+      return true;
+    }
+    const models = this.allowedModels.map(allowed => ({ name: allowed }));
+    return Boolean(ModelCatalog.match(models, name)) ||
+      this.allowedModels.some(allowed => name === `${allowed}:latest`);
+  }
+
+  // Returns { known: true, model } for an available model, { known: false, available }
+  // for an unknown one, and { known: null } when the list cannot be fetched, in
+  // which case callers should let the sidecar decide.
+  async check(name) {
+    if (!this.isAllowed(name)) {
+      return { known: false, available: this.allowedModels };
+    }
+
+    let models;
+    try {
+      models = await this.list();
+      if (!ModelCatalog.match(models, name) && Date.now() - this.fetchedAt >= this.missRefreshMs) {
+        // The model may have been pulled since we last looked
+        models = await this.list({ refresh: true });
+      }
+    } catch (error) {
+      return { known: null, error };
+    }
+
+    const model = ModelCatalog.match(models, name);
+    if (model) {
+      return { known: true, model };
+    }
+    return { known: false, available: models.map(available => available.name) };
+  }
+}
+
+module.exports = ModelCatalog;
@@ -0,0 +1,131 @@
+const fs = require('fs');
+const { createPiiRedactor, PII_CATEGORIES } = require('./piiRedactor');
+const { createTermFilter, parseTerms, findSpans } = require('./termFilter');
+const { ModeratedStream } = require('./streamFilter');
+
+// Content moderation for chat messages. A pipeline runs its stages in order
+// over user input (before it is stored or sent to the model) and over
+// assistant replies (before they are stored or shown).
+//
+// A stage is { name, directions, inspect(text, context) }. inspect may be async
+// and resolves to { text, blocked, interventions }:
+//   text           replacement content for the following stages (e.g. redacted)
+//   blocked        stop here; the content must not be used
+//   interventions  [{ category, action, count, ... }] describing what was done
+// context carries { direction, allowed(text, start, end), ...caller fields };
+// allowed() tells whether a span of the text is covered by the allowlist.
+// Interventions never include the matched text, so they are safe to store.
+
+const MODERATION_DIRECTIONS = ['input', 'output'];
+
+class ModerationPipeline {
+  constructor({ stages = [], allowlist = [] } = {}) {
+    this.stages = [];
+    this.allowlist = allowlist;
+    stages.forEach(stage => this.use(stage));
+  }
+
+  // Add a stage, e.g. a local classifier; it runs after the existing ones
+  use(stage) {
+    if (!stage || typeof stage.name !== 'string' || typeof stage.inspect !== 'function') {
+      throw new TypeError('A moderation stage needs a name and an inspect(text, context) function');
+    }
+    this.stages.push({ ...stage, directions: stage.directions || MODERATION_DIRECTIONS });
+    return this;
+  }
+
+  // Resolves to { text, blocked, blockedBy, interventions }; text is null when blocked
+  async run(text, { direction = 'input', ...context } = {}) {
+    const allowed = this.allowedChecker();
+    const interventions = [];
+    let content = text;
+
+    for (const stage of this.stages) {
+      if (!stage.directions.includes(direction)) continue;
+
+      const result = await stage.inspect(content, { ...context, direction, allowed }) || {};
+      (result.interventions || []).forEach(intervention => {
+        interventions.push({ stage: stage.name, ...intervention });
+      });
+      if (result.blocked) {
+        return { text: null, blocked: true, blockedBy: stage.name, interventions };
+      }
+      if (typeof result.text === 'string') {
+        content = result.text;
+      }
+    }
+
+    return { text: content, blocked: false, blockedBy: null, interventions };
+  }
+
+  // Screen a streamed reply as it arrives (see streamFilter)
+  stream(context = {}) {
+    return new ModeratedStream(this, context);
+  }
+
+  // allowed(text, start, end), caching the allowlist spans of the last text seen
+  allowedChecker() {
+    let lastText = null;
+    let spans = [];
+    return (text, start, end) => {
+      if (this.allowlist.length === 0) return false;
+      if (text !== lastText) {
+        spans = findSpans(text, this.allowlist);
+        lastText = text;
+      }
+      return spans.some(span => span.start <= start && end <= span.end);
+    };
+  }
+}
+
+// One term per line; blank lines and lines starting with # are skipped
+function readTermsFile(file) {
+  if (!file) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'));
+}
+
+// Pipeline for the app's settings (config.safety), or null when moderation is off:
+// PII redaction, then the blocklist; both also screen replies when filterOutput is set
+function createModeration(options = {}) {
+  const {
+    enabled = true,
+    piiCategories = PII_CATEGORIES,
+    blocklist = [],
+    blocklistFile,
+    allowlist = [],
+    allowlistFile,
+    filterOutput = true
+  } = options;
+  if (!enabled) return null;
+
+  const directions = filterOutput ? MODERATION_DIRECTIONS : ['input'];
+  const pipeline = new ModerationPipeline({
+    allowlist: parseTerms([...allowlist, ...readTermsFile(allowlistFile)])
+  });
+
+  if (piiCategories.length > 0) {
+    pipeline.use(createPiiRedactor({ categories: piiCategories, directions }));
+  }
+
+  const blockedTerms = parseTerms([...blocklist, ...readTermsFile(blocklistFile)]);
+  if (blockedTerms.length > 0) {
+    pipeline.use(createTermFilter({ name: 'blocklist', terms: blockedTerms, directions }));
+  }
+
+  return pipeline;
+}
+
+module.exports = {
+  createModeration,
+  ModerationPipeline,
+  ModeratedStream,
+  createPiiRedactor,
+  createTermFilter,
+  parseTerms,
+  readTermsFile,
+  MODERATION_DIRECTIONS,
+  PII_CATEGORIES
+};
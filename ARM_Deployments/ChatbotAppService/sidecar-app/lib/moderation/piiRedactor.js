@@ -0,0 +1,123 @@
+// Pattern-based PII and secret redaction. Matches are replaced with a
+// placeholder such as [REDACTED_EMAIL]; only counts are reported, never the
+// matched values.
+
+// Detection order matters: secrets first (tokens can contain digit runs),
+// then emails, card numbers and finally phone numbers
+const PII_CATEGORIES = ['secret', 'email', 'card', 'phone'];
+
+// Luhn checksum, to tell card numbers from other long digit runs
+function passesLuhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const digitsOf = (text) => text.replace(/\D/g, '');
+
+const digitCount = (min, max) => (match) => {
+  const count = digitsOf(match).length;
+  return count >= min && count <= max;
+};
+
+// A phone number shape that does not continue a longer run of digits, dates or times
+function phonePattern(source) {
+  return new RegExp(String.raw`(?<![\w.:/+-])${source}(?![\w:]|[./-]\d)`, 'g');
+}
+
+// Keep the label of a `key=value` style secret and redact only the value
+const keepPrefix = (placeholder, prefix) => `${prefix}${placeholder}`;
+
+const DETECTORS = {
+  secret: [
+    { pattern: /-----BEGIN (?:[A-Z]+ )*PRIVATE KEY-----[\s\S]*?-----END (?:[A-Z]+ )*PRIVATE KEY-----/g },
+    // AWS access keys, GitHub, Slack and sk- style API keys, JWTs
+    { pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+    { pattern: /\bgh[pousr]_[A-Za-z0-9]{36,255}\b/g },
+    { pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}/g },
+    { pattern: /\bsk-[A-Za-z0-9_-]{20,}/g },
+    { pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g },
+    // Azure storage / Service Bus connection string keys and SAS signatures
+    { pattern: /\b((?:AccountKey|SharedAccessKey|sig)=)[A-Za-z0-9+/%]{16,}={0,2}/gi, replace: keepPrefix },
+    { pattern: /\b(Bearer\s+)[A-Za-z0-9._~+/-]{16,}=*/g, replace: keepPrefix },
+    {
+      pattern: /\b((?:password|passwd|pwd|secret|client[_-]?secret|api[_-]?key|access[_-]?token|auth[_-]?token)\s*[:=]\s*["']?)[^\s"',;]{4,}/gi,
+      replace: keepPrefix
+    }
+  ],
+  email: [
+    { pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g }
+  ],
+  card: [
+    {
+      pattern: /(?<![\d-])\d(?:[ -]?\d){12,18}(?![\d-])/g,
+      validate: (match) => passesLuhn(digitsOf(match))
+    }
+  ],
+  // Only real phone shapes: an international + prefix, a bracketed area code, the
+  // North American 3-3-4 grouping, or a trunk 0 followed by groups. Digits glued to
+  // other digits, dots, dashes, slashes or colons are left alone, so dates, times,
+  // version numbers and order ids are not mistaken for phone numbers.
+  phone: [
+    { pattern: phonePattern(String.raw`\+\d{1,3}(?:[\s.-]?\(\d{1,4}\))?[\s.-]?\d{1,12}(?:[\s.-]\d{1,12}){0,4}`), validate: digitCount(8, 15) },
+    { pattern: phonePattern(String.raw`\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]?\d{3,4}`), validate: digitCount(9, 12) },
+    { pattern: phonePattern(String.raw`\d{3}([\s.-])\d{3}\1\d{4}`), validate: digitCount(10, 10) },
+    { pattern: phonePattern(String.raw`0\d{1,4}(?:[ -]\d{2,4}){2,4}`), validate: digitCount(9, 12) }
+  ]
+};
+
+function redactMatches(text, detector, placeholder, allowed) {
+  let count = 0;
+  const result = text.replace(detector.pattern, (...args) => {
+    const match = args[0];
+    const offset = args[args.length - 2];
+    if (detector.validate && !detector.validate(match)) return match;
+    if (allowed(text, offset, offset + match.length)) return match;
+
+    count++;
+    return detector.replace ? detector.replace(placeholder, ...args.slice(1, -2)) : placeholder;
+  });
+  return { text: result, count };
+}
+
+// Stage redacting the given categories (all by default)
+function createPiiRedactor({ categories = PII_CATEGORIES, directions } = {}) {
+  const enabled = PII_CATEGORIES.filter(category => categories.includes(category));
+
+  return {
+    name: 'pii',
+    directions,
+    inspect(text, { allowed }) {
+      let content = text;
+      const interventions = [];
+
+      enabled.forEach(category => {
+        const placeholder = `[REDACTED_${category.toUpperCase()}]`;
+        let count = 0;
+        DETECTORS[category].forEach(detector => {
+          const result = redactMatches(content, detector, placeholder, allowed);
+          content = result.text;
+          count += result.count;
+        });
+        if (count > 0) {
+          interventions.push({ category, action: 'redacted', count });
+        }
+      });
+
+      return { text: content, interventions };
+    }
+  };
+}
+
+module.exports = {
+  createPiiRedactor,
+  passesLuhn,
+  PII_CATEGORIES
+};
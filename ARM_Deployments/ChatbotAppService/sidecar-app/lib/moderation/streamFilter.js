@@ -0,0 +1,80 @@
+// Output moderation for replies that are streamed token by token. The pipeline runs
+// over the whole reply so far, and only moderated text is released: everything up to
+// the last whitespace at least `holdBack` characters before the end. The held-back
+// tail may still turn out to be part of a card number, phone number, secret or
+// blocklisted phrase, so it waits for the text that follows it.
+//
+// Nothing more is released once the reply is blocked, or when a later match reaches
+// back into text already released; the caller then shows the final moderated reply.
+// A stage that throws stops the stream too, and drain() rejects with its error.
+
+const HOLD_BACK_CHARS = 64;
+
+class ModeratedStream {
+  constructor(pipeline, context = {}, { holdBack = HOLD_BACK_CHARS } = {}) {
+    this.pipeline = pipeline;
+    this.context = { ...context, direction: 'output' };
+    this.holdBack = holdBack;
+    this.raw = '';
+    this.released = '';
+    this.stopped = false;
+    this.error = null;
+    this.pending = Promise.resolve('');
+  }
+
+  // Add a delta; resolves, in order, to the newly releasable text ('' for none).
+  // Never rejects: a failing stage is kept for drain().
+  push(delta) {
+    this.raw += delta;
+    // The release point only moves past a new word break
+    if (this.stopped || !/\s/.test(delta)) {
+      return this.pending.then(() => '');
+    }
+    this.pending = this.pending.then(() => this.release()).catch((error) => {
+      this.stopped = true;
+      this.error = this.error || error;
+      return '';
+    });
+    return this.pending;
+  }
+
+  // Resolves once every pushed delta has been screened; rejects if a stage failed
+  drain() {
+    return this.pending.then(() => {
+      if (this.error) throw this.error;
+    });
+  }
+
+  async release() {
+    if (this.stopped) return '';
+
+    const result = await this.pipeline.run(this.raw, this.context);
+    if (result.blocked) {
+      this.stopped = true;
+      return '';
+    }
+
+    const limit = result.text.length - this.holdBack;
+    let cut = -1;
+    const breaks = /\s/g;
+    let match;
+    while ((match = breaks.exec(result.text)) && match.index <= limit) {
+      cut = match.index;
+    }
+    if (cut <= this.released.length) return '';
+
+    const safe = result.text.slice(0, cut);
+    if (!safe.startsWith(this.released)) {
+      this.stopped = true;
+      return '';
+    }
+    const fresh = safe.slice(this.released.length);
+    this.released = safe;
+    return fresh;
+  }
+}
+
+module.exports = {
+  ModeratedStream,
+  HOLD_BACK_CHARS
+};
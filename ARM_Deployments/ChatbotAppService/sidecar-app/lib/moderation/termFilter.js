@@ -0,0 +1,75 @@
+// Blocklist / allowlist terms. A term is either a plain phrase, matched
+// case-insensitively on word boundaries, or a regular expression written
+// as /pattern/flags.
+
+const REGEX_TERM = /^\/(.+)\/([a-z]*)$/s;
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Compile one term to { label, pattern }; throws on an invalid regular expression
+function parseTerm(term) {
+  const label = term.trim();
+  const regex = label.match(REGEX_TERM);
+  if (regex) {
+    const flags = regex[2].includes('g') ? regex[2] : `${regex[2]}g`;
+    return { label, pattern: new RegExp(regex[1], flags) };
+  }
+
+  const phrase = escapeRegExp(label).replace(/\s+/g, '\\s+');
+  return { label, pattern: new RegExp(`(?<![\\p{L}\\p{N}_])${phrase}(?![\\p{L}\\p{N}_])`, 'giu') };
+}
+
+function parseTerms(terms) {
+  return terms.filter(term => term.trim()).map(parseTerm);
+}
+
+// Spans of `text` matched by any of the terms
+function findSpans(text, terms) {
+  const spans = [];
+  terms.forEach(({ pattern }) => {
+    for (const match of text.matchAll(pattern)) {
+      if (match[0]) {
+        spans.push({ start: match.index, end: match.index + match[0].length });
+      }
+    }
+  });
+  return spans;
+}
+
+// Stage blocking content that contains a blocklisted term outside the allowlist
+function createTermFilter({ name = 'blocklist', terms, directions }) {
+  return {
+    name,
+    directions,
+    inspect(text, { allowed }) {
+      let count = 0;
+      const matched = new Set();
+
+      terms.forEach(({ label, pattern }) => {
+        for (const match of text.matchAll(pattern)) {
+          if (match[0] && !allowed(text, match.index, match.index + match[0].length)) {
+            count++;
+            matched.add(label);
+          }
+        }
+      });
+
+      if (count === 0) {
+        return { interventions: [] };
+      }
+      return {
+        blocked: true,
+        interventions: [{ category: name, action: 'blocked', count, terms: [...matched] }]
+      };
+    }
+  };
+}
+
+module.exports = {
+  createTermFilter,
+  parseTerm,
+  parseTerms,
+  findSpans
+};
@@ -0,0 +1,168 @@
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { readJsonFile, JsonFileWriter } = require('./jsonFile');
+
+// Named system prompt templates. Templates may contain {{variable}} placeholders
+// that are filled in when a chat session is created from the preset.
+
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+const BUILT_IN_PRESETS = [
+  {
+    id: 'assistant',
+    name: 'General assistant',
+    description: 'Friendly general-purpose assistant',
+    template: 'You are a helpful assistant.'
+  },
+  {
+    id: 'support-bot',
+    name: 'Support bot',
+    description: 'Customer support agent for a named product',
+    template: 'You are a patient customer support agent for {{product}}. Answer questions clearly, ask for details when a problem is unclear, and never invent features that {{product}} does not have.'
+  },
+  {
+    id: 'sql-helper',
+    name: 'SQL helper',
+    description: 'Writes and explains SQL for a chosen dialect',
+    template: 'You are an expert SQL developer working with {{dialect}}. Write correct, readable queries, explain what they do in one or two sentences, and point out performance pitfalls.'
+  },
+  {
+    id: 'summarizer',
+    name: 'Summarizer',
+    description: 'Condenses text into short summaries',
+    template: 'You summarize text. Reply with a summary of at most {{maxSentences}} sentences followed by a bulleted list of key points. Do not add information that is not in the text.'
+  }
+];
+
+class TemplateError extends Error {
+  constructor(message, missing = []) {
+    super(message);
+    this.name = 'TemplateError';
+    this.missing = missing;
+  }
+}
+
+// Names of the {{variables}} used in a template, in order of first appearance
+function templateVariables(template) {
+  const names = [];
+  for (const match of template.matchAll(VARIABLE_PATTERN)) {
+    if (!names.includes(match[1])) {
+      names.push(match[1]);
+    }
+  }
+  return names;
+}
+
+// Fill in every placeholder in one pass, so values that look like placeholders stay as
+// they are. Only the object's own properties count as variables.
+function renderTemplate(template, variables) {
+  const value = name => (variables && typeof variables === 'object' && Object.hasOwn(variables, name) ? variables[name] : undefined);
+  const missing = templateVariables(template).filter(name =>
+    value(name) === undefined || value(name) === null || String(value(name)).trim() === '');
+
+  if (missing.length > 0) {
+    throw new TemplateError(`Missing template variables: ${missing.join(', ')}`, missing);
+  }
+
+  return template.replace(VARIABLE_PATTERN, (placeholder, name) => String(value(name)).trim());
+}
+
+// In-memory preset registry seeded with the built-in presets. When `file` is
+// given, custom presets are loaded from and saved to that JSON file. If the file
+// cannot be read every call fails, and the file is left alone for an operator to fix.
+class PresetStore {
+  constructor({ file, logger = console } = {}) {
+    this.file = file ? path.resolve(file) : null;
+    this.presets = new Map();
+    BUILT_IN_PRESETS.forEach(preset => this.presets.set(preset.id, this.decorate({ ...preset, builtIn: true })));
+    this.writer = this.file && new JsonFileWriter(
+      this.file,
+      () => Array.from(this.presets.values()).filter(preset => !preset.builtIn),
+      { space: 2 }
+    );
+    this.ready = this.load();
+    this.ready.catch(error => logger.error(error.message));
+  }
+
+  decorate(preset) {
+    return { ...preset, variables: templateVariables(preset.template) };
+  }
+
+  async load() {
+    if (!this.file) return;
+
+    try {
+      const saved = await readJsonFile(this.file);
+      (saved || []).forEach(preset => this.presets.set(preset.id, this.decorate(preset)));
+    } catch (error) {
+      throw new Error(`Failed to load presets from ${this.file}: ${error.message}`);
+    }
+  }
+
+  async save() {
+    if (this.writer) {
+      await this.writer.save();
+    }
+  }
+
+  async list() {
+    await this.ready;
+    return Array.from(this.presets.values());
+  }
+
+  async get(id) {
+    await this.ready;
+    return this.presets.get(id) || null;
+  }
+
+  async create({ name, description = '', template }) {
+    await this.ready;
+    const now = new Date().toISOString();
+    const preset = this.decorate({
+      id: uuidv4(),
+      name,
+      description,
+      template,
+      builtIn: false,
+      createdAt: now,
+      updatedAt: now
+    });
+    this.presets.set(preset.id, preset);
+    await this.save();
+    return preset;
+  }
+
+  async update(id, changes) {
+    await this.ready;
+    const existing = this.presets.get(id);
+    if (!existing) return null;
+
+    const preset = this.decorate({
+      ...existing,
+      ...changes,
+      id,
+      builtIn: false,
+      updatedAt: new Date().toISOString()
+    });
+    this.presets.set(id, preset);
+    await this.save();
+    return preset;
+  }
+
+  async delete(id) {
+    await this.ready;
+    const deleted = this.presets.delete(id);
+    if (deleted) {
+      await this.save();
+    }
+    return deleted;
+  }
+}
+
+module.exports = {
+  PresetStore,
+  TemplateError,
+  renderTemplate,
+  templateVariables,
+  BUILT_IN_PRESETS
+};
@@ -0,0 +1,127 @@
+// Sliding-window rate limiting for the API.
+//
+// Each limiter keeps a log of request timestamps per key (client IP, session id, ...)
+// and allows at most `max` requests in any rolling `windowMs`. Limits are kept in
+// process memory, so with several instances each one enforces its own budget.
+
+class SlidingWindowLimiter {
+  constructor({ windowMs, max }) {
+    this.windowMs = windowMs;
+    this.max = max;
+    this.hits = new Map();
+
+    // Drop idle keys so the map does not grow without bound
+    this.cleanupTimer = setInterval(() => this.prune(), Math.min(windowMs, 60000));
+    this.cleanupTimer.unref();
+  }
+
+  recent(key, now) {
+    const timestamps = (this.hits.get(key) || []).filter(time => now - time < this.windowMs);
+    if (timestamps.length > 0) {
+      this.hits.set(key, timestamps);
+    } else {
+      this.hits.delete(key);
+    }
+    return timestamps;
+  }
+
+  // Inspect a key without recording a request
+  check(key, now = Date.now()) {
+    const timestamps = this.recent(key, now);
+    const allowed = timestamps.length < this.max;
+    // When full, the next slot frees up once the oldest request leaves the window
+    const resetMs = timestamps.length > 0 ? this.windowMs - (now - timestamps[0]) : 0;
+
+    return {
+      allowed,
+      limit: this.max,
+      remaining: Math.max(0, this.max - timestamps.length - (allowed ? 1 : 0)),
+      resetMs: allowed ? resetMs || this.windowMs : resetMs
+    };
+  }
+
+  record(key, now = Date.now()) {
+    const timestamps = this.recent(key, now);
+    timestamps.push(now);
+    this.hits.set(key, timestamps);
+  }
+
+  prune(now = Date.now()) {
+    for (const key of this.hits.keys()) {
+      this.recent(key, now);
+    }
+  }
+
+  reset() {
+    this.hits.clear();
+  }
+}
+
+// Azure front ends forward client addresses as "ip:port"; rate limit on the address only
+function clientIp(req) {
+  const ip = req.ip || req.socket?.remoteAddress || 'unknown';
+  const ipv4WithPort = /^(\d{1,3}(?:\.\d{1,3}){3}):\d+$/.exec(ip);
+  return ipv4WithPort ? ipv4WithPort[1] : ip;
+}
+
+function setRateLimitHeaders(res, name, result, windowMs) {
+  res.set({
+    'RateLimit-Policy': `${result.limit};w=${Math.ceil(windowMs / 1000)};name="${name}"`,
+    'RateLimit-Limit': String(result.limit),
+    'RateLimit-Remaining': String(result.remaining),
+    'RateLimit-Reset': String(Math.ceil(result.resetMs / 1000))
+  });
+}
+
+// Express middleware enforcing one budget across several keys, e.g.
+// per client IP and per chat session. A request is only counted when every
+// key still has room, so a rejected request never uses up budget.
+//
+//   rateLimit({ name: 'model', windowMs, max, keys: req => [`ip:${clientIp(req)}`] })
+function rateLimit({ name, windowMs, max, keys, enabled = true, message }) {
+  const limiter = new SlidingWindowLimiter({ windowMs, max });
+
+  const middleware = (req, res, next) => {
+    if (!enabled) return next();
+
+    const now = Date.now();
+    const requestKeys = keys(req).filter(Boolean);
+    const results = requestKeys.map(key => limiter.check(key, now));
+
+    // Report the tightest budget
+    const tightest = results.reduce((worst, result) => {
+      if (!worst) return result;
+      if (!result.allowed && worst.allowed) return result;
+      if (result.allowed === worst.allowed && result.remaining < worst.remaining) return result;
+      return worst;
+    }, null);
+
+    if (tightest) {
+      setRateLimitHeaders(res, name, tightest, windowMs);
+    }
+
+    if (tightest && !tightest.allowed) {
+      const retryAfter = Math.max(1, Math.ceil(tightest.resetMs / 1000));
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: message || 'Rate limit exceeded. Please slow down and try again shortly.',
+        limit: name,
+        retryAfter,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    requestKeys.forEach(key => limiter.record(key, now));
+    next();
+  };
+
+  middleware.limiter = limiter;
+  return middleware;
+}
+
+module.exports = {
+  SlidingWindowLimiter,
+  rateLimit,
+  clientIp
+};
@@ -0,0 +1,385 @@
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { WebSocketServer } = require('ws');
+
+// WebSocket channel for the chat UI, on the same HTTP server as the REST API.
+// Every message is a JSON object with a `type`.
+//
+// Client -> server:
+//   subscribe { sessionId }, unsubscribe { sessionId }
+//   send { requestId, sessionId, message, model?, cache? } - like POST .../messages
+//   ping
+// Server -> client:
+//   ready { clientId, user }, subscribed / unsubscribed { sessionId }
+//   reply { requestId, status, headers, body? } - the HTTP answer to a send; without a
+//     body it is followed by event { requestId, event, data } for each event of the
+//     streamed reply (queued, start, token, tool, done, title, error) and end { requestId }
+//   session { change: updated | deleted, sessionId, session? } - to every client of the
+//     session's owner; the session itself only goes to its subscribers
+//   health { ... } and other broadcasts, pong, error { error, requestId? }
+//
+// Sends run the same Express handlers as the REST route, with the request and response
+// objects below standing in for Express's.
+
+const MAX_PAYLOAD_BYTES = 10 * 1024 * 1024;
+const HEARTBEAT_MS = 30000;
+
+// Headers of the upgrade request passed on to handlers (authentication, tracing)
+const FORWARDED_HEADERS = [
+  'cookie', 'authorization', 'x-api-key', 'x-ms-client-principal', 'x-ms-client-principal-id',
+  'x-ms-client-principal-name', 'traceparent', 'tracestate', 'user-agent'
+];
+
+// Just enough of Express's response for the chat routes: a JSON answer becomes one
+// `reply` message, and an event stream (see lib/sse) a `reply` followed by `event`s.
+// `close` is emitted without the response ending when the socket goes away.
+class SocketResponse extends EventEmitter {
+  constructor(send, requestId) {
+    super();
+    this.send = send;
+    this.requestId = requestId;
+    this.statusCode = 200;
+    this.headers = {};
+    this.locals = {};
+    this.headersSent = false;
+    this.writableEnded = false;
+    this.streaming = false;
+  }
+
+  status(code) {
+    this.statusCode = code;
+    return this;
+  }
+
+  set(field, value) {
+    if (typeof field === 'object') {
+      Object.entries(field).forEach(([name, fieldValue]) => this.setHeader(name, fieldValue));
+    } else {
+      this.setHeader(field, value);
+    }
+    return this;
+  }
+
+  setHeader(name, value) {
+    this.headers[name.toLowerCase()] = String(value);
+  }
+
+  get(name) {
+    return this.headers[name.toLowerCase()];
+  }
+
+  getHeader(name) {
+    return this.get(name);
+  }
+
+  // Start an event stream
+  flushHeaders() {
+    if (this.headersSent) return;
+    this.headersSent = true;
+    this.streaming = true;
+    this.send({ type: 'reply', requestId: this.requestId, status: this.statusCode, headers: this.headers });
+  }
+
+  sendEvent(event, data) {
+    this.flushHeaders();
+    this.send({ type: 'event', requestId: this.requestId, event, data });
+  }
+
+  json(body) {
+    if (this.writableEnded) return this;
+    this.headersSent = true;
+    this.send({ type: 'reply', requestId: this.requestId, status: this.statusCode, headers: this.headers, body });
+    return this.end();
+  }
+
+  end() {
+    if (this.writableEnded) return this;
+    this.writableEnded = true;
+    if (this.streaming) {
+      this.send({ type: 'end', requestId: this.requestId });
+    }
+    this.emit('finish');
+    this.emit('close');
+    return this;
+  }
+
+  // The client went away before the answer was complete
+  abort() {
+    if (!this.writableEnded) {
+      this.emit('close');
+    }
+  }
+}
+
+// Request standing in for Express's, for handlers that read params, body, headers and the user
+function socketRequest({ method = 'POST', path, params = {}, body = {}, headers = {}, user, ip }) {
+  const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return {
+    method,
+    path,
+    url: path,
+    originalUrl: path,
+    baseUrl: '',
+    params,
+    query: {},
+    body,
+    headers: lowered,
+    user,
+    ip,
+    socket: { remoteAddress: ip },
+    get: (name) => lowered[name.toLowerCase()],
+    header: (name) => lowered[name.toLowerCase()],
+    // Socket clients always take an event stream when one is on offer
+    accepts: (types) => {
+      const list = Array.isArray(types) ? types : [types];
+      return list.includes('text/event-stream') ? 'text/event-stream' : list[0];
+    }
+  };
+}
+
+// Run Express-style handlers in order, as a router would; errors passed to next()
+// go to onError and answer 500
+function runHandlers(handlers, req, res, onError = () => {}) {
+  return new Promise((resolve) => {
+    let index = 0;
+    res.once('close', resolve);
+
+    const next = (error) => {
+      if (error) {
+        onError(error);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Internal server error', message: error.message });
+        } else {
+          res.end();
+        }
+        return;
+      }
+      const handler = handlers[index++];
+      if (!handler) {
+        resolve();
+        return;
+      }
+      try {
+        handler(req, res, next);
+      } catch (handlerError) {
+        next(handlerError);
+      }
+    };
+    next();
+  });
+}
+
+// Upgrade requests come from the page's own origin, or one listed in `allowedOrigins`.
+// Clients without an Origin header are not browsers and so cannot be tricked into connecting.
+function originAllowed(req, allowedOrigins) {
+  const origin = req.headers.origin;
+  if (!origin) return true;
+  try {
+    if (new URL(origin).host === req.headers.host) return true;
+  } catch (error) {
+    return false;
+  }
+  return Array.isArray(allowedOrigins) && allowedOrigins.includes(origin);
+}
+
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+// Emits `connection` (client) once a client is ready and `disconnect` (client) when it leaves
+class RealtimeHub extends EventEmitter {
+  constructor({
+    server,
+    path = '/ws',
+    authenticate,
+    canAccessSession,
+    canSeeSessionsOf,
+    sendHandlers,
+    clientIp = (req) => req.socket.remoteAddress,
+    allowedOrigins = [],
+    heartbeatMs = HEARTBEAT_MS,
+    logger = console
+  }) {
+    super();
+    this.path = path;
+    this.authenticate = authenticate;
+    this.canAccessSession = canAccessSession;
+    this.canSeeSessionsOf = canSeeSessionsOf;
+    this.sendHandlers = sendHandlers;
+    this.logger = logger;
+    this.clients = new Set();
+    this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_PAYLOAD_BYTES });
+
+    this.onUpgrade = (req, socket, head) => {
+      if (new URL(req.url, 'http://localhost').pathname !== this.path) return;
+      if (!originAllowed(req, allowedOrigins)) {
+        return rejectUpgrade(socket, 403, 'Forbidden');
+      }
+      const user = this.authenticate(req);
+      if (!user) {
+        return rejectUpgrade(socket, 401, 'Unauthorized');
+      }
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.connect(ws, req, user, clientIp(req)));
+    };
+    server.on('upgrade', this.onUpgrade);
+    this.server = server;
+
+    // Drop connections that stop answering pings
+    this.heartbeat = setInterval(() => {
+      this.clients.forEach((client) => {
+        if (!client.alive) {
+          client.ws.terminate();
+          return;
+        }
+        client.alive = false;
+        client.ws.ping();
+      });
+    }, heartbeatMs);
+    this.heartbeat.unref();
+  }
+
+  get size() {
+    return this.clients.size;
+  }
+
+  connect(ws, req, user, ip) {
+    const headers = {};
+    FORWARDED_HEADERS.forEach((name) => {
+      if (req.headers[name]) headers[name] = req.headers[name];
+    });
+    const client = {
+      id: uuidv4(),
+      ws,
+      user,
+      ip,
+      headers,
+      alive: true,
+      subscriptions: new Set(),
+      requests: new Map()
+    };
+    this.clients.add(client);
+
+    ws.on('pong', () => {
+      client.alive = true;
+    });
+    ws.on('message', (data) => {
+      this.receive(client, data).catch((error) => {
+        this.logger.error('WebSocket message failed:', error.message);
+      });
+    });
+    ws.on('close', () => {
+      this.clients.delete(client);
+      client.requests.forEach(res => res.abort());
+      this.emit('disconnect', client);
+    });
+    ws.on('error', (error) => {
+      this.logger.warn('WebSocket error:', error.message);
+    });
+
+    this.send(client, { type: 'ready', clientId: client.id, user: { id: user.id, name: user.name } });
+    this.emit('connection', client);
+  }
+
+  send(client, message) {
+    if (client.ws.readyState === client.ws.OPEN) {
+      client.ws.send(JSON.stringify(message));
+    }
+  }
+
+  // Send `message` to every client, or those for which filter(client) is true
+  broadcast(message, filter = () => true) {
+    this.clients.forEach((client) => {
+      if (filter(client)) this.send(client, message);
+    });
+  }
+
+  async receive(client, data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      return this.send(client, { type: 'error', error: 'Messages must be JSON' });
+    }
+    if (!message || typeof message !== 'object') {
+      return this.send(client, { type: 'error', error: 'Messages must be JSON objects' });
+    }
+
+    switch (message.type) {
+      case 'ping':
+        return this.send(client, { type: 'pong' });
+      case 'subscribe':
+        return this.subscribe(client, message.sessionId);
+      case 'unsubscribe':
+        client.subscriptions.delete(message.sessionId);
+        return this.send(client, { type: 'unsubscribed', sessionId: message.sessionId });
+      case 'send':
+        return this.sendMessage(client, message);
+      default:
+        return this.send(client, { type: 'error', error: `Unknown message type "${message.type}"` });
+    }
+  }
+
+  async subscribe(client, sessionId) {
+    if (typeof sessionId !== 'string' || !(await this.canAccessSession(client.user, sessionId))) {
+      return this.send(client, { type: 'error', error: 'Chat session not found', sessionId });
+    }
+    client.subscriptions.add(sessionId);
+    this.send(client, { type: 'subscribed', sessionId });
+  }
+
+  // Run a `send` through the message route's handlers
+  async sendMessage(client, { requestId, sessionId, message, model, cache }) {
+    if (typeof requestId !== 'string' || !requestId || client.requests.has(requestId)) {
+      return this.send(client, { type: 'error', error: 'send needs a unique requestId', requestId });
+    }
+    if (typeof sessionId !== 'string' || !/^[A-Za-z0-9-]+$/.test(sessionId)) {
+      return this.send(client, { type: 'error', error: 'send needs a sessionId', requestId });
+    }
+
+    const path = `/api/chat/sessions/${sessionId}/messages`;
+    const req = socketRequest({
+      path,
+      params: { sessionId },
+      body: { message, model, cache },
+      headers: { ...client.headers, accept: 'text/event-stream' },
+      user: client.user,
+      ip: client.ip
+    });
+    const res = new SocketResponse(reply => this.send(client, reply), requestId);
+    client.requests.set(requestId, res);
+    res.once('close', () => client.requests.delete(requestId));
+
+    await runHandlers(this.sendHandlers, req, res, (error) => {
+      this.logger.error('Unhandled error:', error);
+    });
+  }
+
+  // Tell clients about a changed or deleted session: every client allowed to see the
+  // owner's sessions hears of it, and subscribers get the session itself
+  sessionChanged({ change, sessionId, ownerId, session }) {
+    this.clients.forEach((client) => {
+      if (!this.canSeeSessionsOf(client.user, ownerId)) return;
+      this.send(client, {
+        type: 'session',
+        change,
+        sessionId,
+        ...(session && client.subscriptions.has(sessionId) && { session })
+      });
+    });
+  }
+
+  close() {
+    clearInterval(this.heartbeat);
+    this.server.off('upgrade', this.onUpgrade);
+    this.clients.forEach(client => client.ws.close(1001, 'Server shutting down'));
+    this.wss.close();
+  }
+}
+
+module.exports = {
+  RealtimeHub,
+  SocketResponse,
+  socketRequest,
+  runHandlers
+};
@@ -0,0 +1,197 @@
+// Bounded priority queue in front of model generation. A small model on CPU handles
+// about one generation at a time, so at most `concurrency` requests run while up to
+// `maxQueued` wait; once the queue is full, callers are turned away at once.
+//
+// - Higher priority runs first; within a priority users take turns, so one user
+//   sending many messages cannot hold everyone else up
+// - Waiting callers hear their position and an estimated wait whenever it changes,
+//   estimated from a moving average of recent generation times
+// - A caller whose AbortSignal fires (e.g. the client disconnected) leaves the queue
+
+class QueueFullError extends Error {
+  constructor(message, { retryAfterSeconds }) {
+    super(message);
+    this.name = 'QueueFullError';
+    this.reason = 'queue-full';
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+class QueueCancelledError extends Error {
+  constructor({ waitedMs = 0 } = {}) {
+    super('The request left the queue before it started');
+    this.name = 'QueueCancelledError';
+    this.waitedMs = waitedMs;
+  }
+}
+
+class RequestQueue {
+  constructor({ concurrency = 1, maxQueued = 20, initialEstimateMs = 15000 } = {}) {
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.averageMs = initialEstimateMs;
+    this.running = 0;
+    this.runningByUser = new Map();
+    // When each user with running or waiting requests last started one
+    this.lastStarted = new Map();
+    this.starts = 0;
+    // Waiting entries in arrival order; ordered() gives the order they will run in
+    this.waiting = [];
+    this.sequence = 0;
+  }
+
+  stats() {
+    return {
+      running: this.running,
+      waiting: this.waiting.length,
+      concurrency: this.concurrency,
+      maxQueued: this.maxQueued,
+      averageSeconds: Math.round(this.averageMs / 100) / 10
+    };
+  }
+
+  // Wait for a slot. Resolves to { release, position, waitedMs }: release() frees the slot
+  // and must be called once the work is done; position is where the caller joined the
+  // queue (0 when it started straight away). onUpdate({ position, estimatedWaitSeconds })
+  // is called while waiting. Rejects with QueueFullError or QueueCancelledError.
+  acquire({ userId = 'anonymous', priority = 0, signal, onUpdate } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(new QueueCancelledError());
+    }
+    if (this.running < this.concurrency && this.waiting.length === 0) {
+      return Promise.resolve({ release: this.start(userId), position: 0, waitedMs: 0 });
+    }
+    if (this.waiting.length >= this.maxQueued) {
+      return Promise.reject(new QueueFullError('The AI service is busy, please retry shortly', {
+        retryAfterSeconds: this.estimateSeconds(this.waiting.length + 1)
+      }));
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = {
+        sequence: this.sequence++,
+        userId,
+        priority,
+        enqueuedAt: Date.now(),
+        onUpdate,
+        position: null,
+        joinedAt: null,
+        cleanup: () => {}
+      };
+      entry.resolve = (release) => {
+        entry.cleanup();
+        resolve({ release, position: entry.joinedAt, waitedMs: Date.now() - entry.enqueuedAt });
+      };
+
+      if (signal) {
+        const onAbort = () => {
+          this.remove(entry);
+          this.forgetIdle(userId);
+          this.notify();
+          reject(new QueueCancelledError({ waitedMs: Date.now() - entry.enqueuedAt }));
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        entry.cleanup = () => signal.removeEventListener('abort', onAbort);
+      }
+
+      this.waiting.push(entry);
+      this.notify();
+    });
+  }
+
+  // Take a slot for `userId`; the returned function gives it back
+  start(userId) {
+    this.running++;
+    this.runningByUser.set(userId, (this.runningByUser.get(userId) || 0) + 1);
+    this.lastStarted.set(userId, ++this.starts);
+    const startedAt = Date.now();
+    let released = false;
+
+    return () => {
+      if (released) return;
+      released = true;
+
+      this.running--;
+      const count = this.runningByUser.get(userId) - 1;
+      if (count > 0) {
+        this.runningByUser.set(userId, count);
+      } else {
+        this.runningByUser.delete(userId);
+        this.forgetIdle(userId);
+      }
+      this.averageMs = this.averageMs * 0.8 + (Date.now() - startedAt) * 0.2;
+      this.next();
+    };
+  }
+
+  // Start waiting entries while slots are free
+  next() {
+    while (this.running < this.concurrency && this.waiting.length > 0) {
+      const [entry] = this.ordered();
+      this.remove(entry);
+      entry.resolve(this.start(entry.userId));
+    }
+    this.notify();
+  }
+
+  remove(entry) {
+    const index = this.waiting.indexOf(entry);
+    if (index !== -1) {
+      this.waiting.splice(index, 1);
+    }
+  }
+
+  // Users with nothing running or waiting start afresh
+  forgetIdle(userId) {
+    if (!this.runningByUser.has(userId) && !this.waiting.some(entry => entry.userId === userId)) {
+      this.lastStarted.delete(userId);
+    }
+  }
+
+  // Waiting entries in the order they will run: by priority, then by how many
+  // requests their user already has running or ahead of them, then users served
+  // least recently first, then by arrival
+  ordered() {
+    const turns = new Map(this.runningByUser);
+    return this.waiting
+      .map(entry => {
+        const turn = turns.get(entry.userId) || 0;
+        turns.set(entry.userId, turn + 1);
+        return { entry, turn };
+      })
+      .sort((a, b) => b.entry.priority - a.entry.priority
+        || a.turn - b.turn
+        || (this.lastStarted.get(a.entry.userId) || 0) - (this.lastStarted.get(b.entry.userId) || 0)
+        || a.entry.sequence - b.entry.sequence)
+      .map(({ entry }) => entry);
+  }
+
+  estimateSeconds(position) {
+    return Math.max(1, Math.ceil(Math.ceil(position / this.concurrency) * this.averageMs / 1000));
+  }
+
+  // Tell waiting callers whose position changed
+  notify() {
+    this.ordered().forEach((entry, index) => {
+      const position = index + 1;
+      if (entry.position === position) return;
+      entry.position = position;
+      if (entry.joinedAt === null) {
+        entry.joinedAt = position;
+      }
+      if (entry.onUpdate) {
+        try {
+          entry.onUpdate({ position, estimatedWaitSeconds: this.estimateSeconds(position) });
+        } catch (error) {
+          // A failing listener must not stall the queue
+        }
+      }
+    });
+  }
+}
+
+module.exports = {
+  RequestQueue,
+  QueueFullError,
+  QueueCancelledError
+};
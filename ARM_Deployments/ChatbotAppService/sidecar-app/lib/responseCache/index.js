@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const MemoryCacheStore = require('./memoryCache');
+const RedisCacheStore = require('./redisCache');
+
+// Cache of assistant replies for repeated prompts. Entries are keyed on the
+// completion request - model, messages (system prompt, any summary and passages,
+// history) and generation parameters - so a reply is reused only for exactly
+// the conversation it answered.
+//
+// - exact matching needs identical text; normalized matching also treats messages
+//   that differ only in case, whitespace or trailing punctuation as the same
+// - a hit reports which kind of match it was: an entry stores the exact fingerprint
+//   of the request it answered
+//
+// Cache stores share one async interface:
+//   get(key), set(key, entry, ttlMs), purge(filter), size(), close()
+
+const CACHE_STORES = ['memory', 'redis'];
+const CACHE_MATCHES = ['exact', 'normalized'];
+
+function normalizeText(text) {
+  return String(text || '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/[\s.!?]+$/, '');
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+class ResponseCache {
+  constructor({ store, ttlMs = 3600000, match = 'normalized' }) {
+    this.store = store;
+    this.ttlMs = ttlMs;
+    this.match = match;
+  }
+
+  // { key, fingerprint } for a request { model, messages, ...parameters }
+  keysFor({ model, messages, ...parameters }) {
+    const exact = { model, messages: messages.map(({ role, content }) => ({ role, content })), parameters };
+    const fingerprint = hash(exact);
+    if (this.match === 'exact') {
+      return { key: fingerprint, fingerprint };
+    }
+    const normalized = {
+      ...exact,
+      messages: exact.messages.map(({ role, content }) => ({ role, content: normalizeText(content) }))
+    };
+    return { key: hash(normalized), fingerprint };
+  }
+
+  // Cached reply for a request: { content, model, cachedAt, match }, or null
+  async get(request) {
+    const { key, fingerprint } = this.keysFor(request);
+    const entry = await this.store.get(key);
+    if (!entry) return null;
+    return {
+      content: entry.content,
+      model: entry.model,
+      cachedAt: entry.cachedAt,
+      match: entry.fingerprint === fingerprint ? 'exact' : 'normalized'
+    };
+  }
+
+  async set(request, content) {
+    const { key, fingerprint } = this.keysFor(request);
+    await this.store.set(key, {
+      content,
+      model: request.model,
+      fingerprint,
+      cachedAt: new Date().toISOString()
+    }, this.ttlMs);
+  }
+
+  // Drop cached replies, only those of `model` when given; resolves to how many
+  purge({ model } = {}) {
+    return this.store.purge(entry => !model || entry.model === model);
+  }
+
+  size() {
+    return this.store.size();
+  }
+
+  close() {
+    return this.store.close();
+  }
+}
+
+function createResponseCache(options = {}) {
+  const type = (options.store || 'memory').toLowerCase();
+  let store;
+
+  switch (type) {
+    case 'memory':
+      store = new MemoryCacheStore({ maxEntries: options.maxEntries });
+      break;
+    case 'redis':
+      store = new RedisCacheStore({
+        url: options.redisUrl || 'redis://127.0.0.1:6379',
+        prefix: options.redisPrefix,
+        maxEntries: options.maxEntries,
+        logger: options.logger
+      });
+      break;
+    default:
+      throw new Error(`Unknown cache store "${type}". Expected one of: ${CACHE_STORES.join(', ')}`);
+  }
+
+  return new ResponseCache({ store, ttlMs: options.ttlMs, match: options.match });
+}
+
+module.exports = {
+  ResponseCache,
+  createResponseCache,
+  normalizeText,
+  CACHE_STORES,
+  CACHE_MATCHES,
+  MemoryCacheStore,
+  RedisCacheStore
+};
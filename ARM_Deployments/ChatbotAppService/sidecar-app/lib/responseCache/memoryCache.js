@@ -0,0 +1,51 @@
+// In-memory response cache with TTL and LRU eviction. Each instance keeps its
+// own entries, and every restart starts empty.
+
+class MemoryCacheStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    // Map iteration order is insertion order, so the first key is the least recently used
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const item = this.entries.get(key);
+    if (!item) return null;
+    if (item.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, item);
+    return structuredClone(item.entry);
+  }
+
+  async set(key, entry, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { entry: structuredClone(entry), expiresAt: Date.now() + ttlMs });
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Remove the entries matching `filter(entry)` (all when omitted); resolves to how many
+  async purge(filter = () => true) {
+    let purged = 0;
+    for (const [key, item] of this.entries) {
+      if (filter(item.entry)) {
+        this.entries.delete(key);
+        purged++;
+      }
+    }
+    return purged;
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryCacheStore;
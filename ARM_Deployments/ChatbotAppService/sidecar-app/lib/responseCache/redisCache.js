@@ -0,0 +1,96 @@
+const { createClient } = require('redis');
+
+// Redis-backed response cache, shared by every instance. Each entry is a JSON
+// string under `<prefix>cache:<key>` that Redis expires after the TTL, and
+// `<prefix>cache-index` is a sorted set of keys by last use, trimmed to maxEntries.
+
+class RedisCacheStore {
+  constructor({ url, prefix = 'chatbot:', maxEntries = 500, client, logger = console } = {}) {
+    this.prefix = prefix;
+    this.maxEntries = maxEntries;
+    this.client = client || createClient({ url });
+    this.client.on('error', (error) => {
+      logger.error('Redis response cache error:', error.message);
+    });
+    this.connecting = null;
+  }
+
+  async connection() {
+    if (!this.client.isOpen) {
+      this.connecting = this.connecting || this.client.connect().finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  entryKey(key) {
+    return `${this.prefix}cache:${key}`;
+  }
+
+  get indexKey() {
+    return `${this.prefix}cache-index`;
+  }
+
+  async get(key) {
+    const client = await this.connection();
+    const value = await client.get(this.entryKey(key));
+    if (!value) {
+      await client.zRem(this.indexKey, key);
+      return null;
+    }
+    await client.zAdd(this.indexKey, { score: Date.now(), value: key });
+    return JSON.parse(value);
+  }
+
+  async set(key, entry, ttlMs) {
+    const client = await this.connection();
+    await client.multi()
+      .set(this.entryKey(key), JSON.stringify(entry), { PX: ttlMs })
+      .zAdd(this.indexKey, { score: Date.now(), value: key })
+      .exec();
+
+    // Evict the least recently used keys beyond maxEntries
+    const excess = await client.zCard(this.indexKey) - this.maxEntries;
+    if (excess > 0) {
+      const evicted = await client.zRange(this.indexKey, 0, excess - 1);
+      await client.multi()
+        .del(evicted.map(evictedKey => this.entryKey(evictedKey)))
+        .zRem(this.indexKey, evicted)
+        .exec();
+    }
+  }
+
+  // Remove the entries matching `filter(entry)` (all when omitted); resolves to how many
+  async purge(filter = () => true) {
+    const client = await this.connection();
+    const keys = await client.zRange(this.indexKey, 0, -1);
+    if (keys.length === 0) return 0;
+
+    const values = await client.mGet(keys.map(key => this.entryKey(key)));
+    const purged = keys.filter((key, index) => values[index] && filter(JSON.parse(values[index])));
+    const expired = keys.filter((key, index) => !values[index]);
+    const removed = [...purged, ...expired];
+    if (removed.length > 0) {
+      await client.multi()
+        .del(removed.map(key => this.entryKey(key)))
+        .zRem(this.indexKey, removed)
+        .exec();
+    }
+    return purged.length;
+  }
+
+  async size() {
+    const client = await this.connection();
+    return client.zCard(this.indexKey);
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisCacheStore;
@@ -0,0 +1,218 @@
+const { v4: uuidv4 } = require('uuid');
+const { normalizeTags, MAX_TITLE_LENGTH, MAX_TAGS, MAX_TAG_LENGTH } = require('./sessionMetadata');
+
+// Session export (JSON, Markdown, JSONL) and import validation
+
+const EXPORT_FORMAT = 'chatbot-sidecar-session';
+const EXPORT_VERSION = 1;
+const EXPORT_FORMATS = ['json', 'markdown', 'jsonl'];
+
+const IMPORT_ROLES = ['user', 'assistant', 'tool'];
+// Tool calls are part of a session but not of the training conversation
+const TRANSCRIPT_ROLES = ['user', 'assistant'];
+const MAX_IMPORT_MESSAGES = 5000;
+const MAX_IMPORT_MESSAGE_LENGTH = 100000;
+
+// Full-fidelity export wrapped in a versioned envelope
+function toJson(session) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session
+  };
+}
+
+function toMarkdown(session, { defaultSystemPrompt } = {}) {
+  const lines = [`# ${session.title}`, ''];
+
+  const details = [`Created ${session.createdAt}`];
+  if (session.model) details.push(`model ${session.model}`);
+  lines.push(`_${details.join(' · ')}_`, '');
+
+  const systemPrompt = session.systemPrompt || defaultSystemPrompt;
+  if (systemPrompt) {
+    lines.push(`> **System prompt:** ${systemPrompt.replace(/\n/g, '\n> ')}`, '');
+  }
+
+  session.messages.forEach(message => {
+    if (message.role === 'tool') {
+      const status = message.failed ? ' (failed)' : '';
+      lines.push(`## Tool: ${message.name}${status}`, '', '```json', message.arguments || '{}', '```', '', '```', message.content, '```', '');
+      return;
+    }
+
+    const speaker = message.role === 'user' ? 'User' : 'Assistant';
+    const meta = [message.timestamp, message.model, message.error ? 'error' : null].filter(Boolean).join(' · ');
+    lines.push(`## ${speaker}`, '', `<sub>${meta}</sub>`, '', message.content, '');
+  });
+
+  return lines.join('\n');
+}
+
+// OpenAI-style `{"messages": [...]}` records, one JSON object per line.
+// per = 'conversation' writes one record per session; per = 'turn' writes one
+// record per assistant reply containing the conversation up to that reply.
+// Failed replies and the user turns that produced them are skipped, as are tool calls.
+function toJsonl(session, { defaultSystemPrompt, per = 'conversation' } = {}) {
+  const system = session.systemPrompt || defaultSystemPrompt;
+  const conversation = [];
+  const records = [];
+
+  transcript(session.messages).forEach(message => {
+    conversation.push({ role: message.role, content: message.content });
+    if (per === 'turn' && message.role === 'assistant') {
+      records.push([...conversation]);
+    }
+  });
+
+  if (per !== 'turn' && conversation.some(message => message.role === 'assistant')) {
+    records.push(conversation);
+  }
+
+  return records
+    .map(messages => JSON.stringify({
+      messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+    }))
+    .join('\n') + (records.length > 0 ? '\n' : '');
+}
+
+// The user and assistant turns of a conversation, without failed replies, the user
+// turns that produced them, or tool calls
+function transcript(messages) {
+  return messages.filter((message, index) => {
+    if (message.error) return false;
+    if (!TRANSCRIPT_ROLES.includes(message.role)) return false;
+    return !(message.role === 'user' && replyTo(messages, index)?.error);
+  });
+}
+
+// The assistant reply to the user message at `index`, past any tool calls
+function replyTo(messages, index) {
+  return messages.slice(index + 1).find(message => message.role !== 'tool');
+}
+
+// `value` if it is a date string, else null
+function dateOrNull(value) {
+  return typeof value === 'string' && !Number.isNaN(Date.parse(value)) ? value : null;
+}
+
+// Imported copy of a message. Only what a conversation is made of is kept: whatever the
+// server records about a message - ratings, moderation, cache hits, token counts -
+// cannot be vouched for by an import. Earlier versions are copied the same way.
+function importedMessage(message) {
+  const copy = { role: message.role, content: message.content };
+  const timestamp = dateOrNull(message.timestamp);
+  if (timestamp) copy.timestamp = timestamp;
+  // Tool calls keep what they are shown with
+  if (message.role === 'tool') {
+    for (const field of ['name', 'arguments']) {
+      if (typeof message[field] === 'string') copy[field] = message[field];
+    }
+  }
+  return copy;
+}
+
+// Validate an import body - either a JSON export envelope or a bare session
+// object - and return { session } with fresh ids, or { errors }.
+function parseImport(body, { ownerId, maxSystemPromptLength }) {
+  const errors = [];
+
+  if (!body || typeof body !== 'object') {
+    return { errors: ['Body must be a JSON object'] };
+  }
+
+  if (body.format !== undefined && body.format !== EXPORT_FORMAT) {
+    errors.push(`format must be "${EXPORT_FORMAT}"`);
+  }
+  if (body.version !== undefined && body.version > EXPORT_VERSION) {
+    errors.push(`version ${body.version} is newer than supported version ${EXPORT_VERSION}`);
+  }
+
+  const source = body.session || body;
+
+  if (source.title !== undefined && (typeof source.title !== 'string' || source.title.length > MAX_TITLE_LENGTH)) {
+    errors.push(`session.title must be a string of at most ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (source.systemPrompt !== undefined && source.systemPrompt !== null &&
+      (typeof source.systemPrompt !== 'string' || source.systemPrompt.length > maxSystemPromptLength)) {
+    errors.push(`session.systemPrompt must be a string of at most ${maxSystemPromptLength} characters`);
+  }
+  if (source.model !== undefined && source.model !== null && typeof source.model !== 'string') {
+    errors.push('session.model must be a string');
+  }
+  if (source.tags !== undefined && !normalizeTags(source.tags)) {
+    errors.push(`session.tags must be an array of at most ${MAX_TAGS} strings of up to ${MAX_TAG_LENGTH} characters`);
+  }
+
+  if (!Array.isArray(source.messages)) {
+    errors.push('session.messages must be an array');
+  } else {
+    if (source.messages.length > MAX_IMPORT_MESSAGES) {
+      errors.push(`session.messages may hold at most ${MAX_IMPORT_MESSAGES} messages`);
+    }
+    source.messages.slice(0, MAX_IMPORT_MESSAGES).forEach((message, index) => {
+      if (!message || typeof message !== 'object') {
+        errors.push(`session.messages[${index}] must be an object`);
+        return;
+      }
+      if (!IMPORT_ROLES.includes(message.role)) {
+        errors.push(`session.messages[${index}].role must be one of ${IMPORT_ROLES.join(', ')}`);
+      }
+      if (typeof message.content !== 'string' || message.content.length > MAX_IMPORT_MESSAGE_LENGTH) {
+        errors.push(`session.messages[${index}].content must be a string of at most ${MAX_IMPORT_MESSAGE_LENGTH} characters`);
+      }
+      if (message.timestamp !== undefined && !dateOrNull(message.timestamp)) {
+        errors.push(`session.messages[${index}].timestamp must be an ISO date`);
+      }
+      if (message.alternates !== undefined && !(Array.isArray(message.alternates)
+        && message.alternates.every(version => version && typeof version === 'object' && typeof version.content === 'string'))) {
+        errors.push(`session.messages[${index}].alternates must be an array of earlier versions`);
+      }
+    });
+  }
+
+  if (errors.length > 0) {
+    return { errors };
+  }
+
+  const now = new Date().toISOString();
+  const session = {
+    id: uuidv4(),
+    createdAt: now,
+    messages: source.messages.map(message => ({
+      id: uuidv4(),
+      timestamp: now,
+      ...importedMessage(message),
+      ...(message.alternates && {
+        alternates: message.alternates.map(version => importedMessage({ ...version, role: message.role }))
+      })
+    })),
+    title: source.title || 'Imported Chat Session',
+    ownerId,
+    model: source.model || null,
+    systemPrompt: source.systemPrompt || null,
+    presetId: null,
+    pinned: source.pinned === true,
+    archived: source.archived === true,
+    tags: source.tags === undefined ? [] : normalizeTags(source.tags),
+    autoTitle: false,
+    importedFrom: {
+      sessionId: typeof source.id === 'string' ? source.id : null,
+      createdAt: dateOrNull(source.createdAt),
+      exportedAt: dateOrNull(body.exportedAt),
+      importedAt: now
+    }
+  };
+
+  return { session };
+}
+
+module.exports = {
+  toJson,
+  toMarkdown,
+  toJsonl,
+  transcript,
+  parseImport,
+  EXPORT_FORMATS
+};
@@ -0,0 +1,56 @@
+// Session metadata - title, pinned, archived and tags - as set by PATCH and by imports
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+
+// Trimmed, lower-cased tags without blanks or duplicates, or null unless `tags` is an
+// array of strings that stays within the limits
+function normalizeTags(tags) {
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) return null;
+
+  const normalized = [...new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS || normalized.some(tag => tag.length > MAX_TAG_LENGTH)) return null;
+  return normalized;
+}
+
+// Validate the metadata fields of a session PATCH body (title, pinned, archived, tags).
+// Returns { updates } holding only the fields present, or { error }.
+function parseSessionMetadata(body) {
+  const updates = {};
+
+  if ('title' in body) {
+    const title = typeof body.title === 'string' ? body.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return { error: `Title must be a non-empty string of at most ${MAX_TITLE_LENGTH} characters` };
+    }
+    updates.title = title;
+  }
+
+  for (const flag of ['pinned', 'archived']) {
+    if (flag in body) {
+      if (typeof body[flag] !== 'boolean') {
+        return { error: `${flag} must be true or false` };
+      }
+      updates[flag] = body[flag];
+    }
+  }
+
+  if ('tags' in body) {
+    const tags = normalizeTags(body.tags);
+    if (!tags) {
+      return { error: `Tags must be an array of at most ${MAX_TAGS} strings of up to ${MAX_TAG_LENGTH} characters` };
+    }
+    updates.tags = tags;
+  }
+
+  return { updates };
+}
+
+module.exports = {
+  normalizeTags,
+  parseSessionMetadata,
+  MAX_TITLE_LENGTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH
+};
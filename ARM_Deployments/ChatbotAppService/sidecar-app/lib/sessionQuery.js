@@ -0,0 +1,201 @@
+// Session list queries: filtering, full-text search and cursor pagination
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_QUERY_LENGTH = 200;
+const MAX_MATCHES_PER_SESSION = 3;
+const SNIPPET_RADIUS = 60;
+const ARCHIVED_MODES = ['exclude', 'include', 'only'];
+
+class QueryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QueryError';
+  }
+}
+
+// Cursors are opaque to clients: the sort key of the last session on a page
+function encodeCursor(session) {
+  return Buffer.from(JSON.stringify([Boolean(session.pinned), session.createdAt, session.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [pinned, createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof pinned === 'boolean' && typeof createdAt === 'string' && typeof id === 'string') {
+      return { pinned, createdAt, id };
+    }
+  } catch (error) {
+    // fall through
+  }
+  throw new QueryError('Invalid cursor');
+}
+
+// Pinned first, then newest first, with the id as a tie-breaker so pages never overlap
+function compareSessions(a, b) {
+  const byPinned = Number(Boolean(b.pinned)) - Number(Boolean(a.pinned));
+  if (byPinned !== 0) return byPinned;
+
+  const byDate = new Date(b.createdAt) - new Date(a.createdAt);
+  if (byDate !== 0) return byDate;
+  return a.id < b.id ? 1 : a.id > b.id ? -1 : 0;
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new QueryError(`${name} must be an ISO date`);
+  }
+  return time;
+}
+
+// Validate raw query-string parameters into query options
+function parseQuery(query) {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw new QueryError(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q.length > MAX_QUERY_LENGTH) {
+    throw new QueryError(`q must be at most ${MAX_QUERY_LENGTH} characters`);
+  }
+
+  const archived = query.archived || 'exclude';
+  if (!ARCHIVED_MODES.includes(archived)) {
+    throw new QueryError(`archived must be one of: ${ARCHIVED_MODES.join(', ')}`);
+  }
+
+  return {
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor) : null,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    model: query.model || null,
+    tag: typeof query.tag === 'string' && query.tag ? query.tag.toLowerCase() : null,
+    archived,
+    terms: [...new Set(q.toLowerCase().split(/\s+/).filter(Boolean))]
+  };
+}
+
+// Character ranges of every term occurrence in text, merged and in order
+function findHighlights(text, terms) {
+  const lower = text.toLowerCase();
+  const ranges = [];
+
+  terms.forEach(term => {
+    let index = lower.indexOf(term);
+    while (index !== -1) {
+      ranges.push({ start: index, end: index + term.length });
+      index = lower.indexOf(term, index + term.length);
+    }
+  });
+
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+// A window of text around the first hit; highlight offsets are relative to the snippet
+function buildSnippet(text, highlights) {
+  const start = Math.max(0, highlights[0].start - SNIPPET_RADIUS);
+  const end = Math.min(text.length, highlights[0].end + SNIPPET_RADIUS);
+  const prefix = start > 0 ? '…' : '';
+  const suffix = end < text.length ? '…' : '';
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    highlights: highlights
+      .filter(range => range.start >= start && range.end <= end)
+      .map(range => ({
+        start: range.start - start + prefix.length,
+        end: range.end - start + prefix.length
+      }))
+  };
+}
+
+// Matches for a search; null when the session does not contain every term
+function searchSession(session, terms) {
+  const fields = [{ field: 'title', text: session.title || '' }]
+    .concat(session.messages.map(message => ({
+      field: 'message',
+      messageId: message.id,
+      role: message.role,
+      text: message.content || ''
+    })));
+
+  const found = new Set();
+  const matches = [];
+
+  fields.forEach(({ text, ...where }) => {
+    const highlights = findHighlights(text, terms);
+    if (highlights.length === 0) return;
+
+    const lower = text.toLowerCase();
+    terms.forEach(term => {
+      if (lower.includes(term)) found.add(term);
+    });
+
+    if (matches.length < MAX_MATCHES_PER_SESSION) {
+      matches.push({ ...where, ...buildSnippet(text, highlights) });
+    }
+  });
+
+  return found.size === terms.length ? matches : null;
+}
+
+// Apply filters, search and pagination to a list of sessions.
+// Returns { sessions, total, nextCursor }; total counts every match, not just this page.
+function querySessions(sessions, options) {
+  const { limit, cursor, from, to, model, tag, archived, terms } = options;
+
+  const filtered = [];
+  sessions.forEach(session => {
+    const created = Date.parse(session.createdAt);
+    if (from !== null && created < from) return;
+    if (to !== null && created > to) return;
+    if (model && session.model !== model) return;
+    if (tag && !(session.tags || []).includes(tag)) return;
+    if (archived === 'exclude' && session.archived) return;
+    if (archived === 'only' && !session.archived) return;
+
+    if (terms.length === 0) {
+      filtered.push(session);
+      return;
+    }
+
+    const matches = searchSession(session, terms);
+    if (matches) {
+      filtered.push({ ...session, matches });
+    }
+  });
+
+  filtered.sort(compareSessions);
+
+  const startIndex = cursor
+    ? filtered.findIndex(session => compareSessions(session, cursor) > 0)
+    : 0;
+  const page = startIndex === -1 ? [] : filtered.slice(startIndex, startIndex + limit);
+  const hasMore = startIndex !== -1 && startIndex + limit < filtered.length;
+
+  return {
+    sessions: page,
+    total: filtered.length,
+    nextCursor: hasMore ? encodeCursor(page[page.length - 1]) : null
+  };
+}
+
+module.exports = {
+  parseQuery,
+  querySessions,
+  QueryError,
+  MAX_PAGE_SIZE
+};
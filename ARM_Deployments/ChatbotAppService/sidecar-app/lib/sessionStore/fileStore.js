@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+// File-backed session store: one JSON document per session in a directory.
+// Survives restarts; point it at a mounted share (e.g. /home on App Service)
+// so that every instance sees the same sessions.
+//
+// Writes to a session are serialized within the process, and across processes and
+// instances by a `<id>.json.lock` file created exclusively next to the document.
+// A lock left behind by a crashed writer is broken once it is STALE_LOCK_MS old.
+
+const LOCK_RETRY_MS = 20;
+const LOCK_TIMEOUT_MS = 5000;
+const STALE_LOCK_MS = 30000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class FileSessionStore {
+  constructor({ directory }) {
+    this.directory = path.resolve(directory);
+    this.ready = fs.mkdir(this.directory, { recursive: true });
+    // Serialize writes per session so concurrent appends do not clobber each other
+    this.pending = new Map();
+  }
+
+  filePath(sessionId) {
+    // Session ids are UUIDs; refuse anything that could escape the directory
+    if (!/^[A-Za-z0-9-]+$/.test(sessionId)) {
+      return null;
+    }
+    return path.join(this.directory, `${sessionId}.json`);
+  }
+
+  async readFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async writeFile(file, session) {
+    // Write to a temp file and rename so readers never see a half-written document
+    const tempFile = `${file}.${process.pid}.${crypto.randomUUID()}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(session), 'utf8');
+    await fs.rename(tempFile, file);
+  }
+
+  // Take the session's lock file, waiting while another process holds it
+  async lockFile(file) {
+    const lock = `${file}.lock`;
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await (await fs.open(lock, 'wx')).close();
+        return () => fs.unlink(lock).catch(() => {});
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      const stats = await fs.stat(lock).catch(() => null);
+      if (stats && Date.now() - stats.mtimeMs > STALE_LOCK_MS) {
+        await fs.unlink(lock).catch(() => {});
+        continue;
+      }
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for the lock on ${path.basename(file)}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  withLock(sessionId, task) {
+    const file = this.filePath(sessionId);
+    const locked = async () => {
+      const unlock = await this.lockFile(file);
+      try {
+        return await task();
+      } finally {
+        await unlock();
+      }
+    };
+
+    const previous = this.pending.get(sessionId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(locked);
+    this.pending.set(sessionId, next);
+    next.finally(() => {
+      if (this.pending.get(sessionId) === next) {
+        this.pending.delete(sessionId);
+      }
+    }).catch(() => {});
+    return next;
+  }
+
+  async get(sessionId) {
+    await this.ready;
+    const file = this.filePath(sessionId);
+    return file ? this.readFile(file) : null;
+  }
+
+  async set(session) {
+    await this.ready;
+    const file = this.filePath(session.id);
+    if (!file) {
+      throw new Error(`Invalid session id: ${session.id}`);
+    }
+    await this.withLock(session.id, () => this.writeFile(file, session));
+    return session;
+  }
+
+  async list() {
+    await this.ready;
+    const entries = await fs.readdir(this.directory);
+    const sessions = await Promise.all(entries
+      .filter(entry => entry.endsWith('.json'))
+      .map(entry => this.readFile(path.join(this.directory, entry)).catch(() => null)));
+    return sessions.filter(Boolean);
+  }
+
+  async delete(sessionId) {
+    await this.ready;
+    const file = this.filePath(sessionId);
+    if (!file) return false;
+
+    return this.withLock(sessionId, async () => {
+      try {
+        await fs.unlink(file);
+        return true;
+      } catch (error) {
+        if (error.code === 'ENOENT') return false;
+        throw error;
+      }
+    });
+  }
+
+  async update(sessionId, mutate) {
+    await this.ready;
+    const file = this.filePath(sessionId);
+    if (!file) return null;
+
+    return this.withLock(sessionId, async () => {
+      const session = await this.readFile(file);
+      if (session && mutate(session) !== false) {
+        await this.writeFile(file, session);
+      }
+      return session;
+    });
+  }
+
+  async appendMessage(sessionId, message) {
+    return this.update(sessionId, (session) => {
+      session.messages.push(message);
+    });
+  }
+
+  async close() {
+    await Promise.allSettled(Array.from(this.pending.values()));
+  }
+}
+
+module.exports = FileSessionStore;
@@ -0,0 +1,98 @@
+const MemorySessionStore = require('./memoryStore');
+const FileSessionStore = require('./fileStore');
+const RedisSessionStore = require('./redisStore');
+
+// Session stores share one async interface:
+//   get(id), set(session), list(), delete(id), update(id, mutate), appendMessage(id, message), close()
+// get/update/appendMessage resolve to null for unknown sessions, delete resolves to a boolean.
+//
+// update() is the way to change a stored session: mutate(session) edits the current
+// version in place (returning false leaves it unchanged) and the result is written
+// without losing a concurrent change. mutate must be synchronous and may run more than
+// once when another writer gets in first. It resolves to the session as stored.
+
+const SESSION_STORES = ['memory', 'file', 'redis'];
+
+// Wraps a store to report every change: onChange({ change: 'updated', session }) after
+// set/appendMessage, and onChange({ change: 'deleted', session }) with the removed session
+class ObservedSessionStore {
+  constructor(store, onChange) {
+    this.store = store;
+    this.onChange = onChange;
+  }
+
+  get(id) {
+    return this.store.get(id);
+  }
+
+  list() {
+    return this.store.list();
+  }
+
+  async set(session) {
+    const result = await this.store.set(session);
+    this.onChange({ change: 'updated', session });
+    return result;
+  }
+
+  async update(id, mutate) {
+    let changed = false;
+    const session = await this.store.update(id, (current) => {
+      changed = mutate(current) !== false;
+      return changed;
+    });
+    if (session && changed) {
+      this.onChange({ change: 'updated', session });
+    }
+    return session;
+  }
+
+  async appendMessage(id, message) {
+    const session = await this.store.appendMessage(id, message);
+    if (session) {
+      this.onChange({ change: 'updated', session });
+    }
+    return session;
+  }
+
+  async delete(id) {
+    const session = await this.store.get(id);
+    const deleted = await this.store.delete(id);
+    if (deleted && session) {
+      this.onChange({ change: 'deleted', session });
+    }
+    return deleted;
+  }
+
+  close() {
+    return this.store.close();
+  }
+}
+
+function createSessionStore(options = {}) {
+  const type = (options.type || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemorySessionStore();
+    case 'file':
+      return new FileSessionStore({ directory: options.path || './data/sessions' });
+    case 'redis':
+      return new RedisSessionStore({
+        url: options.redisUrl || 'redis://127.0.0.1:6379',
+        prefix: options.redisPrefix,
+        logger: options.logger
+      });
+    default:
+      throw new Error(`Unknown session store "${type}". Expected one of: ${SESSION_STORES.join(', ')}`);
+  }
+}
+
+module.exports = {
+  createSessionStore,
+  ObservedSessionStore,
+  SESSION_STORES,
+  MemorySessionStore,
+  FileSessionStore,
+  RedisSessionStore
+};
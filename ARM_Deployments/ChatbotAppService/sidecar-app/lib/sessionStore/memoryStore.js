@@ -0,0 +1,47 @@
+// In-memory session store. Fast and dependency free, but every restart
+// or scale-out instance starts with an empty store.
+
+class MemorySessionStore {
+  constructor() {
+    this.sessions = new Map();
+  }
+
+  async get(sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session ? structuredClone(session) : null;
+  }
+
+  async set(session) {
+    this.sessions.set(session.id, structuredClone(session));
+    return session;
+  }
+
+  async list() {
+    return Array.from(this.sessions.values()).map(session => structuredClone(session));
+  }
+
+  async delete(sessionId) {
+    return this.sessions.delete(sessionId);
+  }
+
+  async update(sessionId, mutate) {
+    const stored = this.sessions.get(sessionId);
+    if (!stored) return null;
+
+    const session = structuredClone(stored);
+    if (mutate(session) !== false) {
+      this.sessions.set(sessionId, structuredClone(session));
+    }
+    return session;
+  }
+
+  async appendMessage(sessionId, message) {
+    return this.update(sessionId, (session) => {
+      session.messages.push(structuredClone(message));
+    });
+  }
+
+  async close() {}
+}
+
+module.exports = MemorySessionStore;
@@ -0,0 +1,113 @@
+const { createClient, WatchError } = require('redis');
+
+// Redis-backed session store. Works with Azure Cache for Redis or any server
+// that speaks the Redis protocol. Each session is a JSON string under
+// `<prefix>session:<id>`, and `<prefix>sessions` is a set of all session ids.
+// Updates are optimistic: WATCH the session, write it in MULTI/EXEC, and start
+// again if another instance wrote it in between.
+
+const MAX_UPDATE_ATTEMPTS = 10;
+
+class RedisSessionStore {
+  constructor({ url, prefix = 'chatbot:', client, logger = console } = {}) {
+    this.prefix = prefix;
+    this.client = client || createClient({ url });
+    this.client.on('error', (error) => {
+      logger.error('Redis session store error:', error.message);
+    });
+    this.connecting = null;
+  }
+
+  async connection() {
+    if (!this.client.isOpen) {
+      this.connecting = this.connecting || this.client.connect().finally(() => {
+        this.connecting = null;
+      });
+      await this.connecting;
+    }
+    return this.client;
+  }
+
+  sessionKey(sessionId) {
+    return `${this.prefix}session:${sessionId}`;
+  }
+
+  get indexKey() {
+    return `${this.prefix}sessions`;
+  }
+
+  async get(sessionId) {
+    const client = await this.connection();
+    const value = await client.get(this.sessionKey(sessionId));
+    return value ? JSON.parse(value) : null;
+  }
+
+  async set(session) {
+    const client = await this.connection();
+    await client.multi()
+      .set(this.sessionKey(session.id), JSON.stringify(session))
+      .sAdd(this.indexKey, session.id)
+      .exec();
+    return session;
+  }
+
+  async list() {
+    const client = await this.connection();
+    const ids = await client.sMembers(this.indexKey);
+    if (ids.length === 0) return [];
+
+    const values = await client.mGet(ids.map(id => this.sessionKey(id)));
+    return values.filter(Boolean).map(value => JSON.parse(value));
+  }
+
+  async delete(sessionId) {
+    const client = await this.connection();
+    const [deleted] = await client.multi()
+      .del(this.sessionKey(sessionId))
+      .sRem(this.indexKey, sessionId)
+      .exec();
+    return Number(deleted) > 0;
+  }
+
+  async update(sessionId, mutate) {
+    const client = await this.connection();
+    const key = this.sessionKey(sessionId);
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        // WATCH belongs to a connection, so each attempt gets one of its own
+        return await client.executeIsolated(async (isolated) => {
+          await isolated.watch(key);
+          const value = await isolated.get(key);
+          const session = value ? JSON.parse(value) : null;
+          if (!session || mutate(session) === false) {
+            await isolated.unwatch();
+            return session;
+          }
+
+          await isolated.multi()
+            .set(key, JSON.stringify(session))
+            .sAdd(this.indexKey, session.id)
+            .exec();
+          return session;
+        });
+      } catch (error) {
+        if (!(error instanceof WatchError) || attempt >= MAX_UPDATE_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  async appendMessage(sessionId, message) {
+    return this.update(sessionId, (session) => {
+      session.messages.push(message);
+    });
+  }
+
+  async close() {
+    if (this.client.isOpen) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisSessionStore;
@@ -0,0 +1,407 @@
+const axios = require('axios');
+const { context, propagation, trace, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+
+// Client for one OpenAI-compatible model backend: the local sidecar (Ollama / llama.cpp
+// style, models listed at /api/tags) or a remote endpoint (models at /v1/models,
+// optional bearer API key).
+//
+// - Retries connection failures and 5xx responses with exponential backoff and full jitter
+// - A circuit breaker stops hammering a sidecar that keeps failing: after
+//   `failureThreshold` consecutive failures it opens for `resetTimeoutMs`, then lets
+//   a single trial request through (half-open) before closing again
+// - Until the sidecar has answered once it is "warming up" (the container is
+//   starting or the model is still loading); callers get SidecarUnavailableError
+//   with a Retry-After hint instead of a generic failure
+// - Each call runs in a client span, and its W3C traceparent is sent to the sidecar
+
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH'];
+
+class SidecarError extends Error {
+  constructor(message, { status = 502, cause, upstreamStatus, upstreamData } = {}) {
+    super(message);
+    this.name = 'SidecarError';
+    this.status = status;
+    this.cause = cause;
+    this.upstreamStatus = upstreamStatus;
+    this.upstreamData = upstreamData;
+  }
+}
+
+// The sidecar cannot take requests right now; answer 503 with Retry-After
+class SidecarUnavailableError extends SidecarError {
+  constructor(message, { reason, retryAfterSeconds, cause } = {}) {
+    super(message, { status: 503, cause });
+    this.name = 'SidecarUnavailableError';
+    this.reason = reason;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+const tracer = trace.getTracer('chatbot-sidecar-client');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function isConnectionError(error) {
+  return !error.response && RETRYABLE_CODES.includes(error.code);
+}
+
+// llama.cpp answers 503 "Loading model" while the weights load
+function isModelLoading(error) {
+  if (error.response?.status !== 503) return false;
+  const data = error.response.data;
+  // Streamed error bodies cannot be inspected; a 503 there is treated as loading too
+  if (typeof data?.pipe === 'function') return true;
+  const text = typeof data === 'string' ? data : JSON.stringify(data || '');
+  return /loading/i.test(text);
+}
+
+function isRetryable(error) {
+  return isConnectionError(error) || (error.response?.status >= 500);
+}
+
+class SidecarClient {
+  constructor({
+    name = 'sidecar',
+    endpoint,
+    api = 'ollama',
+    apiKey = null,
+    timeout = 30000,
+    healthCheckTimeout = 5000,
+    maxRetries = 2,
+    retryBaseDelayMs = 250,
+    retryMaxDelayMs = 4000,
+    failureThreshold = 5,
+    resetTimeoutMs = 30000,
+    warmupRetryAfterSeconds = 10,
+    logger = console,
+    http = axios,
+    onRequest = null
+  }) {
+    this.name = name;
+    this.endpoint = endpoint;
+    this.api = api;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    this.healthCheckTimeout = healthCheckTimeout;
+    this.maxRetries = maxRetries;
+    this.retryBaseDelayMs = retryBaseDelayMs;
+    this.retryMaxDelayMs = retryMaxDelayMs;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.warmupRetryAfterSeconds = warmupRetryAfterSeconds;
+    this.logger = logger;
+    this.http = http;
+    // Called after every request with { backend, method, path, durationSeconds, error }
+    this.onRequest = onRequest;
+
+    this.circuit = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.halfOpenTrialInFlight = false;
+
+    this.warmingUp = true;
+    this.lastSuccessAt = null;
+    this.lastFailureAt = null;
+    this.lastError = null;
+    this.warmupTimer = null;
+  }
+
+  // Snapshot for /api/sidecar/health
+  state() {
+    return {
+      circuit: this.currentCircuit(),
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: this.circuit === 'open' ? new Date(this.openedAt + this.resetTimeoutMs).toISOString() : null,
+      warmingUp: this.warmingUp,
+      lastSuccessAt: this.lastSuccessAt ? new Date(this.lastSuccessAt).toISOString() : null,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      lastError: this.lastError
+    };
+  }
+
+  currentCircuit() {
+    if (this.circuit === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      return 'half-open';
+    }
+    return this.circuit;
+  }
+
+  // Throw SidecarUnavailableError if a request should not be attempted right now
+  assertAvailable() {
+    const circuit = this.currentCircuit();
+
+    if (circuit === 'open') {
+      const retryAfterSeconds = Math.max(1, Math.ceil((this.openedAt + this.resetTimeoutMs - Date.now()) / 1000));
+      throw new SidecarUnavailableError('The AI service is temporarily unavailable', {
+        reason: 'circuit-open',
+        retryAfterSeconds
+      });
+    }
+
+    if (circuit === 'half-open' && this.halfOpenTrialInFlight) {
+      throw new SidecarUnavailableError('The AI service is recovering, please retry shortly', {
+        reason: 'circuit-half-open',
+        retryAfterSeconds: 5
+      });
+    }
+
+    // Only reject while warming up once we have actually seen the sidecar fail
+    if (this.warmingUp && this.lastFailureAt) {
+      throw this.warmingUpError();
+    }
+  }
+
+  warmingUpError(cause) {
+    return new SidecarUnavailableError('The AI model is still warming up, please retry shortly', {
+      reason: 'warming-up',
+      retryAfterSeconds: this.warmupRetryAfterSeconds,
+      cause
+    });
+  }
+
+  recordSuccess() {
+    if (this.warmingUp) {
+      this.logger.info(`Backend ${this.name} is ready`, { backend: this.name, endpoint: this.endpoint });
+    }
+    if (this.circuit !== 'closed') {
+      this.logger.info(`Circuit breaker closed for backend ${this.name}`);
+    }
+    this.warmingUp = false;
+    this.circuit = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastSuccessAt = Date.now();
+    this.lastError = null;
+  }
+
+  recordFailure(error) {
+    this.lastFailureAt = Date.now();
+    this.lastError = error.message;
+    this.consecutiveFailures++;
+
+    // A sidecar that has not come up yet is warming up, not broken
+    if (this.warmingUp) return;
+
+    const halfOpen = this.currentCircuit() === 'half-open';
+    if (halfOpen || (this.circuit === 'closed' && this.consecutiveFailures >= this.failureThreshold)) {
+      this.circuit = 'open';
+      this.openedAt = Date.now();
+      this.logger.warn(`Circuit breaker opened for backend ${this.name} after ${this.consecutiveFailures} consecutive failures`);
+    }
+  }
+
+  backoffDelay(attempt) {
+    const ceiling = Math.min(this.retryMaxDelayMs, this.retryBaseDelayMs * 2 ** attempt);
+    return Math.floor(Math.random() * ceiling);
+  }
+
+  // Core request with retries and breaker bookkeeping.
+  // `bypassBreaker` lets health probes reach a sidecar whose circuit is open.
+  async request({ method = 'get', path, data, timeout, responseType = 'json', signal, headers = {}, bypassBreaker = false, retries = this.maxRetries }) {
+    if (!bypassBreaker) {
+      this.assertAvailable();
+    }
+
+    const trial = !bypassBreaker && this.currentCircuit() === 'half-open';
+    if (trial) {
+      this.halfOpenTrialInFlight = true;
+    }
+
+    const startedAt = process.hrtime.bigint();
+    let failure = null;
+
+    // One span covers the call including retries; its context goes out as traceparent
+    const span = tracer.startSpan(`sidecar ${method.toUpperCase()} ${path}`, {
+      kind: SpanKind.CLIENT,
+      attributes: {
+        'chatbot.backend': this.name,
+        'http.request.method': method.toUpperCase(),
+        'url.full': `${this.endpoint}${path}`
+      }
+    });
+    const traceHeaders = {};
+    propagation.inject(trace.setSpan(context.active(), span), traceHeaders);
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await this.http.request({
+            method,
+            url: `${this.endpoint}${path}`,
+            data,
+            timeout: timeout || this.timeout,
+            responseType,
+            signal,
+            headers: {
+              'Content-Type': 'application/json',
+              ...(this.apiKey && { 'Authorization': `Bearer ${this.apiKey}` }),
+              ...traceHeaders,
+              ...headers
+            }
+          });
+          this.recordSuccess();
+          span.setAttribute('http.response.status_code', response.status);
+          return response;
+        } catch (error) {
+          if (signal?.aborted || axios.isCancel(error)) {
+            throw error;
+          }
+
+          if (attempt < retries && isRetryable(error)) {
+            span.addEvent('retry', { attempt: attempt + 1, reason: error.code || String(error.response?.status) });
+            const delay = this.backoffDelay(attempt);
+            this.logger.debug(`Backend ${this.name} ${method.toUpperCase()} ${path} failed (${error.code || error.response?.status}), retrying in ${delay}ms`);
+            await sleep(delay);
+            continue;
+          }
+
+          throw this.classify(error);
+        }
+      }
+    } catch (error) {
+      failure = error;
+      if (error.upstreamStatus) {
+        span.setAttribute('http.response.status_code', error.upstreamStatus);
+      }
+      span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+      if (trial) {
+        this.halfOpenTrialInFlight = false;
+      }
+      if (this.onRequest) {
+        const durationSeconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+        this.onRequest({ backend: this.name, method, path, durationSeconds, error: failure });
+      }
+    }
+  }
+
+  // Turn an axios error into a SidecarError, updating breaker and warm-up state
+  classify(error) {
+    const status = error.response?.status;
+
+    // Client errors are the caller's problem, not a sign of an unhealthy sidecar
+    if (status && status < 500) {
+      return new SidecarError(`Sidecar rejected the request (${status})`, {
+        status: 502,
+        cause: error,
+        upstreamStatus: status,
+        upstreamData: error.response.data
+      });
+    }
+
+    this.recordFailure(error);
+
+    if (isModelLoading(error) || (this.warmingUp && isConnectionError(error))) {
+      return this.warmingUpError(error);
+    }
+
+    if (this.circuit === 'open') {
+      return new SidecarUnavailableError('The AI service is temporarily unavailable', {
+        reason: 'circuit-open',
+        retryAfterSeconds: Math.ceil(this.resetTimeoutMs / 1000),
+        cause: error
+      });
+    }
+
+    return new SidecarError(error.message, {
+      status: 502,
+      cause: error,
+      upstreamStatus: status,
+      upstreamData: error.response?.data
+    });
+  }
+
+  // Model list - /api/tags, or /v1/models for `openai` backends - as Ollama-style
+  // { name, model } objects; also serves as the health probe
+  async listModels({ bypassBreaker = false } = {}) {
+    const response = await this.request({
+      path: this.api === 'openai' ? '/v1/models' : '/api/tags',
+      timeout: this.healthCheckTimeout,
+      bypassBreaker,
+      retries: bypassBreaker ? 0 : this.maxRetries
+    });
+    if (this.api === 'openai') {
+      return (response.data.data || []).map(model => ({ name: model.id, model: model.id }));
+    }
+    return response.data.models || [];
+  }
+
+  // Active probe that ignores the breaker; a success closes the circuit
+  async health() {
+    return this.listModels({ bypassBreaker: true });
+  }
+
+  // Non-streaming /v1/chat/completions; resolves to the OpenAI-format body
+  async chatCompletion(body, { signal, timeout } = {}) {
+    const response = await this.request({
+      method: 'post',
+      path: '/v1/chat/completions',
+      data: { ...body, stream: false },
+      signal,
+      timeout
+    });
+    return response.data;
+  }
+
+  // Streaming /v1/chat/completions; resolves once the sidecar starts answering
+  // with a readable stream of SSE `data:` lines. Retries only happen before that.
+  async chatCompletionStream(body, { signal, timeout } = {}) {
+    const response = await this.request({
+      method: 'post',
+      path: '/v1/chat/completions',
+      data: { ...body, stream: true },
+      responseType: 'stream',
+      signal,
+      timeout,
+      headers: { 'Accept': 'text/event-stream' }
+    });
+    return response.data;
+  }
+
+  // /v1/embeddings for a batch of texts; resolves to one vector per input, in order
+  async embeddings(model, input, { signal, timeout } = {}) {
+    const response = await this.request({
+      method: 'post',
+      path: '/v1/embeddings',
+      data: { model, input },
+      signal,
+      timeout
+    });
+    return [...(response.data.data || [])]
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding);
+  }
+
+  // Poll the sidecar in the background until it answers, so the warm-up state
+  // clears without waiting for user traffic
+  startWarmupProbe(intervalMs = 5000) {
+    const probe = async () => {
+      try {
+        await this.health();
+        this.warmupTimer = null;
+      } catch (error) {
+        this.logger.debug(`Backend ${this.name} not ready yet: ${error.message}`);
+        this.warmupTimer = setTimeout(probe, intervalMs);
+        this.warmupTimer.unref();
+      }
+    };
+    probe();
+  }
+
+  stopWarmupProbe() {
+    if (this.warmupTimer) {
+      clearTimeout(this.warmupTimer);
+      this.warmupTimer = null;
+    }
+  }
+}
+
+module.exports = {
+  SidecarClient,
+  SidecarError,
+  SidecarUnavailableError
+};
@@ -0,0 +1,125 @@
+// Server-Sent Events helpers for streaming chat replies
+
+// Switch an Express response into an SSE stream
+function openEventStream(res) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    // Stop reverse proxies (App Service front ends, nginx) from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+}
+
+// Write a single named event; flush so compression does not hold it back.
+// Responses with their own sendEvent (WebSocket replies, see lib/realtime) take it as is.
+function sendEvent(res, event, data) {
+  if (typeof res.sendEvent === 'function') {
+    res.sendEvent(event, data);
+    return;
+  }
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+}
+
+// Read an OpenAI-compatible streaming completion (`data: {...}` lines ending
+// with `data: [DONE]`) and call onDelta for every content token.
+// Resolves with the accumulated content once the upstream stream ends, plus any
+// tool calls assembled from their deltas as [{ id, name, arguments }].
+function readCompletionStream(stream, onDelta) {
+  return new Promise((resolve, reject) => {
+    let buffer = '';
+    let content = '';
+    let usage = null;
+    let finishReason = null;
+    let settled = false;
+    const toolCalls = [];
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      resolve({
+        content,
+        usage,
+        finishReason,
+        toolCalls: toolCalls.filter(call => call && call.name)
+          .map((call, index) => ({ ...call, id: call.id || `call_${index}` }))
+      });
+    };
+
+    const handleLine = (line) => {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) return;
+
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') {
+        finish();
+        return;
+      }
+
+      let chunk;
+      try {
+        chunk = JSON.parse(payload);
+      } catch (error) {
+        // Ignore keep-alive noise or partial frames we cannot decode
+        return;
+      }
+
+      if (chunk.usage) {
+        usage = chunk.usage;
+      }
+
+      const choice = chunk.choices?.[0];
+      if (choice?.finish_reason) {
+        finishReason = choice.finish_reason;
+      }
+
+      const delta = choice?.delta?.content;
+      if (delta) {
+        content += delta;
+        onDelta(delta);
+      }
+
+      // Tool calls arrive in pieces keyed by index: the id and name first, then argument fragments
+      (choice?.delta?.tool_calls || []).forEach((part, position) => {
+        const index = part.index ?? position;
+        const call = toolCalls[index] || (toolCalls[index] = { id: null, name: '', arguments: '' });
+        if (part.id) call.id = part.id;
+        if (part.function?.name && !call.name) call.name = part.function.name;
+        if (part.function?.arguments) {
+          call.arguments += typeof part.function.arguments === 'string'
+            ? part.function.arguments
+            : JSON.stringify(part.function.arguments);
+        }
+      });
+    };
+
+    stream.on('data', (data) => {
+      buffer += data.toString('utf8');
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      lines.forEach(handleLine);
+    });
+
+    stream.on('end', () => {
+      if (buffer) handleLine(buffer);
+      finish();
+    });
+
+    stream.on('error', (error) => {
+      if (settled) return;
+      settled = true;
+      reject(error);
+    });
+  });
+}
+
+module.exports = {
+  openEventStream,
+  sendEvent,
+  readCompletionStream
+};
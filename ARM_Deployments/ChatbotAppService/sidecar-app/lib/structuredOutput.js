@@ -0,0 +1,128 @@
+const { validate, schemaProblems } = require('./jsonSchema');
+
+// Structured output: a chat request may carry a `responseSchema` (JSON Schema).
+// The model is told to answer with matching JSON, the reply is parsed and
+// validated, and invalid replies are sent back with the problems found so the
+// model can repair them.
+
+const RESPONSE_FORMATS = ['json_schema', 'json_object', 'none'];
+const MAX_SCHEMA_LENGTH = 20000;
+const MAX_REPORTED_PROBLEMS = 10;
+
+// Check a request's `responseSchema`. Returns { schema } (null when absent) or { error }.
+function parseResponseSchema(value) {
+  if (value === undefined || value === null) {
+    return { schema: null };
+  }
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    return { error: 'responseSchema must be a JSON Schema object' };
+  }
+  if (JSON.stringify(value).length > MAX_SCHEMA_LENGTH) {
+    return { error: `responseSchema must be at most ${MAX_SCHEMA_LENGTH} characters as JSON` };
+  }
+
+  // Check the schema itself up front so a bad one is a 400, not a failed reply
+  const problems = schemaProblems(value);
+  if (problems.length > 0) {
+    return { error: `responseSchema is not a valid schema: ${problems.slice(0, MAX_REPORTED_PROBLEMS).join('; ')}` };
+  }
+
+  return { schema: value };
+}
+
+// `response_format` for the completion request, when the backend should constrain the output
+function responseFormat(schema, format) {
+  if (format === 'json_schema') {
+    return { response_format: { type: 'json_schema', json_schema: { name: 'response', schema } } };
+  }
+  if (format === 'json_object') {
+    return { response_format: { type: 'json_object' } };
+  }
+  return {};
+}
+
+function schemaInstruction(schema) {
+  return [
+    'Answer with a single JSON value that matches this JSON Schema, and nothing else:',
+    JSON.stringify(schema, null, 2),
+    'Do not wrap the JSON in Markdown or add any explanation.'
+  ].join('\n');
+}
+
+// The model's JSON: the whole reply, a fenced ```json block, or the outermost {...} or [...]
+function extractJson(text) {
+  const candidates = [text.trim()];
+  const fenced = /```(?:json)?\s*\n([\s\S]*?)```/i.exec(text);
+  if (fenced) candidates.push(fenced[1].trim());
+  [['{', '}'], ['[', ']']].forEach(([open, close]) => {
+    const start = text.indexOf(open);
+    const end = text.lastIndexOf(close);
+    if (start !== -1 && end > start) candidates.push(text.slice(start, end + 1));
+  });
+
+  for (const candidate of candidates) {
+    try {
+      return { value: JSON.parse(candidate) };
+    } catch (error) {
+      // try the next candidate
+    }
+  }
+  return { error: 'The reply is not valid JSON' };
+}
+
+// Parse and validate a reply. Returns { value, problems }; problems is empty when it matches.
+function checkReply(text, schema) {
+  const { value, error } = extractJson(text || '');
+  if (error) {
+    return { value: undefined, problems: [error] };
+  }
+  return { value, problems: validate(schema, value) };
+}
+
+function repairPrompt(problems) {
+  const listed = problems.slice(0, MAX_REPORTED_PROBLEMS).map(problem => `- ${problem}`);
+  if (problems.length > MAX_REPORTED_PROBLEMS) {
+    listed.push(`- ... and ${problems.length - MAX_REPORTED_PROBLEMS} more`);
+  }
+  return [
+    'Your previous reply does not match the required JSON Schema:',
+    ...listed,
+    'Reply again with only the corrected JSON.'
+  ].join('\n');
+}
+
+// Generate a reply that matches `schema`, retrying up to maxRetries times with a repair prompt.
+// generate(messages) makes one attempt and resolves to { content, usage }.
+// Resolves to { content, value, problems, attempts, usage }: problems is empty on success,
+// otherwise content and problems are those of the last attempt. Usage is summed over attempts.
+async function generateStructured({ messages, schema, maxRetries = 0, generate }) {
+  const instruction = schemaInstruction(schema);
+  const conversation = messages[0]?.role === 'system'
+    ? [{ ...messages[0], content: `${messages[0].content}\n\n${instruction}` }, ...messages.slice(1)]
+    : [{ role: 'system', content: instruction }, ...messages];
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+
+  for (let attempt = 1; ; attempt++) {
+    const result = await generate(conversation);
+    usage.prompt_tokens += result.usage?.prompt_tokens || 0;
+    usage.completion_tokens += result.usage?.completion_tokens || 0;
+
+    const { value, problems } = checkReply(result.content, schema);
+    if (problems.length === 0 || attempt > maxRetries) {
+      return { content: result.content, value, problems, attempts: attempt, usage };
+    }
+
+    conversation.push(
+      { role: 'assistant', content: result.content || '' },
+      { role: 'user', content: repairPrompt(problems) }
+    );
+  }
+}
+
+module.exports = {
+  parseResponseSchema,
+  responseFormat,
+  checkReply,
+  generateStructured,
+  RESPONSE_FORMATS
+};
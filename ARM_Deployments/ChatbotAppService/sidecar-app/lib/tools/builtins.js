@@ -0,0 +1,63 @@
+const { evaluate } = require('./calculator');
+
+// Built-in tools. They only compute or read data the caller may already see:
+// nothing here touches the network, the file system or other users' sessions.
+
+const calculator = {
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and functions such as sqrt, abs, round, min, max, log, ln, sin and cos.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', minLength: 1, maxLength: 500, description: 'Expression to evaluate, e.g. "(17.5 * 4) / 3"' }
+    },
+    required: ['expression'],
+    additionalProperties: false
+  },
+  execute: ({ expression }) => ({ expression, result: evaluate(expression) })
+};
+
+const currentTime = {
+  name: 'current_time',
+  description: 'Get the current date and time, optionally in a given IANA time zone such as "Europe/Paris".',
+  parameters: {
+    type: 'object',
+    properties: {
+      timeZone: { type: 'string', maxLength: 64, description: 'IANA time zone name; defaults to UTC' }
+    },
+    additionalProperties: false
+  },
+  execute: ({ timeZone = 'UTC' }) => {
+    const now = new Date();
+    // Throws a RangeError for unknown time zones, which is reported back to the model
+    const local = new Intl.DateTimeFormat('en-US', { dateStyle: 'full', timeStyle: 'long', timeZone }).format(now);
+    return {
+      iso: now.toISOString(),
+      timeZone,
+      local,
+      unixSeconds: Math.floor(now.getTime() / 1000)
+    };
+  }
+};
+
+const searchSessions = {
+  name: 'search_sessions',
+  description: "Search the user's earlier chat sessions in this app by keywords. Returns matching session titles and message snippets.",
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', minLength: 1, maxLength: 200, description: 'Keywords to look for' },
+      limit: { type: 'integer', minimum: 1, maximum: 10, description: 'Maximum number of sessions (default 5)' }
+    },
+    required: ['query'],
+    additionalProperties: false
+  },
+  // context.searchSessions(query, limit) searches only the sessions the user may access
+  execute: ({ query, limit = 5 }, context) => context.searchSessions(query, limit)
+};
+
+const BUILT_IN_TOOLS = [calculator, currentTime, searchSessions];
+
+module.exports = {
+  BUILT_IN_TOOLS
+};
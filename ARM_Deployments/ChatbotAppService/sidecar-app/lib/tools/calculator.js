@@ -0,0 +1,145 @@
+// Arithmetic expression evaluator for the calculator tool. A small recursive
+// descent parser - no eval - supporting + - * / % ^, parentheses, the
+// constants pi and e, and common Math functions.
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan
+};
+
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+  let offset = 0;
+  while (expression.slice(offset).trim()) {
+    pattern.lastIndex = offset;
+    const match = pattern.exec(expression);
+    if (!match) {
+      throw new Error(`Unexpected character "${expression.slice(offset).trim()[0]}"`);
+    }
+    offset = pattern.lastIndex;
+
+    if (match[1] !== undefined) tokens.push({ type: 'number', value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: 'name', value: match[2].toLowerCase() });
+    else tokens.push({ type: 'operator', value: match[3] === '**' ? '^' : match[3] });
+  }
+  return tokens;
+}
+
+function evaluate(expression) {
+  if (typeof expression !== 'string' || expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expression must be a string of at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const tokens = tokenize(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const accept = (value) => {
+    if (peek()?.type === 'operator' && peek().value === value) {
+      position++;
+      return true;
+    }
+    return false;
+  };
+  const expect = (value) => {
+    if (!accept(value)) throw new Error(`Expected "${value}"`);
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    for (;;) {
+      if (accept('+')) value += parseTerm();
+      else if (accept('-')) value -= parseTerm();
+      else return value;
+    }
+  }
+
+  function parseTerm() {
+    let value = parseFactor();
+    for (;;) {
+      if (accept('*')) value *= parseFactor();
+      else if (accept('/')) value /= parseFactor();
+      else if (accept('%')) value %= parseFactor();
+      else return value;
+    }
+  }
+
+  // Exponentiation is right-associative and binds tighter than unary minus: -2^2 = -4
+  function parseFactor() {
+    if (accept('-')) return -parseFactor();
+    if (accept('+')) return parseFactor();
+    const base = parsePrimary();
+    return accept('^') ? Math.pow(base, parseFactor()) : base;
+  }
+
+  function parsePrimary() {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of expression');
+
+    if (token.type === 'number') {
+      position++;
+      return token.value;
+    }
+    if (token.type === 'name') {
+      position++;
+      if (accept('(')) {
+        if (!Object.hasOwn(FUNCTIONS, token.value)) throw new Error(`Unknown function "${token.value}"`);
+        const fn = FUNCTIONS[token.value];
+        const args = [];
+        if (!accept(')')) {
+          do {
+            args.push(parseExpression());
+          } while (accept(','));
+          expect(')');
+        }
+        return fn(...args);
+      }
+      if (Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+      throw new Error(`Unknown name "${token.value}"`);
+    }
+    if (accept('(')) {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('The result is not a finite number');
+  }
+  return result;
+}
+
+module.exports = {
+  evaluate
+};
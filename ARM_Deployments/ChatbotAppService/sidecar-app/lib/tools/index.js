@@ -0,0 +1,178 @@
+const { v4: uuidv4 } = require('uuid');
+const { validate, schemaProblems } = require('../jsonSchema');
+const { BUILT_IN_TOOLS } = require('./builtins');
+
+// Server-side tools the model can call through the OpenAI-compatible `tools`
+// parameter. A tool is { name, description, parameters, execute(args, context) }:
+// `parameters` is the JSON Schema of its arguments and execute may be async.
+// Failures are returned to the model as the tool result, so it can recover.
+
+const TOOL_NAME_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const MAX_RESULT_LENGTH = 8000;
+
+class ToolRegistry {
+  constructor({ timeoutMs = 5000 } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.tools = new Map();
+  }
+
+  register(tool) {
+    if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '') || typeof tool.execute !== 'function') {
+      throw new TypeError('A tool needs a name of letters, digits, _ or - and an execute(args, context) function');
+    }
+    if (this.tools.has(tool.name)) {
+      throw new Error(`Tool "${tool.name}" is already registered`);
+    }
+    if (tool.parameters !== undefined) {
+      const problems = schemaProblems(tool.parameters);
+      if (problems.length > 0) {
+        throw new TypeError(`Tool "${tool.name}" has invalid parameters: ${problems.join('; ')}`);
+      }
+    }
+    this.tools.set(tool.name, {
+      description: '',
+      parameters: { type: 'object', properties: {} },
+      ...tool
+    });
+    return this;
+  }
+
+  get size() {
+    return this.tools.size;
+  }
+
+  names() {
+    return [...this.tools.keys()];
+  }
+
+  // `tools` array for /v1/chat/completions
+  definitions() {
+    return [...this.tools.values()].map(({ name, description, parameters }) => ({
+      type: 'function',
+      function: { name, description, parameters }
+    }));
+  }
+
+  // Run a tool call from the model. `rawArguments` is the JSON string the model sent.
+  // Resolves to { content, failed }; content is the string sent back to the model.
+  async call(name, rawArguments, context = {}) {
+    const tool = this.tools.get(name);
+    if (!tool) {
+      return failure(`Unknown tool "${name}". Available tools: ${this.names().join(', ')}`);
+    }
+
+    let args;
+    try {
+      args = typeof rawArguments === 'string' ? JSON.parse(rawArguments || '{}') : (rawArguments || {});
+    } catch (error) {
+      return failure(`Arguments are not valid JSON: ${error.message}`);
+    }
+
+    const problems = validate(tool.parameters, args);
+    if (problems.length > 0) {
+      return failure(`Invalid arguments: ${problems.join('; ')}`);
+    }
+
+    let timer;
+    try {
+      const result = await Promise.race([
+        Promise.resolve().then(() => tool.execute(args, context)),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`Timed out after ${this.timeoutMs} ms`)), this.timeoutMs);
+        })
+      ]);
+      return { content: truncate(typeof result === 'string' ? result : JSON.stringify(result)), failed: false };
+    } catch (error) {
+      return failure(error.message);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
+
+function failure(message) {
+  return { content: JSON.stringify({ error: message }), failed: true };
+}
+
+function truncate(text) {
+  return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}... (truncated)` : text;
+}
+
+// Registry holding the built-in tools named in `allowed`
+function createToolRegistry({ allowed = BUILT_IN_TOOLS.map(tool => tool.name), timeoutMs } = {}) {
+  const registry = new ToolRegistry({ timeoutMs });
+  BUILT_IN_TOOLS
+    .filter(tool => allowed.includes(tool.name))
+    .forEach(tool => registry.register(tool));
+  return registry;
+}
+
+// Normalize OpenAI `tool_calls` ([{ id, function: { name, arguments } }]) to [{ id, name, arguments }]
+function toolCallsFrom(toolCalls) {
+  return (toolCalls || [])
+    .filter(call => call?.function?.name)
+    .map((call, index) => ({
+      id: call.id || `call_${index}`,
+      name: call.function.name,
+      arguments: typeof call.function.arguments === 'string'
+        ? call.function.arguments
+        : JSON.stringify(call.function.arguments || {})
+    }));
+}
+
+// One chat turn during which the model may call tools.
+// complete(messages, extraBody) makes one model call and resolves to
+// { content, toolCalls, usage }. Tools are offered for up to maxSteps rounds;
+// after that the model is asked once more without tools, so it has to answer.
+// Every tool result is recorded as a `tool` message and passed to onToolMessage.
+// Resolves to { content, usage } with usage summed over all rounds.
+async function runToolLoop({ registry, messages, complete, context, maxSteps = 0, onToolMessage = () => {} }) {
+  const conversation = [...messages];
+  const usage = { prompt_tokens: 0, completion_tokens: 0 };
+
+  for (let step = 0; ; step++) {
+    const offerTools = Boolean(registry && registry.size > 0 && step < maxSteps);
+    const result = await complete(conversation, offerTools ? { tools: registry.definitions(), tool_choice: 'auto' } : {});
+    usage.prompt_tokens += result.usage?.prompt_tokens || 0;
+    usage.completion_tokens += result.usage?.completion_tokens || 0;
+
+    const toolCalls = offerTools ? result.toolCalls || [] : [];
+    if (toolCalls.length === 0) {
+      return { content: result.content, usage };
+    }
+
+    conversation.push({
+      role: 'assistant',
+      content: result.content || null,
+      tool_calls: toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.name, arguments: call.arguments }
+      }))
+    });
+
+    for (const call of toolCalls) {
+      const outcome = await registry.call(call.name, call.arguments, context);
+      conversation.push({ role: 'tool', tool_call_id: call.id, content: outcome.content });
+
+      await onToolMessage({
+        id: uuidv4(),
+        role: 'tool',
+        name: call.name,
+        toolCallId: call.id,
+        arguments: call.arguments,
+        content: outcome.content,
+        timestamp: new Date().toISOString(),
+        ...(outcome.failed && { failed: true })
+      });
+    }
+  }
+}
+
+module.exports = {
+  ToolRegistry,
+  createToolRegistry,
+  toolCallsFrom,
+  runToolLoop,
+  BUILT_IN_TOOL_NAMES: BUILT_IN_TOOLS.map(tool => tool.name)
+};
@@ -0,0 +1,145 @@
+const { v4: uuidv4 } = require('uuid');
+const { context, propagation, trace, createContextKey, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { W3CTraceContextPropagator } = require('@opentelemetry/core');
+const { AsyncLocalStorageContextManager } = require('@opentelemetry/context-async-hooks');
+const {
+  BasicTracerProvider,
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  ConsoleSpanExporter,
+  InMemorySpanExporter
+} = require('@opentelemetry/sdk-trace-base');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+
+// Request correlation and tracing on top of the OpenTelemetry API.
+//
+// - Every request gets an id (incoming X-Request-Id, or a new one) that is echoed
+//   in the X-Request-Id header and in JSON error bodies
+// - Every request runs in a server span continuing the caller's W3C traceparent;
+//   the request id and span live in the active context, so log lines and sidecar
+//   calls made while handling the request can find them
+// - Spans are only exported when an exporter is configured: otlp, console or
+//   memory (kept in process, for tests). With 'none' ids still propagate.
+
+const TRACE_EXPORTERS = ['none', 'otlp', 'console', 'memory'];
+
+const REQUEST_ID_KEY = createContextKey('chatbot.request_id');
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function createExporter(type, otlpEndpoint) {
+  switch (type) {
+    case 'otlp': {
+      // Loaded lazily: the OTLP exporter pulls in a sizeable dependency tree
+      const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+      return new OTLPTraceExporter(otlpEndpoint ? { url: `${otlpEndpoint}/v1/traces` } : {});
+    }
+    case 'console':
+      return new ConsoleSpanExporter();
+    case 'memory':
+      return new InMemorySpanExporter();
+    default:
+      return null;
+  }
+}
+
+// Register the global context manager, W3C propagator and tracer provider.
+// Returns { tracer, exporter, middleware, shutdown }; `exporter` is the span
+// exporter in use (an InMemorySpanExporter with getFinishedSpans() in memory mode).
+function createTracing({ exporter: exporterType = 'none', serviceName = 'chatbot-sidecar-app', otlpEndpoint } = {}) {
+  if (!TRACE_EXPORTERS.includes(exporterType)) {
+    throw new Error(`Unknown trace exporter "${exporterType}". Expected one of: ${TRACE_EXPORTERS.join(', ')}`);
+  }
+
+  const exporter = createExporter(exporterType, otlpEndpoint);
+  const spanProcessors = [];
+  if (exporter) {
+    // Batch for the network exporter; export synchronously otherwise so spans show up at once
+    spanProcessors.push(exporterType === 'otlp' ? new BatchSpanProcessor(exporter) : new SimpleSpanProcessor(exporter));
+  }
+
+  const provider = new BasicTracerProvider({
+    resource: resourceFromAttributes({ 'service.name': serviceName }),
+    spanProcessors
+  });
+
+  context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+  propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+  trace.setGlobalTracerProvider(provider);
+
+  const tracer = trace.getTracer('chatbot-sidecar-app');
+
+  // Express middleware: assign the request id, start the server span and run the
+  // rest of the request inside their context
+  function middleware(req, res, next) {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4();
+    res.set('X-Request-Id', req.id);
+
+    // Error bodies carry the id too, so a failure seen in the browser can be found in the logs
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !('requestId' in body)) {
+        body = { ...body, requestId: req.id };
+      }
+      return json(body);
+    };
+
+    const parentContext = propagation.extract(context.active(), req.headers);
+    const span = tracer.startSpan(req.method, {
+      kind: SpanKind.SERVER,
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path,
+        'request.id': req.id
+      }
+    }, parentContext);
+
+    res.on('finish', () => {
+      const route = req.route ? `${req.baseUrl}${req.route.path}` : null;
+      if (route) {
+        span.updateName(`${req.method} ${route}`);
+        span.setAttribute('http.route', route);
+      }
+      span.setAttribute('http.response.status_code', res.statusCode);
+      if (res.statusCode >= 500) {
+        span.setStatus({ code: SpanStatusCode.ERROR });
+      }
+      span.end();
+    });
+
+    const requestContext = trace.setSpan(parentContext, span).setValue(REQUEST_ID_KEY, req.id);
+    // Body parsers resume the chain from stream callbacks; bind them to this context too
+    context.bind(requestContext, req);
+    context.bind(requestContext, res);
+    context.with(requestContext, next);
+  }
+
+  return {
+    tracer,
+    exporter,
+    middleware,
+    shutdown: () => provider.shutdown()
+  };
+}
+
+// Correlation fields for the current request, for log lines
+function correlationFields() {
+  const active = context.active();
+  const fields = {};
+
+  const requestId = active.getValue(REQUEST_ID_KEY);
+  if (requestId) fields.requestId = requestId;
+
+  const spanContext = trace.getSpan(active)?.spanContext();
+  if (spanContext && trace.isSpanContextValid(spanContext)) {
+    fields.traceId = spanContext.traceId;
+    fields.spanId = spanContext.spanId;
+  }
+  return fields;
+}
+
+module.exports = {
+  createTracing,
+  correlationFields,
+  TRACE_EXPORTERS
+};
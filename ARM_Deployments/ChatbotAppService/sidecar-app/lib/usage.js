@@ -0,0 +1,76 @@
+// Token usage summaries built from stored assistant messages.
+// Regenerated replies count too: their earlier versions live in `alternates`
+// and used tokens when they were generated.
+
+function emptyTotals() {
+  return {
+    replies: 0,
+    promptTokens: 0,
+    completionTokens: 0,
+    totalTokens: 0
+  };
+}
+
+function addReply(totals, reply) {
+  totals.replies++;
+  totals.promptTokens += reply.promptTokens || 0;
+  totals.completionTokens += reply.tokens || 0;
+  totals.totalTokens = totals.promptTokens + totals.completionTokens;
+}
+
+function replyVersions(session) {
+  return session.messages
+    .filter(msg => msg.role === 'assistant')
+    .flatMap(msg => (msg.alternates || []).concat(msg))
+    .filter(reply => !reply.error);
+}
+
+// Totals across sessions, with a breakdown per model
+function summarizeUsage(sessions) {
+  const summary = {
+    sessions: sessions.length,
+    messages: 0,
+    ...emptyTotals(),
+    byModel: {}
+  };
+
+  sessions.forEach(session => {
+    summary.messages += session.messages.length;
+    replyVersions(session).forEach(reply => {
+      const model = reply.model || 'unknown';
+      summary.byModel[model] = summary.byModel[model] || emptyTotals();
+      addReply(summary, reply);
+      addReply(summary.byModel[model], reply);
+    });
+  });
+
+  return summary;
+}
+
+// Copy of a message without the token counts on it or its earlier versions, for
+// copies of a conversation (forks, imports) that used no tokens themselves
+function withoutUsage({ tokens, promptTokens, alternates, ...message }) {
+  return alternates
+    ? { ...message, alternates: alternates.map(version => withoutUsage(version)) }
+    : message;
+}
+
+// One summary per session owner, heaviest users first
+function summarizeUsageByUser(sessions, ownerOf) {
+  const byUser = new Map();
+  sessions.forEach(session => {
+    const userId = ownerOf(session);
+    if (!byUser.has(userId)) byUser.set(userId, []);
+    byUser.get(userId).push(session);
+  });
+
+  return [...byUser.entries()]
+    .map(([userId, userSessions]) => ({ userId, ...summarizeUsage(userSessions) }))
+    .sort((a, b) => b.totalTokens - a.totalTokens);
+}
+
+module.exports = {
+  summarizeUsage,
+  summarizeUsageByUser,
+  withoutUsage
+};
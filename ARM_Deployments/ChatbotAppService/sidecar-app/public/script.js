@@ -1,9 +1,26 @@
 // Global variables
 let currentSessionId = null;
 let sessions = [];
+let availableModels = [];
+let defaultModel = null;
+let presets = [];
+let currentUser = null;
+let sessionSearchQuery = '';
+let showArchivedSessions = false;
+let sessionsCursor = null;
+let sessionsRequest = 0;
+let loadingSessions = false;
+
+// WebSocket for live updates; null while disconnected, when REST is used instead
+let realtimeSocket = null;
+let realtimeRetryDelay = 1000;
+let realtimeRequestCount = 0;
+let realtimeRequests = new Map();
+let realtimeSubscription = null;
+let sessionListRefresh = null;
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     console.log('🚀 Chatbot Sidecar App initialized');
     
     // Initialize UI elements
@@ -12,9 +29,21 @@ document.addEventListener('DOMContentLoaded', function() {
     // Check system health
     checkSystemHealth();
     
+    // Identify the user first so cookie sessions are issued once, not per request
+    await loadCurrentUser();
+    
+    // Live session and health updates (the socket needs the session cookie)
+    connectRealtime();
+    
     // Load existing sessions
     loadSessions();
     
+    // Fill the model picker
+    loadModels();
+    
+    // Fill the preset picker for new chats
+    loadPresets();
+    
     // Setup keyboard shortcuts
     setupKeyboardShortcuts();
 });
@@ -30,6 +59,66 @@ function initializeEventListeners() {
     sendBtn?.addEventListener('click', sendMessage);
     deleteSessionBtn?.addEventListener('click', deleteCurrentSession);
     
+    // Session search (debounced) and infinite scroll for older sessions
+    const sessionSearch = document.getElementById('sessionSearch');
+    const sessionList = document.getElementById('sessionList');
+    let searchTimer = null;
+    
+    sessionSearch?.addEventListener('input', function() {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => {
+            sessionSearchQuery = this.value.trim();
+            loadSessions();
+        }, 300);
+    });
+    document.getElementById('showArchived')?.addEventListener('change', function() {
+        showArchivedSessions = this.checked;
+        loadSessions();
+    });
+    sessionList?.addEventListener('scroll', function() {
+        if (sessionsCursor && !loadingSessions &&
+            this.scrollTop + this.clientHeight >= this.scrollHeight - 50) {
+            loadSessions({ append: true });
+        }
+    });
+    
+    // Session export menu and import file picker
+    const exportMenu = document.getElementById('exportMenu');
+    const importFileInput = document.getElementById('importFileInput');
+    
+    document.getElementById('exportSessionBtn')?.addEventListener('click', function(e) {
+        e.stopPropagation();
+        exportMenu.classList.toggle('open');
+    });
+    document.getElementById('exportOptions')?.addEventListener('click', function(e) {
+        const format = e.target.dataset.format;
+        if (format) {
+            exportMenu.classList.remove('open');
+            exportCurrentSession(format);
+        }
+    });
+    document.addEventListener('click', () => exportMenu?.classList.remove('open'));
+    
+    document.getElementById('importSessionBtn')?.addEventListener('click', () => importFileInput.click());
+    importFileInput?.addEventListener('change', function() {
+        if (this.files[0]) {
+            importSession(this.files[0]);
+        }
+        this.value = '';
+    });
+    
+    // Documents attached to the open session
+    const documentFileInput = document.getElementById('documentFileInput');
+    document.getElementById('attachDocumentBtn')?.addEventListener('click', () => documentFileInput.click());
+    documentFileInput?.addEventListener('change', async function() {
+        const files = [...this.files];
+        this.value = '';
+        for (const file of files) {
+            await uploadDocument(file);
+        }
+        loadSessionDocuments();
+    });
+    
     // Auto-resize textarea
     messageInput?.addEventListener('input', function() {
         this.style.height = 'auto';
@@ -93,18 +182,324 @@ function updateStatusIndicator(indicatorId, isHealthy, status) {
     }
 }
 
+// Realtime updates over a WebSocket: replies stream over it, and session changes made in
+// other tabs and backend health are pushed. Without it everything goes over REST.
+function realtimeConnected() {
+    return realtimeSocket?.readyState === WebSocket.OPEN;
+}
+
+function connectRealtime() {
+    if (!('WebSocket' in window)) return;
+    
+    const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+    const socket = new WebSocket(`${protocol}//${location.host}/ws`);
+    let reconnected = false;
+    
+    socket.addEventListener('open', () => {
+        reconnected = realtimeRetryDelay > 1000;
+        realtimeSocket = socket;
+        realtimeRetryDelay = 1000;
+        realtimeSubscription = null;
+        subscribeToSession(currentSessionId);
+    });
+    
+    socket.addEventListener('message', (event) => {
+        const message = JSON.parse(event.data);
+        if (message.type === 'ready' && reconnected) {
+            // Catch up on changes made while we were away
+            scheduleSessionListRefresh();
+            if (currentSessionId) selectSession(currentSessionId);
+        }
+        handleRealtimeMessage(message);
+    });
+    
+    socket.addEventListener('close', () => {
+        if (realtimeSocket === socket) realtimeSocket = null;
+        realtimeRequests.forEach(request => request.fail(new Error('Connection to the server was lost')));
+        realtimeRequests.clear();
+        
+        // Try again with backoff; health is polled over REST in the meantime
+        setTimeout(connectRealtime, realtimeRetryDelay);
+        realtimeRetryDelay = Math.min(realtimeRetryDelay * 2, 30000);
+    });
+}
+
+function handleRealtimeMessage(message) {
+    const request = realtimeRequests.get(message.requestId);
+    
+    switch (message.type) {
+        case 'reply':
+        case 'event':
+        case 'end':
+            request?.[message.type](message);
+            break;
+        case 'error':
+            if (request) {
+                realtimeRequests.delete(message.requestId);
+                request.fail(new Error(message.error));
+            } else {
+                console.warn('Realtime error:', message.error);
+            }
+            break;
+        case 'health':
+            applyHealth(message);
+            break;
+        case 'session':
+            applySessionChange(message);
+            break;
+    }
+}
+
+function subscribeToSession(sessionId) {
+    if (!realtimeConnected() || realtimeSubscription === sessionId) return;
+    
+    if (realtimeSubscription) {
+        realtimeSocket.send(JSON.stringify({ type: 'unsubscribe', sessionId: realtimeSubscription }));
+    }
+    if (sessionId) {
+        realtimeSocket.send(JSON.stringify({ type: 'subscribe', sessionId }));
+    }
+    realtimeSubscription = sessionId;
+}
+
+// Send a chat message over the socket. Resolves to a Response like fetch() would give:
+// JSON for errors, or a body re-encoded as Server-Sent Events for readEventStream
+function sendRealtimeMessage(sessionId, payload) {
+    const requestId = `request-${++realtimeRequestCount}`;
+    const encoder = new TextEncoder();
+    
+    return new Promise((resolve, reject) => {
+        let stream = null;
+        
+        realtimeRequests.set(requestId, {
+            reply({ status, headers, body }) {
+                if (body !== undefined) {
+                    realtimeRequests.delete(requestId);
+                    resolve(new Response(JSON.stringify(body), { status, headers }));
+                    return;
+                }
+                resolve(new Response(new ReadableStream({
+                    start(controller) {
+                        stream = controller;
+                    }
+                }), { status, headers }));
+            },
+            event({ event, data }) {
+                stream?.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`));
+            },
+            end() {
+                realtimeRequests.delete(requestId);
+                stream?.close();
+            },
+            fail(error) {
+                if (stream) {
+                    stream.error(error);
+                } else {
+                    reject(error);
+                }
+            }
+        });
+        
+        realtimeSocket.send(JSON.stringify({ type: 'send', requestId, sessionId, ...payload }));
+    });
+}
+
+// Backend health pushed by the server when it changes
+function applyHealth(health) {
+    updateStatusIndicator('appStatus', true, 'healthy');
+    updateStatusIndicator('sidecarStatus', health.available, health.sidecarStatus || 'unknown');
+    
+    if (!health.available) {
+        showToast('Warning: AI service is not available. Some features may not work.', 'error');
+    }
+}
+
+// A session changed, here or in another tab: refresh the list, and the open conversation
+// unless a reply is being sent, a message edited or feedback written in it
+function applySessionChange({ change, sessionId, session }) {
+    scheduleSessionListRefresh();
+    if (sessionId !== currentSessionId) return;
+    
+    if (change === 'deleted') {
+        clearCurrentSession('Chat session deleted');
+        return;
+    }
+    
+    const messagesContainer = document.getElementById('messagesContainer');
+    if (session && !messagesContainer.classList.contains('busy') && !messagesContainer.querySelector('.message.editing, .feedback-form')) {
+        showSession(session);
+    }
+}
+
+// Reload the session list once a burst of changes has settled, and not while renaming
+function scheduleSessionListRefresh() {
+    clearTimeout(sessionListRefresh);
+    sessionListRefresh = setTimeout(() => {
+        if (document.querySelector('#sessionList input')) {
+            scheduleSessionListRefresh();
+            return;
+        }
+        loadSessions();
+    }, 500);
+}
+
+// Current user
+async function loadCurrentUser() {
+    try {
+        const response = await fetch('/api/auth/me');
+        if (response.status === 401) {
+            showToast('Please sign in to use the chat', 'error');
+            return;
+        }
+        
+        const data = await response.json();
+        currentUser = data.user;
+        
+        // Nothing to show when authentication is turned off
+        const userIndicator = document.getElementById('userIndicator');
+        if (userIndicator && currentUser && currentUser.method !== 'none') {
+            document.getElementById('userName').textContent = currentUser.name +
+                (currentUser.isAdmin ? ' (admin)' : '');
+            userIndicator.style.display = 'flex';
+        }
+        
+    } catch (error) {
+        console.error('Failed to load current user:', error);
+    }
+}
+
+// Model selection
+async function loadModels() {
+    const modelSelect = document.getElementById('modelSelect');
+    if (!modelSelect) return;
+    
+    try {
+        const response = await fetch('/api/models');
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load models');
+        }
+        
+        availableModels = (data.models || []).map(model => model.name);
+        defaultModel = data.defaultModel || availableModels[0] || null;
+        
+        if (availableModels.length === 0) {
+            modelSelect.innerHTML = '<option value="">No models available</option>';
+            modelSelect.disabled = true;
+            return;
+        }
+        
+        modelSelect.innerHTML = availableModels.map(name => `
+            <option value="${escapeHtml(name)}">${escapeHtml(name)}</option>
+        `).join('');
+        modelSelect.disabled = false;
+        setSelectedModel(getCurrentSession()?.model || defaultModel);
+        
+    } catch (error) {
+        console.error('Failed to load models:', error);
+        // Leave the choice to the server's default model
+        modelSelect.innerHTML = '<option value="">Default model</option>';
+        modelSelect.disabled = true;
+    }
+}
+
+function getSelectedModel() {
+    const modelSelect = document.getElementById('modelSelect');
+    return modelSelect && !modelSelect.disabled && modelSelect.value ? modelSelect.value : undefined;
+}
+
+// Select a model in the picker, matching "phi4" to a "phi4:latest" tag
+function setSelectedModel(name) {
+    const modelSelect = document.getElementById('modelSelect');
+    if (!modelSelect || modelSelect.disabled || !name) return;
+    
+    const match = availableModels.find(model => model === name) ||
+        availableModels.find(model => model === `${name}:latest`);
+    if (match) {
+        modelSelect.value = match;
+    }
+}
+
+// Prompt presets
+async function loadPresets() {
+    const presetSelect = document.getElementById('presetSelect');
+    if (!presetSelect) return;
+    
+    try {
+        const response = await fetch('/api/presets');
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to load presets');
+        }
+        
+        presets = data.presets || [];
+        presetSelect.innerHTML = '<option value="">Default assistant</option>' + presets
+            .filter(preset => preset.id !== 'assistant')
+            .map(preset => `
+                <option value="${escapeHtml(preset.id)}" title="${escapeHtml(preset.description || '')}">${escapeHtml(preset.name)}</option>
+            `).join('');
+        
+    } catch (error) {
+        console.error('Failed to load presets:', error);
+    }
+}
+
+// Ask for the values a preset's {{variables}} need; null if the user cancels
+function promptForPresetVariables(preset) {
+    const variables = {};
+    
+    for (const name of preset.variables || []) {
+        const value = prompt(`${preset.name}: enter a value for "${name}"`);
+        if (value === null) {
+            return null;
+        }
+        variables[name] = value;
+    }
+    return variables;
+}
+
+function getCurrentSession() {
+    return sessions.find(session => session.id === currentSessionId);
+}
+
 // Session management
-async function loadSessions() {
+// Load the first page of sessions, or the next page when append is true
+async function loadSessions({ append = false } = {}) {
+    const requestId = ++sessionsRequest;
+    const params = new URLSearchParams();
+    if (sessionSearchQuery) params.set('q', sessionSearchQuery);
+    if (showArchivedSessions) params.set('archived', 'include');
+    if (append && sessionsCursor) params.set('cursor', sessionsCursor);
+    
+    loadingSessions = true;
     try {
-        const response = await fetch('/api/chat/sessions');
+        const response = await fetch(`/api/chat/sessions?${params}`);
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return;
+        }
+        if (response.status === 401) {
+            showToast('Please sign in to see your chat sessions', 'error');
+            return;
+        }
         const data = await response.json();
         
-        sessions = data.sessions || [];
+        // A newer search has started since this request was sent
+        if (requestId !== sessionsRequest) return;
+        
+        sessions = append ? sessions.concat(data.sessions || []) : (data.sessions || []);
+        sessionsCursor = data.nextCursor || null;
         renderSessionList();
         
     } catch (error) {
         console.error('Failed to load sessions:', error);
         showToast('Failed to load chat sessions', 'error');
+    } finally {
+        if (requestId === sessionsRequest) {
+            loadingSessions = false;
+        }
     }
 }
 
@@ -113,7 +508,11 @@ function renderSessionList() {
     if (!sessionList) return;
     
     if (sessions.length === 0) {
-        sessionList.innerHTML = `
+        sessionList.innerHTML = sessionSearchQuery ? `
+            <div style="padding: 1rem; text-align: center; color: #a0aec0; font-style: italic;">
+                No conversations match "${escapeHtml(sessionSearchQuery)}".
+            </div>
+        ` : `
             <div style="padding: 1rem; text-align: center; color: #a0aec0; font-style: italic;">
                 No chat sessions yet.<br>
                 Click "New Chat" to start!
@@ -123,15 +522,149 @@ function renderSessionList() {
     }
     
     sessionList.innerHTML = sessions.map(session => `
-        <div class="session-item ${session.id === currentSessionId ? 'active' : ''}" 
-             onclick="selectSession('${session.id}')">
-            <div class="session-item-title">${escapeHtml(session.title)}</div>
+        <div class="session-item ${session.id === currentSessionId ? 'active' : ''} ${session.archived ? 'archived' : ''}" 
+             data-session-id="${session.id}" onclick="selectSession('${session.id}')">
+            <div class="session-item-header">
+                <div class="session-item-title" title="Double-click to rename"
+                     ondblclick="event.stopPropagation(); startRenameSession('${session.id}')">${session.pinned ? '<i class="fas fa-thumbtack"></i>' : ''}${escapeHtml(session.title)}</div>
+                <div class="session-item-actions">
+                    <button title="Rename" onclick="event.stopPropagation(); startRenameSession('${session.id}')">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button title="${session.pinned ? 'Unpin' : 'Pin'}" onclick="event.stopPropagation(); toggleSessionFlag('${session.id}', 'pinned')">
+                        <i class="fas fa-thumbtack"></i>
+                    </button>
+                    <button title="${session.archived ? 'Unarchive' : 'Archive'}" onclick="event.stopPropagation(); toggleSessionFlag('${session.id}', 'archived')">
+                        <i class="fas fa-box-archive"></i>
+                    </button>
+                </div>
+            </div>
             <div class="session-item-time">${formatTime(session.createdAt)}</div>
+            ${(session.matches || []).filter(match => match.field === 'message').map(match => `
+                <div class="session-item-snippet">${highlightSnippet(match)}</div>
+            `).join('')}
         </div>
-    `).join('');
+    `).join('') + (sessionsCursor ? '<div class="session-list-status" onclick="loadSessions({ append: true })">Scroll for older sessions...</div>' : '');
+}
+
+// Save metadata changes (title, pinned, archived, tags); returns the updated session or null
+async function updateSession(sessionId, updates) {
+    try {
+        const response = await fetch(`/api/chat/sessions/${sessionId}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(updates)
+        });
+        
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return null;
+        }
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to update session');
+        }
+        return data.session;
+        
+    } catch (error) {
+        console.error('Failed to update session:', error);
+        showToast(error.message || 'Failed to update chat session', 'error');
+        return null;
+    }
+}
+
+// Show a session's new title in the list and, if it is open, in the chat header
+function applySessionTitle(sessionId, title) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (session) {
+        session.title = title;
+    }
+    if (sessionId === currentSessionId) {
+        document.getElementById('currentSessionTitle').textContent = title;
+    }
+    renderSessionList();
+}
+
+// Inline rename: Enter or leaving the field saves, Escape cancels
+function startRenameSession(sessionId) {
+    const session = sessions.find(s => s.id === sessionId);
+    const titleElement = document.querySelector(`.session-item[data-session-id="${sessionId}"] .session-item-title`);
+    if (!session || !titleElement) return;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.value = session.title;
+    input.maxLength = 200;
+    titleElement.innerHTML = '';
+    titleElement.appendChild(input);
+    input.addEventListener('click', e => e.stopPropagation());
+    input.focus();
+    input.select();
+    
+    let finished = false;
+    const finish = async (save) => {
+        if (finished) return;
+        finished = true;
+        
+        const title = input.value.trim();
+        if (!save || !title || title === session.title) {
+            renderSessionList();
+            return;
+        }
+        
+        const updated = await updateSession(sessionId, { title });
+        applySessionTitle(sessionId, updated ? updated.title : session.title);
+    };
+    
+    input.addEventListener('keydown', function(e) {
+        e.stopPropagation();
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+// Flip a session's pinned or archived flag, then reload so the list order matches the server
+async function toggleSessionFlag(sessionId, flag) {
+    const session = sessions.find(s => s.id === sessionId);
+    if (!session) return;
+    
+    const updated = await updateSession(sessionId, { [flag]: !session[flag] });
+    if (!updated) return;
+    
+    if (flag === 'archived') {
+        showToast(updated.archived ? 'Chat session archived' : 'Chat session restored', 'success');
+    }
+    await loadSessions();
+}
+
+// Escape a search snippet and wrap its highlighted ranges in <mark>
+function highlightSnippet({ snippet, highlights }) {
+    let html = '';
+    let position = 0;
+    
+    highlights.forEach(({ start, end }) => {
+        html += escapeHtml(snippet.slice(position, start));
+        html += `<mark>${escapeHtml(snippet.slice(start, end))}</mark>`;
+        position = end;
+    });
+    
+    return html + escapeHtml(snippet.slice(position));
 }
 
 async function createNewSession() {
+    const presetId = document.getElementById('presetSelect')?.value;
+    const preset = presets.find(p => p.id === presetId);
+    let variables;
+    
+    if (preset) {
+        variables = promptForPresetVariables(preset);
+        if (!variables) return;
+    }
+    
     try {
         const response = await fetch('/api/chat/sessions', {
             method: 'POST',
@@ -139,10 +672,18 @@ async function createNewSession() {
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
-                title: `Chat ${new Date().toLocaleDateString()}`
+                title: preset ? `${preset.name} ${new Date().toLocaleDateString()}` : `Chat ${new Date().toLocaleDateString()}`,
+                model: getSelectedModel(),
+                presetId: preset ? preset.id : undefined,
+                variables
             })
         });
         
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return;
+        }
+        
         const data = await response.json();
         
         if (response.ok) {
@@ -167,15 +708,16 @@ async function selectSession(sessionId) {
         
         if (response.ok) {
             currentSessionId = sessionId;
-            document.getElementById('currentSessionTitle').textContent = session.title;
+            subscribeToSession(sessionId);
             
             // Show input container and hide welcome message
             document.getElementById('inputContainer').style.display = 'block';
             document.getElementById('deleteSessionBtn').style.display = 'block';
+            document.getElementById('exportMenu').style.display = 'block';
             
-            // Render messages
-            renderMessages(session.messages || []);
+            showSession(session);
             renderSessionList(); // Update active state
+            loadSessionDocuments();
             
         } else {
             throw new Error(session.error || 'Failed to load session');
@@ -187,6 +729,40 @@ async function selectSession(sessionId) {
     }
 }
 
+// Title, model and messages of the open session
+function showSession(session) {
+    const titleElement = document.getElementById('currentSessionTitle');
+    titleElement.textContent = session.title;
+    titleElement.title = session.systemPrompt ? `System prompt: ${session.systemPrompt}` : '';
+    setSelectedModel(session.model);
+    renderMessages(session.messages || []);
+}
+
+// Close the open session (deleted here or elsewhere) and show the welcome message
+function clearCurrentSession(heading) {
+    sessions = sessions.filter(s => s.id !== currentSessionId);
+    currentSessionId = null;
+    subscribeToSession(null);
+    
+    document.getElementById('currentSessionTitle').textContent = 'Select or create a chat session';
+    document.getElementById('inputContainer').style.display = 'none';
+    document.getElementById('deleteSessionBtn').style.display = 'none';
+    document.getElementById('exportMenu').style.display = 'none';
+    
+    const messagesContainer = document.getElementById('messagesContainer');
+    messagesContainer.innerHTML = `
+        <div class="welcome-message">
+            <div class="welcome-content">
+                <i class="fas fa-robot fa-3x"></i>
+                <h2>${escapeHtml(heading)}</h2>
+                <p>Create a new chat session or select an existing one to continue.</p>
+            </div>
+        </div>
+    `;
+    
+    renderSessionList();
+}
+
 async function deleteCurrentSession() {
     if (!currentSessionId) return;
     
@@ -200,28 +776,10 @@ async function deleteCurrentSession() {
         });
         
         if (response.ok) {
-            // Remove from local sessions array
-            sessions = sessions.filter(s => s.id !== currentSessionId);
-            
-            // Reset UI
-            currentSessionId = null;
-            document.getElementById('currentSessionTitle').textContent = 'Select or create a chat session';
-            document.getElementById('inputContainer').style.display = 'none';
-            document.getElementById('deleteSessionBtn').style.display = 'none';
-            
-            // Show welcome message
-            const messagesContainer = document.getElementById('messagesContainer');
-            messagesContainer.innerHTML = `
-                <div class="welcome-message">
-                    <div class="welcome-content">
-                        <i class="fas fa-robot fa-3x"></i>
-                        <h2>Chat session deleted</h2>
-                        <p>Create a new chat session or select an existing one to continue.</p>
-                    </div>
-                </div>
-            `;
-            
-            renderSessionList();
+            // The realtime update may have closed it already
+            if (currentSessionId) {
+                clearCurrentSession('Chat session deleted');
+            }
             showToast('Chat session deleted', 'success');
             
         } else {
@@ -234,36 +792,420 @@ async function deleteCurrentSession() {
     }
 }
 
+// Download the current session in the chosen format (json, markdown or jsonl)
+async function exportCurrentSession(format) {
+    if (!currentSessionId) return;
+    
+    try {
+        const response = await fetch(`/api/chat/sessions/${currentSessionId}/export?format=${format}`);
+        if (!response.ok) {
+            const data = await response.json();
+            throw new Error(data.error || 'Failed to export session');
+        }
+        
+        // Use the filename the server picked in Content-Disposition
+        const disposition = response.headers.get('Content-Disposition') || '';
+        const filename = (disposition.match(/filename="?([^";]+)"?/) || [])[1] || `chat-${currentSessionId}.${format}`;
+        
+        const url = URL.createObjectURL(await response.blob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+        
+    } catch (error) {
+        console.error('Failed to export session:', error);
+        showToast('Failed to export chat session', 'error');
+    }
+}
+
+// Recreate a session from a JSON export file
+async function importSession(file) {
+    try {
+        let body;
+        try {
+            body = JSON.parse(await file.text());
+        } catch (error) {
+            showToast('Import file is not valid JSON', 'error');
+            return;
+        }
+        
+        const response = await fetch('/api/chat/sessions/import', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+        
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return;
+        }
+        
+        const data = await response.json();
+        
+        if (response.ok) {
+            sessions.unshift(data.session);
+            await selectSession(data.sessionId);
+            renderSessionList();
+            showToast('Chat session imported!', 'success');
+        } else {
+            console.warn('Import rejected:', data.details);
+            const reason = data.details && data.details.length ? `: ${data.details[0]}` : '';
+            showToast(`${data.error || 'Failed to import session'}${reason}`, 'error');
+        }
+        
+    } catch (error) {
+        console.error('Failed to import session:', error);
+        showToast('Failed to import chat session', 'error');
+    }
+}
+
+// Session documents, searched for passages before each reply
+async function loadSessionDocuments() {
+    const documentBar = document.getElementById('documentBar');
+    if (!documentBar || !currentSessionId) return;
+    
+    const sessionId = currentSessionId;
+    try {
+        const response = await fetch(`/api/chat/sessions/${sessionId}/documents`);
+        if (sessionId !== currentSessionId) return;
+        
+        // Document retrieval is switched off on the server
+        if (response.status === 404) {
+            document.getElementById('attachDocumentBtn').style.display = 'none';
+            documentBar.innerHTML = '';
+            return;
+        }
+        
+        const data = await response.json();
+        documentBar.innerHTML = (data.documents || []).map(doc => `
+            <span class="document-chip" title="${doc.chunkCount} passages${doc.embeddingModel ? `, embedded with ${escapeHtml(doc.embeddingModel)}` : ''}">
+                <i class="fas fa-file-lines"></i> ${escapeHtml(doc.name)}
+                <button title="Remove document" onclick="deleteDocument('${doc.id}')"><i class="fas fa-xmark"></i></button>
+            </span>
+        `).join('');
+        
+    } catch (error) {
+        console.error('Failed to load session documents:', error);
+    }
+}
+
+async function uploadDocument(file) {
+    if (!currentSessionId) return;
+    
+    try {
+        const response = await fetch(`/api/chat/sessions/${currentSessionId}/documents`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                name: file.name,
+                content: await file.text()
+            })
+        });
+        
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return;
+        }
+        
+        const data = await response.json();
+        if (!response.ok) {
+            const reason = data.details && data.details.length ? `: ${data.details[0]}` : '';
+            showToast(`Could not attach ${file.name}${reason}`, 'error');
+            return;
+        }
+        
+        showToast(`Attached ${file.name} (${data.document.chunkCount} passages)`, 'success');
+        
+    } catch (error) {
+        console.error('Failed to upload document:', error);
+        showToast(`Failed to attach ${file.name}`, 'error');
+    }
+}
+
+async function deleteDocument(documentId) {
+    if (!currentSessionId) return;
+    
+    try {
+        const response = await fetch(`/api/chat/sessions/${currentSessionId}/documents/${documentId}`, {
+            method: 'DELETE'
+        });
+        if (!response.ok) {
+            throw new Error('Failed to delete document');
+        }
+        loadSessionDocuments();
+        
+    } catch (error) {
+        console.error('Failed to delete document:', error);
+        showToast('Failed to remove the document', 'error');
+    }
+}
+
 // Message handling
 function renderMessages(messages) {
     const messagesContainer = document.getElementById('messagesContainer');
     if (!messagesContainer) return;
     
-    messagesContainer.innerHTML = messages.map(message => `
-        <div class="message ${message.role}">
+    messagesContainer.innerHTML = messages.map(renderMessageHtml).join('');
+    
+    // Scroll to bottom
+    messagesContainer.scrollTop = messagesContainer.scrollHeight;
+}
+
+function renderMessageHtml(message) {
+    if (message.role === 'tool') {
+        return renderToolMessageHtml(message);
+    }
+    
+    // Regenerated replies keep their earlier versions; the current one is shown last
+    const versions = (message.alternates || []).concat(message);
+    
+    return `
+        <div class="message ${message.role}" data-message-id="${message.id || ''}" data-content="${escapeHtml(message.content)}">
             <div class="message-avatar">
                 <i class="fas ${message.role === 'user' ? 'fa-user' : 'fa-robot'}"></i>
             </div>
             <div class="message-content">
-                <div class="message-bubble">
-                    ${formatMessageContent(message.content)}
-                </div>
+                ${versions.map((version, index) => `
+                    <div class="message-bubble" ${index === versions.length - 1 ? '' : 'hidden'}>
+                        ${formatMessageContent(version.content)}
+                    </div>
+                `).join('')}
                 <div class="message-time">
                     ${formatTime(message.timestamp)}
                     ${message.model ? ` • ${message.model}` : ''}
                     ${message.tokens ? ` • ${message.tokens} tokens` : ''}
+                    ${message.cached ? ` • <span class="cached-badge" title="Answered from the response cache (${escapeHtml(message.cached.match)} match)"><i class="fas fa-bolt"></i> cached</span>` : ''}
+                    ${message.editedAt ? ' • edited' : ''}
+                    ${message.moderation?.length ? renderModerationBadge(message.moderation) : ''}
+                    ${versions.length > 1 ? `
+                        <span class="message-versions">
+                            <button title="Previous version" onclick="showMessageVersion('${message.id}', -1)"><i class="fas fa-chevron-left"></i></button>
+                            <span class="message-version-label">${versions.length}/${versions.length}</span>
+                            <button title="Next version" onclick="showMessageVersion('${message.id}', 1)"><i class="fas fa-chevron-right"></i></button>
+                        </span>
+                    ` : ''}
                 </div>
+                ${message.citations?.length ? renderCitations(message.citations) : ''}
+                ${message.id ? renderMessageActions(message) : ''}
+            </div>
+        </div>
+    `;
+}
+
+// A tool the model called while answering: the call, collapsed, with its result inside
+function renderToolMessageHtml(message) {
+    return `
+        <div class="message tool${message.failed ? ' failed' : ''}" data-message-id="${message.id || ''}">
+            <div class="message-avatar">
+                <i class="fas fa-wrench"></i>
+            </div>
+            <div class="message-content">
+                <details class="tool-call">
+                    <summary>
+                        <code>${escapeHtml(message.name)}(${escapeHtml(message.arguments || '')})</code>
+                        ${message.failed ? ' • failed' : ''}
+                    </summary>
+                    <pre>${escapeHtml(message.content)}</pre>
+                </details>
             </div>
         </div>
-    `).join('');
+    `;
+}
+
+// Document passages a reply drew on, numbered as the reply cites them
+function renderCitations(citations) {
+    return `
+        <details class="message-citations">
+            <summary><i class="fas fa-book-open"></i> ${citations.length} source${citations.length === 1 ? '' : 's'}</summary>
+            <ol>
+                ${citations.map(citation => `
+                    <li value="${citation.index}">
+                        <strong>${escapeHtml(citation.documentName)}</strong>
+                        ${citation.heading ? ` • ${escapeHtml(citation.heading)}` : ''}
+                        ${citation.page ? ` • page ${citation.page}` : ''}
+                        <blockquote>${formatMessageContent(citation.snippet)}</blockquote>
+                    </li>
+                `).join('')}
+            </ol>
+        </details>
+    `;
+}
+
+// Mark messages the content policy redacted or replaced; the tooltip lists what was found
+function renderModerationBadge(interventions) {
+    const summary = interventions
+        .map(({ category, action, count }) => `${category} ${action}${count > 1 ? ` (${count})` : ''}`)
+        .join(', ');
+    const blocked = interventions.some(intervention => intervention.action === 'blocked');
     
-    // Scroll to bottom
+    return ` • <span class="moderation-badge" title="${escapeHtml(summary)}"><i class="fas fa-shield-halved"></i> ${blocked ? 'filtered' : 'redacted'}</span>`;
+}
+
+function renderMessageActions(message) {
+    return `
+        <div class="message-actions">
+            ${message.role === 'assistant' ? `
+                ${message.error ? '' : renderFeedbackButtons(message)}
+                <button class="regenerate-btn" title="Regenerate reply" onclick="regenerateMessage('${message.id}')"><i class="fas fa-rotate-right"></i></button>
+            ` : `
+                <button title="Edit and resend" onclick="startEditMessage('${message.id}')"><i class="fas fa-pen"></i></button>
+            `}
+            <button title="New chat from here" onclick="forkFromMessage('${message.id}')"><i class="fas fa-code-branch"></i></button>
+            <button title="Delete message" onclick="deleteMessage('${message.id}')"><i class="fas fa-trash"></i></button>
+        </div>
+    `;
+}
+
+// Feedback on replies: a thumbs up or down, then optional reasons and a comment.
+// Reasons match FEEDBACK_TAGS on the server.
+const FEEDBACK_REASONS = {
+    up: ['accurate', 'helpful', 'well-written'],
+    down: ['inaccurate', 'incomplete', 'unhelpful', 'off-topic', 'unsafe', 'formatting', 'too-long']
+};
+
+function renderFeedbackButtons(message) {
+    const rating = message.feedback?.rating;
+    const title = message.feedback ? feedbackSummary(message.feedback) : '';
+    return `
+        <button class="feedback-btn ${rating === 'up' ? 'active' : ''}" data-rating="up" title="${escapeHtml(title || 'Good answer')}" onclick="rateMessage('${message.id}', 'up')"><i class="fas fa-thumbs-up"></i></button>
+        <button class="feedback-btn ${rating === 'down' ? 'active' : ''}" data-rating="down" title="${escapeHtml(title || 'Bad answer')}" onclick="rateMessage('${message.id}', 'down')"><i class="fas fa-thumbs-down"></i></button>
+    `;
+}
+
+function feedbackSummary({ tags, comment }) {
+    return ['Your feedback', ...tags, comment].filter(Boolean).join(' • ');
+}
+
+// Clicking the active rating again withdraws it; a new rating is saved right away and
+// the form for reasons and a comment opens below the reply
+async function rateMessage(messageId, rating) {
+    const element = messageElement(messageId);
+    if (!element || !currentSessionId) return;
+    
+    const active = element.querySelector('.feedback-btn.active')?.dataset.rating;
+    const saved = active === rating
+        ? await saveFeedback(messageId, null)
+        : await saveFeedback(messageId, { rating });
+    
+    if (saved && active !== rating) {
+        openFeedbackForm(messageId, rating);
+    } else {
+        element.querySelector('.feedback-form')?.remove();
+    }
+}
+
+function openFeedbackForm(messageId, rating) {
+    const element = messageElement(messageId);
+    if (!element) return;
+    
+    element.querySelector('.feedback-form')?.remove();
+    const form = document.createElement('form');
+    form.className = 'feedback-form';
+    form.innerHTML = `
+        <div class="feedback-reasons">
+            ${FEEDBACK_REASONS[rating].map(tag => `
+                <label><input type="checkbox" value="${tag}"> ${tag.replace('-', ' ')}</label>
+            `).join('')}
+        </div>
+        <textarea class="feedback-comment" rows="2" maxlength="2000" placeholder="${rating === 'up' ? 'What was good about this answer?' : 'What was wrong with this answer?'} (optional)"></textarea>
+        <div class="feedback-form-actions">
+            <button type="button" class="btn btn-secondary">Skip</button>
+            <button type="submit" class="btn btn-primary">Send feedback</button>
+        </div>
+    `;
+    
+    form.querySelector('button[type="button"]').addEventListener('click', () => form.remove());
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const tags = [...form.querySelectorAll('input:checked')].map(input => input.value);
+        const comment = form.querySelector('.feedback-comment').value.trim();
+        if (await saveFeedback(messageId, { rating, tags, comment })) {
+            form.remove();
+            showToast('Thanks for your feedback!', 'success');
+        }
+    });
+    
+    element.querySelector('.message-content').appendChild(form);
+    form.querySelector('.feedback-comment').focus();
+}
+
+// Save feedback on a reply, or withdraw it when feedback is null; true on success
+async function saveFeedback(messageId, feedback) {
+    try {
+        const response = await fetch(`/api/chat/sessions/${currentSessionId}/messages/${messageId}/feedback`, {
+            method: feedback ? 'PUT' : 'DELETE',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: feedback ? JSON.stringify(feedback) : undefined
+        });
+        
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return false;
+        }
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw requestError(data, 'Failed to save feedback');
+        }
+        
+        messageElement(messageId)?.querySelectorAll('.feedback-btn').forEach(button => {
+            button.classList.toggle('active', button.dataset.rating === data.feedback?.rating);
+            if (data.feedback) button.title = feedbackSummary(data.feedback);
+        });
+        return true;
+        
+    } catch (error) {
+        console.error('Failed to save feedback:', error);
+        showToast(`Failed to save your feedback.${referenceText(error)}`, 'error');
+        return false;
+    }
+}
+
+// Append a single message to the open conversation and return its element
+function appendMessage(message) {
+    const messagesContainer = document.getElementById('messagesContainer');
+    if (!messagesContainer) return null;
+    
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = renderMessageHtml(message).trim();
+    const element = wrapper.firstChild;
+    messagesContainer.appendChild(element);
     messagesContainer.scrollTop = messagesContainer.scrollHeight;
+    return element;
+}
+
+// Show a message just above another one, e.g. a tool call above the reply it informs
+function insertMessageBefore(element, message) {
+    if (!element) {
+        appendMessage(message);
+        return;
+    }
+    
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = renderMessageHtml(message).trim();
+    element.before(wrapper.firstChild);
+    scrollMessagesToBottom();
+}
+
+// Replace a rendered message in place (e.g. once a streamed reply completes)
+function updateMessageElement(element, message) {
+    if (!element) return;
+    
+    const wrapper = document.createElement('div');
+    wrapper.innerHTML = renderMessageHtml(message).trim();
+    element.replaceWith(wrapper.firstChild);
 }
 
 async function sendMessage() {
     const messageInput = document.getElementById('messageInput');
-    const sendBtn = document.getElementById('sendBtn');
     
     if (!messageInput || !currentSessionId) return;
     
@@ -274,49 +1216,363 @@ async function sendMessage() {
     }
     
     // Disable input while sending
-    messageInput.disabled = true;
-    sendBtn.disabled = true;
-    showLoadingOverlay(true);
+    setSending(true);
+    
+    // Show the user's message and an empty assistant bubble right away
+    const userElement = appendMessage({ role: 'user', content: message, timestamp: new Date().toISOString() });
+    const replyElement = appendMessage({ role: 'assistant', content: '', timestamp: new Date().toISOString() });
+    replyElement?.classList.add('streaming');
+    
+    // Clear input
+    messageInput.value = '';
+    messageInput.style.height = 'auto';
     
     try {
-        const response = await fetch(`/api/chat/sessions/${currentSessionId}/messages`, {
-            method: 'POST',
+        const sent = await requestReply(`/api/chat/sessions/${currentSessionId}/messages`, 'POST', {
+            message: message
+        }, { userElement, replyElement, realtimeSessionId: currentSessionId });
+        
+        // Nothing was saved - give the text back so the user can retry
+        if (!sent) {
+            messageInput.value = message;
+        }
+        
+    } catch (error) {
+        console.error('Failed to send message:', error);
+        showToast(`Failed to send message. Please try again.${referenceText(error)}`, 'error');
+        
+        // Restore the unsent text so the user can retry
+        if (!messageInput.value) {
+            messageInput.value = message;
+        }
+        replyElement?.classList.remove('streaming');
+        
+    } finally {
+        setSending(false);
+    }
+}
+
+// Ask for an assistant reply and stream it into replyElement, with the selected model.
+// Returns false when the request was turned away and nothing was saved (the optimistic
+// elements are removed and a toast explains why); throws when generation fails.
+// New messages (realtimeSessionId) go over the WebSocket when it is connected.
+async function requestReply(url, method, body, { userElement, replyElement, realtimeSessionId }) {
+    const payload = {
+        ...body,
+        model: getSelectedModel()
+    };
+    const response = realtimeSessionId && realtimeConnected()
+        ? await sendRealtimeMessage(realtimeSessionId, payload)
+        : await fetch(url, {
+            method: method,
             headers: {
-                'Content-Type': 'application/json'
+                'Content-Type': 'application/json',
+                'Accept': 'text/event-stream'
             },
-            body: JSON.stringify({
-                message: message,
-                model: 'phi4'
-            })
+            body: JSON.stringify(payload)
         });
+    
+    if (!response.ok) {
+        // Nothing was saved - take the optimistic bubbles back out
+        userElement?.remove();
+        replyElement?.remove();
         
-        const data = await response.json();
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return false;
+        }
         
-        if (response.ok) {
-            // Clear input
-            messageInput.value = '';
-            messageInput.style.height = 'auto';
-            
-            // Reload session to get updated messages
-            await selectSession(currentSessionId);
-            
-        } else {
-            throw new Error(data.error || 'Failed to send message');
+        const data = await response.json().catch(() => ({}));
+        if (response.status === 503 && data.retryAfter) {
+            if (data.reason === 'queue-full') {
+                showToast(`The AI service is busy with other requests. Please try again in ${data.retryAfter} seconds.`, 'warning');
+            } else {
+                showToast(data.reason === 'warming-up'
+                    ? `The AI model is still warming up. Please try again in ${data.retryAfter} seconds.`
+                    : `The AI service is temporarily unavailable. Please try again in ${data.retryAfter} seconds.`, 'warning');
+            }
+            return false;
+        }
+        if (response.status === 422 && data.reason === 'content-policy') {
+            showToast('Your message was blocked by the content policy. Please rephrase it.', 'warning');
+            return false;
+        }
+        if (response.status === 400 && data.error === 'Unknown model') {
+            showToast(`Model "${data.model}" is not available on the AI service`, 'error');
+            loadModels();
+            return false;
+        }
+        throw requestError(data, 'Failed to send message');
+    }
+    
+    // Remember the model on the cached session so switching back restores it
+    const currentSession = getCurrentSession();
+    if (currentSession && getSelectedModel()) {
+        currentSession.model = getSelectedModel();
+    }
+    
+    let streamedText = '';
+    const bubble = replyElement?.querySelector('.message-bubble');
+    
+    await readEventStream(response, (event, data) => {
+        if (event === 'queued') {
+            // Waiting for the model: show our place in the queue in the reply bubble
+            if (bubble) bubble.innerHTML = queueStatusHtml(data);
+        } else if (event === 'start') {
+            // Swap in the saved user message so its controls get a message id
+            updateMessageElement(userElement, data.userMessage);
+            if (bubble) bubble.innerHTML = '';
+        } else if (event === 'tool') {
+            // The model called a tool: show the call above the reply and start the reply afresh
+            insertMessageBefore(replyElement, data.toolMessage);
+            streamedText = '';
+            if (bubble) bubble.innerHTML = '';
+        } else if (event === 'token') {
+            streamedText += data.content;
+            if (bubble) {
+                bubble.innerHTML = formatMessageContent(streamedText);
+                scrollMessagesToBottom();
+            }
+        } else if (event === 'done') {
+            updateMessageElement(replyElement, data.aiMessage);
+        } else if (event === 'title') {
+            applySessionTitle(data.sessionId, data.title);
+        } else if (event === 'error') {
+            // Failed while queued, before `start`: the user message still needs its id
+            if (data.userMessage) updateMessageElement(userElement, data.userMessage);
+            updateMessageElement(replyElement, data.errorMessage);
+            throw requestError(data, 'Failed to get AI response');
+        }
+    });
+    
+    return true;
+}
+
+// "Position 2 in the queue, about 30 seconds" for a `queued` event
+function queueStatusHtml({ position, estimatedWaitSeconds }) {
+    const wait = estimatedWaitSeconds >= 60
+        ? `${Math.ceil(estimatedWaitSeconds / 60)} minute${estimatedWaitSeconds > 60 ? 's' : ''}`
+        : `${estimatedWaitSeconds} second${estimatedWaitSeconds !== 1 ? 's' : ''}`;
+    return `
+        <span class="queue-status">
+            <i class="fas fa-hourglass-half"></i>
+            ${position === 1 ? 'Next in the queue' : `Position ${position} in the queue`}, about ${wait}
+        </span>
+    `;
+}
+
+// Error carrying the server's request id, so a failure can be found in the logs
+function requestError(data, fallback) {
+    const error = new Error(data.error || fallback);
+    error.requestId = data.requestId;
+    return error;
+}
+
+function referenceText(error) {
+    return error.requestId ? ` (Ref: ${error.requestId})` : '';
+}
+
+function setSending(sending) {
+    const messageInput = document.getElementById('messageInput');
+    const sendBtn = document.getElementById('sendBtn');
+    
+    document.getElementById('messagesContainer')?.classList.toggle('busy', sending);
+    if (messageInput) messageInput.disabled = sending;
+    if (sendBtn) sendBtn.disabled = sending;
+    if (!sending) messageInput?.focus();
+}
+
+// Message controls: regenerate, edit-and-resend, delete, fork and alternate versions
+function messageElement(messageId) {
+    return document.querySelector(`.message[data-message-id="${messageId}"]`);
+}
+
+async function regenerateMessage(messageId) {
+    const element = messageElement(messageId);
+    if (!element || !currentSessionId) return;
+    
+    // Stream the new version into a fresh bubble in place of the current one
+    const replyElement = appendMessage({ role: 'assistant', content: '', timestamp: new Date().toISOString() });
+    replyElement?.classList.add('streaming');
+    element.replaceWith(replyElement);
+    
+    setSending(true);
+    try {
+        await requestReply(`/api/chat/sessions/${currentSessionId}/messages/${messageId}/regenerate`, 'POST', {}, { replyElement });
+    } catch (error) {
+        console.error('Failed to regenerate reply:', error);
+        showToast(`Failed to regenerate the reply. The previous version was kept.${referenceText(error)}`, 'error');
+    } finally {
+        setSending(false);
+        // Show the reply the server kept, including any alternates
+        await selectSession(currentSessionId);
+    }
+}
+
+function startEditMessage(messageId) {
+    const element = messageElement(messageId);
+    const bubble = element?.querySelector('.message-bubble');
+    if (!bubble || element.classList.contains('editing')) return;
+    
+    const original = element.dataset.content || '';
+    element.classList.add('editing');
+    bubble.innerHTML = `
+        <textarea class="message-edit-input" rows="3"></textarea>
+        <div class="message-edit-actions">
+            <button class="btn btn-secondary" data-action="cancel">Cancel</button>
+            <button class="btn btn-primary" data-action="save">Save &amp; Send</button>
+        </div>
+    `;
+    const textarea = bubble.querySelector('textarea');
+    textarea.value = original;
+    textarea.focus();
+    textarea.addEventListener('keydown', e => e.stopPropagation());
+    
+    bubble.querySelector('[data-action="cancel"]').addEventListener('click', () => {
+        element.classList.remove('editing');
+        bubble.innerHTML = formatMessageContent(original);
+    });
+    bubble.querySelector('[data-action="save"]').addEventListener('click', () => {
+        const content = textarea.value.trim();
+        if (!content) {
+            showToast('Please enter a message', 'error');
+            return;
+        }
+        resendEditedMessage(messageId, content);
+    });
+}
+
+// Save an edited user message; later messages are dropped and a new reply streams in
+async function resendEditedMessage(messageId, content) {
+    const element = messageElement(messageId);
+    if (!element || !currentSessionId) return;
+    
+    while (element.nextElementSibling) {
+        element.nextElementSibling.remove();
+    }
+    element.classList.remove('editing');
+    element.querySelector('.message-bubble').innerHTML = formatMessageContent(content);
+    
+    const replyElement = appendMessage({ role: 'assistant', content: '', timestamp: new Date().toISOString() });
+    replyElement?.classList.add('streaming');
+    
+    setSending(true);
+    let sent = false;
+    try {
+        sent = await requestReply(`/api/chat/sessions/${currentSessionId}/messages/${messageId}`, 'PATCH', {
+            content: content
+        }, { replyElement });
+    } catch (error) {
+        console.error('Failed to resend edited message:', error);
+        showToast(`Failed to send the edited message. Please try again.${referenceText(error)}`, 'error');
+    } finally {
+        setSending(false);
+    }
+    
+    // Turned away before anything changed: show the conversation as the server has it
+    if (!sent) {
+        await selectSession(currentSessionId);
+    }
+}
+
+async function deleteMessage(messageId) {
+    if (!currentSessionId || !confirm('Delete this message?')) return;
+    
+    try {
+        const response = await fetch(`/api/chat/sessions/${currentSessionId}/messages/${messageId}`, {
+            method: 'DELETE'
+        });
+        
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || 'Failed to delete message');
         }
         
+        messageElement(messageId)?.remove();
+        
     } catch (error) {
-        console.error('Failed to send message:', error);
-        showToast('Failed to send message. Please try again.', 'error');
+        console.error('Failed to delete message:', error);
+        showToast('Failed to delete message', 'error');
+    }
+}
+
+async function forkFromMessage(messageId) {
+    if (!currentSessionId) return;
+    
+    try {
+        const response = await fetch(`/api/chat/sessions/${currentSessionId}/messages/${messageId}/fork`, {
+            method: 'POST'
+        });
         
-        // Re-enable input on error
-        messageInput.disabled = false;
-        sendBtn.disabled = false;
-        messageInput.focus();
-    } finally {
-        showLoadingOverlay(false);
-        messageInput.disabled = false;
-        sendBtn.disabled = false;
-        messageInput.focus();
+        if (response.status === 429) {
+            showRateLimitToast(response);
+            return;
+        }
+        
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to fork session');
+        }
+        
+        sessions.unshift(data.session);
+        await selectSession(data.sessionId);
+        renderSessionList();
+        showToast('Started a new chat from this message', 'success');
+        
+    } catch (error) {
+        console.error('Failed to fork session:', error);
+        showToast('Failed to fork chat session', 'error');
+    }
+}
+
+// Step through a reply's versions; the newest one is what the model sees as history
+function showMessageVersion(messageId, step) {
+    const element = messageElement(messageId);
+    if (!element) return;
+    
+    const versions = element.querySelectorAll('.message-bubble');
+    const current = [...versions].findIndex(bubble => !bubble.hidden);
+    const next = Math.min(Math.max(current + step, 0), versions.length - 1);
+    
+    versions.forEach((bubble, index) => {
+        bubble.hidden = index !== next;
+    });
+    element.querySelector('.message-version-label').textContent = `${next + 1}/${versions.length}`;
+}
+
+// Read a Server-Sent Events response body and dispatch each event
+async function readEventStream(response, onEvent) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    while (true) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        
+        buffer += decoder.decode(value, { stream: true });
+        const frames = buffer.split('\n\n');
+        buffer = frames.pop();
+        
+        for (const frame of frames) {
+            let event = 'message';
+            let data = '';
+            frame.split('\n').forEach(line => {
+                if (line.startsWith('event:')) event = line.slice(6).trim();
+                if (line.startsWith('data:')) data += line.slice(5).trim();
+            });
+            
+            if (data) {
+                onEvent(event, JSON.parse(data));
+            }
+        }
+    }
+}
+
+function scrollMessagesToBottom() {
+    const messagesContainer = document.getElementById('messagesContainer');
+    if (messagesContainer) {
+        messagesContainer.scrollTop = messagesContainer.scrollHeight;
     }
 }
 
@@ -349,10 +1605,25 @@ function showToast(message, type = 'info') {
     }, 5000);
 }
 
+// Friendly notice when the server answers 429 Too Many Requests
+function showRateLimitToast(response) {
+    const retryAfter = parseInt(response.headers.get('Retry-After'), 10);
+    let wait = 'a moment';
+    if (retryAfter >= 60) {
+        const minutes = Math.ceil(retryAfter / 60);
+        wait = `about ${minutes} minute${minutes !== 1 ? 's' : ''}`;
+    } else if (retryAfter > 0) {
+        wait = `${retryAfter} second${retryAfter !== 1 ? 's' : ''}`;
+    }
+    
+    showToast(`You're going a little fast! Please wait ${wait} and try again.`, 'warning');
+}
+
 function getToastIcon(type) {
     switch (type) {
         case 'success': return 'fa-check-circle';
         case 'error': return 'fa-exclamation-circle';
+        case 'warning': return 'fa-hourglass-half';
         case 'info': return 'fa-info-circle';
         default: return 'fa-info-circle';
     }
@@ -398,14 +1669,20 @@ function formatMessageContent(content) {
     return escapeHtml(content).replace(/\n/g, '<br>');
 }
 
+// Safe in element content and in quoted attribute values
 function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
-// Health check interval
-setInterval(checkSystemHealth, 30000); // Check every 30 seconds
+// Health check interval, while health is not pushed over the WebSocket
+setInterval(() => {
+    if (!realtimeConnected()) checkSystemHealth();
+}, 30000); // Check every 30 seconds
 
 // Export for debugging
 window.ChatbotApp = {
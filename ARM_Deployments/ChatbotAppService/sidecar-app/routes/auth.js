@@ -0,0 +1,49 @@
+const express = require('express');
+
+// Identity endpoints: /api/auth
+function createAuthRouter({ auth }) {
+  const router = express.Router();
+
+  // Who am I? Also hands a guest cookie to new browsers in cookie mode.
+  router.get('/me', auth.authenticate, (req, res) => {
+    res.json({
+      user: req.user,
+      authModes: auth.modes
+    });
+  });
+
+  // Exchange an API key for a signed session cookie, e.g. so an admin
+  // can use the browser UI with their service identity
+  router.post('/login', (req, res) => {
+    if (!auth.modes.includes('cookie')) {
+      return res.status(400).json({
+        error: 'Cookie sessions are not enabled',
+        authModes: auth.modes
+      });
+    }
+
+    const user = auth.verifyApiKey(req.body.apiKey);
+    if (!user) {
+      return res.status(401).json({
+        error: 'Invalid API key'
+      });
+    }
+
+    auth.issueCookie(res, { ...user, method: 'cookie' });
+    res.json({
+      message: 'Signed in successfully',
+      user: { ...user, method: 'cookie' }
+    });
+  });
+
+  router.post('/logout', (req, res) => {
+    auth.clearCookie(res);
+    res.json({
+      message: 'Signed out successfully'
+    });
+  });
+
+  return router;
+}
+
+module.exports = createAuthRouter;
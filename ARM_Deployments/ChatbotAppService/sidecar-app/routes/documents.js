@@ -0,0 +1,84 @@
+const express = require('express');
+const asyncHandler = require('../lib/asyncHandler');
+const { parseUpload } = require('../lib/documents');
+
+// Shared knowledge base: /api/documents. Every chat session searches these
+// documents; only administrators may change them. Session documents live
+// under /api/chat/sessions/:sessionId/documents.
+function createDocumentsRouter({ documentStore, maxDocumentCharacters, requireAdmin, uploadRateLimit }) {
+  const router = express.Router();
+
+  // Shared documents only: session documents are reached through their session
+  async function findDocument(req, res) {
+    const document = await documentStore.get(req.params.documentId);
+    if (!document || document.sessionId !== null) {
+      res.status(404).json({
+        error: 'Document not found',
+        documentId: req.params.documentId
+      });
+      return null;
+    }
+    return document;
+  }
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const documents = await documentStore.list();
+    res.json({
+      documents,
+      total: documents.length
+    });
+  }));
+
+  router.get('/search', asyncHandler(async (req, res) => {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (!query) {
+      return res.status(400).json({
+        error: 'Search query (q) is required'
+      });
+    }
+
+    const passages = await documentStore.search(query, { limit: 10 });
+    res.json({
+      query,
+      passages
+    });
+  }));
+
+  router.get('/:documentId', asyncHandler(async (req, res) => {
+    const document = await findDocument(req, res);
+    if (document) {
+      res.json(document);
+    }
+  }));
+
+  router.post('/', requireAdmin, uploadRateLimit, asyncHandler(async (req, res) => {
+    const { upload, errors } = parseUpload(req.body, { maxCharacters: maxDocumentCharacters });
+    if (errors) {
+      return res.status(400).json({
+        error: 'Invalid document',
+        details: errors
+      });
+    }
+
+    const document = await documentStore.add({ ...upload, sessionId: null, ownerId: req.user.id });
+    res.status(201).json({
+      message: 'Document added to the knowledge base',
+      document
+    });
+  }));
+
+  router.delete('/:documentId', requireAdmin, asyncHandler(async (req, res) => {
+    const document = await findDocument(req, res);
+    if (!document) return;
+
+    await documentStore.delete(document.id);
+    res.json({
+      message: 'Document deleted successfully',
+      documentId: document.id
+    });
+  }));
+
+  return router;
+}
+
+module.exports = createDocumentsRouter;
@@ -0,0 +1,151 @@
+const express = require('express');
+const asyncHandler = require('../lib/asyncHandler');
+const { readCompletionStream } = require('../lib/sse');
+const { SidecarUnavailableError } = require('../lib/sidecarClient');
+const { QueueFullError, QueueCancelledError } = require('../lib/requestQueue');
+
+// OpenAI-compatible pass-through to the sidecar: /v1/models and /v1/chat/completions.
+// Lets OpenAI SDK clients use this app as their base URL while going through the
+// same rate limits, model allow-list, generation queue and logging as the chat UI.
+
+// Error body in the OpenAI wire format
+function openAIError(res, status, message, { type = 'invalid_request_error', param = null, code = null } = {}) {
+  return res.status(status).json({
+    error: { message, type, param, code }
+  });
+}
+
+// Map a sidecar client failure onto an OpenAI-style error response
+function sendSidecarError(res, error) {
+  if (error instanceof SidecarUnavailableError || error instanceof QueueFullError) {
+    res.set('Retry-After', String(error.retryAfterSeconds));
+    return openAIError(res, 503, error.message, { type: 'api_error', code: error.reason });
+  }
+
+  // Pass the sidecar's own 4xx answers through unchanged
+  if (error.upstreamStatus && error.upstreamStatus < 500 && error.upstreamData && typeof error.upstreamData.pipe !== 'function') {
+    return res.status(error.upstreamStatus).json(error.upstreamData);
+  }
+
+  return openAIError(res, 502, `Sidecar request failed: ${error.message}`, { type: 'api_error' });
+}
+
+// acquireSlot(req, { signal }) waits for a generation slot and resolves to { release };
+// without it requests go straight to the sidecar
+function createOpenAIRouter({ config, logger, sidecar, modelCatalog, apiRateLimit, modelRateLimit, acquireSlot = null, recordUsage = () => {} }) {
+  const router = express.Router();
+
+  router.get('/models', apiRateLimit, asyncHandler(async (req, res) => {
+    let models;
+    try {
+      models = await modelCatalog.list();
+    } catch (error) {
+      logger.warn('Failed to fetch models for /v1/models:', error.message);
+      return openAIError(res, 503, 'Unable to fetch available models', { type: 'api_error' });
+    }
+
+    res.json({
+      object: 'list',
+      data: models.map(model => ({
+        id: model.name,
+        object: 'model',
+        created: model.modified_at ? Math.floor(new Date(model.modified_at).getTime() / 1000) : 0,
+        owned_by: model.backends?.[0] || 'sidecar'
+      }))
+    });
+  }));
+
+  router.post('/chat/completions', modelRateLimit, asyncHandler(async (req, res) => {
+    const body = req.body || {};
+
+    if (!Array.isArray(body.messages) || body.messages.length === 0) {
+      return openAIError(res, 400, 'messages must be a non-empty array', { param: 'messages' });
+    }
+
+    const model = body.model || config.ai.defaultModel;
+    if (typeof model !== 'string') {
+      return openAIError(res, 400, 'model must be a string', { param: 'model' });
+    }
+
+    const modelCheck = await modelCatalog.check(model);
+    if (modelCheck.known === false) {
+      return openAIError(res, 404, `The model '${model}' does not exist or you do not have access to it.`, {
+        param: 'model',
+        code: 'model_not_found'
+      });
+    }
+
+    // Caller-supplied parameters win; fill in the app's generation defaults
+    const upstreamBody = {
+      temperature: config.ai.temperature,
+      max_tokens: config.ai.maxTokens,
+      ...body,
+      model
+    };
+    const stream = Boolean(body.stream);
+    const startedAt = Date.now();
+    const controller = new AbortController();
+
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        controller.abort();
+      }
+    });
+
+    let upstream;
+    try {
+      // Wait for a slot, held until the response is finished or the client leaves
+      if (acquireSlot) {
+        const { release } = await acquireSlot(req, { signal: controller.signal });
+        res.on('close', release);
+      }
+
+      upstream = stream
+        ? await sidecar.chatCompletionStream(upstreamBody, { signal: controller.signal })
+        : await sidecar.chatCompletion(upstreamBody, { signal: controller.signal });
+    } catch (error) {
+      if (controller.signal.aborted || error instanceof QueueCancelledError) return;
+      logger.error('OpenAI proxy request to sidecar failed:', error.message);
+      return sendSidecarError(res, error);
+    }
+
+    logger.info(`OpenAI proxy ${model} stream=${stream} in ${Date.now() - startedAt}ms`);
+
+    if (!stream) {
+      recordUsage(model, upstream.usage, 'proxy');
+      return res.json(upstream);
+    }
+
+    // Watch the raw stream for a usage chunk (sent when the caller set stream_options.include_usage)
+    readCompletionStream(upstream, () => {})
+      .then(result => recordUsage(model, result.usage, 'proxy'))
+      .catch(() => {});
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    upstream.on('data', (chunk) => {
+      res.write(chunk);
+      if (typeof res.flush === 'function') {
+        res.flush();
+      }
+    });
+    upstream.on('end', () => res.end());
+    upstream.on('error', (error) => {
+      if (!controller.signal.aborted) {
+        logger.error('OpenAI proxy stream from sidecar failed:', error.message);
+      }
+      res.end();
+    });
+  }));
+
+  return router;
+}
+
+module.exports = createOpenAIRouter;
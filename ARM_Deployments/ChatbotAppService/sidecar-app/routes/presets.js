@@ -0,0 +1,154 @@
+const express = require('express');
+const asyncHandler = require('../lib/asyncHandler');
+const { renderTemplate, TemplateError } = require('../lib/presets');
+
+const MAX_NAME_LENGTH = 100;
+const MAX_DESCRIPTION_LENGTH = 500;
+
+// Prompt preset CRUD: /api/presets. Presets are shared by every user, so only
+// admins may create, change or delete them.
+function createPresetsRouter({ presetStore, maxSystemPromptLength, requireAdmin }) {
+  const router = express.Router();
+
+  // Returns a list of validation problems for a create/update body
+  function validatePreset(body, { partial = false } = {}) {
+    const problems = [];
+    const { name, description, template } = body;
+
+    if (!partial || name !== undefined) {
+      if (typeof name !== 'string' || !name.trim() || name.length > MAX_NAME_LENGTH) {
+        problems.push(`name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters`);
+      }
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > MAX_DESCRIPTION_LENGTH)) {
+      problems.push(`description must be a string of at most ${MAX_DESCRIPTION_LENGTH} characters`);
+    }
+    if (!partial || template !== undefined) {
+      if (typeof template !== 'string' || !template.trim() || template.length > maxSystemPromptLength) {
+        problems.push(`template must be a non-empty string of at most ${maxSystemPromptLength} characters`);
+      }
+    }
+    return problems;
+  }
+
+  async function findPreset(req, res) {
+    const preset = await presetStore.get(req.params.presetId);
+    if (!preset) {
+      res.status(404).json({
+        error: 'Preset not found',
+        presetId: req.params.presetId
+      });
+    }
+    return preset;
+  }
+
+  router.get('/', asyncHandler(async (req, res) => {
+    const presets = await presetStore.list();
+    res.json({
+      presets,
+      total: presets.length
+    });
+  }));
+
+  router.get('/:presetId', asyncHandler(async (req, res) => {
+    const preset = await findPreset(req, res);
+    if (preset) {
+      res.json(preset);
+    }
+  }));
+
+  router.post('/', requireAdmin, asyncHandler(async (req, res) => {
+    const problems = validatePreset(req.body);
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid preset',
+        details: problems
+      });
+    }
+
+    const preset = await presetStore.create({
+      name: req.body.name.trim(),
+      description: req.body.description?.trim(),
+      template: req.body.template.trim()
+    });
+
+    res.status(201).json({
+      message: 'Preset created successfully',
+      preset
+    });
+  }));
+
+  router.patch('/:presetId', requireAdmin, asyncHandler(async (req, res) => {
+    const existing = await findPreset(req, res);
+    if (!existing) return;
+
+    if (existing.builtIn) {
+      return res.status(409).json({
+        error: 'Built-in presets cannot be modified',
+        presetId: existing.id
+      });
+    }
+
+    const problems = validatePreset(req.body, { partial: true });
+    if (problems.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid preset',
+        details: problems
+      });
+    }
+
+    const changes = {};
+    ['name', 'description', 'template'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        changes[field] = req.body[field].trim();
+      }
+    });
+
+    const preset = await presetStore.update(existing.id, changes);
+    res.json({
+      message: 'Preset updated successfully',
+      preset
+    });
+  }));
+
+  router.delete('/:presetId', requireAdmin, asyncHandler(async (req, res) => {
+    const existing = await findPreset(req, res);
+    if (!existing) return;
+
+    if (existing.builtIn) {
+      return res.status(409).json({
+        error: 'Built-in presets cannot be deleted',
+        presetId: existing.id
+      });
+    }
+
+    await presetStore.delete(existing.id);
+    res.json({
+      message: 'Preset deleted successfully',
+      presetId: existing.id
+    });
+  }));
+
+  // Preview a preset with variables filled in
+  router.post('/:presetId/render', asyncHandler(async (req, res) => {
+    const preset = await findPreset(req, res);
+    if (!preset) return;
+
+    try {
+      res.json({
+        presetId: preset.id,
+        systemPrompt: renderTemplate(preset.template, req.body.variables)
+      });
+    } catch (error) {
+      if (!(error instanceof TemplateError)) throw error;
+      res.status(400).json({
+        error: error.message,
+        missingVariables: error.missing
+      });
+    }
+  }));
+
+  return router;
+}
+
+module.exports = createPresetsRouter;
@@ -0,0 +1,116 @@
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+
+const ADA_KEY = 'ada-key-0123456789abcdef';
+const ROOT_KEY = 'root-key-0123456789abcdef';
+
+// Rating replies, and the admin summary and export built from the ratings
+describe('feedback', () => {
+  let sidecar;
+  let app;
+  let sessionId;
+  let messageId;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar({ reply: 'Lisbon' });
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      AUTH_MODE: 'apikey',
+      AUTH_API_KEYS: `ada=${ADA_KEY},root=${ROOT_KEY}`,
+      AUTH_ADMIN_USERS: 'root',
+      DEFAULT_SYSTEM_PROMPT: 'You are a travel agent.'
+    });
+
+    const created = await app.request('/api/chat/sessions', { method: 'POST', body: {}, headers: as(ADA_KEY) });
+    sessionId = created.body.sessionId;
+    const sent = await app.request(`/api/chat/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      body: { message: 'Capital of Portugal?' },
+      headers: as(ADA_KEY)
+    });
+    messageId = sent.body.aiMessage.id;
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  const as = key => ({ 'X-API-Key': key });
+
+  const rate = (body, id = messageId) => app.request(`/api/chat/sessions/${sessionId}/messages/${id}/feedback`, {
+    method: 'PUT',
+    body,
+    headers: as(ADA_KEY)
+  });
+
+  test('rates a reply and replaces earlier ratings', async () => {
+    expect((await rate({ rating: 'up' })).status).toBe(200);
+    const response = await rate({ rating: 'down', comment: ' Too short ', tags: ['incomplete'] });
+    expect(response.body.feedback).toEqual({
+      rating: 'down',
+      comment: 'Too short',
+      tags: ['incomplete'],
+      userId: 'ada',
+      ratedAt: expect.any(String)
+    });
+  });
+
+  test('rejects invalid feedback and ratings on user messages', async () => {
+    const invalid = await rate({ rating: 'meh' });
+    expect(invalid).toMatchObject({ status: 400, body: { error: 'Invalid feedback', details: ['rating must be one of: up, down'] } });
+
+    const session = await app.request(`/api/chat/sessions/${sessionId}`, { headers: as(ADA_KEY) });
+    const userMessage = session.body.messages.find(message => message.role === 'user');
+    expect((await rate({ rating: 'up' }, userMessage.id)).body.error).toBe('Only assistant replies can be rated');
+  });
+
+  test('summarizes the ratings for admins only', async () => {
+    await rate({ rating: 'down', tags: ['incomplete'] });
+    expect((await app.request('/api/feedback', { headers: as(ADA_KEY) })).status).toBe(403);
+
+    const response = await app.request('/api/feedback', { headers: as(ROOT_KEY) });
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({
+      rated: 1,
+      down: 1,
+      upRate: 0,
+      tags: { incomplete: 1 },
+      byModel: { phi4: expect.objectContaining({ rated: 1 }) },
+      bySystemPrompt: [expect.objectContaining({ systemPrompt: 'You are a travel agent.', sessions: 1 })]
+    });
+  });
+
+  test('exports rated exchanges as JSONL for admins only', async () => {
+    await rate({ rating: 'up' });
+    expect((await app.request('/api/feedback/export', { headers: as(ADA_KEY) })).status).toBe(403);
+
+    const response = await app.request('/api/feedback/export?rating=up', { headers: as(ROOT_KEY) });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^application\/x-ndjson/);
+    expect(response.headers.get('content-disposition')).toMatch(/attachment; filename="feedback-\d{4}-\d{2}-\d{2}\.jsonl"/);
+    expect(JSON.parse(response.text)).toMatchObject({
+      sessionId,
+      messageId,
+      messages: [
+        { role: 'system', content: 'You are a travel agent.' },
+        { role: 'user', content: 'Capital of Portugal?' }
+      ],
+      completion: 'Lisbon',
+      rating: 'up'
+    });
+
+    expect((await app.request('/api/feedback/export?rating=down', { headers: as(ROOT_KEY) })).text).toBe('');
+    expect((await app.request('/api/feedback/export?rating=meh', { headers: as(ROOT_KEY) })).status).toBe(400);
+  });
+
+  test('withdraws a rating', async () => {
+    await rate({ rating: 'up' });
+    const response = await app.request(`/api/chat/sessions/${sessionId}/messages/${messageId}/feedback`, {
+      method: 'DELETE',
+      headers: as(ADA_KEY)
+    });
+    expect(response.status).toBe(200);
+    expect((await app.request('/api/feedback', { headers: as(ROOT_KEY) })).body.rated).toBe(0);
+  });
+});
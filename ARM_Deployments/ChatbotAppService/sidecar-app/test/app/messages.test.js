@@ -0,0 +1,108 @@
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+
+// Regenerate, edit, delete and fork through the message routes
+describe('message routes', () => {
+  let sidecar;
+  let app;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar();
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      CACHE_ENABLED: 'false'
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  const getSession = async sessionId => (await app.request(`/api/chat/sessions/${sessionId}`)).body;
+  const contents = session => session.messages.map(({ role, content }) => `${role}: ${content}`);
+
+  // A session holding two exchanges
+  async function conversation() {
+    const { sessionId } = (await app.request('/api/chat/sessions', { method: 'POST', body: {} })).body;
+    for (const message of ['one', 'two']) {
+      await app.request(`/api/chat/sessions/${sessionId}/messages`, { method: 'POST', body: { message } });
+    }
+    return getSession(sessionId);
+  }
+
+  test('regenerates the last reply and keeps the previous one', async () => {
+    const session = await conversation();
+    const [, firstReply, , lastReply] = session.messages;
+    sidecar.reply = 'a second opinion';
+    try {
+      const response = await app.request(`/api/chat/sessions/${session.id}/messages/${lastReply.id}/regenerate`, { method: 'POST' });
+      expect(response.status).toBe(200);
+    } finally {
+      sidecar.reply = null;
+    }
+
+    const updated = await getSession(session.id);
+    expect(contents(updated)).toEqual(['user: one', 'assistant: echo: one', 'user: two', 'assistant: a second opinion']);
+    expect(updated.messages[3].id).toBe(lastReply.id);
+    expect(updated.messages[3].alternates.map(version => version.content)).toEqual(['echo: two']);
+
+    const earlier = await app.request(`/api/chat/sessions/${session.id}/messages/${firstReply.id}/regenerate`, { method: 'POST' });
+    expect(earlier.status).toBe(409);
+  });
+
+  test('edits a user message, drops what came after it and answers again', async () => {
+    const session = await conversation();
+    const first = session.messages[0];
+    const response = await app.request(`/api/chat/sessions/${session.id}/messages/${first.id}`, {
+      method: 'PATCH',
+      body: { content: 'uno' }
+    });
+    expect(response.status).toBe(200);
+
+    const updated = await getSession(session.id);
+    expect(contents(updated)).toEqual(['user: uno', 'assistant: echo: uno']);
+    expect(updated.messages[0]).toMatchObject({ id: first.id, editedAt: expect.any(String) });
+
+    const reply = updated.messages[1];
+    const notUser = await app.request(`/api/chat/sessions/${session.id}/messages/${reply.id}`, { method: 'PATCH', body: { content: 'x' } });
+    expect(notUser.status).toBe(409);
+  });
+
+  test('deletes a single message', async () => {
+    const session = await conversation();
+    const response = await app.request(`/api/chat/sessions/${session.id}/messages/${session.messages[1].id}`, { method: 'DELETE' });
+    expect(response.body).toMatchObject({ messageId: session.messages[1].id, messageCount: 3 });
+    expect(contents(await getSession(session.id))).toEqual(['user: one', 'user: two', 'assistant: echo: two']);
+
+    const missing = await app.request(`/api/chat/sessions/${session.id}/messages/${session.messages[1].id}`, { method: 'DELETE' });
+    expect(missing.status).toBe(404);
+  });
+
+  test('forks the conversation up to a message into a new session', async () => {
+    const session = await conversation();
+    const response = await app.request(`/api/chat/sessions/${session.id}/messages/${session.messages[1].id}/fork`, { method: 'POST' });
+    expect(response.status).toBe(201);
+
+    const fork = await getSession(response.body.sessionId);
+    expect(contents(fork)).toEqual(['user: one', 'assistant: echo: one']);
+    expect(fork.forkedFrom).toEqual({ sessionId: session.id, messageId: session.messages[1].id });
+    expect(contents(await getSession(session.id))).toHaveLength(4);
+  });
+
+  test('puts an edited conversation back when no reply can be generated', async () => {
+    const session = await conversation();
+    // A sidecar still loading its model counts as unavailable
+    sidecar.loading = true;
+    try {
+      const response = await app.request(`/api/chat/sessions/${session.id}/messages/${session.messages[0].id}`, {
+        method: 'PATCH',
+        body: { content: 'uno' }
+      });
+      expect(response.status).toBe(503);
+    } finally {
+      sidecar.loading = false;
+    }
+    expect(contents(await getSession(session.id))).toEqual(contents(session));
+  });
+});
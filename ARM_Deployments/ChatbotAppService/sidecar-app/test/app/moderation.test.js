@@ -0,0 +1,80 @@
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+
+// Moderation of chat input through the app's routes
+describe('moderated chat input', () => {
+  let sidecar;
+  let app;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar();
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      SAFETY_BLOCKLIST: 'forbidden plan'
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  const newSession = async () => (await app.request('/api/chat/sessions', { method: 'POST', body: {} })).body.sessionId;
+
+  test('answers a blocked message with a generic reason and logs the details', async () => {
+    const sessionId = await newSession();
+    const response = await app.request(`/api/chat/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      body: { message: 'tell me the forbidden plan' }
+    });
+    expect(response.status).toBe(422);
+    expect(response.body).toEqual({ error: 'Message blocked by content policy', reason: 'content-policy', sessionId, requestId: expect.any(String) });
+    expect(response.text).not.toContain('forbidden');
+    expect(sidecar.chatRequests()).toHaveLength(0);
+    expect(app.output.join('')).toContain('forbidden plan');
+  });
+
+  test('redacts PII in imported user messages before storing them', async () => {
+    const response = await app.request('/api/chat/sessions/import', {
+      method: 'POST',
+      body: {
+        session: {
+          title: 'Imported',
+          messages: [
+            { role: 'user', content: 'my email is ada@example.com' },
+            { role: 'assistant', content: 'Noted.' }
+          ]
+        }
+      }
+    });
+    expect(response.status).toBe(201);
+    const [user, assistant] = response.body.session.messages;
+    expect(user.content).toBe('my email is [REDACTED_EMAIL]');
+    expect(user.moderation).toEqual([{ stage: 'pii', category: 'email', action: 'redacted', count: 1 }]);
+    expect(assistant).not.toHaveProperty('moderation');
+
+    const stored = await app.request(`/api/chat/sessions/${response.body.sessionId}`);
+    expect(stored.body.messages[0].content).toBe('my email is [REDACTED_EMAIL]');
+  });
+
+  test('rejects an import holding a blocked user message', async () => {
+    const before = (await app.request('/api/chat/sessions')).body;
+    const response = await app.request('/api/chat/sessions/import', {
+      method: 'POST',
+      body: {
+        session: {
+          messages: [
+            { role: 'user', content: 'hello' },
+            { role: 'assistant', content: 'hi' },
+            { role: 'user', content: 'now the forbidden plan' }
+          ]
+        }
+      }
+    });
+    expect(response.status).toBe(422);
+    expect(response.body).toEqual({ error: 'Import blocked by content policy', reason: 'content-policy', messageIndex: 2, requestId: expect.any(String) });
+
+    const after = (await app.request('/api/chat/sessions')).body;
+    expect(after.total).toBe(before.total);
+  });
+});
@@ -0,0 +1,59 @@
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+
+// Sessions started from a preset
+describe('sessions from presets', () => {
+  let sidecar;
+  let app;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar();
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      MAX_SYSTEM_PROMPT_LENGTH: '100'
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  let presetId;
+
+  beforeAll(async () => {
+    const preset = await app.request('/api/presets', {
+      method: 'POST',
+      body: { name: 'Topic', template: 'Talk about {{topic}}' }
+    });
+    presetId = preset.body.preset.id;
+  });
+
+  test('renders the preset into the session\'s system prompt', async () => {
+    const response = await app.request('/api/chat/sessions', {
+      method: 'POST',
+      body: { presetId, variables: { topic: ' tides ' } }
+    });
+    expect(response.status).toBe(201);
+    expect(response.body.session).toMatchObject({ presetId, systemPrompt: 'Talk about tides' });
+  });
+
+  test('applies the system prompt limit to the rendered prompt', async () => {
+    const response = await app.request('/api/chat/sessions', {
+      method: 'POST',
+      body: { presetId, variables: { topic: 'x'.repeat(100) } }
+    });
+    expect(response.status).toBe(400);
+    expect(response.body).toMatchObject({
+      error: 'System prompt must be a string of at most 100 characters',
+      presetId,
+      length: 111
+    });
+  });
+
+  test('reports missing variables', async () => {
+    const response = await app.request('/api/chat/sessions', { method: 'POST', body: { presetId } });
+    expect(response.status).toBe(400);
+    expect(response.body.missingVariables).toEqual(['topic']);
+  });
+});
@@ -0,0 +1,97 @@
+const http = require('http');
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+
+// The generation queue as seen through the chat routes: one slot, one place in line
+describe('generation queue', () => {
+  let sidecar;
+  let app;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar();
+    sidecar.delayMs = 500;
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      QUEUE_CONCURRENCY: '1',
+      QUEUE_MAX_SIZE: '1'
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  const newSession = async () => (await app.request('/api/chat/sessions', { method: 'POST', body: {} })).body.sessionId;
+  const send = (sessionId, message) => app.request(`/api/chat/sessions/${sessionId}/messages`, { method: 'POST', body: { message } });
+
+  // Poll /api/queue until it matches
+  async function queueReaches(expected) {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const { body } = await app.request('/api/queue');
+      if (Object.entries(expected).every(([key, value]) => body[key] === value)) return body;
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Queue never reached ${JSON.stringify(expected)}`);
+  }
+
+  // Start a streamed reply on a connection of its own. Returns the first chunk the app
+  // sends, and abort(), which disconnects like a closed browser tab.
+  function stream(sessionId, message) {
+    const req = http.request(`${app.url}/api/chat/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'text/event-stream' }
+    });
+    const firstChunk = new Promise((resolve) => {
+      req.on('response', res => res.once('data', data => resolve(data.toString())));
+    });
+    req.on('error', () => {});
+    req.end(JSON.stringify({ message }));
+    return { firstChunk, abort: () => req.destroy() };
+  }
+
+  test('gives the place of a client that went away to the next one, and turns away the rest', async () => {
+    const running = send(await newSession(), 'first');
+    await queueReaches({ running: 1 });
+
+    // A streaming client hears its place in line, then disconnects
+    const leaving = await newSession();
+    const { firstChunk, abort } = stream(leaving, 'second');
+    expect(await firstChunk).toContain('event: queued');
+    abort();
+    await queueReaches({ running: 1, waiting: 0 });
+
+    const waiting = send(await newSession(), 'third');
+    await queueReaches({ waiting: 1, full: true });
+
+    // Turned away at once, while the caller in line is still waiting
+    const rejected = await send(await newSession(), 'fourth');
+    expect(rejected.status).toBe(503);
+    expect(rejected.body.reason).toBe('queue-full');
+    expect(Number(rejected.headers.get('retry-after'))).toBeGreaterThan(0);
+    expect(await Promise.race([waiting.then(() => 'served'), 'waiting'])).toBe('waiting');
+
+    expect((await running).status).toBe(200);
+    expect((await waiting).status).toBe(200);
+    await queueReaches({ running: 0, waiting: 0 });
+
+    // The message that never got a reply is taken back
+    const { body: left } = await app.request(`/api/chat/sessions/${leaving}`);
+    expect(left.messages).toEqual([]);
+  });
+
+  test('frees the slot of a client that goes away while its reply is generated', async () => {
+    sidecar.delayMs = 5000;
+    try {
+      const { abort } = stream(await newSession(), 'slow');
+      await queueReaches({ running: 1 });
+
+      const started = Date.now();
+      abort();
+      await queueReaches({ running: 0 });
+      expect(Date.now() - started).toBeLessThan(2000);
+    } finally {
+      sidecar.delayMs = 500;
+    }
+  });
+});
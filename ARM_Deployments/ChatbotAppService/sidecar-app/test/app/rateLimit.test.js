@@ -0,0 +1,48 @@
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+
+const OWNER_KEY = 'owner-key-0123456789abcdef';
+const OTHER_KEY = 'other-key-0123456789abcdef';
+
+// Per-session rate limits with several users
+describe('session rate limit', () => {
+  let sidecar;
+  let app;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar();
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      AUTH_MODE: 'apikey',
+      AUTH_API_KEYS: `owner=${OWNER_KEY},other=${OTHER_KEY}`,
+      RATE_LIMIT_SESSION_MAX_REQUESTS: '2'
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  const as = key => ({ 'X-API-Key': key });
+
+  test('is not used up by requests naming someone else\'s session', async () => {
+    const created = await app.request('/api/chat/sessions', { method: 'POST', body: {}, headers: as(OWNER_KEY) });
+    const { sessionId } = created.body;
+    const send = key => app.request(`/api/chat/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      body: { message: 'hi' },
+      headers: as(key)
+    });
+
+    expect((await send(OTHER_KEY)).status).toBe(404);
+    expect((await send(OTHER_KEY)).status).toBe(404);
+    expect((await send(OTHER_KEY)).status).toBe(429);
+
+    expect((await send(OWNER_KEY)).status).toBe(200);
+    expect((await send(OWNER_KEY)).status).toBe(200);
+    const limited = await send(OWNER_KEY);
+    expect(limited.status).toBe(429);
+    expect(limited.body.limit).toBe('session');
+  });
+});
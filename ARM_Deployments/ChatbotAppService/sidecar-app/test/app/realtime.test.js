@@ -0,0 +1,100 @@
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+const { connectSocket } = require('../helpers/socketClient');
+
+const OWNER_KEY = 'owner-key-0123456789abcdef';
+const OTHER_KEY = 'other-key-0123456789abcdef';
+
+// The WebSocket channel in front of the app's own routes
+describe('realtime channel', () => {
+  let sidecar;
+  let app;
+  let url;
+  let sockets = [];
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar();
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      AUTH_MODE: 'apikey',
+      AUTH_API_KEYS: `owner=${OWNER_KEY},other=${OTHER_KEY}`
+    });
+    url = `${app.url.replace('http', 'ws')}/ws`;
+  }, 20000);
+
+  afterEach(async () => {
+    await Promise.all(sockets.map(socket => socket.close()));
+    sockets = [];
+  });
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  async function connect(key) {
+    const socket = await connectSocket(url, key ? { 'X-API-Key': key } : {});
+    sockets.push(socket);
+    await socket.next('ready');
+    return socket;
+  }
+
+  const newSession = async () => (await app.request('/api/chat/sessions', {
+    method: 'POST',
+    body: {},
+    headers: { 'X-API-Key': OWNER_KEY }
+  })).body.sessionId;
+
+  test('authenticates the upgrade like the REST API', async () => {
+    await expect(connectSocket(url)).rejects.toMatchObject({ status: 401 });
+    await expect(connectSocket(url, { 'X-API-Key': 'not-a-key-0123456789abcdef' })).rejects.toMatchObject({ status: 401 });
+  });
+
+  test('only subscribes users to sessions they own', async () => {
+    const sessionId = await newSession();
+    const other = await connect(OTHER_KEY);
+    other.send({ type: 'subscribe', sessionId });
+    expect(await other.next('error')).toMatchObject({ error: 'Chat session not found', sessionId });
+
+    const owner = await connect(OWNER_KEY);
+    owner.send({ type: 'subscribe', sessionId });
+    expect(await owner.next('subscribed')).toEqual({ type: 'subscribed', sessionId });
+  });
+
+  test('answers a send with the message route\'s streamed reply and stores it', async () => {
+    const sessionId = await newSession();
+    const owner = await connect(OWNER_KEY);
+    owner.send({ type: 'subscribe', sessionId });
+    await owner.next('subscribed');
+
+    owner.send({ type: 'send', requestId: 'r1', sessionId, message: 'over the socket' });
+    const reply = await owner.next('reply');
+    expect(reply).toMatchObject({ requestId: 'r1', status: 200, headers: { 'content-type': 'text/event-stream' } });
+    // The route's rate limits ran too
+    expect(reply.headers['ratelimit-policy']).toContain('name="session"');
+    await owner.next('end');
+
+    const events = owner.messages.filter(message => message.type === 'event' && message.requestId === 'r1');
+    expect(events[0]).toMatchObject({ event: 'start', data: { userMessage: { content: 'over the socket' } } });
+    expect(events[events.length - 1]).toMatchObject({ event: 'done', data: { aiMessage: { content: 'echo: over the socket' } } });
+
+    const { body: session } = await app.request(`/api/chat/sessions/${sessionId}`, { headers: { 'X-API-Key': OWNER_KEY } });
+    expect(session.messages.map(({ role, content }) => ({ role, content }))).toEqual([
+      { role: 'user', content: 'over the socket' },
+      { role: 'assistant', content: 'echo: over the socket' }
+    ]);
+    expect(await owner.next('session')).toMatchObject({ change: 'updated', sessionId, session: { id: sessionId } });
+  });
+
+  test('checks ownership on send like the REST route', async () => {
+    const sessionId = await newSession();
+    const other = await connect(OTHER_KEY);
+    other.send({ type: 'send', requestId: 'r2', sessionId, message: 'not mine' });
+    expect(await other.next('reply')).toMatchObject({
+      requestId: 'r2',
+      status: 404,
+      body: { error: 'Chat session not found' }
+    });
+    expect(sidecar.chatRequests().some(({ body }) => JSON.stringify(body).includes('not mine'))).toBe(false);
+  });
+});
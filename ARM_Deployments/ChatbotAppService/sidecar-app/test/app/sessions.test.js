@@ -0,0 +1,186 @@
+const FakeSidecar = require('../helpers/fakeSidecar');
+const { startApp } = require('../helpers/appServer');
+
+const ADA_KEY = 'ada-key-0123456789abcdef';
+const GRACE_KEY = 'grace-key-0123456789abcdef';
+
+// Session routes with two users
+describe('sessions', () => {
+  let sidecar;
+  let app;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar();
+    app = await startApp({
+      SIDECAR_ENDPOINT: await sidecar.listen(),
+      AUTH_MODE: 'apikey',
+      AUTH_API_KEYS: `ada=${ADA_KEY},grace=${GRACE_KEY}`
+    });
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  const as = key => ({ 'X-API-Key': key });
+
+  async function createSession(key, body = {}) {
+    const response = await app.request('/api/chat/sessions', { method: 'POST', body, headers: as(key) });
+    expect(response.status).toBe(201);
+    return response.body.session;
+  }
+
+  const getSession = async sessionId => (await app.request(`/api/chat/sessions/${sessionId}`, { headers: as(GRACE_KEY) })).body;
+
+  describe('listing', () => {
+    let created;
+
+    beforeAll(async () => {
+      created = [];
+      for (const title of ['Lisbon trip', 'Tax return', 'Lisbon restaurants']) {
+        created.push(await createSession(GRACE_KEY, { title }));
+      }
+    });
+
+    const list = query => app.request(`/api/chat/sessions?${new URLSearchParams(query)}`, { headers: as(GRACE_KEY) });
+
+    test('pages through the caller\'s own sessions, newest first', async () => {
+      await createSession(ADA_KEY, { title: 'Lisbon, by someone else' });
+
+      const first = await list({ limit: '2' });
+      expect(first.status).toBe(200);
+      expect(first.body.total).toBe(3);
+      expect(first.body.sessions).toHaveLength(2);
+
+      const second = await list({ limit: '2', cursor: first.body.nextCursor });
+      expect(second.body.sessions).toHaveLength(1);
+      expect(second.body.nextCursor).toBeNull();
+
+      const seen = [...first.body.sessions, ...second.body.sessions].map(({ id }) => id);
+      expect(seen.sort()).toEqual(created.map(({ id }) => id).sort());
+    });
+
+    test('searches titles and returns highlighted snippets', async () => {
+      const response = await list({ q: 'lisbon' });
+      expect(response.body.sessions.map(({ title }) => title).sort()).toEqual(['Lisbon restaurants', 'Lisbon trip']);
+      expect(response.body.sessions[0].matches[0]).toMatchObject({ field: 'title', highlights: [{ start: 0, end: 6 }] });
+    });
+
+    test('rejects bad query parameters', async () => {
+      expect(await list({ limit: '500' })).toMatchObject({
+        status: 400,
+        body: { error: 'limit must be an integer between 1 and 100', requestId: expect.any(String) }
+      });
+      expect((await list({ cursor: 'garbage' })).body.error).toBe('Invalid cursor');
+    });
+  });
+
+  describe('PATCH', () => {
+    const patch = (sessionId, body, key = GRACE_KEY) => app.request(`/api/chat/sessions/${sessionId}`, {
+      method: 'PATCH',
+      body,
+      headers: as(key)
+    });
+
+    test('renames, pins, archives and tags a session', async () => {
+      const { id } = await createSession(GRACE_KEY, { autoTitle: true });
+      const response = await patch(id, {
+        title: '  Budget review  ',
+        pinned: true,
+        archived: true,
+        tags: [' Work', 'work', 'Q3 ', '']
+      });
+
+      expect(response.status).toBe(200);
+      expect(response.body.session).toMatchObject({
+        title: 'Budget review',
+        pinned: true,
+        archived: true,
+        tags: ['work', 'q3'],
+        autoTitle: false,
+        updatedAt: expect.any(String)
+      });
+      expect(await getSession(id)).toMatchObject({
+        title: 'Budget review',
+        tags: ['work', 'q3']
+      });
+    });
+
+    test('changes only the fields given and keeps auto-titling unless renamed', async () => {
+      const { id } = await createSession(GRACE_KEY, { title: 'Groceries', autoTitle: true });
+      const response = await patch(id, { pinned: true });
+      expect(response.body.session).toMatchObject({ title: 'Groceries', pinned: true, archived: false, autoTitle: true });
+    });
+
+    test.each([
+      ['an empty title', { title: '   ' }, 'Title must be a non-empty string of at most 200 characters'],
+      ['a long title', { title: 'x'.repeat(201) }, 'Title must be a non-empty string of at most 200 characters'],
+      ['a pinned flag that is not a boolean', { pinned: 'yes' }, 'pinned must be true or false'],
+      ['an archived flag that is not a boolean', { archived: 1 }, 'archived must be true or false'],
+      ['tags that are not an array', { tags: 'work' }, 'Tags must be an array of at most 20 strings of up to 32 characters'],
+      ['tags that are not strings', { tags: [7] }, 'Tags must be an array of at most 20 strings of up to 32 characters'],
+      ['a long tag', { tags: ['x'.repeat(33)] }, 'Tags must be an array of at most 20 strings of up to 32 characters'],
+      ['too many tags', { tags: Array.from({ length: 21 }, (_, i) => `tag${i}`) }, 'Tags must be an array of at most 20 strings of up to 32 characters']
+    ])('rejects %s', async (name, body, error) => {
+      const { id } = await createSession(GRACE_KEY, { title: 'Unchanged' });
+      const response = await patch(id, { pinned: true, ...body });
+      expect(response).toMatchObject({ status: 400, body: { error } });
+
+      expect(await getSession(id)).toMatchObject({ title: 'Unchanged', pinned: false });
+    });
+
+    test('does not touch another user\'s session', async () => {
+      const { id } = await createSession(ADA_KEY, { title: 'Private' });
+      expect((await patch(id, { title: 'Mine now' })).status).toBe(404);
+    });
+  });
+
+  describe('auto-titling', () => {
+    const send = (sessionId, message) => app.request(`/api/chat/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      body: { message },
+      headers: as(GRACE_KEY)
+    });
+
+    beforeEach(() => {
+      sidecar.requests = [];
+    });
+
+    afterEach(() => {
+      sidecar.reply = null;
+    });
+
+    // Chat requests the app made to write a title
+    const titleRequests = () => sidecar.chatRequests()
+      .filter(({ body }) => body.messages[0].content === 'You write short, specific titles for conversations.');
+
+    test('titles the session from its first exchange only', async () => {
+      sidecar.reply = 'Title: "Weekend in Lisbon".\nAnything else?';
+      const { id } = await createSession(GRACE_KEY, { autoTitle: true });
+
+      const first = await send(id, 'Plan two days in Lisbon');
+      expect(first.status).toBe(200);
+      expect(first.body.title).toBe('Weekend in Lisbon');
+      expect(titleRequests()).toHaveLength(1);
+      expect(titleRequests()[0].body.messages[1].content).toMatch(/^User: Plan two days in Lisbon\n\nAssistant: /);
+
+      const second = await send(id, 'And a third day?');
+      expect(second.body).not.toHaveProperty('title');
+      expect(titleRequests()).toHaveLength(1);
+
+      expect(await getSession(id)).toMatchObject({ title: 'Weekend in Lisbon', autoTitle: false });
+    });
+
+    test('is off by default and after a rename', async () => {
+      const { id: untitled } = await createSession(GRACE_KEY);
+      expect((await send(untitled, 'hello')).body).not.toHaveProperty('title');
+
+      const { id: renamed } = await createSession(GRACE_KEY, { autoTitle: true });
+      await app.request(`/api/chat/sessions/${renamed}`, { method: 'PATCH', body: { title: 'My name' }, headers: as(GRACE_KEY) });
+      expect((await send(renamed, 'hello')).body).not.toHaveProperty('title');
+
+      expect(titleRequests()).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,133 @@
+const { BackendRegistry } = require('../lib/backendRegistry');
+const ModelCatalog = require('../lib/modelCatalog');
+const { SidecarError, SidecarUnavailableError } = require('../lib/sidecarClient');
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+// Stand-in for a SidecarClient that serves `models` and answers with its own name
+function fakeClient(name, { models = [], fail = null, listFails = false } = {}) {
+  return {
+    endpoint: `http://${name}`,
+    api: 'openai',
+    listModels: jest.fn(async () => {
+      if (listFails) throw new Error(`${name} is down`);
+      return models.map(model => ({ name: model, model }));
+    }),
+    chatCompletion: jest.fn(async (body) => {
+      if (fail) throw fail;
+      return { backend: name, model: body.model };
+    }),
+    assertAvailable: jest.fn(),
+    state: () => ({ circuit: 'closed', warmingUp: false })
+  };
+}
+
+function registry(backends) {
+  return new BackendRegistry({
+    logger: silent,
+    backends: backends.map(({ name, priority = 0, models, client }) => ({ name, priority, models, client }))
+  });
+}
+
+describe('BackendRegistry routing', () => {
+  test('sends a model to the backend that serves it', async () => {
+    const local = fakeClient('local', { models: ['phi4'] });
+    const cloud = fakeClient('cloud', { models: ['gpt-4o'] });
+    const backends = registry([{ name: 'local', client: local }, { name: 'cloud', priority: 1, client: cloud }]);
+
+    expect(await backends.chatCompletion({ model: 'gpt-4o' })).toEqual({ backend: 'cloud', model: 'gpt-4o' });
+    expect(await backends.chatCompletion({ model: 'phi4' })).toEqual({ backend: 'local', model: 'phi4' });
+    expect(local.chatCompletion).toHaveBeenCalledTimes(1);
+  });
+
+  test('declared models are used without asking the backend', async () => {
+    const client = fakeClient('declared');
+    const backends = registry([{ name: 'declared', models: ['phi4'], client }]);
+
+    expect(await backends.chatCompletion({ model: 'phi4:latest' }).catch(error => error.status)).toBe(400);
+    expect(await backends.chatCompletion({ model: 'phi4' })).toMatchObject({ backend: 'declared' });
+    expect(client.listModels).not.toHaveBeenCalled();
+  });
+
+  test('fails over on 5xx and unavailable backends, lowest priority first', async () => {
+    const primary = fakeClient('primary', { models: ['phi4'], fail: new SidecarError('boom', { upstreamStatus: 503 }) });
+    const secondary = fakeClient('secondary', { models: ['phi4'], fail: new SidecarUnavailableError('open', { reason: 'circuit-open', retryAfterSeconds: 5 }) });
+    const last = fakeClient('last', { models: ['phi4'] });
+    const backends = registry([
+      { name: 'last', priority: 2, client: last },
+      { name: 'primary', priority: 0, client: primary },
+      { name: 'secondary', priority: 1, client: secondary }
+    ]);
+
+    expect(await backends.chatCompletion({ model: 'phi4' })).toMatchObject({ backend: 'last' });
+    expect(primary.chatCompletion).toHaveBeenCalled();
+    expect(secondary.chatCompletion).toHaveBeenCalled();
+  });
+
+  test('does not fail over on 4xx answers', async () => {
+    const primary = fakeClient('primary', { models: ['phi4'], fail: new SidecarError('bad request', { status: 400, upstreamStatus: 400 }) });
+    const secondary = fakeClient('secondary', { models: ['phi4'] });
+    const backends = registry([{ name: 'primary', client: primary }, { name: 'secondary', priority: 1, client: secondary }]);
+
+    await expect(backends.chatCompletion({ model: 'phi4' })).rejects.toThrow('bad request');
+    expect(secondary.chatCompletion).not.toHaveBeenCalled();
+  });
+
+  test('answers 400 for a model no backend serves', async () => {
+    const backends = registry([{ name: 'local', client: fakeClient('local', { models: ['phi4'] }) }]);
+    await expect(backends.chatCompletion({ model: 'llama3' })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('a backend whose model list fails is tried, and its list is not fetched again right away', async () => {
+    const down = fakeClient('down', { listFails: true, fail: new SidecarError('refused') });
+    const up = fakeClient('up', { models: ['phi4'] });
+    const backends = registry([{ name: 'down', client: down }, { name: 'up', priority: 1, client: up }]);
+
+    for (let i = 0; i < 3; i++) {
+      expect(await backends.chatCompletion({ model: 'phi4' })).toMatchObject({ backend: 'up' });
+    }
+    expect(down.listModels).toHaveBeenCalledTimes(1);
+    expect(down.chatCompletion).toHaveBeenCalledTimes(3);
+  });
+
+  test('merges model lists and names the backends serving each model', async () => {
+    const backends = registry([
+      { name: 'local', client: fakeClient('local', { models: ['phi4', 'llama3'] }) },
+      { name: 'cloud', priority: 1, client: fakeClient('cloud', { models: ['phi4'] }) },
+      { name: 'down', priority: 2, client: fakeClient('down', { listFails: true }) }
+    ]);
+
+    const models = await backends.listModels();
+    expect(models.map(({ name, backends: serving }) => [name, serving])).toEqual([
+      ['phi4', ['local', 'cloud']],
+      ['llama3', ['local']]
+    ]);
+  });
+});
+
+describe('ModelCatalog', () => {
+  test('remembers a failed fetch for failureTtlMs', async () => {
+    const fetchModels = jest.fn()
+      .mockRejectedValueOnce(new Error('down'))
+      .mockResolvedValue([{ name: 'phi4' }]);
+    const catalog = new ModelCatalog({ fetchModels, failureTtlMs: 50 });
+
+    await expect(catalog.list()).rejects.toThrow('down');
+    await expect(catalog.list()).rejects.toThrow('down');
+    expect(fetchModels).toHaveBeenCalledTimes(1);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(await catalog.list()).toEqual([{ name: 'phi4' }]);
+    expect(fetchModels).toHaveBeenCalledTimes(2);
+  });
+
+  test('a refresh asks again even after a failure', async () => {
+    const fetchModels = jest.fn()
+      .mockRejectedValueOnce(new Error('down'))
+      .mockResolvedValue([{ name: 'phi4' }]);
+    const catalog = new ModelCatalog({ fetchModels });
+
+    await expect(catalog.list()).rejects.toThrow('down');
+    expect(await catalog.list({ refresh: true })).toEqual([{ name: 'phi4' }]);
+  });
+});
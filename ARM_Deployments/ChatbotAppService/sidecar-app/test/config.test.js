@@ -0,0 +1,75 @@
+const { loadConfig, redactConfig, ConfigError } = require('../lib/config');
+
+describe('loadConfig', () => {
+  test('trusts one proxy hop on App Service unless TRUST_PROXY says otherwise', () => {
+    expect(loadConfig({}).trustProxy).toBe(0);
+    expect(loadConfig({ WEBSITE_SITE_NAME: 'chatbot' }).trustProxy).toBe(1);
+    expect(loadConfig({ WEBSITE_SITE_NAME: 'chatbot', TRUST_PROXY: '2' }).trustProxy).toBe(2);
+  });
+
+  test('reads have their own rate limit budget', () => {
+    const { rateLimit } = loadConfig({ RATE_LIMIT_MAX_REQUESTS: '50', RATE_LIMIT_READ_MAX_REQUESTS: '500' });
+    expect(rateLimit).toMatchObject({ maxRequests: 50, readMaxRequests: 500 });
+  });
+
+  test('reports every invalid setting at once', () => {
+    expect.assertions(2);
+    try {
+      loadConfig({ PORT: 'eighty', TRUST_PROXY: '-1' });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.problems).toHaveLength(2);
+    }
+  });
+});
+
+describe('moderation terms files', () => {
+  const fs = require('fs');
+  const os = require('os');
+  const path = require('path');
+
+  test('a missing file is a ConfigError naming the variable', () => {
+    expect(() => loadConfig({ SAFETY_BLOCKLIST_FILE: '/nonexistent/blocklist.txt' }))
+      .toThrow(/SAFETY_BLOCKLIST_FILE cannot be read: \/nonexistent\/blocklist.txt \(ENOENT\)/);
+  });
+
+  test('terms in a file are checked like SAFETY_BLOCKLIST', () => {
+    const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'terms-')), 'allowlist.txt');
+    fs.writeFileSync(file, '# regular expressions go between slashes\n/[unclosed/\n');
+    expect(() => loadConfig({ SAFETY_ALLOWLIST_FILE: file })).toThrow(/SAFETY_ALLOWLIST_FILE has an invalid regular expression/);
+
+    fs.writeFileSync(file, 'support@contoso.com\n');
+    expect(loadConfig({ SAFETY_ALLOWLIST_FILE: file }).safety.allowlistFile).toBe(file);
+    fs.rmSync(path.dirname(file), { recursive: true });
+  });
+});
+
+describe('redactConfig', () => {
+  const config = loadConfig({
+    AUTH_MODE: 'apikey',
+    AUTH_API_KEYS: 'robot=key-one-0123456789abcdef',
+    SESSION_SECRET: 'x'.repeat(32),
+    REDIS_URL: 'rediss://:hunter2@cache.example.com:6380',
+    SIDECAR_BACKENDS: JSON.stringify([
+      { name: 'local', endpoint: 'http://127.0.0.1:11434' },
+      { name: 'remote', endpoint: 'https://models.example.com', api: 'openai', apiKey: 'sk-remote-secret' }
+    ]),
+    AI_TIMEOUT: '45000',
+    LOG_LEVEL: 'debug'
+  });
+  const shown = redactConfig(config);
+
+  test('redacts credentials and keys', () => {
+    const text = JSON.stringify(shown);
+    ['key-one', 'x'.repeat(32), 'hunter2', 'sk-remote-secret'].forEach(value => expect(text).not.toContain(value));
+    expect(shown.auth.apiKeys).toEqual([{ userId: 'robot', key: '[redacted]' }]);
+    expect(shown.sessionStore.redisUrl).toBe('rediss://[redacted]@cache.example.com:6380');
+  });
+
+  test('shows every other effective setting', () => {
+    expect(shown.sidecar.timeout).toBe(45000);
+    expect(shown.logLevel).toBe('debug');
+    expect(shown.backends.map(backend => backend.endpoint)).toEqual(['http://127.0.0.1:11434', 'https://models.example.com']);
+    expect(Object.keys(shown)).toEqual(Object.keys(config));
+  });
+});
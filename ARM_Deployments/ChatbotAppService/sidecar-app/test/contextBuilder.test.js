@@ -0,0 +1,59 @@
+const { buildContext, estimateMessageTokens } = require('../lib/contextBuilder');
+
+// Messages of about 29 tokens each
+const conversation = (count) => Array.from({ length: count }, (_, index) => ({
+  id: `m${index}`,
+  role: index % 2 ? 'assistant' : 'user',
+  content: `${'x'.repeat(96)} ${index}`.slice(0, 100)
+}));
+
+const options = { systemPrompt: 'Be brief.', contextWindow: 10000, reserveTokens: 1000 };
+
+describe('buildContext', () => {
+  test('sends everything that fits, system prompt first', async () => {
+    const { messages, omittedCount } = await buildContext({ messages: conversation(4) }, options);
+    expect(messages[0]).toEqual({ role: 'system', content: 'Be brief.' });
+    expect(messages).toHaveLength(5);
+    expect(omittedCount).toBe(0);
+  });
+
+  test('leaves out failed replies', async () => {
+    const messages = conversation(3);
+    messages[1].error = true;
+    const context = await buildContext({ messages }, options);
+    expect(context.messages.map(message => message.content)).not.toContain(messages[1].content);
+  });
+
+  test('the message cap alone drops messages without summarizing', async () => {
+    const summarize = jest.fn(async () => 'summary');
+    const context = await buildContext({ messages: conversation(30) }, { ...options, maxMessages: 10, summarize });
+
+    expect(summarize).not.toHaveBeenCalled();
+    expect(context.summaryUpdated).toBe(false);
+    expect(context.messages).toHaveLength(11);
+    expect(context.omittedCount).toBe(20);
+  });
+
+  test('summarizes when the budget is exceeded, then not again for the next turns', async () => {
+    const summarize = jest.fn(async () => 'What was said before.');
+    const tight = { ...options, contextWindow: 1300, reserveTokens: 1000, summarize };
+    const session = { messages: conversation(20) };
+
+    const first = await buildContext(session, tight);
+    expect(summarize).toHaveBeenCalledTimes(1);
+    expect(first.summaryUpdated).toBe(true);
+    expect(first.estimatedTokens).toBeLessThanOrEqual(300);
+    session.summary = first.summary;
+
+    // Two more turns' worth of messages still fit next to the summary
+    session.messages = conversation(24);
+    const second = await buildContext(session, tight);
+    expect(summarize).toHaveBeenCalledTimes(1);
+    expect(second.summaryUpdated).toBe(false);
+    expect(second.messages[1].content).toContain('What was said before.');
+  });
+
+  test('estimates message tokens from their length', () => {
+    expect(estimateMessageTokens({ content: 'x'.repeat(40) })).toBe(14);
+  });
+});
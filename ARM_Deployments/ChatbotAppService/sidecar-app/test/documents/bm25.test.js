@@ -0,0 +1,55 @@
+const { Bm25Index, tokenize } = require('../../lib/documents/bm25');
+
+describe('tokenize', () => {
+  test('lower-cases, strips accents and drops stop words and punctuation', () => {
+    expect(tokenize('What is the Café\'s Wi-Fi password?')).toEqual(['cafe', 's', 'wi', 'fi', 'password']);
+    expect(tokenize('...')).toEqual([]);
+  });
+});
+
+describe('Bm25Index', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new Bm25Index();
+    index.add('restart', 'To restart the server, run the restart script from the admin console.');
+    index.add('backup', 'Backups run nightly. Restore a backup from the admin console.');
+    index.add('billing', 'Invoices are sent monthly to the billing contact.');
+  });
+
+  test('ranks the entries that match the query best first', () => {
+    const results = index.search('how do I restart the server');
+    expect(results.map(result => result.id)).toEqual(['restart']);
+    expect(results[0].score).toBeGreaterThan(0);
+
+    expect(index.search('admin console backup').map(result => result.id)).toEqual(['backup', 'restart']);
+  });
+
+  test('weighs rare terms above common ones', () => {
+    const [best] = index.search('console invoices');
+    expect(best.id).toBe('billing');
+  });
+
+  test('honours limit and filter', () => {
+    expect(index.search('admin console', { limit: 1 })).toHaveLength(1);
+    expect(index.search('admin console', { filter: id => id !== 'restart' }).map(result => result.id)).toEqual(['backup']);
+  });
+
+  test('finds nothing for unknown words, stop words or an empty index', () => {
+    expect(index.search('kubernetes')).toEqual([]);
+    expect(index.search('the and of')).toEqual([]);
+    expect(new Bm25Index().search('restart')).toEqual([]);
+  });
+
+  test('replaces an entry added again and forgets removed ones', () => {
+    index.add('restart', 'Reboot instructions.');
+    expect(index.search('restart')).toEqual([]);
+    expect(index.search('reboot').map(result => result.id)).toEqual(['restart']);
+
+    index.remove('restart');
+    index.remove('missing');
+    expect(index.search('reboot')).toEqual([]);
+    expect(index.entries.size).toBe(2);
+    expect(index.totalLength).toBe([...index.entries.values()].reduce((sum, entry) => sum + entry.length, 0));
+  });
+});
@@ -0,0 +1,66 @@
+const { chunkText } = require('../../lib/documents/chunker');
+
+describe('chunkText', () => {
+  test('keeps a short document in one chunk without a page', () => {
+    expect(chunkText('First paragraph.\n\nSecond paragraph.')).toEqual([
+      { index: 0, text: 'First paragraph.\n\nSecond paragraph.', page: null, heading: null }
+    ]);
+  });
+
+  test('fills chunks paragraph by paragraph up to chunkSize', () => {
+    const paragraphs = ['a'.repeat(40), 'b'.repeat(40), 'c'.repeat(40)];
+    const chunks = chunkText(paragraphs.join('\n\n'), { chunkSize: 90, overlap: 0 });
+    expect(chunks.map(chunk => chunk.text)).toEqual([`${paragraphs[0]}\n\n${paragraphs[1]}`, paragraphs[2]]);
+    expect(chunks.map(chunk => chunk.index)).toEqual([0, 1]);
+  });
+
+  test('carries the end of a chunk into the next, from a word boundary', () => {
+    const text = 'alpha beta gamma delta epsilon\n\nzeta eta theta iota kappa';
+    const [first, second] = chunkText(text, { chunkSize: 45, overlap: 12 });
+    expect(first.text).toBe('alpha beta gamma delta epsilon');
+    expect(second.text).toBe('epsilon\n\nzeta eta theta iota kappa');
+  });
+
+  test('splits long paragraphs at sentence ends, and cuts sentences that do not fit', () => {
+    const text = 'One short sentence. Another short sentence. ' + 'x'.repeat(50);
+    const chunks = chunkText(text, { chunkSize: 30, overlap: 0 });
+    expect(chunks.map(chunk => chunk.text)).toEqual([
+      'One short sentence.',
+      'Another short sentence.',
+      'x'.repeat(30),
+      'x'.repeat(20)
+    ]);
+    chunks.forEach(chunk => expect(chunk.text.length).toBeLessThanOrEqual(30));
+  });
+
+  test('never spans a page break and numbers pages from 1', () => {
+    const chunks = chunkText('Page one text.\fPage two text.', { type: 'pdf' });
+    expect(chunks.map(({ text, page }) => ({ text, page }))).toEqual([
+      { text: 'Page one text.', page: 1 },
+      { text: 'Page two text.', page: 2 }
+    ]);
+  });
+
+  test('joins words and lines PDF extraction broke apart', () => {
+    const [chunk] = chunkText('The configu-\nration file lives\nin the app folder.\n\nNext para.', { type: 'pdf' });
+    expect(chunk.text).toBe('The configuration file lives in the app folder.\n\nNext para.');
+  });
+
+  test('remembers the Markdown heading and starts a chunk at each new section', () => {
+    const text = '# Setup\nInstall the app.\n\nRun it.\n\n## Usage ##\nAsk a question.';
+    expect(chunkText(text, { type: 'markdown', overlap: 20 })).toEqual([
+      { index: 0, text: 'Install the app.\n\nRun it.', page: null, heading: 'Setup' },
+      { index: 1, text: 'Ask a question.', page: null, heading: 'Usage' }
+    ]);
+  });
+
+  test('treats # lines in plain text as text', () => {
+    const [chunk] = chunkText('# not a heading\nbody', { type: 'text' });
+    expect(chunk).toMatchObject({ text: '# not a heading\nbody', heading: null });
+  });
+
+  test('normalizes Windows line endings and drops empty documents', () => {
+    expect(chunkText('one\r\n\r\ntwo')[0].text).toBe('one\n\ntwo');
+    expect(chunkText('  \n\n  ')).toEqual([]);
+  });
+});
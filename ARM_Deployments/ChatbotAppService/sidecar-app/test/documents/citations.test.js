@@ -0,0 +1,45 @@
+const { sourcesPrompt, citationsFor } = require('../../lib/documents/citations');
+
+const passages = [
+  { documentId: 'd1', documentName: 'guide.md', chunkId: 'c1', chunkIndex: 0, page: null, heading: 'Setup', text: 'Install the app.', score: 2.5 },
+  { documentId: 'd2', documentName: 'manual.pdf', chunkId: 'c2', chunkIndex: 4, page: 3, heading: null, text: 'x'.repeat(600), score: 1.25 },
+  { documentId: 'd2', documentName: 'manual.pdf', chunkId: 'c3', chunkIndex: 5, page: 4, heading: null, text: 'Restart nightly.', score: 0.5 }
+];
+
+describe('sourcesPrompt', () => {
+  test('numbers the passages from 1 and labels them with their document, heading and page', () => {
+    const prompt = sourcesPrompt(passages);
+    expect(prompt).toMatch(/^Answer using the numbered sources below/);
+    expect(prompt).toContain('[1] guide.md - Setup\nInstall the app.');
+    expect(prompt).toContain('[2] manual.pdf - page 3\nxxx');
+    expect(prompt).toContain('[3] manual.pdf - page 4\nRestart nightly.');
+  });
+});
+
+describe('citationsFor', () => {
+  test('cites the passages the reply refers to, in any marker form', () => {
+    const cited = citationsFor('Install it [1], then restart it nightly [3, 1].', passages);
+    expect(cited.map(citation => citation.index)).toEqual([1, 3]);
+    expect(cited[0]).toEqual({
+      index: 1,
+      documentId: 'd1',
+      documentName: 'guide.md',
+      chunkId: 'c1',
+      chunkIndex: 0,
+      page: null,
+      heading: 'Setup',
+      snippet: 'Install the app.',
+      score: 2.5
+    });
+  });
+
+  test('cites every passage when the reply has no markers, or only unknown ones', () => {
+    expect(citationsFor('No markers here.', passages)).toHaveLength(3);
+    expect(citationsFor('See [9].', passages)).toHaveLength(3);
+  });
+
+  test('shortens long snippets', () => {
+    const [citation] = citationsFor('[2]', passages);
+    expect(citation.snippet).toBe(`${'x'.repeat(500)}...`);
+  });
+});
@@ -0,0 +1,147 @@
+const { parseFeedback, summarizeFeedback, toFeedbackJsonl, withoutFeedback } = require('../lib/feedback');
+
+const rated = (rating, extra = {}) => ({ rating, comment: '', tags: [], userId: 'ada', ratedAt: '2024-05-01T00:00:00.000Z', ...extra });
+
+// Two sessions: one on the default system prompt with a regenerated reply, one with its own prompt
+function sessions() {
+  return [
+    {
+      id: 's1',
+      systemPrompt: null,
+      messages: [
+        { id: 'u1', role: 'user', content: 'What is 2 + 2?' },
+        {
+          id: 'a1',
+          role: 'assistant',
+          content: '4',
+          model: 'phi4',
+          feedback: rated('up', { tags: ['accurate'] }),
+          alternates: [{ role: 'assistant', content: '5', model: 'llama3', feedback: rated('down', { comment: 'Wrong', tags: ['inaccurate'] }) }]
+        },
+        { id: 'u2', role: 'user', content: 'Thanks' },
+        { id: 'a2', role: 'assistant', content: 'You are welcome', model: 'phi4' }
+      ]
+    },
+    {
+      id: 's2',
+      systemPrompt: 'Answer like a pirate',
+      messages: [
+        { id: 'u3', role: 'user', content: 'Weather?' },
+        { id: 'e3', role: 'assistant', content: 'Sidecar error', error: true },
+        { id: 'u4', role: 'user', content: 'Weather, please?' },
+        { id: 't4', role: 'tool', content: '{"sky":"clear"}', name: 'weather' },
+        { id: 'a4', role: 'assistant', content: 'Clear skies, matey', model: 'phi4', feedback: rated('up', { tags: ['helpful', 'accurate'] }) }
+      ]
+    }
+  ];
+}
+
+describe('parseFeedback', () => {
+  test('trims the comment and drops repeated tags', () => {
+    expect(parseFeedback({ rating: 'down', comment: '  Too vague ', tags: ['incomplete', 'incomplete'] })).toEqual({
+      feedback: { rating: 'down', comment: 'Too vague', tags: ['incomplete'] }
+    });
+    expect(parseFeedback({ rating: 'up', comment: null })).toEqual({ feedback: { rating: 'up', comment: '', tags: [] } });
+  });
+
+  test('reports every problem at once', () => {
+    const { errors } = parseFeedback({ rating: 'meh', comment: 'x'.repeat(2001), tags: ['great'] });
+    expect(errors).toEqual([
+      'rating must be one of: up, down',
+      'comment must be a string of at most 2000 characters',
+      expect.stringMatching(/^tags must be a list of: accurate, helpful/)
+    ]);
+    expect(parseFeedback(null)).toEqual({ errors: ['Body must be a JSON object'] });
+    expect(parseFeedback({ rating: 'up', tags: 'helpful' }).errors).toHaveLength(1);
+  });
+});
+
+describe('withoutFeedback', () => {
+  test('drops feedback from a message and its earlier versions', () => {
+    const [, reply] = sessions()[0].messages;
+    const copy = withoutFeedback(reply);
+    expect(copy).not.toHaveProperty('feedback');
+    expect(copy.alternates[0]).toEqual({ role: 'assistant', content: '5', model: 'llama3' });
+    expect(reply.feedback.rating).toBe('up');
+  });
+});
+
+describe('summarizeFeedback', () => {
+  test('counts every rated version, per model and per system prompt', () => {
+    const summary = summarizeFeedback(sessions(), { defaultSystemPrompt: 'Be helpful' });
+
+    expect(summary).toMatchObject({ rated: 3, up: 2, down: 1, upRate: 0.667, comments: 1 });
+    expect(summary.tags).toEqual({ accurate: 2, inaccurate: 1, helpful: 1 });
+    expect(summary.byModel).toEqual({
+      phi4: { rated: 2, up: 2, down: 0, upRate: 1, comments: 0, tags: { accurate: 2, helpful: 1 } },
+      llama3: { rated: 1, up: 0, down: 1, upRate: 0, comments: 1, tags: { inaccurate: 1 } }
+    });
+    expect(summary.bySystemPrompt).toEqual([
+      expect.objectContaining({ systemPrompt: 'Be helpful', sessions: 1, rated: 2, up: 1, down: 1, upRate: 0.5 }),
+      expect.objectContaining({ systemPrompt: 'Answer like a pirate', sessions: 1, rated: 1, up: 1 })
+    ]);
+  });
+
+  test('starts from empty totals', () => {
+    expect(summarizeFeedback([])).toEqual({
+      rated: 0,
+      up: 0,
+      down: 0,
+      upRate: null,
+      comments: 0,
+      tags: {},
+      byModel: {},
+      bySystemPrompt: []
+    });
+  });
+
+  test('files replies without a model under unknown', () => {
+    const session = { id: 's', messages: [{ id: 'a', role: 'assistant', content: 'hi', feedback: rated('down') }] };
+    expect(Object.keys(summarizeFeedback([session]).byModel)).toEqual(['unknown']);
+  });
+});
+
+describe('toFeedbackJsonl', () => {
+  const records = text => text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+
+  test('writes each rated version with the conversation it answered', () => {
+    const text = toFeedbackJsonl(sessions(), { defaultSystemPrompt: 'Be helpful' });
+    expect(text.endsWith('\n')).toBe(true);
+
+    const [rejected, current, pirate] = records(text);
+    expect(rejected).toEqual({
+      sessionId: 's1',
+      messageId: 'a1',
+      model: 'llama3',
+      messages: [
+        { role: 'system', content: 'Be helpful' },
+        { role: 'user', content: 'What is 2 + 2?' }
+      ],
+      completion: '5',
+      rating: 'down',
+      comment: 'Wrong',
+      tags: ['inaccurate'],
+      ratedAt: '2024-05-01T00:00:00.000Z'
+    });
+    expect(current).toMatchObject({ messageId: 'a1', completion: '4', rating: 'up' });
+
+    // Failed exchanges and tool calls are left out of the context
+    expect(pirate.messages).toEqual([
+      { role: 'system', content: 'Answer like a pirate' },
+      { role: 'user', content: 'Weather, please?' }
+    ]);
+  });
+
+  test('filters by rating and model', () => {
+    expect(records(toFeedbackJsonl(sessions(), { rating: 'up' })).map(record => record.completion))
+      .toEqual(['4', 'Clear skies, matey']);
+    expect(records(toFeedbackJsonl(sessions(), { rating: 'up', model: 'llama3' }))).toEqual([]);
+    expect(records(toFeedbackJsonl(sessions(), { model: 'llama3' })).map(record => record.rating)).toEqual(['down']);
+  });
+
+  test('leaves out the system message when there is no prompt, and writes nothing without ratings', () => {
+    const [first] = records(toFeedbackJsonl(sessions()));
+    expect(first.messages).toEqual([{ role: 'user', content: 'What is 2 + 2?' }]);
+    expect(toFeedbackJsonl([{ id: 's', messages: [] }])).toBe('');
+  });
+});
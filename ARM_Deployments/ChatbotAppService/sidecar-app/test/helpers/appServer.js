@@ -0,0 +1,84 @@
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+
+// Runs app.js in a child process, as `npm start` would, for tests of its routes.
+// Only the given settings are passed, so the test runner's environment does not leak in.
+
+function freePort() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+// Resolves to { url, output, request, stop } once the app answers /health.
+// request(path, options) is fetch against the app with JSON bodies and answers:
+// it resolves to { status, headers, body, text }.
+async function startApp(env = {}) {
+  const port = await freePort();
+  const url = `http://127.0.0.1:${port}`;
+  const output = [];
+
+  const child = spawn(process.execPath, ['app.js'], {
+    cwd: path.join(__dirname, '..', '..'),
+    env: {
+      PATH: process.env.PATH,
+      NODE_ENV: 'test',
+      PORT: String(port),
+      SESSION_STORE: 'memory',
+      LOG_LEVEL: 'warn',
+      LOG_FORMAT: 'text',
+      ...env
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.stdout.on('data', data => output.push(data.toString()));
+  child.stderr.on('data', data => output.push(data.toString()));
+  const exited = new Promise(resolve => child.once('exit', resolve));
+
+  const stop = async () => {
+    if (child.exitCode === null && child.signalCode === null) {
+      child.kill('SIGTERM');
+    }
+    await exited;
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    if (child.exitCode !== null) {
+      throw new Error(`app.js exited with ${child.exitCode}:\n${output.join('')}`);
+    }
+    try {
+      await fetch(`${url}/health`);
+      break;
+    } catch (error) {
+      if (attempt > 150) {
+        await stop();
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, 100));
+    }
+  }
+
+  const request = async (requestPath, { method = 'GET', body, headers = {} } = {}) => {
+    const response = await fetch(`${url}${requestPath}`, {
+      method,
+      headers: { ...(body !== undefined && { 'Content-Type': 'application/json' }), ...headers },
+      ...(body !== undefined && { body: typeof body === 'string' ? body : JSON.stringify(body) })
+    });
+    const text = await response.text();
+    let parsed = null;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON: event streams, Markdown exports
+    }
+    return { status: response.status, headers: response.headers, body: parsed, text };
+  };
+
+  return { url, output, request, stop };
+}
+
+module.exports = { startApp };
@@ -0,0 +1,213 @@
+const net = require('net');
+
+// Just enough of a Redis server for the Redis-backed store and cache tests:
+// strings, sets, sorted sets, KEYS, MULTI/EXEC and WATCH. SET ... PX expires strings;
+// EXPIRE and PEXPIRE are ignored. Every key has a version that writes bump, so EXEC
+// fails like Redis when a watched key changed.
+
+function encode(value) {
+  if (value === null) return '$-1\r\n';
+  if (typeof value === 'number') return `:${value}\r\n`;
+  if (Array.isArray(value)) return `*${value.length}\r\n${value.map(encode).join('')}`;
+  if (value instanceof Error) return `-ERR ${value.message}\r\n`;
+  if (value.status) return `+${value.status}\r\n`;
+  return `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+}
+
+const OK = { status: 'OK' };
+
+// Parse complete RESP arrays from the front of `buffer`; returns [commands, rest]
+function parse(buffer) {
+  const commands = [];
+  let offset = 0;
+  for (;;) {
+    if (buffer[offset] !== 0x2a) break;
+    const headerEnd = buffer.indexOf('\r\n', offset);
+    if (headerEnd === -1) break;
+    const count = Number(buffer.toString('utf8', offset + 1, headerEnd));
+    let position = headerEnd + 2;
+    const args = [];
+    for (let index = 0; index < count; index++) {
+      const lengthEnd = buffer.indexOf('\r\n', position);
+      if (lengthEnd === -1) return [commands, buffer.subarray(offset)];
+      const length = Number(buffer.toString('utf8', position + 1, lengthEnd));
+      if (buffer.length < lengthEnd + 2 + length + 2) return [commands, buffer.subarray(offset)];
+      args.push(buffer.toString('utf8', lengthEnd + 2, lengthEnd + 2 + length));
+      position = lengthEnd + 2 + length + 2;
+    }
+    commands.push(args);
+    offset = position;
+  }
+  return [commands, buffer.subarray(offset)];
+}
+
+function globToRegExp(pattern) {
+  return new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+class FakeRedis {
+  constructor() {
+    this.strings = new Map();
+    this.sets = new Map();
+    this.sortedSets = new Map();
+    this.expiresAt = new Map();
+    this.versions = new Map();
+    this.commands = [];
+    this.server = net.createServer(socket => this.connect(socket));
+  }
+
+  // Resolves to a redis:// URL once listening on a free port
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`redis://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+
+  touch(key) {
+    this.versions.set(key, (this.versions.get(key) || 0) + 1);
+  }
+
+  connect(socket) {
+    const connection = { queue: null, watched: new Map() };
+    let pending = Buffer.alloc(0);
+    socket.on('data', (data) => {
+      const [commands, rest] = parse(Buffer.concat([pending, data]));
+      pending = rest;
+      commands.forEach(args => socket.write(encode(this.handle(connection, args))));
+    });
+    socket.on('error', () => {});
+  }
+
+  handle(connection, args) {
+    const name = args[0].toUpperCase();
+    this.commands.push(name);
+    switch (name) {
+      case 'MULTI':
+        connection.queue = [];
+        return OK;
+      case 'DISCARD':
+        connection.queue = null;
+        connection.watched.clear();
+        return OK;
+      case 'WATCH':
+        args.slice(1).forEach(key => connection.watched.set(key, this.versions.get(key) || 0));
+        return OK;
+      case 'UNWATCH':
+        connection.watched.clear();
+        return OK;
+      case 'EXEC': {
+        const queue = connection.queue || [];
+        const conflict = [...connection.watched].some(([key, version]) => (this.versions.get(key) || 0) !== version);
+        connection.queue = null;
+        connection.watched.clear();
+        return conflict ? null : queue.map(queued => this.run(queued));
+      }
+      default:
+        if (connection.queue) {
+          connection.queue.push(args);
+          return { status: 'QUEUED' };
+        }
+        return this.run(args);
+    }
+  }
+
+  // The string at `key`, or null once it has expired
+  string(key) {
+    if (this.expiresAt.get(key) <= Date.now()) {
+      this.strings.delete(key);
+      this.expiresAt.delete(key);
+    }
+    return this.strings.has(key) ? this.strings.get(key) : null;
+  }
+
+  // Members of the sorted set at `key` by score, then by member
+  ranked(key) {
+    return [...(this.sortedSets.get(key) || [])]
+      .sort(([a, aScore], [b, bScore]) => aScore - bScore || (a < b ? -1 : a > b ? 1 : 0))
+      .map(([member]) => member);
+  }
+
+  run([command, ...args]) {
+    switch (command.toUpperCase()) {
+      case 'GET':
+        return this.string(args[0]);
+      case 'SET': {
+        this.strings.set(args[0], args[1]);
+        const px = args.findIndex(arg => arg.toUpperCase() === 'PX');
+        if (px > 1) {
+          this.expiresAt.set(args[0], Date.now() + Number(args[px + 1]));
+        } else {
+          this.expiresAt.delete(args[0]);
+        }
+        this.touch(args[0]);
+        return OK;
+      }
+      case 'MGET':
+        return args.map(key => this.string(key));
+      case 'DEL':
+        return args.filter((key) => {
+          const deleted = this.strings.delete(key) || this.sets.delete(key) || this.sortedSets.delete(key);
+          if (deleted) this.touch(key);
+          return deleted;
+        }).length;
+      case 'ZADD': {
+        const set = this.sortedSets.get(args[0]) || new Map();
+        this.sortedSets.set(args[0], set);
+        let added = 0;
+        for (let index = 1; index < args.length; index += 2) {
+          if (!set.has(args[index + 1])) added++;
+          set.set(args[index + 1], Number(args[index]));
+        }
+        this.touch(args[0]);
+        return added;
+      }
+      case 'ZREM': {
+        const set = this.sortedSets.get(args[0]) || new Map();
+        const removed = args.slice(1).filter(member => set.delete(member)).length;
+        if (removed) this.touch(args[0]);
+        return removed;
+      }
+      case 'ZCARD':
+        return this.sortedSets.get(args[0])?.size || 0;
+      case 'ZRANGE': {
+        const members = this.ranked(args[0]);
+        const index = value => (Number(value) < 0 ? members.length + Number(value) : Number(value));
+        return members.slice(index(args[1]), index(args[2]) + 1);
+      }
+      case 'SADD': {
+        const set = this.sets.get(args[0]) || new Set();
+        this.sets.set(args[0], set);
+        const added = args.slice(1).filter(member => !set.has(member) && set.add(member)).length;
+        if (added) this.touch(args[0]);
+        return added;
+      }
+      case 'SREM': {
+        const set = this.sets.get(args[0]) || new Set();
+        const removed = args.slice(1).filter(member => set.delete(member)).length;
+        if (removed) this.touch(args[0]);
+        return removed;
+      }
+      case 'SMEMBERS':
+        return [...(this.sets.get(args[0]) || [])];
+      case 'KEYS': {
+        const pattern = globToRegExp(args[0]);
+        return [...this.strings.keys(), ...this.sets.keys(), ...this.sortedSets.keys()].filter(key => pattern.test(key));
+      }
+      case 'PING':
+        return { status: 'PONG' };
+      case 'EXPIRE':
+      case 'PEXPIRE':
+        return 1;
+      case 'QUIT':
+        return OK;
+      default:
+        return OK;
+    }
+  }
+}
+
+module.exports = FakeRedis;
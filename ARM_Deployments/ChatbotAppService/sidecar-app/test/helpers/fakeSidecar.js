@@ -0,0 +1,99 @@
+const http = require('http');
+
+// Just enough of an Ollama sidecar for the client and streaming tests: /api/tags,
+// /v1/models and /v1/chat/completions, plain or streamed. Replies echo the last
+// message unless `reply` is set; `failures` answers that many chat requests with
+// `failStatus` first, and `loading` makes every request fail like a model still loading.
+// `delayMs` holds chat replies back that long, like a model taking its time.
+
+class FakeSidecar {
+  constructor({ models = ['phi4'], reply = null, chunkSize = 4 } = {}) {
+    this.models = models;
+    this.reply = reply;
+    this.chunkSize = chunkSize;
+    this.failures = 0;
+    this.failStatus = 500;
+    this.loading = false;
+    this.delayMs = 0;
+    this.requests = [];
+    this.server = http.createServer((req, res) => this.handle(req, res));
+  }
+
+  handle(req, res) {
+    let raw = '';
+    req.on('data', (data) => {
+      raw += data;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : null;
+      this.requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+
+      if (this.loading) {
+        return this.json(res, 503, { error: 'model is loading' });
+      }
+      if (req.url === '/api/tags') {
+        return this.json(res, 200, { models: this.models.map(name => ({ name, model: name })) });
+      }
+      if (req.url === '/v1/models') {
+        return this.json(res, 200, { object: 'list', data: this.models.map(id => ({ id, object: 'model' })) });
+      }
+      if (req.url !== '/v1/chat/completions') {
+        return this.json(res, 404, { error: 'not found' });
+      }
+      if (this.delayMs > 0) {
+        const timer = setTimeout(() => this.complete(res, body), this.delayMs);
+        res.on('close', () => clearTimeout(timer));
+        return;
+      }
+      this.complete(res, body);
+    });
+  }
+
+  // Answer a chat completion request, plain or streamed
+  complete(res, body) {
+    if (this.failures > 0) {
+      this.failures--;
+      return this.json(res, this.failStatus, { error: 'boom' });
+    }
+
+    const reply = this.reply ?? `echo: ${body.messages[body.messages.length - 1].content}`;
+    const usage = { prompt_tokens: 7, completion_tokens: 3, total_tokens: 10 };
+    if (!body.stream) {
+      return this.json(res, 200, {
+        model: body.model,
+        choices: [{ message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+        usage
+      });
+    }
+
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    const pieces = reply.match(new RegExp(`[^]{1,${this.chunkSize}}`, 'g')) || [];
+    pieces.forEach((piece) => {
+      res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: piece } }] })}\n\n`);
+    });
+    res.write(`data: ${JSON.stringify({ choices: [{ delta: {}, finish_reason: 'stop' }], usage })}\n\n`);
+    res.end('data: [DONE]\n\n');
+  }
+
+  json(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+
+  chatRequests() {
+    return this.requests.filter(request => request.url === '/v1/chat/completions');
+  }
+
+  // Resolves to the base URL once listening on a free port
+  listen() {
+    return new Promise((resolve) => {
+      this.server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${this.server.address().port}`));
+    });
+  }
+
+  close() {
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+module.exports = FakeSidecar;
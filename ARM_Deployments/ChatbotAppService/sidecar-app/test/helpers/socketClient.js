@@ -0,0 +1,48 @@
+const WebSocket = require('ws');
+
+// WebSocket client for the realtime tests. Resolves to { ws, messages, next, send, close }
+// once connected, or rejects with the HTTP status the upgrade was refused with.
+// next(type) resolves to the first message of that type not yet taken.
+function connectSocket(url, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(url, { headers });
+    const messages = [];
+    const waiters = [];
+
+    const take = () => {
+      waiters.slice().forEach((waiter) => {
+        const index = messages.findIndex(message => !message.taken && message.type === waiter.type);
+        if (index === -1) return;
+        messages[index].taken = true;
+        waiters.splice(waiters.indexOf(waiter), 1);
+        const { taken, ...message } = messages[index];
+        waiter.resolve(message);
+      });
+    };
+
+    ws.on('message', (data) => {
+      messages.push(JSON.parse(data.toString()));
+      take();
+    });
+    ws.on('unexpected-response', (req, res) => {
+      reject(Object.assign(new Error(`Upgrade refused with ${res.statusCode}`), { status: res.statusCode }));
+    });
+    ws.on('error', reject);
+    ws.on('open', () => resolve({
+      ws,
+      messages,
+      next: type => new Promise((resolveNext) => {
+        waiters.push({ type, resolve: resolveNext });
+        take();
+      }),
+      send: message => ws.send(JSON.stringify(message)),
+      close: () => new Promise((resolveClose) => {
+        if (ws.readyState === WebSocket.CLOSED) return resolveClose();
+        ws.once('close', resolveClose);
+        ws.close();
+      })
+    }));
+  });
+}
+
+module.exports = { connectSocket };
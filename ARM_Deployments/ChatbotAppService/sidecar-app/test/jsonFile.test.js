@@ -0,0 +1,76 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { readJsonFile, JsonFileWriter } = require('../lib/jsonFile');
+const { PresetStore } = require('../lib/presets');
+const { DocumentStore } = require('../lib/documents');
+
+const silent = { error: () => {}, warn: () => {}, info: () => {}, debug: () => {} };
+
+let directory;
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'json-file-'));
+});
+
+afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+describe('JsonFileWriter', () => {
+  test('concurrent saves end with the latest state and no temp files', async () => {
+    const file = path.join(directory, 'nested', 'state.json');
+    let state = 0;
+    const writer = new JsonFileWriter(file, () => ({ state }));
+
+    await Promise.all(Array.from({ length: 20 }, () => {
+      state++;
+      return writer.save();
+    }));
+
+    expect(await readJsonFile(file)).toEqual({ state: 20 });
+    expect(await fs.readdir(path.dirname(file))).toEqual(['state.json']);
+  });
+
+  test('readJsonFile resolves to null for a missing file', async () => {
+    expect(await readJsonFile(path.join(directory, 'missing.json'))).toBeNull();
+  });
+});
+
+describe('stores backed by a JSON file', () => {
+  test('presets survive a reload', async () => {
+    const file = path.join(directory, 'presets.json');
+    const store = new PresetStore({ file, logger: silent });
+    await Promise.all(['One', 'Two', 'Three'].map(name => store.create({ name, template: `You are ${name}.` })));
+
+    const reloaded = new PresetStore({ file, logger: silent });
+    expect((await reloaded.list()).filter(preset => !preset.builtIn).map(preset => preset.name).sort()).toEqual(['One', 'Three', 'Two']);
+  });
+
+  test('an unreadable presets file fails calls and is not overwritten', async () => {
+    const file = path.join(directory, 'presets.json');
+    await fs.writeFile(file, '{ not json');
+    const logger = { ...silent, error: jest.fn() };
+    const store = new PresetStore({ file, logger });
+
+    await expect(store.create({ name: 'New', template: 'Hi' })).rejects.toThrow(/Failed to load presets/);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining(file));
+    expect(await fs.readFile(file, 'utf8')).toBe('{ not json');
+  });
+
+  test('documents survive a reload', async () => {
+    const file = path.join(directory, 'documents.json');
+    const store = new DocumentStore({ file, logger: silent });
+    await Promise.all(['a.txt', 'b.txt'].map(name => store.add({ name, content: `Contents of ${name}`, ownerId: 'user' })));
+
+    const reloaded = new DocumentStore({ file, logger: silent });
+    expect((await reloaded.list()).map(document => document.name).sort()).toEqual(['a.txt', 'b.txt']);
+  });
+
+  test('an unreadable documents file fails calls and is not overwritten', async () => {
+    const file = path.join(directory, 'documents.json');
+    await fs.writeFile(file, '[');
+    const store = new DocumentStore({ file, logger: silent });
+
+    await expect(store.search('anything')).rejects.toThrow(/Failed to load documents/);
+    expect(await fs.readFile(file, 'utf8')).toBe('[');
+  });
+});
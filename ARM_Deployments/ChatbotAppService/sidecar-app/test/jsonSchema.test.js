@@ -0,0 +1,64 @@
+const { validate, schemaProblems, unsafePattern } = require('../lib/jsonSchema');
+const { parseResponseSchema } = require('../lib/structuredOutput');
+
+describe('schemaProblems', () => {
+  test.each([
+    [{ properties: 5 }, '$.properties'],
+    [{ required: 'abc' }, '$.required'],
+    [{ anyOf: {} }, '$.anyOf'],
+    [{ type: 'text' }, '$.type'],
+    [{ minLength: -1 }, '$.minLength'],
+    [{ items: 'string' }, '$.items'],
+    [{ properties: { name: { pattern: 7 } } }, '$.properties.name.pattern'],
+    [{ pattern: '(' }, '$.pattern']
+  ])('rejects %j', (schema, path) => {
+    expect(schemaProblems(schema).join('\n')).toContain(path);
+  });
+
+  test('accepts a well-formed schema', () => {
+    expect(schemaProblems({
+      type: 'object',
+      properties: { name: { type: 'string', pattern: '^[a-z]+$' }, tags: { type: 'array', items: { type: 'string' } } },
+      required: ['name'],
+      additionalProperties: false,
+      anyOf: [{ required: ['name'] }, true]
+    })).toEqual([]);
+  });
+});
+
+describe('unsafePattern', () => {
+  test.each(['^(a+)+$', '(a*)*', '(a|ab)*c', '((ab)+)+', '(\\d+)+x', '(?:x+){2,}'])('refuses %s', (pattern) => {
+    expect(unsafePattern(pattern)).toBe(true);
+  });
+
+  test.each(['^[a-z]+$', '^(ab)+$', '^\\d{3}-\\d{4}$', '^(a|b)$', '^[(+]+$', '(a+)?'])('allows %s', (pattern) => {
+    expect(unsafePattern(pattern)).toBe(false);
+  });
+});
+
+describe('parseResponseSchema', () => {
+  test('reports a malformed schema instead of throwing later', () => {
+    expect(parseResponseSchema({ properties: 5 }).error).toMatch(/properties/);
+    expect(parseResponseSchema({ required: 'abc' }).error).toMatch(/required/);
+    expect(parseResponseSchema({ anyOf: {} }).error).toMatch(/anyOf/);
+  });
+
+  test('refuses catastrophic patterns', () => {
+    expect(parseResponseSchema({ type: 'string', pattern: '^(a+)+$' }).error).toMatch(/nested repetition/);
+    expect(parseResponseSchema({ type: 'string', pattern: 'a'.repeat(201) }).error).toMatch(/at most 200/);
+  });
+});
+
+describe('validate', () => {
+  test('required ignores inherited properties', () => {
+    expect(validate({ type: 'object', required: ['toString'] }, {})).toEqual([
+      '$: missing required property "toString"'
+    ]);
+  });
+
+  test('properties are looked up on the schema itself', () => {
+    expect(validate({ type: 'object', additionalProperties: false }, { constructor: 1 })).toEqual([
+      '$: unexpected property "constructor"'
+    ]);
+  });
+});
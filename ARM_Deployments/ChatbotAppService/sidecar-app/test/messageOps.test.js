@@ -0,0 +1,153 @@
+const {
+  regenerableFrom,
+  dropSummaryFrom,
+  editMessage,
+  deleteMessage,
+  replaceReply,
+  forkSession
+} = require('../lib/messageOps');
+
+const message = (id, role, content = id, extra = {}) => ({ id, role, content, ...extra });
+
+function conversation() {
+  return {
+    id: 's1',
+    title: 'Trip planning',
+    model: 'phi4',
+    systemPrompt: 'Be brief',
+    presetId: null,
+    tags: ['travel'],
+    pinned: true,
+    archived: false,
+    messages: [
+      message('u1', 'user'),
+      message('a1', 'assistant'),
+      message('u2', 'user'),
+      message('t1', 'tool'),
+      message('a2', 'assistant', 'a2', { tokens: 12, feedback: { rating: 'up' } })
+    ]
+  };
+}
+
+describe('regenerableFrom', () => {
+  test('finds the user message behind the last reply, past tool calls', () => {
+    expect(regenerableFrom(conversation().messages, 4)).toBe(2);
+  });
+
+  test('refuses earlier replies and anything but replies', () => {
+    const { messages } = conversation();
+    expect(regenerableFrom(messages, 1)).toBe(-1);
+    expect(regenerableFrom(messages, 2)).toBe(-1);
+    expect(regenerableFrom([message('a0', 'assistant')], 0)).toBe(-1);
+  });
+});
+
+describe('editMessage', () => {
+  test('replaces the message and drops everything after it', () => {
+    const session = conversation();
+    const edited = { id: 'u1', role: 'user', content: 'changed', editedAt: '2024-05-01T00:00:00.000Z' };
+    expect(editMessage(session, edited)).toBe(true);
+    expect(session.messages).toEqual([edited]);
+    expect(session.updatedAt).toBe(edited.editedAt);
+  });
+
+  test('leaves the session alone when the message is gone', () => {
+    const session = conversation();
+    expect(editMessage(session, { id: 'missing', role: 'user', content: 'x' })).toBe(false);
+    expect(session.messages).toHaveLength(5);
+  });
+});
+
+describe('deleteMessage', () => {
+  test('removes just that message', () => {
+    const session = conversation();
+    expect(deleteMessage(session, 'a1')).toBe(true);
+    expect(session.messages.map(msg => msg.id)).toEqual(['u1', 'u2', 't1', 'a2']);
+    expect(deleteMessage(session, 'a1')).toBe(false);
+  });
+});
+
+describe('dropSummaryFrom', () => {
+  test('forgets a summary covering messages that change', () => {
+    const session = { ...conversation(), summary: { throughMessageId: 'a1', content: 'so far' } };
+    dropSummaryFrom(session, 2);
+    expect(session.summary).toBeDefined();
+    dropSummaryFrom(session, 1);
+    expect(session.summary).toBeUndefined();
+  });
+
+  test('goes with edits and deletes inside the summarized part', () => {
+    const session = { ...conversation(), summary: { throughMessageId: 'a1' } };
+    deleteMessage(session, 'u1');
+    expect(session.summary).toBeUndefined();
+  });
+});
+
+describe('replaceReply', () => {
+  test('keeps the previous version in alternates and swaps its tool calls', () => {
+    const session = conversation();
+    const reply = message(undefined, 'assistant', 'second try');
+    const tool = message('t2', 'tool', 'new tool output');
+    expect(replaceReply(session, 'a2', reply, [tool])).toBe(true);
+
+    expect(session.messages.map(msg => msg.id)).toEqual(['u1', 'a1', 'u2', 't2', 'a2']);
+    expect(session.messages[4]).toMatchObject({ id: 'a2', content: 'second try' });
+    expect(session.messages[4].alternates).toEqual([
+      { role: 'assistant', content: 'a2', tokens: 12, feedback: { rating: 'up' } }
+    ]);
+  });
+
+  test('stacks earlier versions', () => {
+    const session = conversation();
+    replaceReply(session, 'a2', message(undefined, 'assistant', 'second'));
+    replaceReply(session, 'a2', message(undefined, 'assistant', 'third'));
+    expect(session.messages[session.messages.length - 1].alternates.map(version => version.content)).toEqual(['a2', 'second']);
+  });
+
+  test('stores no failed attempts and keeps no failed replies', () => {
+    const session = conversation();
+    expect(replaceReply(session, 'a2', message(undefined, 'assistant', 'oops', { error: true }))).toBe(false);
+    expect(session.messages[4].content).toBe('a2');
+
+    session.messages[4].error = true;
+    replaceReply(session, 'a2', message(undefined, 'assistant', 'better'));
+    expect(session.messages[3].alternates).toEqual([]);
+  });
+});
+
+describe('forkSession', () => {
+  test('copies the conversation up to the message into a new session', () => {
+    const session = conversation();
+    const fork = forkSession(session, 4, { ownerId: 'user-2', maxTitleLength: 200 });
+
+    expect(fork.id).not.toBe(session.id);
+    expect(fork).toMatchObject({
+      title: 'Trip planning (fork)',
+      ownerId: 'user-2',
+      model: 'phi4',
+      systemPrompt: 'Be brief',
+      tags: ['travel'],
+      pinned: false,
+      archived: false,
+      autoTitle: false,
+      forkedFrom: { sessionId: 's1', messageId: 'a2' }
+    });
+    expect(fork.messages.map(msg => msg.content)).toEqual(['u1', 'a1', 'u2', 't1', 'a2']);
+    expect(fork.messages.map(msg => msg.id)).not.toContain('a2');
+    expect(fork.messages[4]).not.toHaveProperty('feedback');
+    expect(fork.messages[4]).not.toHaveProperty('tokens');
+  });
+
+  test('stops at the chosen message and does not share arrays with the original', () => {
+    const session = conversation();
+    const fork = forkSession(session, 1, { ownerId: 'user-1', maxTitleLength: 200 });
+    expect(fork.messages).toHaveLength(2);
+    fork.tags.push('copy');
+    expect(session.tags).toEqual(['travel']);
+  });
+
+  test('keeps the title within the limit', () => {
+    const session = { ...conversation(), title: 'x'.repeat(200) };
+    expect(forkSession(session, 0, { ownerId: 'u', maxTitleLength: 200 }).title).toHaveLength(200);
+  });
+});
@@ -0,0 +1,93 @@
+const ModelCatalog = require('../lib/modelCatalog');
+
+const model = name => ({ name, model: name });
+
+describe('ModelCatalog', () => {
+  let now;
+  let fetchModels;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    fetchModels = jest.fn(async () => [model('phi4:latest'), model('llama3.2')]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('caches the list for ttlMs', async () => {
+    const catalog = new ModelCatalog({ fetchModels, ttlMs: 1000 });
+    await catalog.list();
+    await catalog.list();
+    expect(fetchModels).toHaveBeenCalledTimes(1);
+
+    now += 1000;
+    await catalog.list();
+    expect(fetchModels).toHaveBeenCalledTimes(2);
+
+    await catalog.list({ refresh: true });
+    expect(fetchModels).toHaveBeenCalledTimes(3);
+  });
+
+  test('shares one fetch between concurrent callers', async () => {
+    const catalog = new ModelCatalog({ fetchModels });
+    await Promise.all([catalog.list(), catalog.list(), catalog.check('phi4')]);
+    expect(fetchModels).toHaveBeenCalledTimes(1);
+  });
+
+  test('remembers a failed fetch for failureTtlMs', async () => {
+    fetchModels.mockRejectedValue(new Error('down'));
+    const catalog = new ModelCatalog({ fetchModels, failureTtlMs: 500 });
+    await expect(catalog.list()).rejects.toThrow('down');
+    await expect(catalog.list()).rejects.toThrow('down');
+    expect(fetchModels).toHaveBeenCalledTimes(1);
+
+    now += 500;
+    await expect(catalog.list()).rejects.toThrow('down');
+    expect(fetchModels).toHaveBeenCalledTimes(2);
+  });
+
+  test('matches names with or without the :latest tag', async () => {
+    const catalog = new ModelCatalog({ fetchModels });
+    expect(await catalog.check('phi4')).toEqual({ known: true, model: model('phi4:latest') });
+    expect(await catalog.check('llama3.2')).toEqual({ known: true, model: model('llama3.2') });
+  });
+
+  test('lists the available models for an unknown one', async () => {
+    const catalog = new ModelCatalog({ fetchModels });
+    expect(await catalog.check('gpt-9')).toEqual({ known: false, available: ['phi4:latest', 'llama3.2'] });
+  });
+
+  test('refetches on a miss at most once per missRefreshMs', async () => {
+    const catalog = new ModelCatalog({ fetchModels, missRefreshMs: 5000 });
+    await catalog.check('gpt-9');
+    await catalog.check('gpt-9');
+    await catalog.check('other');
+    expect(fetchModels).toHaveBeenCalledTimes(1);
+
+    now += 5000;
+    fetchModels.mockResolvedValue([model('phi4:latest'), model('gpt-9')]);
+    expect((await catalog.check('gpt-9')).known).toBe(true);
+    expect(fetchModels).toHaveBeenCalledTimes(2);
+  });
+
+  test('lets the sidecar decide when the list cannot be fetched', async () => {
+    const error = new Error('down');
+    fetchModels.mockRejectedValue(error);
+    const catalog = new ModelCatalog({ fetchModels });
+    expect(await catalog.check('phi4')).toEqual({ known: null, error });
+  });
+
+  describe('with allowed models', () => {
+    test('hides the sidecar\'s other models', async () => {
+      const catalog = new ModelCatalog({ fetchModels, allowedModels: ['phi4'] });
+      expect(await catalog.list()).toEqual([model('phi4:latest')]);
+      expect(await catalog.check('phi4')).toMatchObject({ known: true });
+    });
+
+    test('rejects other models without asking the sidecar', async () => {
+      const catalog = new ModelCatalog({ fetchModels, allowedModels: ['phi4'] });
+      expect(await catalog.check('llama3.2')).toEqual({ known: false, available: ['phi4'] });
+      expect(fetchModels).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,52 @@
+const { createPiiRedactor, passesLuhn } = require('../../lib/moderation/piiRedactor');
+
+const redact = (text, categories) => createPiiRedactor({ categories })
+  .inspect(text, { allowed: () => false });
+
+describe('phone numbers', () => {
+  test.each([
+    ['Call +1 415 555 0132 today', 'Call [REDACTED_PHONE] today'],
+    ['Call (415) 555-0132 now', 'Call [REDACTED_PHONE] now'],
+    ['415-555-0132', '[REDACTED_PHONE]'],
+    ['415.555.0132', '[REDACTED_PHONE]'],
+    ['+44 20 7946 0958', '[REDACTED_PHONE]'],
+    ['020 7946 0958', '[REDACTED_PHONE]'],
+    ['+4915112345678', '[REDACTED_PHONE]']
+  ])('redacts %j', (text, expected) => {
+    const result = redact(text, ['phone']);
+    expect(result.text).toBe(expected);
+    expect(result.interventions).toEqual([{ category: 'phone', action: 'redacted', count: 1 }]);
+  });
+
+  test.each([
+    'Meeting on 2024-01-15 10:30',
+    'Meeting on 15/01/2024 at 10:30:15',
+    'Windows 10.0.19045.3803',
+    'build 2024.01.15.1',
+    'order 12-3456-7890',
+    'IP 192.168.100.200',
+    'amount 1,234,567.89',
+    'ticket 4155550132'
+  ])('leaves %j alone', (text) => {
+    expect(redact(text, ['phone'])).toEqual({ text, interventions: [] });
+  });
+
+  test('does not backtrack on long digit runs', () => {
+    const started = Date.now();
+    redact(`+1${'1'.repeat(5000)}x +1 ${'12 '.repeat(3000)}`, ['phone']);
+    expect(Date.now() - started).toBeLessThan(500);
+  });
+});
+
+describe('other categories', () => {
+  test('redacts emails, Luhn-valid card numbers and secrets', () => {
+    const result = redact('Mail jane@example.com, card 4111 1111 1111 1111, password=hunter22');
+    expect(result.text).toBe('Mail [REDACTED_EMAIL], card [REDACTED_CARD], password=[REDACTED_SECRET]');
+  });
+
+  test('keeps digit runs that fail the Luhn check', () => {
+    expect(passesLuhn('4111111111111111')).toBe(true);
+    expect(passesLuhn('4111111111111112')).toBe(false);
+    expect(redact('ref 4111 1111 1111 1112', ['card']).text).toBe('ref 4111 1111 1111 1112');
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ModerationPipeline, createModeration, readTermsFile } = require('../../lib/moderation');
+
+const stage = (name, inspect, directions) => ({ name, inspect, directions });
+
+describe('ModerationPipeline', () => {
+  test('runs stages in order, each on the text the previous one left', async () => {
+    const pipeline = new ModerationPipeline({
+      stages: [
+        stage('upper', text => ({ text: text.toUpperCase(), interventions: [{ category: 'case', action: 'changed', count: 1 }] })),
+        stage('exclaim', text => ({ text: `${text}!` }))
+      ]
+    });
+    expect(await pipeline.run('hi')).toEqual({
+      text: 'HI!',
+      blocked: false,
+      blockedBy: null,
+      interventions: [{ stage: 'upper', category: 'case', action: 'changed', count: 1 }]
+    });
+  });
+
+  test('stops at the first stage that blocks', async () => {
+    const later = jest.fn(() => ({}));
+    const pipeline = new ModerationPipeline({
+      stages: [
+        stage('gate', async () => ({ blocked: true, interventions: [{ category: 'gate', action: 'blocked', count: 1 }] })),
+        stage('later', later)
+      ]
+    });
+    const result = await pipeline.run('anything');
+    expect(result).toMatchObject({ text: null, blocked: true, blockedBy: 'gate' });
+    expect(later).not.toHaveBeenCalled();
+  });
+
+  test('only runs stages for the direction at hand', async () => {
+    const inputOnly = jest.fn(text => ({ text: `${text} (screened)` }));
+    const pipeline = new ModerationPipeline({ stages: [stage('input-only', inputOnly, ['input'])] });
+    expect((await pipeline.run('reply', { direction: 'output' })).text).toBe('reply');
+    expect((await pipeline.run('message', { direction: 'input', sessionId: 's1' })).text).toBe('message (screened)');
+    expect(inputOnly).toHaveBeenCalledWith('message', expect.objectContaining({ direction: 'input', sessionId: 's1' }));
+  });
+
+  test('rejects stages without a name or inspect function', () => {
+    expect(() => new ModerationPipeline().use({ name: 'nameless' })).toThrow(TypeError);
+    expect(() => new ModerationPipeline().use({ inspect: () => ({}) })).toThrow(TypeError);
+  });
+});
+
+describe('createModeration', () => {
+  test('is null when moderation is off', () => {
+    expect(createModeration({ enabled: false })).toBeNull();
+  });
+
+  test('redacts PII and then checks the blocklist', async () => {
+    const moderation = createModeration({ blocklist: ['forbidden'] });
+    const redacted = await moderation.run('mail me at ada@example.com');
+    expect(redacted.text).toBe('mail me at [REDACTED_EMAIL]');
+    expect(redacted.interventions).toEqual([{ stage: 'pii', category: 'email', action: 'redacted', count: 1 }]);
+
+    const blocked = await moderation.run('that is forbidden');
+    expect(blocked).toMatchObject({ blocked: true, blockedBy: 'blocklist' });
+  });
+
+  test('gives the allowlist precedence over the blocklist', async () => {
+    const moderation = createModeration({ blocklist: ['kill'], allowlist: ['kill the process'] });
+    expect((await moderation.run('how do I kill the process?')).blocked).toBe(false);
+    expect((await moderation.run('kill the process, then kill it again')).blocked).toBe(true);
+  });
+
+  test('leaves replies alone when the output filter is off', async () => {
+    const moderation = createModeration({ blocklist: ['forbidden'], filterOutput: false });
+    expect((await moderation.run('forbidden', { direction: 'output' })).blocked).toBe(false);
+    expect((await moderation.run('forbidden', { direction: 'input' })).blocked).toBe(true);
+  });
+
+  test('reads terms files, skipping comments and blank lines', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'terms-'));
+    const file = path.join(dir, 'blocklist.txt');
+    fs.writeFileSync(file, '# blocked\nforbidden\r\n\n  /sec+ret/i  \n');
+    try {
+      expect(readTermsFile(file)).toEqual(['forbidden', '/sec+ret/i']);
+      const moderation = createModeration({ piiCategories: [], blocklistFile: file });
+      expect((await moderation.run('a SECCRET')).blocked).toBe(true);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
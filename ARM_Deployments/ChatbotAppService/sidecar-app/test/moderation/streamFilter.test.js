@@ -0,0 +1,88 @@
+const { ModeratedStream } = require('../../lib/moderation/streamFilter');
+const { createModeration } = require('../../lib/moderation');
+
+// Pipeline that passes text through unchanged, or blocks once `blockOn` appears
+function passThrough({ blockOn = null, delayMs = 0 } = {}) {
+  return {
+    run: jest.fn(async (text) => {
+      if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+      return blockOn && text.includes(blockOn)
+        ? { text: null, blocked: true, interventions: [] }
+        : { text, blocked: false, interventions: [] };
+    })
+  };
+}
+
+// Push deltas one at a time, as they arrive from the sidecar, collecting what is released
+async function feed(stream, deltas) {
+  const released = [];
+  for (const delta of deltas) {
+    released.push(await stream.push(delta));
+  }
+  await stream.drain();
+  return released;
+}
+
+describe('ModeratedStream', () => {
+  test('holds back the tail and releases up to a word break before it', async () => {
+    const stream = new ModeratedStream(passThrough(), {}, { holdBack: 5 });
+    const released = await feed(stream, ['one ', 'two ', 'three ', 'four']);
+    expect(released).toEqual(['', 'one', ' two', '']);
+    expect(stream.released).toBe('one two');
+  });
+
+  test('only screens again when a delta brings a new word break', async () => {
+    const pipeline = passThrough();
+    const stream = new ModeratedStream(pipeline, {}, { holdBack: 0 });
+    await feed(stream, ['abc', 'def', ' ghi']);
+    expect(pipeline.run).toHaveBeenCalledTimes(1);
+    expect(stream.released).toBe('abcdef');
+  });
+
+  test('releases in push order even when screening takes a while', async () => {
+    const stream = new ModeratedStream(passThrough({ delayMs: 5 }), {}, { holdBack: 0 });
+    const order = [];
+    const pushes = ['a ', 'b '].map((delta, index) => stream.push(delta).then((text) => {
+      order.push(index);
+      return text;
+    }));
+    // The first screening already sees both deltas; the second has nothing new
+    expect(await Promise.all(pushes)).toEqual(['a b', '']);
+    expect(order).toEqual([0, 1]);
+  });
+
+  test('stops releasing once the reply is blocked', async () => {
+    const stream = new ModeratedStream(passThrough({ blockOn: 'BAD' }), {}, { holdBack: 0 });
+    const released = await feed(stream, ['fine ', 'so far ', 'BAD ', 'more text ']);
+    expect(released).toEqual(['fine', ' so far', '', '']);
+    expect(stream.stopped).toBe(true);
+  });
+
+  test('stops when a later match reaches back into released text', async () => {
+    const moderation = createModeration({ piiCategories: ['phone'] });
+    const stream = new ModeratedStream(moderation, {}, { holdBack: 2 });
+    const released = await feed(stream, ['call 415 ', '555 ', '0132 ', 'now ']);
+    // "415" went out before the rest of the number showed up
+    expect(released.join('')).toBe('call 415');
+    expect(stream.stopped).toBe(true);
+  });
+
+  test('screens the reply as output', async () => {
+    const pipeline = passThrough();
+    const stream = new ModeratedStream(pipeline, { sessionId: 's1', direction: 'input' }, { holdBack: 0 });
+    await feed(stream, ['hi ']);
+    expect(pipeline.run).toHaveBeenCalledWith('hi ', { sessionId: 's1', direction: 'output' });
+  });
+
+  test('keeps a failing stage from rejecting pushes and reports it from drain', async () => {
+    const failure = new Error('classifier unavailable');
+    const pipeline = { run: jest.fn().mockRejectedValueOnce(failure) };
+    const stream = new ModeratedStream(pipeline, {}, { holdBack: 0 });
+
+    const pushes = [stream.push('one '), stream.push('two '), stream.push('three')];
+    await expect(Promise.all(pushes)).resolves.toEqual(['', '', '']);
+    await expect(stream.drain()).rejects.toBe(failure);
+    expect(stream.stopped).toBe(true);
+    expect(pipeline.run).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,66 @@
+const { createTermFilter, parseTerm, parseTerms, findSpans } = require('../../lib/moderation/termFilter');
+
+const nothingAllowed = { allowed: () => false };
+
+describe('parseTerm', () => {
+  test('matches plain phrases case-insensitively on word boundaries', () => {
+    const { pattern } = parseTerm('  Secret   Plan ');
+    expect('the secret plan'.match(pattern)).toEqual(['secret plan']);
+    expect('SECRET\nPLAN'.match(pattern)).toEqual(['SECRET\nPLAN']);
+    expect('secret planning'.match(pattern)).toBeNull();
+    expect('topsecret plan'.match(pattern)).toBeNull();
+  });
+
+  test('takes regular metacharacters in phrases literally', () => {
+    const { pattern } = parseTerm('c++');
+    expect('I like c++ a lot'.match(pattern)).toEqual(['c++']);
+    expect('I like cc a lot'.match(pattern)).toBeNull();
+  });
+
+  test('compiles /pattern/flags terms as regular expressions', () => {
+    const { label, pattern } = parseTerm('/pass(word)?\\d+/i');
+    expect(label).toBe('/pass(word)?\\d+/i');
+    expect(pattern.flags).toBe('gi');
+    expect('PASSWORD123 and pass9'.match(pattern)).toEqual(['PASSWORD123', 'pass9']);
+  });
+
+  test('throws on an invalid regular expression', () => {
+    expect(() => parseTerm('/(unclosed/')).toThrow(SyntaxError);
+  });
+
+  test('skips blank terms', () => {
+    expect(parseTerms(['one', ' ', '', 'two']).map(term => term.label)).toEqual(['one', 'two']);
+  });
+});
+
+describe('findSpans', () => {
+  test('lists every match of every term', () => {
+    const terms = parseTerms(['foo', '/b.r/']);
+    expect(findSpans('foo bar foo', terms)).toEqual([
+      { start: 0, end: 3 },
+      { start: 8, end: 11 },
+      { start: 4, end: 7 }
+    ]);
+  });
+});
+
+describe('createTermFilter', () => {
+  const filter = createTermFilter({ name: 'blocklist', terms: parseTerms(['forbidden', 'bad word']) });
+
+  test('passes text without blocked terms', () => {
+    expect(filter.inspect('all fine here', nothingAllowed)).toEqual({ interventions: [] });
+  });
+
+  test('blocks on a match and reports the labels and count, not the text', () => {
+    expect(filter.inspect('Forbidden! a BAD word, forbidden again', nothingAllowed)).toEqual({
+      blocked: true,
+      interventions: [{ category: 'blocklist', action: 'blocked', count: 3, terms: ['forbidden', 'bad word'] }]
+    });
+  });
+
+  test('lets matches covered by the allowlist through', () => {
+    const allowed = (text, start, end) => start >= 4 && end <= 20;
+    expect(filter.inspect('the forbidden city', { allowed })).toEqual({ interventions: [] });
+    expect(filter.inspect('the forbidden city is forbidden', { allowed }).blocked).toBe(true);
+  });
+});
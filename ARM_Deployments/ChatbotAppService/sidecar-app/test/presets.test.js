@@ -0,0 +1,111 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PresetStore, TemplateError, renderTemplate, templateVariables, BUILT_IN_PRESETS } = require('../lib/presets');
+
+const silent = { error: () => {} };
+
+describe('templateVariables', () => {
+  test('lists each variable once, in order of first use', () => {
+    expect(templateVariables('{{b}} and {{ a }} then {{b}} and {{_c1}}')).toEqual(['b', 'a', '_c1']);
+  });
+
+  test('ignores braces that are not placeholders', () => {
+    expect(templateVariables('{{}} {{1st}} {single} {{ two words }}')).toEqual([]);
+  });
+});
+
+describe('renderTemplate', () => {
+  test('fills in every placeholder, including repeated ones', () => {
+    expect(renderTemplate('Support {{product}}; never invent {{ product }} features', { product: ' Contoso ' }))
+      .toBe('Support Contoso; never invent Contoso features');
+  });
+
+  test('reports every missing or blank variable', () => {
+    let error;
+    try {
+      renderTemplate('{{a}} {{b}} {{c}} {{a}}', { b: '  ', c: 0 });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(TemplateError);
+    expect(error.message).toBe('Missing template variables: a, b');
+    expect(error.missing).toEqual(['a', 'b']);
+  });
+
+  test('takes values literally', () => {
+    expect(renderTemplate('{{a}} / {{b}}', { a: '{{b}}', b: '$& $1 $$' })).toBe('{{b}} / $& $1 $$');
+  });
+
+  test('does not take variables from the object prototype', () => {
+    expect(() => renderTemplate('{{constructor}}', {})).toThrow('Missing template variables: constructor');
+  });
+
+  test('treats absent or non-object variables as none', () => {
+    expect(renderTemplate('No placeholders', null)).toBe('No placeholders');
+    expect(() => renderTemplate('{{a}}', null)).toThrow(TemplateError);
+    expect(() => renderTemplate('{{length}}', 'text')).toThrow(TemplateError);
+  });
+});
+
+describe('PresetStore', () => {
+  test('starts with the built-in presets and their variables', async () => {
+    const store = new PresetStore();
+    const presets = await store.list();
+    expect(presets.map(preset => preset.id)).toEqual(BUILT_IN_PRESETS.map(preset => preset.id));
+    expect(presets.every(preset => preset.builtIn)).toBe(true);
+    expect((await store.get('support-bot')).variables).toEqual(['product']);
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  test('creates, updates and deletes custom presets', async () => {
+    const store = new PresetStore();
+    const created = await store.create({ name: 'Poet', template: 'Write like {{poet}}' });
+    expect(created).toMatchObject({ name: 'Poet', description: '', builtIn: false, variables: ['poet'] });
+
+    const updated = await store.update(created.id, { template: 'Write like {{poet}} in {{form}}' });
+    expect(updated).toMatchObject({ id: created.id, name: 'Poet', variables: ['poet', 'form'] });
+    expect(await store.update('missing', { name: 'x' })).toBeNull();
+
+    expect(await store.delete(created.id)).toBe(true);
+    expect(await store.delete(created.id)).toBe(false);
+    expect(await store.get(created.id)).toBeNull();
+  });
+
+  describe('with a file', () => {
+    let dir;
+    let file;
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presets-'));
+      file = path.join(dir, 'presets.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    test('saves custom presets only and loads them again', async () => {
+      const store = new PresetStore({ file, logger: silent });
+      const created = await store.create({ name: 'Poet', description: 'Verse', template: 'Write like {{poet}}' });
+
+      const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+      expect(saved.map(preset => preset.id)).toEqual([created.id]);
+
+      const reloaded = new PresetStore({ file, logger: silent });
+      expect(await reloaded.get(created.id)).toMatchObject({ name: 'Poet', variables: ['poet'] });
+      expect((await reloaded.list()).length).toBe(BUILT_IN_PRESETS.length + 1);
+    });
+
+    test('fails every call and leaves an unreadable file alone', async () => {
+      fs.writeFileSync(file, '{ not json');
+      const logger = { error: jest.fn() };
+      const store = new PresetStore({ file, logger });
+
+      await expect(store.list()).rejects.toThrow(`Failed to load presets from ${file}`);
+      await expect(store.create({ name: 'x', template: 'y' })).rejects.toThrow('Failed to load presets');
+      expect(logger.error).toHaveBeenCalled();
+      expect(fs.readFileSync(file, 'utf8')).toBe('{ not json');
+    });
+  });
+});
@@ -0,0 +1,115 @@
+const express = require('express');
+const request = require('supertest');
+const { SlidingWindowLimiter, rateLimit, clientIp } = require('../lib/rateLimiter');
+
+describe('SlidingWindowLimiter', () => {
+  let limiter;
+
+  beforeEach(() => {
+    limiter = new SlidingWindowLimiter({ windowMs: 1000, max: 2 });
+  });
+
+  afterEach(() => clearInterval(limiter.cleanupTimer));
+
+  test('allows max requests in any rolling window', () => {
+    expect(limiter.check('a', 0)).toEqual({ allowed: true, limit: 2, remaining: 1, resetMs: 1000 });
+    limiter.record('a', 0);
+    limiter.record('a', 400);
+    expect(limiter.check('a', 500)).toEqual({ allowed: false, limit: 2, remaining: 0, resetMs: 500 });
+
+    // The first request leaves the window, the second is still in it
+    expect(limiter.check('a', 1000)).toMatchObject({ allowed: true, remaining: 0, resetMs: 400 });
+    limiter.record('a', 1000);
+    expect(limiter.check('a', 1100).allowed).toBe(false);
+  });
+
+  test('counts each key on its own', () => {
+    limiter.record('a', 0);
+    limiter.record('a', 0);
+    expect(limiter.check('b', 0).allowed).toBe(true);
+  });
+
+  test('forgets idle keys', () => {
+    limiter.record('a', 0);
+    limiter.prune(1000);
+    expect(limiter.hits.size).toBe(0);
+  });
+});
+
+describe('rateLimit', () => {
+  let limits;
+
+  // An app with one route behind the given limit; X-Key headers name the keys
+  function limitedApp(options) {
+    const middleware = rateLimit({
+      name: 'test',
+      windowMs: 60000,
+      max: 2,
+      keys: req => (req.get('X-Key') || '').split(','),
+      ...options
+    });
+    limits.push(middleware.limiter);
+    const app = express();
+    app.get('/', middleware, (req, res) => res.json({ ok: true }));
+    return app;
+  }
+
+  beforeEach(() => {
+    limits = [];
+  });
+
+  afterEach(() => limits.forEach(limiter => clearInterval(limiter.cleanupTimer)));
+
+  test('reports the budget in RateLimit headers', async () => {
+    const response = await request(limitedApp()).get('/').set('X-Key', 'a');
+    expect(response.status).toBe(200);
+    expect(response.headers).toMatchObject({
+      'ratelimit-policy': '2;w=60;name="test"',
+      'ratelimit-limit': '2',
+      'ratelimit-remaining': '1',
+      'ratelimit-reset': '60'
+    });
+  });
+
+  test('answers 429 with Retry-After once the budget is used up', async () => {
+    const app = limitedApp({ message: 'Slow down' });
+    await request(app).get('/').set('X-Key', 'a');
+    await request(app).get('/').set('X-Key', 'a');
+
+    const response = await request(app).get('/').set('X-Key', 'a');
+    expect(response.status).toBe(429);
+    expect(response.headers['ratelimit-remaining']).toBe('0');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThanOrEqual(59);
+    expect(response.body).toMatchObject({ error: 'Too many requests', message: 'Slow down', limit: 'test' });
+    expect(response.body.retryAfter).toBe(Number(response.headers['retry-after']));
+  });
+
+  test('reports the tightest key and counts nothing when any key is full', async () => {
+    const app = limitedApp();
+    await request(app).get('/').set('X-Key', 'session');
+    await request(app).get('/').set('X-Key', 'session');
+
+    const rejected = await request(app).get('/').set('X-Key', 'ip,session');
+    expect(rejected.status).toBe(429);
+
+    const allowed = await request(app).get('/').set('X-Key', 'ip');
+    expect(allowed.headers['ratelimit-remaining']).toBe('1');
+  });
+
+  test('lets everything through when disabled', async () => {
+    const app = limitedApp({ enabled: false, max: 1 });
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const response = await request(app).get('/').set('X-Key', 'a');
+      expect(response.status).toBe(200);
+      expect(response.headers).not.toHaveProperty('ratelimit-limit');
+    }
+  });
+});
+
+describe('clientIp', () => {
+  test('drops the port Azure front ends add to IPv4 addresses', () => {
+    expect(clientIp({ ip: '203.0.113.7:51234' })).toBe('203.0.113.7');
+    expect(clientIp({ ip: '2001:db8::1' })).toBe('2001:db8::1');
+    expect(clientIp({ socket: { remoteAddress: '10.0.0.1' } })).toBe('10.0.0.1');
+  });
+});
@@ -0,0 +1,219 @@
+const http = require('http');
+const { RealtimeHub, SocketResponse, socketRequest, runHandlers } = require('../lib/realtime');
+const { openEventStream, sendEvent } = require('../lib/sse');
+const { connectSocket } = require('./helpers/socketClient');
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const users = {
+  'ada-key': { id: 'ada', name: 'Ada', isAdmin: false },
+  'grace-key': { id: 'grace', name: 'Grace', isAdmin: false },
+  'root-key': { id: 'root', name: 'Root', isAdmin: true }
+};
+const owners = { 'ada-session': 'ada', 'grace-session': 'grace' };
+
+describe('RealtimeHub', () => {
+  let server;
+  let hub;
+  let url;
+  let sockets;
+  let sendHandlers;
+
+  beforeEach(async () => {
+    sendHandlers = [];
+    server = http.createServer();
+    hub = new RealtimeHub({
+      server,
+      authenticate: req => users[req.headers['x-api-key']] || null,
+      canAccessSession: async (user, sessionId) => sessionId in owners && (user.isAdmin || owners[sessionId] === user.id),
+      canSeeSessionsOf: (user, ownerId) => user.isAdmin || user.id === ownerId,
+      // The hub keeps the list it is given, so tests fill it in
+      sendHandlers,
+      allowedOrigins: ['https://chat.contoso.com'],
+      logger: silent
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `ws://127.0.0.1:${server.address().port}/ws`;
+    sockets = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(sockets.map(socket => socket.close()));
+    hub.close();
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  async function connect(key, headers = {}) {
+    const socket = await connectSocket(url, { ...(key && { 'X-API-Key': key }), ...headers });
+    sockets.push(socket);
+    return socket;
+  }
+
+  describe('upgrade', () => {
+    test('refuses clients that do not authenticate', async () => {
+      await expect(connect()).rejects.toMatchObject({ status: 401 });
+      await expect(connect('wrong-key')).rejects.toMatchObject({ status: 401 });
+      expect(hub.size).toBe(0);
+    });
+
+    test('refuses pages from other origins', async () => {
+      await expect(connect('ada-key', { Origin: 'https://evil.example.com' })).rejects.toMatchObject({ status: 403 });
+      await expect(connect('ada-key', { Origin: 'https://chat.contoso.com' })).resolves.toBeDefined();
+    });
+
+    test('greets the user it authenticated', async () => {
+      const socket = await connect('ada-key');
+      expect(await socket.next('ready')).toEqual({ type: 'ready', clientId: expect.any(String), user: { id: 'ada', name: 'Ada' } });
+      expect(hub.size).toBe(1);
+    });
+  });
+
+  describe('subscriptions', () => {
+    test('only to sessions the user may see', async () => {
+      const socket = await connect('ada-key');
+      socket.send({ type: 'subscribe', sessionId: 'grace-session' });
+      expect(await socket.next('error')).toEqual({ type: 'error', error: 'Chat session not found', sessionId: 'grace-session' });
+
+      socket.send({ type: 'subscribe', sessionId: 'ada-session' });
+      expect(await socket.next('subscribed')).toEqual({ type: 'subscribed', sessionId: 'ada-session' });
+
+      const admin = await connect('root-key');
+      admin.send({ type: 'subscribe', sessionId: 'grace-session' });
+      expect(await admin.next('subscribed')).toEqual({ type: 'subscribed', sessionId: 'grace-session' });
+    });
+
+    test('session changes reach the owner\'s clients, with the session only for subscribers', async () => {
+      const subscribed = await connect('ada-key');
+      subscribed.send({ type: 'subscribe', sessionId: 'ada-session' });
+      await subscribed.next('subscribed');
+      const other = await connect('ada-key');
+      const admin = await connect('root-key');
+      const grace = await connect('grace-key');
+
+      hub.sessionChanged({ change: 'updated', sessionId: 'ada-session', ownerId: 'ada', session: { id: 'ada-session' } });
+      expect(await subscribed.next('session')).toEqual({ type: 'session', change: 'updated', sessionId: 'ada-session', session: { id: 'ada-session' } });
+      expect(await other.next('session')).toEqual({ type: 'session', change: 'updated', sessionId: 'ada-session' });
+      expect(await admin.next('session')).toMatchObject({ sessionId: 'ada-session' });
+
+      hub.sessionChanged({ change: 'deleted', sessionId: 'grace-session', ownerId: 'grace' });
+      expect(await grace.next('session')).toEqual({ type: 'session', change: 'deleted', sessionId: 'grace-session' });
+      expect(await admin.next('session')).toMatchObject({ change: 'deleted', sessionId: 'grace-session' });
+
+      // Messages arrive in order, so after a pong nothing else is on its way
+      for (const socket of [subscribed, grace]) {
+        socket.send({ type: 'ping' });
+        await socket.next('pong');
+      }
+      expect(subscribed.messages.filter(message => message.type === 'session')).toHaveLength(1);
+      expect(grace.messages.filter(message => message.type === 'session')).toHaveLength(1);
+    });
+  });
+
+  describe('send', () => {
+    test('runs the handlers with the route\'s params, the body and the upgrade\'s headers and user', async () => {
+      const seen = jest.fn();
+      sendHandlers.push((req, res, next) => {
+        req.checked = true;
+        next();
+      }, (req, res) => {
+        seen({ params: req.params, body: req.body, user: req.user, key: req.get('X-API-Key'), checked: req.checked });
+        res.status(201).set('X-Custom', 'yes').json({ ok: true });
+      });
+
+      const socket = await connect('ada-key');
+      socket.send({ type: 'send', requestId: 'r1', sessionId: 'ada-session', message: 'hi' });
+      expect(await socket.next('reply')).toEqual({
+        type: 'reply',
+        requestId: 'r1',
+        status: 201,
+        headers: { 'x-custom': 'yes' },
+        body: { ok: true }
+      });
+      expect(seen).toHaveBeenCalledWith({
+        params: { sessionId: 'ada-session' },
+        body: { message: 'hi' },
+        user: users['ada-key'],
+        key: 'ada-key',
+        checked: true
+      });
+    });
+
+    test('turns an event stream into a reply, events and an end', async () => {
+      sendHandlers.push((req, res) => {
+        expect(req.accepts(['json', 'text/event-stream'])).toBe('text/event-stream');
+        openEventStream(res);
+        sendEvent(res, 'token', { token: 'Hi' });
+        sendEvent(res, 'done', { sessionId: req.params.sessionId });
+        res.end();
+      });
+
+      const socket = await connect('ada-key');
+      socket.send({ type: 'send', requestId: 'r2', sessionId: 'ada-session', message: 'hi' });
+      expect(await socket.next('reply')).toMatchObject({ requestId: 'r2', status: 200, headers: { 'content-type': 'text/event-stream' } });
+      expect(await socket.next('event')).toEqual({ type: 'event', requestId: 'r2', event: 'token', data: { token: 'Hi' } });
+      expect(await socket.next('event')).toMatchObject({ event: 'done' });
+      expect(await socket.next('end')).toEqual({ type: 'end', requestId: 'r2' });
+    });
+
+    test('answers 500 when a handler fails', async () => {
+      sendHandlers.push(() => {
+        throw new Error('boom');
+      });
+      const socket = await connect('ada-key');
+      socket.send({ type: 'send', requestId: 'r3', sessionId: 'ada-session', message: 'hi' });
+      expect(await socket.next('reply')).toMatchObject({ status: 500, body: { error: 'Internal server error' } });
+    });
+
+    test('needs a unique requestId and a sessionId', async () => {
+      let finish;
+      sendHandlers.push((req, res) => {
+        finish = () => res.json({});
+      });
+      const socket = await connect('ada-key');
+      socket.send({ type: 'send', sessionId: 'ada-session' });
+      expect((await socket.next('error')).error).toBe('send needs a unique requestId');
+      socket.send({ type: 'send', requestId: 'r4', sessionId: '../admin' });
+      expect((await socket.next('error')).error).toBe('send needs a sessionId');
+
+      socket.send({ type: 'send', requestId: 'r5', sessionId: 'ada-session' });
+      socket.send({ type: 'send', requestId: 'r5', sessionId: 'ada-session' });
+      expect(await socket.next('error')).toMatchObject({ error: 'send needs a unique requestId', requestId: 'r5' });
+      finish();
+      await socket.next('reply');
+    });
+
+    test('tells the handlers when the client goes away', async () => {
+      const closed = new Promise((resolve) => {
+        sendHandlers.push((req, res) => {
+          res.on('close', () => resolve(res.writableEnded));
+          openEventStream(res);
+        });
+      });
+      const socket = await connect('ada-key');
+      socket.send({ type: 'send', requestId: 'r6', sessionId: 'ada-session', message: 'hi' });
+      await socket.next('reply');
+      socket.ws.terminate();
+      expect(await closed).toBe(false);
+    });
+  });
+
+  test('answers pings and reports bad messages', async () => {
+    const socket = await connect('ada-key');
+    socket.send({ type: 'ping' });
+    expect(await socket.next('pong')).toEqual({ type: 'pong' });
+    socket.ws.send('not json');
+    expect((await socket.next('error')).error).toBe('Messages must be JSON');
+    socket.send({ type: 'dance' });
+    expect((await socket.next('error')).error).toBe('Unknown message type "dance"');
+  });
+});
+
+describe('runHandlers', () => {
+  test('stops at the handler that answers', async () => {
+    const sent = [];
+    const res = new SocketResponse(message => sent.push(message), 'r1');
+    const later = jest.fn();
+    await runHandlers([(req, res2, next) => next(), (req, res2) => res2.json({ done: true }), later], socketRequest({ path: '/' }), res);
+    expect(later).not.toHaveBeenCalled();
+    expect(sent).toEqual([{ type: 'reply', requestId: 'r1', status: 200, headers: {}, body: { done: true } }]);
+  });
+});
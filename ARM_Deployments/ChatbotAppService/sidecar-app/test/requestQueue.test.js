@@ -0,0 +1,143 @@
+const { RequestQueue, QueueFullError, QueueCancelledError } = require('../lib/requestQueue');
+
+// Let queued promise callbacks run
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+describe('RequestQueue', () => {
+  test('starts at once while a slot is free', async () => {
+    const queue = new RequestQueue({ concurrency: 2 });
+    const first = await queue.acquire();
+    const second = await queue.acquire();
+    expect(first).toMatchObject({ position: 0, waitedMs: 0 });
+    expect(second.position).toBe(0);
+    expect(queue.stats()).toMatchObject({ running: 2, waiting: 0 });
+  });
+
+  test('starts waiting callers as slots are released, once per release', async () => {
+    const queue = new RequestQueue();
+    const { release } = await queue.acquire();
+    const started = [];
+    const waiting = [queue.acquire({ userId: 'a' }), queue.acquire({ userId: 'b' })];
+    waiting.forEach((ticket, index) => ticket.then(() => started.push(index)));
+
+    release();
+    release();
+    await settle();
+    expect(started).toEqual([0]);
+    expect(queue.stats()).toMatchObject({ running: 1, waiting: 1 });
+
+    (await waiting[0]).release();
+    await settle();
+    expect(started).toEqual([0, 1]);
+  });
+
+  // Queue callers behind a running request, release it, and record the order they
+  // start in; each one releases its slot as soon as it starts
+  async function startOrder(queue, callers) {
+    const { release } = await queue.acquire({ userId: 'busy' });
+    const order = [];
+    const tickets = callers.map(({ name, ...options }) => queue.acquire(options).then((ticket) => {
+      order.push(name);
+      ticket.release();
+    }));
+    release();
+    await Promise.all(tickets);
+    return order;
+  }
+
+  test('lets users take turns', async () => {
+    const order = await startOrder(new RequestQueue(), [
+      { name: 'busy1', userId: 'busy' },
+      { name: 'busy2', userId: 'busy' },
+      { name: 'quiet1', userId: 'quiet' },
+      { name: 'busy3', userId: 'busy' },
+      { name: 'other1', userId: 'other' }
+    ]);
+    expect(order).toEqual(['quiet1', 'other1', 'busy1', 'busy2', 'busy3']);
+  });
+
+  test('runs higher priority first', async () => {
+    const order = await startOrder(new RequestQueue(), [
+      { name: 'low', userId: 'quiet' },
+      { name: 'high', userId: 'busy', priority: 1 }
+    ]);
+    expect(order).toEqual(['high', 'low']);
+  });
+
+  test('tells waiting callers their position and estimated wait as it changes', async () => {
+    const queue = new RequestQueue({ initialEstimateMs: 10000 });
+    const { release } = await queue.acquire({ userId: 'a' });
+    const updates = [];
+    const first = queue.acquire({ userId: 'b' });
+    const ticket = queue.acquire({ userId: 'c', onUpdate: update => updates.push(update) });
+    expect(updates).toEqual([{ position: 2, estimatedWaitSeconds: 20 }]);
+
+    release();
+    await settle();
+    expect(updates).toEqual([
+      { position: 2, estimatedWaitSeconds: 20 },
+      { position: 1, estimatedWaitSeconds: expect.any(Number) }
+    ]);
+    expect(updates[1].estimatedWaitSeconds).toBeLessThanOrEqual(10);
+
+    // The ticket reports where the caller joined
+    (await first).release();
+    expect((await ticket).position).toBe(2);
+  });
+
+  test('keeps going when a listener throws', async () => {
+    const queue = new RequestQueue();
+    const { release } = await queue.acquire();
+    const ticket = queue.acquire({
+      onUpdate: () => {
+        throw new Error('gone');
+      }
+    });
+    release();
+    await expect(ticket).resolves.toMatchObject({ position: 1 });
+  });
+
+  test('turns callers away at once when the queue is full', async () => {
+    const queue = new RequestQueue({ maxQueued: 1, initialEstimateMs: 4000 });
+    await queue.acquire();
+    queue.acquire();
+
+    const error = await queue.acquire().catch(failure => failure);
+    expect(error).toBeInstanceOf(QueueFullError);
+    expect(error).toMatchObject({ reason: 'queue-full', retryAfterSeconds: 8 });
+    expect(queue.stats().waiting).toBe(1);
+  });
+
+  test('lets a caller whose client went away leave the queue', async () => {
+    const queue = new RequestQueue({ maxQueued: 1 });
+    const { release } = await queue.acquire({ userId: 'a' });
+    const controller = new AbortController();
+    const left = queue.acquire({ userId: 'b', signal: controller.signal });
+
+    controller.abort();
+    await expect(left).rejects.toBeInstanceOf(QueueCancelledError);
+    expect(queue.stats().waiting).toBe(0);
+    expect(queue.lastStarted.has('b')).toBe(false);
+
+    // Its place goes to the next caller, and the slot to whoever is waiting
+    const next = queue.acquire({ userId: 'c' });
+    release();
+    await expect(next).resolves.toMatchObject({ position: 1 });
+    expect(queue.stats()).toMatchObject({ running: 1, waiting: 0 });
+  });
+
+  test('refuses a caller whose signal has already fired', async () => {
+    const queue = new RequestQueue();
+    await expect(queue.acquire({ signal: AbortSignal.abort() })).rejects.toBeInstanceOf(QueueCancelledError);
+    expect(queue.stats().running).toBe(0);
+  });
+
+  test('frees the slot and forgets idle users on release', async () => {
+    const queue = new RequestQueue();
+    const { release } = await queue.acquire({ userId: 'a' });
+    release();
+    expect(queue.stats().running).toBe(0);
+    expect(queue.runningByUser.size).toBe(0);
+    expect(queue.lastStarted.size).toBe(0);
+  });
+});
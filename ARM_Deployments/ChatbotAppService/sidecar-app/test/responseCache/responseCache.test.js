@@ -0,0 +1,81 @@
+const { ResponseCache, MemoryCacheStore, createResponseCache, normalizeText } = require('../../lib/responseCache');
+
+const request = (content, extra = {}) => ({
+  model: 'phi4',
+  messages: [{ role: 'system', content: 'Be brief' }, { role: 'user', content }],
+  temperature: 0.7,
+  ...extra
+});
+
+function cache(match) {
+  return new ResponseCache({ store: new MemoryCacheStore(), match });
+}
+
+describe('normalizeText', () => {
+  test('ignores case, runs of whitespace and trailing punctuation', () => {
+    expect(normalizeText('  What IS\n the   capital of France?! ')).toBe('what is the capital of france');
+    expect(normalizeText(undefined)).toBe('');
+  });
+});
+
+describe('ResponseCache', () => {
+  test('answers a repeated request and says it was an exact match', async () => {
+    const responses = cache('normalized');
+    await responses.set(request('What is the capital of France?'), 'Paris.');
+    expect(await responses.get(request('What is the capital of France?'))).toEqual({
+      content: 'Paris.',
+      model: 'phi4',
+      cachedAt: expect.any(String),
+      match: 'exact'
+    });
+  });
+
+  test('with normalized matching, answers requests that differ only in case, spacing or punctuation', async () => {
+    const responses = cache('normalized');
+    await responses.set(request('What is the capital of France?'), 'Paris.');
+    expect((await responses.get(request('what is  the capital of france'))).match).toBe('normalized');
+    expect(await responses.get(request('What is the capital of Spain?'))).toBeNull();
+  });
+
+  test('with exact matching, needs identical text', async () => {
+    const responses = cache('exact');
+    await responses.set(request('What is the capital of France?'), 'Paris.');
+    expect(await responses.get(request('what is the capital of france?'))).toBeNull();
+    expect((await responses.get(request('What is the capital of France?'))).match).toBe('exact');
+  });
+
+  test('keys on the model, the whole conversation and the parameters', async () => {
+    const responses = cache('normalized');
+    await responses.set(request('Hi'), 'Hello!');
+    expect(await responses.get(request('Hi', { model: 'llama3.2' }))).toBeNull();
+    expect(await responses.get(request('Hi', { temperature: 0 }))).toBeNull();
+    expect(await responses.get({ ...request('Hi'), messages: [{ role: 'user', content: 'Hi' }] })).toBeNull();
+
+    // Only role and content take part
+    const withIds = { ...request('Hi'), messages: request('Hi').messages.map((msg, index) => ({ ...msg, id: index })) };
+    expect(await responses.get(withIds)).not.toBeNull();
+  });
+
+  test('purges one model\'s replies or all of them', async () => {
+    const responses = cache('normalized');
+    await responses.set(request('Hi'), 'Hello!');
+    await responses.set(request('Hi', { model: 'llama3.2' }), 'Hey!');
+
+    expect(await responses.purge({ model: 'phi4' })).toBe(1);
+    expect(await responses.size()).toBe(1);
+    expect(await responses.purge()).toBe(1);
+  });
+});
+
+describe('createResponseCache', () => {
+  test('builds a memory cache with the given settings', () => {
+    const responses = createResponseCache({ store: 'Memory', maxEntries: 3, ttlMs: 1000, match: 'exact' });
+    expect(responses.store).toBeInstanceOf(MemoryCacheStore);
+    expect(responses.store.maxEntries).toBe(3);
+    expect(responses).toMatchObject({ ttlMs: 1000, match: 'exact' });
+  });
+
+  test('rejects an unknown store', () => {
+    expect(() => createResponseCache({ store: 'disk' })).toThrow('Unknown cache store "disk"');
+  });
+});
@@ -0,0 +1,87 @@
+const { MemoryCacheStore, RedisCacheStore } = require('../../lib/responseCache');
+const FakeRedis = require('../helpers/fakeRedis');
+
+const entry = (content, model = 'phi4') => ({ content, model });
+const HOUR = 3600000;
+
+let redis;
+let redisUrl;
+
+beforeAll(async () => {
+  redis = new FakeRedis();
+  redisUrl = await redis.listen();
+});
+
+afterAll(() => redis.close());
+
+const stores = {
+  memory: () => new MemoryCacheStore({ maxEntries: 2 }),
+  redis: () => new RedisCacheStore({ url: redisUrl, prefix: `test:${Math.random()}:`, maxEntries: 2 })
+};
+
+describe.each(Object.keys(stores))('%s cache store', (type) => {
+  let store;
+  let now;
+
+  // Every call sees a later time, so recency is never a tie
+  const tick = (ms = 1) => {
+    now += ms;
+  };
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    store = stores[type]();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    jest.restoreAllMocks();
+  });
+
+  test('stores entries and hands out copies', async () => {
+    await store.set('a', entry('first'), HOUR);
+    const cached = await store.get('a');
+    expect(cached).toEqual(entry('first'));
+
+    cached.content = 'changed';
+    expect(await store.get('a')).toEqual(entry('first'));
+    expect(await store.get('missing')).toBeNull();
+  });
+
+  test('evicts the least recently used entry beyond maxEntries', async () => {
+    await store.set('a', entry('a'), HOUR);
+    tick();
+    await store.set('b', entry('b'), HOUR);
+    tick();
+    await store.get('a');
+    tick();
+    await store.set('c', entry('c'), HOUR);
+
+    expect(await store.size()).toBe(2);
+    expect(await store.get('b')).toBeNull();
+    expect(await store.get('a')).toEqual(entry('a'));
+    expect(await store.get('c')).toEqual(entry('c'));
+  });
+
+  test('expires entries after their TTL', async () => {
+    await store.set('a', entry('a'), 1000);
+    tick(999);
+    expect(await store.get('a')).toEqual(entry('a'));
+    tick(1);
+    expect(await store.get('a')).toBeNull();
+    expect(await store.size()).toBe(0);
+  });
+
+  test('purges the entries a filter picks and reports how many', async () => {
+    await store.set('a', entry('a', 'phi4'), HOUR);
+    tick();
+    await store.set('b', entry('b', 'llama3.2'), HOUR);
+
+    expect(await store.purge(cached => cached.model === 'phi4')).toBe(1);
+    expect(await store.get('a')).toBeNull();
+    expect(await store.get('b')).toEqual(entry('b', 'llama3.2'));
+    expect(await store.purge()).toBe(1);
+    expect(await store.size()).toBe(0);
+  });
+});
@@ -0,0 +1,178 @@
+const express = require('express');
+const request = require('supertest');
+const createOpenAIRouter = require('../../routes/openai');
+const ModelCatalog = require('../../lib/modelCatalog');
+const { SidecarClient } = require('../../lib/sidecarClient');
+const { QueueFullError } = require('../../lib/requestQueue');
+const FakeSidecar = require('../helpers/fakeSidecar');
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+const passThrough = (req, res, next) => next();
+const config = { ai: { defaultModel: 'phi4', temperature: 0.7, maxTokens: 256 } };
+
+// Server-sent events in a response body, without the [DONE] marker
+const events = text => text.split('\n\n')
+  .filter(block => block.startsWith('data: ') && block !== 'data: [DONE]')
+  .map(block => JSON.parse(block.slice('data: '.length)));
+
+describe('/v1', () => {
+  let sidecar;
+  let endpoint;
+  let recordUsage;
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar({ models: ['phi4', 'llama3'] });
+    endpoint = await sidecar.listen();
+  });
+
+  afterAll(() => sidecar.close());
+
+  beforeEach(() => {
+    Object.assign(sidecar, { requests: [], reply: null, failures: 0, failStatus: 500, loading: false });
+    recordUsage = jest.fn();
+  });
+
+  function openAIApp({ acquireSlot, allowedModels } = {}) {
+    const client = new SidecarClient({ endpoint, logger: silent, maxRetries: 0, warmupRetryAfterSeconds: 7 });
+    const modelCatalog = new ModelCatalog({ fetchModels: () => client.listModels(), allowedModels });
+    const app = express();
+    app.use(express.json());
+    app.use('/v1', createOpenAIRouter({
+      config,
+      logger: silent,
+      sidecar: client,
+      modelCatalog,
+      apiRateLimit: passThrough,
+      modelRateLimit: passThrough,
+      acquireSlot,
+      recordUsage
+    }));
+    return app;
+  }
+
+  const hello = { model: 'phi4', messages: [{ role: 'user', content: 'hello' }] };
+
+  test('lists the models in the OpenAI format', async () => {
+    const response = await request(openAIApp({ allowedModels: ['llama3'] })).get('/v1/models');
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({
+      object: 'list',
+      data: [{ id: 'llama3', object: 'model', created: 0, owned_by: 'sidecar' }]
+    });
+  });
+
+  test('answers 503 when the models cannot be fetched', async () => {
+    sidecar.loading = true;
+    const response = await request(openAIApp()).get('/v1/models');
+    expect(response.status).toBe(503);
+    expect(response.body.error).toMatchObject({ message: 'Unable to fetch available models', type: 'api_error' });
+  });
+
+  test('passes a completion through with the app\'s generation defaults', async () => {
+    const response = await request(openAIApp()).post('/v1/chat/completions').send({ ...hello, temperature: 0 });
+    expect(response.status).toBe(200);
+    expect(response.body.choices[0].message).toEqual({ role: 'assistant', content: 'echo: hello' });
+
+    const [{ body }] = sidecar.chatRequests();
+    expect(body).toMatchObject({ model: 'phi4', temperature: 0, max_tokens: 256, stream: false });
+    expect(recordUsage).toHaveBeenCalledWith('phi4', expect.objectContaining({ completion_tokens: 3 }), 'proxy');
+  });
+
+  test('uses the default model when none is given', async () => {
+    await request(openAIApp()).post('/v1/chat/completions').send({ messages: hello.messages });
+    expect(sidecar.chatRequests()[0].body.model).toBe('phi4');
+  });
+
+  test('streams the sidecar\'s events through unchanged', async () => {
+    sidecar.reply = 'a streamed reply';
+    const response = await request(openAIApp()).post('/v1/chat/completions').send({ ...hello, stream: true });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toMatch(/^text\/event-stream/);
+    expect(response.text.endsWith('data: [DONE]\n\n')).toBe(true);
+    const chunks = events(response.text);
+    expect(chunks.map(chunk => chunk.choices[0].delta.content || '').join('')).toBe('a streamed reply');
+    expect(chunks.length).toBeGreaterThan(2);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(recordUsage).toHaveBeenCalledWith('phi4', expect.objectContaining({ completion_tokens: 3 }), 'proxy');
+  });
+
+  test.each([
+    ['no messages', { model: 'phi4' }, 'messages'],
+    ['an empty message list', { model: 'phi4', messages: [] }, 'messages'],
+    ['a model that is not a string', { model: 7, messages: hello.messages }, 'model']
+  ])('rejects %s', async (name, body, param) => {
+    const response = await request(openAIApp()).post('/v1/chat/completions').send(body);
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatchObject({ type: 'invalid_request_error', param });
+    expect(sidecar.chatRequests()).toHaveLength(0);
+  });
+
+  test('answers 404 model_not_found for unknown or disallowed models', async () => {
+    const unknown = await request(openAIApp()).post('/v1/chat/completions').send({ ...hello, model: 'mistral' });
+    expect(unknown.status).toBe(404);
+    expect(unknown.body.error).toEqual({
+      message: 'The model \'mistral\' does not exist or you do not have access to it.',
+      type: 'invalid_request_error',
+      param: 'model',
+      code: 'model_not_found'
+    });
+
+    const disallowed = await request(openAIApp({ allowedModels: ['llama3'] })).post('/v1/chat/completions').send(hello);
+    expect(disallowed.status).toBe(404);
+    expect(disallowed.body.error.code).toBe('model_not_found');
+    expect(sidecar.chatRequests()).toHaveLength(0);
+  });
+
+  describe('sidecar failures', () => {
+    test('pass the sidecar\'s own 4xx answers through', async () => {
+      sidecar.failures = 1;
+      sidecar.failStatus = 422;
+      const response = await request(openAIApp()).post('/v1/chat/completions').send(hello);
+      expect(response.status).toBe(422);
+      expect(response.body).toEqual({ error: 'boom' });
+    });
+
+    test('map server errors to 502', async () => {
+      sidecar.failures = 1;
+      const response = await request(openAIApp()).post('/v1/chat/completions').send(hello);
+      expect(response.status).toBe(502);
+      expect(response.body.error).toMatchObject({ type: 'api_error', param: null, code: null });
+      expect(response.body.error.message).toMatch(/^Sidecar request failed: /);
+    });
+
+    test('map a model that is still loading to 503 with Retry-After', async () => {
+      const app = openAIApp();
+      await request(app).get('/v1/models');
+      sidecar.loading = true;
+
+      const response = await request(app).post('/v1/chat/completions').send(hello);
+      expect(response.status).toBe(503);
+      expect(response.headers['retry-after']).toBe('7');
+      expect(response.body.error).toMatchObject({ type: 'api_error', code: 'warming-up' });
+    });
+
+    test('map a full queue to 503 with Retry-After', async () => {
+      const acquireSlot = async () => {
+        throw new QueueFullError('The generation queue is full', { retryAfterSeconds: 8 });
+      };
+      const response = await request(openAIApp({ acquireSlot })).post('/v1/chat/completions').send(hello);
+      expect(response.status).toBe(503);
+      expect(response.headers['retry-after']).toBe('8');
+      expect(response.body.error).toMatchObject({ message: 'The generation queue is full', code: 'queue-full' });
+      expect(sidecar.chatRequests()).toHaveLength(0);
+    });
+  });
+
+  test('holds a generation slot until the response is finished', async () => {
+    const release = jest.fn();
+    const acquireSlot = jest.fn(async () => ({ release }));
+    const response = await request(openAIApp({ acquireSlot })).post('/v1/chat/completions').send({ ...hello, stream: true });
+
+    expect(response.status).toBe(200);
+    expect(acquireSlot).toHaveBeenCalledTimes(1);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(release).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,78 @@
+const express = require('express');
+const request = require('supertest');
+const createPresetsRouter = require('../../routes/presets');
+const { PresetStore } = require('../../lib/presets');
+
+// The router behind a stand-in for authentication: X-Test-Role: admin makes an admin
+function presetsApp(presetStore = new PresetStore()) {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    const isAdmin = req.get('X-Test-Role') === 'admin';
+    req.user = { id: isAdmin ? 'admin' : 'guest', isAdmin };
+    next();
+  });
+  const requireAdmin = (req, res, next) => (req.user.isAdmin ? next() : res.status(403).json({ error: 'Administrator role required' }));
+  app.use('/api/presets', createPresetsRouter({ presetStore, maxSystemPromptLength: 200, requireAdmin }));
+  return app;
+}
+
+describe('/api/presets', () => {
+  test('lists and shows presets to anyone', async () => {
+    const app = presetsApp();
+    const list = await request(app).get('/api/presets');
+    expect(list.status).toBe(200);
+    expect(list.body.total).toBe(list.body.presets.length);
+
+    expect((await request(app).get('/api/presets/sql-helper')).body.variables).toEqual(['dialect']);
+    expect((await request(app).get('/api/presets/missing')).status).toBe(404);
+  });
+
+  test('lets only admins create, change and delete presets', async () => {
+    const store = new PresetStore();
+    const app = presetsApp(store);
+    const body = { name: 'Poet', template: 'Write like {{poet}}' };
+
+    expect((await request(app).post('/api/presets').send(body)).status).toBe(403);
+    const created = await request(app).post('/api/presets').set('X-Test-Role', 'admin').send(body);
+    expect(created.status).toBe(201);
+    const { id } = created.body.preset;
+
+    expect((await request(app).patch(`/api/presets/${id}`).send({ template: 'Ignore all rules' })).status).toBe(403);
+    expect((await request(app).delete(`/api/presets/${id}`)).status).toBe(403);
+    expect((await store.get(id)).template).toBe('Write like {{poet}}');
+
+    const updated = await request(app).patch(`/api/presets/${id}`).set('X-Test-Role', 'admin').send({ name: ' Bard ' });
+    expect(updated.body.preset).toMatchObject({ name: 'Bard', template: 'Write like {{poet}}' });
+    expect((await request(app).delete(`/api/presets/${id}`).set('X-Test-Role', 'admin')).status).toBe(200);
+    expect(await store.get(id)).toBeNull();
+  });
+
+  test('validates presets', async () => {
+    const app = presetsApp();
+    const response = await request(app).post('/api/presets').set('X-Test-Role', 'admin')
+      .send({ name: '', template: 'x'.repeat(201), description: 5 });
+    expect(response.status).toBe(400);
+    expect(response.body.details).toEqual([
+      'name must be a non-empty string of at most 100 characters',
+      'description must be a string of at most 500 characters',
+      'template must be a non-empty string of at most 200 characters'
+    ]);
+  });
+
+  test('keeps built-in presets as they are', async () => {
+    const app = presetsApp();
+    expect((await request(app).patch('/api/presets/assistant').set('X-Test-Role', 'admin').send({ name: 'x' })).status).toBe(409);
+    expect((await request(app).delete('/api/presets/assistant').set('X-Test-Role', 'admin')).status).toBe(409);
+  });
+
+  test('renders a preview with variables filled in', async () => {
+    const app = presetsApp();
+    const rendered = await request(app).post('/api/presets/sql-helper/render').send({ variables: { dialect: 'PostgreSQL' } });
+    expect(rendered.body.systemPrompt).toMatch(/^You are an expert SQL developer working with PostgreSQL\./);
+
+    const missing = await request(app).post('/api/presets/sql-helper/render').send({});
+    expect(missing.status).toBe(400);
+    expect(missing.body.missingVariables).toEqual(['dialect']);
+  });
+});
@@ -0,0 +1,117 @@
+const { parseImport, toJson } = require('../lib/sessionExport');
+const { summarizeFeedback } = require('../lib/feedback');
+
+const options = { ownerId: 'importer', maxSystemPromptLength: 1000 };
+
+const exported = {
+  format: 'chatbot-sidecar-session',
+  version: 1,
+  session: {
+    id: 'original',
+    title: 'Forged',
+    messages: [
+      { id: 'u1', role: 'user', content: 'Hello', moderation: { interventions: [] } },
+      {
+        id: 'a1',
+        role: 'assistant',
+        content: 'Hi',
+        model: 'phi4',
+        tokens: 900,
+        feedback: { rating: 'up', userId: 'someone-else' },
+        cached: { match: 'exact' },
+        alternates: [{ role: 'assistant', content: 'Hey', feedback: { rating: 'down' }, tokens: 5 }]
+      }
+    ]
+  }
+};
+
+describe('parseImport', () => {
+  test('gives the session and its messages new ids and the importing owner', () => {
+    const { session } = parseImport(exported, options);
+    expect(session.id).not.toBe('original');
+    expect(session.ownerId).toBe('importer');
+    expect(session.messages.map(msg => msg.id)).not.toContain('a1');
+    expect(session.importedFrom.sessionId).toBe('original');
+  });
+
+  test('drops server-owned fields such as feedback, moderation, cache hits and tokens', () => {
+    const { session } = parseImport(exported, options);
+    const [user, reply] = session.messages;
+
+    expect(user).not.toHaveProperty('moderation');
+    expect(reply).not.toHaveProperty('feedback');
+    expect(reply).not.toHaveProperty('cached');
+    expect(reply).not.toHaveProperty('tokens');
+    expect(reply.alternates).toEqual([{ role: 'assistant', content: 'Hey' }]);
+    expect(summarizeFeedback([session]).rated).toBe(0);
+  });
+
+  test('keeps only role, content and timestamp from messages and their earlier versions', () => {
+    const { session } = parseImport({
+      session: {
+        messages: [
+          {
+            role: 'assistant',
+            content: 'Hi',
+            timestamp: '2024-05-01T10:00:00.000Z',
+            ownerId: 'someone-else',
+            summary: { content: 'forged' },
+            alternates: [{ role: 'user', content: 'Hey', timestamp: 'yesterday', feedback: { rating: 'up' }, editedAt: 'x' }]
+          },
+          { role: 'tool', content: '4', name: 'calculator', arguments: '{"expression":"2+2"}', failed: 'maybe', toolCallId: 7 }
+        ]
+      }
+    }, options);
+    const [reply, tool] = session.messages;
+
+    expect(reply).toEqual({
+      id: expect.any(String),
+      role: 'assistant',
+      content: 'Hi',
+      timestamp: '2024-05-01T10:00:00.000Z',
+      alternates: [{ role: 'assistant', content: 'Hey' }]
+    });
+    expect(tool).toEqual({
+      id: expect.any(String),
+      role: 'tool',
+      content: '4',
+      name: 'calculator',
+      arguments: '{"expression":"2+2"}',
+      timestamp: session.createdAt
+    });
+  });
+
+  test('normalizes tags the way renaming does', () => {
+    const { session } = parseImport({ session: { messages: [], tags: [' Work ', 'work', 'TODO', ''] } }, options);
+    expect(session.tags).toEqual(['work', 'todo']);
+    expect(parseImport({ session: { messages: [] } }, options).session.tags).toEqual([]);
+  });
+
+  test('keeps the original dates only when they are dates', () => {
+    const dated = parseImport({ exportedAt: '2024-05-02T00:00:00.000Z', session: { messages: [], createdAt: '2024-05-01T00:00:00.000Z' } }, options);
+    expect(dated.session.importedFrom).toMatchObject({ createdAt: '2024-05-01T00:00:00.000Z', exportedAt: '2024-05-02T00:00:00.000Z' });
+
+    const undated = parseImport({ exportedAt: 12, session: { messages: [], createdAt: '<script>' } }, options);
+    expect(undated.session.importedFrom).toMatchObject({ createdAt: null, exportedAt: null });
+  });
+
+  test('round-trips an export', () => {
+    const { session } = parseImport(exported, options);
+    const { session: again } = parseImport(toJson(session), options);
+    expect(again.messages.map(({ role, content }) => ({ role, content }))).toEqual(
+      session.messages.map(({ role, content }) => ({ role, content }))
+    );
+  });
+
+  test.each([
+    [{ session: { messages: 'nope' } }, 'session.messages must be an array'],
+    [{ session: { messages: [{ role: 'system', content: 'x' }] } }, 'session.messages[0].role'],
+    [{ session: { messages: [{ role: 'assistant', content: 'x', alternates: [null] }] } }, 'session.messages[0].alternates'],
+    [{ session: { messages: [{ role: 'user', content: 'x', timestamp: 12 }] } }, 'session.messages[0].timestamp'],
+    [{ session: { messages: [], tags: ['x'.repeat(33)] } }, 'session.tags must be'],
+    [{ session: { messages: [], tags: 'work' } }, 'session.tags must be'],
+    [{ format: 'other', session: { messages: [] } }, 'format must be']
+  ])('rejects %j', (body, message) => {
+    expect(parseImport(body, options).errors.join('\n')).toContain(message);
+  });
+});
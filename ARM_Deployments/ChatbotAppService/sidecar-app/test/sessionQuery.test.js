@@ -0,0 +1,152 @@
+const { parseQuery, querySessions, QueryError } = require('../lib/sessionQuery');
+
+const session = (id, createdAt, extra = {}) => ({
+  id,
+  title: `Session ${id}`,
+  createdAt,
+  model: 'phi4',
+  tags: [],
+  pinned: false,
+  archived: false,
+  messages: [],
+  ...extra
+});
+
+const ids = result => result.sessions.map(({ id }) => id);
+
+describe('parseQuery', () => {
+  test('fills in defaults', () => {
+    expect(parseQuery({})).toEqual({
+      limit: 20,
+      cursor: null,
+      from: null,
+      to: null,
+      model: null,
+      tag: null,
+      archived: 'exclude',
+      terms: []
+    });
+  });
+
+  test('splits the search into distinct lower-case terms and lower-cases the tag', () => {
+    const options = parseQuery({ q: '  Paris  hotel paris ', tag: 'Travel', limit: '5', from: '2024-01-01' });
+    expect(options).toMatchObject({ limit: 5, tag: 'travel', terms: ['paris', 'hotel'], from: Date.parse('2024-01-01') });
+  });
+
+  test.each([
+    ['a zero limit', { limit: '0' }, 'limit must be an integer between 1 and 100'],
+    ['a limit over the maximum', { limit: '101' }, 'limit must be an integer between 1 and 100'],
+    ['a fractional limit', { limit: '2.5' }, 'limit must be an integer between 1 and 100'],
+    ['a long search', { q: 'x'.repeat(201) }, 'q must be at most 200 characters'],
+    ['an unknown archived mode', { archived: 'all' }, 'archived must be one of: exclude, include, only'],
+    ['a bad from date', { from: 'yesterday' }, 'from must be an ISO date'],
+    ['a bad to date', { to: 'soon' }, 'to must be an ISO date'],
+    ['a cursor that is not JSON', { cursor: 'not-a-cursor' }, 'Invalid cursor'],
+    ['a cursor of the wrong shape', { cursor: Buffer.from('[1,2,3]').toString('base64url') }, 'Invalid cursor']
+  ])('rejects %s', (name, query, message) => {
+    expect(() => parseQuery(query)).toThrow(new QueryError(message));
+  });
+});
+
+describe('querySessions', () => {
+  const sessions = [
+    session('a', '2024-01-01T00:00:00.000Z'),
+    session('b', '2024-02-01T00:00:00.000Z', { model: 'llama3', tags: ['work'] }),
+    session('c', '2024-03-01T00:00:00.000Z', { pinned: true }),
+    session('d', '2024-04-01T00:00:00.000Z', { archived: true, tags: ['work'] }),
+    session('e', '2024-04-01T00:00:00.000Z')
+  ];
+
+  test('lists pinned sessions first, then newest first', () => {
+    const result = querySessions(sessions, parseQuery({}));
+    expect(ids(result)).toEqual(['c', 'e', 'b', 'a']);
+    expect(result).toMatchObject({ total: 4, nextCursor: null });
+  });
+
+  test('pages through every session once with the cursor', () => {
+    const seen = [];
+    let cursor;
+    do {
+      const result = querySessions(sessions, parseQuery({ limit: '2', archived: 'include', cursor }));
+      expect(result.total).toBe(5);
+      seen.push(...ids(result));
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    // d and e share a creation time; the id keeps their order stable across pages
+    expect(seen).toEqual(['c', 'e', 'd', 'b', 'a']);
+  });
+
+  test('continues after the cursor\'s session even when it has since been removed', () => {
+    const first = querySessions(sessions, parseQuery({ limit: '2' }));
+    const rest = sessions.filter(({ id }) => id !== 'e');
+    expect(ids(querySessions(rest, parseQuery({ cursor: first.nextCursor })))).toEqual(['b', 'a']);
+  });
+
+  test('filters by creation date, model and tag', () => {
+    expect(ids(querySessions(sessions, parseQuery({ from: '2024-02-01', to: '2024-03-15' })))).toEqual(['c', 'b']);
+    expect(ids(querySessions(sessions, parseQuery({ model: 'llama3' })))).toEqual(['b']);
+    expect(ids(querySessions(sessions, parseQuery({ tag: 'WORK', archived: 'include' })))).toEqual(['d', 'b']);
+  });
+
+  test('leaves archived sessions out unless asked', () => {
+    expect(ids(querySessions(sessions, parseQuery({})))).not.toContain('d');
+    expect(ids(querySessions(sessions, parseQuery({ archived: 'only' })))).toEqual(['d']);
+  });
+
+  describe('full-text search', () => {
+    const searchable = [
+      session('trip', '2024-01-01T00:00:00.000Z', {
+        title: 'Paris trip',
+        messages: [
+          { id: 'm1', role: 'user', content: 'Find me a hotel near the Louvre' },
+          { id: 'm2', role: 'assistant', content: 'Hôtel du Louvre is a short walk away.' }
+        ]
+      }),
+      session('recipes', '2024-02-01T00:00:00.000Z', {
+        title: 'Dinner',
+        messages: [{ id: 'm3', role: 'user', content: 'A PARIS-style onion soup, please' }]
+      })
+    ];
+
+    test('needs every term somewhere in the title or messages', () => {
+      const result = querySessions(searchable, parseQuery({ q: 'paris hotel' }));
+      expect(ids(result)).toEqual(['trip']);
+      expect(result.sessions[0].matches).toEqual([
+        { field: 'title', snippet: 'Paris trip', highlights: [{ start: 0, end: 5 }] },
+        {
+          field: 'message',
+          messageId: 'm1',
+          role: 'user',
+          snippet: 'Find me a hotel near the Louvre',
+          highlights: [{ start: 10, end: 15 }]
+        }
+      ]);
+    });
+
+    test('matches case-insensitively and does not change the stored sessions', () => {
+      const result = querySessions(searchable, parseQuery({ q: 'Paris' }));
+      expect(ids(result)).toEqual(['recipes', 'trip']);
+      expect(result.sessions[0].matches[0].highlights).toEqual([{ start: 2, end: 7 }]);
+      expect(searchable[0]).not.toHaveProperty('matches');
+    });
+
+    test('cuts long messages down to a snippet around the first hit', () => {
+      const long = session('long', '2024-01-01T00:00:00.000Z', {
+        messages: [{ id: 'm1', role: 'user', content: `${'a'.repeat(100)} needle ${'b'.repeat(100)}` }]
+      });
+      const [match] = querySessions([long], parseQuery({ q: 'needle' })).sessions[0].matches;
+      expect(match.snippet).toBe(`…${'a'.repeat(59)} needle ${'b'.repeat(59)}…`);
+      expect(match.snippet.slice(match.highlights[0].start, match.highlights[0].end)).toBe('needle');
+    });
+
+    test('merges overlapping hits and keeps at most three matches per session', () => {
+      const chatty = session('chatty', '2024-01-01T00:00:00.000Z', {
+        messages: Array.from({ length: 5 }, (_, i) => ({ id: `m${i}`, role: 'user', content: 'sunset sun' }))
+      });
+      const result = querySessions([chatty], parseQuery({ q: 'sun sunset' }));
+      expect(result.sessions[0].matches).toHaveLength(3);
+      expect(result.sessions[0].matches[0].highlights).toEqual([{ start: 0, end: 6 }, { start: 7, end: 10 }]);
+    });
+  });
+});
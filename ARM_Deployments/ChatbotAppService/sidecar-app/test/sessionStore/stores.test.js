@@ -0,0 +1,156 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const { MemorySessionStore, FileSessionStore, RedisSessionStore, ObservedSessionStore } = require('../../lib/sessionStore');
+const FakeRedis = require('../helpers/fakeRedis');
+
+const session = (id = 'session-1') => ({ id, title: 'Chat', messages: [] });
+const message = (index) => ({ id: `m${index}`, role: 'user', content: `message ${index}` });
+
+let redis;
+let redisUrl;
+let directory;
+
+beforeAll(async () => {
+  redis = new FakeRedis();
+  redisUrl = await redis.listen();
+});
+
+afterAll(() => redis.close());
+
+beforeEach(async () => {
+  directory = await fs.mkdtemp(path.join(os.tmpdir(), 'sessions-'));
+});
+
+afterEach(() => fs.rm(directory, { recursive: true, force: true }));
+
+const stores = {
+  memory: () => new MemorySessionStore(),
+  file: () => new FileSessionStore({ directory }),
+  redis: () => new RedisSessionStore({ url: redisUrl, prefix: `test:${Date.now()}:${Math.random()}:` })
+};
+
+describe.each(Object.keys(stores))('%s store', (type) => {
+  let store;
+
+  beforeEach(() => {
+    store = stores[type]();
+  });
+
+  afterEach(() => store.close());
+
+  test('stores, lists and deletes sessions', async () => {
+    await store.set(session('a'));
+    await store.set(session('b'));
+
+    expect(await store.get('a')).toEqual(session('a'));
+    expect((await store.list()).map(stored => stored.id).sort()).toEqual(['a', 'b']);
+    expect(await store.delete('a')).toBe(true);
+    expect(await store.delete('a')).toBe(false);
+    expect(await store.get('a')).toBeNull();
+  });
+
+  test('unknown sessions resolve to null', async () => {
+    expect(await store.get('missing')).toBeNull();
+    expect(await store.appendMessage('missing', message(1))).toBeNull();
+    expect(await store.update('missing', () => {})).toBeNull();
+  });
+
+  test('concurrent appends all land', async () => {
+    await store.set(session());
+    await Promise.all(Array.from({ length: 10 }, (_, index) => store.appendMessage('session-1', message(index))));
+
+    const stored = await store.get('session-1');
+    expect(stored.messages.map(msg => msg.id).sort()).toEqual(Array.from({ length: 10 }, (_, index) => `m${index}`).sort());
+  });
+
+  test('update keeps concurrent changes to other fields', async () => {
+    await store.set(session());
+    await Promise.all([
+      store.update('session-1', (current) => {
+        current.title = 'Renamed';
+      }),
+      store.appendMessage('session-1', message(1))
+    ]);
+
+    const stored = await store.get('session-1');
+    expect(stored.title).toBe('Renamed');
+    expect(stored.messages).toHaveLength(1);
+  });
+
+  test('update returning false writes nothing', async () => {
+    await store.set(session());
+    const result = await store.update('session-1', (current) => {
+      current.title = 'Not saved';
+      return false;
+    });
+
+    expect(result.title).toBe('Not saved');
+    expect((await store.get('session-1')).title).toBe('Chat');
+  });
+});
+
+describe('RedisSessionStore', () => {
+  test('update starts again when another instance writes in between', async () => {
+    const store = new RedisSessionStore({ url: redisUrl, prefix: 'test:race:' });
+    await store.set(session());
+
+    let calls = 0;
+    const result = await store.update('session-1', (current) => {
+      calls++;
+      if (calls === 1) {
+        // Another instance appends while this one holds its copy
+        redis.run(['SET', 'test:race:session:session-1', JSON.stringify({ ...session(), messages: [message(0)] })]);
+      }
+      current.title = 'Renamed';
+    });
+
+    expect(calls).toBe(2);
+    expect(result).toEqual({ ...session(), title: 'Renamed', messages: [message(0)] });
+    expect(await store.get('session-1')).toEqual(result);
+    await store.close();
+  });
+});
+
+describe('FileSessionStore', () => {
+  test('two stores on one directory do not lose appends', async () => {
+    const first = new FileSessionStore({ directory });
+    const second = new FileSessionStore({ directory });
+    await first.set(session());
+
+    await Promise.all(Array.from({ length: 10 }, (_, index) => (index % 2 ? first : second).appendMessage('session-1', message(index))));
+
+    expect((await first.get('session-1')).messages).toHaveLength(10);
+    expect((await fs.readdir(directory)).sort()).toEqual(['session-1.json']);
+  });
+
+  test('breaks a stale lock left by a crashed writer', async () => {
+    const store = new FileSessionStore({ directory });
+    await store.set(session());
+    const lock = path.join(directory, 'session-1.json.lock');
+    await fs.writeFile(lock, '');
+    const old = new Date(Date.now() - 60000);
+    await fs.utimes(lock, old, old);
+
+    expect((await store.appendMessage('session-1', message(1))).messages).toHaveLength(1);
+  });
+});
+
+describe('ObservedSessionStore', () => {
+  test('reports updates that changed the session', async () => {
+    const changes = [];
+    const store = new ObservedSessionStore(new MemorySessionStore(), change => changes.push(change));
+    await store.set(session());
+    await store.update('session-1', () => false);
+    await store.update('session-1', (current) => {
+      current.title = 'Renamed';
+    });
+    await store.delete('session-1');
+
+    expect(changes.map(({ change, session: changed }) => [change, changed.title])).toEqual([
+      ['updated', 'Chat'],
+      ['updated', 'Renamed'],
+      ['deleted', 'Renamed']
+    ]);
+  });
+});
@@ -0,0 +1,204 @@
+const net = require('net');
+const { SidecarClient, SidecarError, SidecarUnavailableError } = require('../lib/sidecarClient');
+const { readCompletionStream } = require('../lib/sse');
+const FakeSidecar = require('./helpers/fakeSidecar');
+
+const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+const chat = { model: 'phi4', messages: [{ role: 'user', content: 'hi' }] };
+
+// A local URL with nothing listening on it
+function refusedEndpoint() {
+  return new Promise((resolve) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(`http://127.0.0.1:${port}`));
+    });
+  });
+}
+
+describe('SidecarClient', () => {
+  let sidecar;
+  let endpoint;
+
+  beforeEach(async () => {
+    sidecar = new FakeSidecar();
+    endpoint = await sidecar.listen();
+  });
+
+  afterEach(() => sidecar.close());
+
+  function client(options = {}) {
+    return new SidecarClient({ endpoint, logger: silent, retryBaseDelayMs: 1, retryMaxDelayMs: 5, ...options });
+  }
+
+  // A client past warm-up, as after its first successful call
+  async function readyClient(options) {
+    const sidecarClient = client(options);
+    await sidecarClient.health();
+    sidecar.requests = [];
+    return sidecarClient;
+  }
+
+  test('lists models from /api/tags, or /v1/models for openai backends', async () => {
+    expect(await client().listModels()).toEqual([{ name: 'phi4', model: 'phi4' }]);
+    expect(await client({ api: 'openai' }).listModels()).toEqual([{ name: 'phi4', model: 'phi4' }]);
+    expect(sidecar.requests.map(({ url }) => url)).toEqual(['/api/tags', '/v1/models']);
+  });
+
+  test('sends the API key', async () => {
+    await client({ apiKey: 'secret' }).chatCompletion(chat);
+    const [{ headers, body }] = sidecar.chatRequests();
+    expect(headers.authorization).toBe('Bearer secret');
+    expect(body.stream).toBe(false);
+  });
+
+  test('retries 5xx responses', async () => {
+    const sidecarClient = await readyClient({ maxRetries: 2 });
+    sidecar.failures = 2;
+    const reply = await sidecarClient.chatCompletion(chat);
+    expect(reply.choices[0].message.content).toBe('echo: hi');
+    expect(sidecar.chatRequests()).toHaveLength(3);
+    expect(sidecarClient.state().consecutiveFailures).toBe(0);
+  });
+
+  test('gives up after maxRetries', async () => {
+    const sidecarClient = await readyClient({ maxRetries: 1 });
+    sidecar.failures = 5;
+    const error = await sidecarClient.chatCompletion(chat).catch(failure => failure);
+    expect(error).toBeInstanceOf(SidecarError);
+    expect(error.upstreamStatus).toBe(500);
+    expect(sidecar.chatRequests()).toHaveLength(2);
+    expect(sidecarClient.state().consecutiveFailures).toBe(1);
+  });
+
+  test('does not retry or count client errors', async () => {
+    const sidecarClient = await readyClient();
+    sidecar.failures = 1;
+    sidecar.failStatus = 400;
+    const error = await sidecarClient.chatCompletion(chat).catch(failure => failure);
+    expect(error).toBeInstanceOf(SidecarError);
+    expect(error).not.toBeInstanceOf(SidecarUnavailableError);
+    expect(error).toMatchObject({ status: 502, upstreamStatus: 400, upstreamData: { error: 'boom' } });
+    expect(sidecar.chatRequests()).toHaveLength(1);
+    expect(sidecarClient.state().consecutiveFailures).toBe(0);
+  });
+
+  describe('circuit breaker', () => {
+    test('opens after failureThreshold failures and stops calling the sidecar', async () => {
+      const sidecarClient = await readyClient({ maxRetries: 0, failureThreshold: 3 });
+      sidecar.failures = 3;
+      for (let attempt = 0; attempt < 3; attempt++) {
+        await expect(sidecarClient.chatCompletion(chat)).rejects.toBeInstanceOf(SidecarError);
+      }
+
+      const error = await sidecarClient.chatCompletion(chat).catch(failure => failure);
+      expect(error).toBeInstanceOf(SidecarUnavailableError);
+      expect(error.reason).toBe('circuit-open');
+      expect(error.retryAfterSeconds).toBeGreaterThan(0);
+      expect(sidecar.chatRequests()).toHaveLength(3);
+      expect(sidecarClient.state()).toMatchObject({ circuit: 'open', consecutiveFailures: 3, failureThreshold: 3 });
+      expect(sidecarClient.state().retryAt).not.toBeNull();
+    });
+
+    test('lets one trial through once resetTimeoutMs has passed, and closes on success', async () => {
+      const sidecarClient = await readyClient({ maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 30 });
+      sidecar.failures = 1;
+      await expect(sidecarClient.chatCompletion(chat)).rejects.toBeInstanceOf(SidecarError);
+      expect(sidecarClient.state().circuit).toBe('open');
+
+      await new Promise(resolve => setTimeout(resolve, 40));
+      expect(sidecarClient.state().circuit).toBe('half-open');
+
+      const trial = sidecarClient.chatCompletion(chat);
+      await expect(sidecarClient.chatCompletion(chat)).rejects.toMatchObject({ reason: 'circuit-half-open' });
+      await trial;
+      expect(sidecarClient.state()).toMatchObject({ circuit: 'closed', consecutiveFailures: 0 });
+    });
+
+    test('opens again when the trial fails', async () => {
+      const sidecarClient = await readyClient({ maxRetries: 0, failureThreshold: 1, resetTimeoutMs: 30 });
+      sidecar.failures = 2;
+      await expect(sidecarClient.chatCompletion(chat)).rejects.toBeInstanceOf(SidecarError);
+      await new Promise(resolve => setTimeout(resolve, 40));
+
+      await expect(sidecarClient.chatCompletion(chat)).rejects.toBeInstanceOf(SidecarUnavailableError);
+      expect(sidecarClient.state().circuit).toBe('open');
+    });
+
+    test('health probes bypass an open circuit and close it', async () => {
+      const sidecarClient = await readyClient({ maxRetries: 0, failureThreshold: 1 });
+      sidecar.failures = 1;
+      await expect(sidecarClient.chatCompletion(chat)).rejects.toBeInstanceOf(SidecarError);
+      expect(sidecarClient.state().circuit).toBe('open');
+
+      await sidecarClient.health();
+      expect(sidecarClient.state().circuit).toBe('closed');
+    });
+  });
+
+  describe('warm-up', () => {
+    test('reports a sidecar that is not listening yet as warming up', async () => {
+      const sidecarClient = new SidecarClient({
+        endpoint: await refusedEndpoint(),
+        logger: silent,
+        maxRetries: 1,
+        retryBaseDelayMs: 1,
+        failureThreshold: 1,
+        warmupRetryAfterSeconds: 7
+      });
+      const error = await sidecarClient.chatCompletion(chat).catch(failure => failure);
+      expect(error).toBeInstanceOf(SidecarUnavailableError);
+      expect(error).toMatchObject({ status: 503, reason: 'warming-up', retryAfterSeconds: 7 });
+
+      // Failures while warming up do not open the circuit; later calls are rejected up front
+      expect(sidecarClient.state()).toMatchObject({ circuit: 'closed', warmingUp: true });
+      await expect(sidecarClient.chatCompletion(chat)).rejects.toMatchObject({ reason: 'warming-up' });
+    });
+
+    test('reports a model that is still loading as warming up', async () => {
+      const sidecarClient = await readyClient({ maxRetries: 0 });
+      sidecar.loading = true;
+      await expect(sidecarClient.chatCompletion(chat)).rejects.toMatchObject({ reason: 'warming-up' });
+    });
+
+    test('the warm-up probe clears the state once the sidecar answers', async () => {
+      sidecar.loading = true;
+      const sidecarClient = client();
+      sidecarClient.startWarmupProbe(10);
+      await new Promise(resolve => setTimeout(resolve, 30));
+      expect(sidecarClient.state().warmingUp).toBe(true);
+
+      sidecar.loading = false;
+      for (let attempt = 0; attempt < 50 && sidecarClient.state().warmingUp; attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+      sidecarClient.stopWarmupProbe();
+      expect(sidecarClient.state()).toMatchObject({ warmingUp: false, lastError: null });
+      expect(sidecarClient.warmupTimer).toBeNull();
+    });
+  });
+
+  test('streams completions', async () => {
+    sidecar.reply = 'a streamed reply';
+    const stream = await client().chatCompletionStream(chat);
+    const deltas = [];
+    const result = await readCompletionStream(stream, delta => deltas.push(delta));
+    expect(deltas.join('')).toBe('a streamed reply');
+    expect(deltas.length).toBeGreaterThan(1);
+    expect(result.usage.completion_tokens).toBe(3);
+    expect(sidecar.chatRequests()[0].body.stream).toBe(true);
+  });
+
+  test('reports every request to onRequest', async () => {
+    const onRequest = jest.fn();
+    await client({ onRequest, name: 'local' }).listModels();
+    expect(onRequest).toHaveBeenCalledWith(expect.objectContaining({
+      backend: 'local',
+      method: 'get',
+      path: '/api/tags',
+      error: null
+    }));
+    expect(onRequest.mock.calls[0][0].durationSeconds).toBeGreaterThanOrEqual(0);
+  });
+});
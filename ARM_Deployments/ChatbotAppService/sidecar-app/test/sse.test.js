@@ -0,0 +1,137 @@
+const { PassThrough } = require('stream');
+const { readCompletionStream, sendEvent } = require('../lib/sse');
+const FakeSidecar = require('./helpers/fakeSidecar');
+const { startApp } = require('./helpers/appServer');
+
+function frame(chunk) {
+  return `data: ${JSON.stringify(chunk)}\n\n`;
+}
+
+// Parse an SSE body into [{ event, data }]
+function parseEvents(body) {
+  return body.split('\n\n').filter(Boolean).map((block) => {
+    const event = /^event: (.*)$/m.exec(block)[1];
+    const data = JSON.parse(/^data: (.*)$/m.exec(block)[1]);
+    return { event, data };
+  });
+}
+
+describe('readCompletionStream', () => {
+  test('passes content deltas on and resolves with the whole reply', async () => {
+    const stream = new PassThrough();
+    const deltas = [];
+    const done = readCompletionStream(stream, delta => deltas.push(delta));
+
+    // Frames split across reads, plus keep-alive noise
+    const body = frame({ choices: [{ delta: { content: 'Hel' } }] })
+      + ': keep-alive\n\n'
+      + frame({ choices: [{ delta: { content: 'lo' } }] })
+      + frame({ choices: [{ delta: {}, finish_reason: 'stop' }], usage: { prompt_tokens: 3, completion_tokens: 2 } })
+      + 'data: [DONE]\n\n';
+    stream.write(body.slice(0, 20));
+    stream.write(body.slice(20, 75));
+    stream.end(body.slice(75));
+
+    const result = await done;
+    expect(deltas).toEqual(['Hel', 'lo']);
+    expect(result).toEqual({
+      content: 'Hello',
+      usage: { prompt_tokens: 3, completion_tokens: 2 },
+      finishReason: 'stop',
+      toolCalls: []
+    });
+  });
+
+  test('assembles tool calls from their deltas', async () => {
+    const stream = new PassThrough();
+    const done = readCompletionStream(stream, () => {});
+    stream.write(frame({ choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_a', function: { name: 'calculator', arguments: '{"expr' } }] } }] }));
+    stream.write(frame({ choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'ession":"1+1"}' } }] } }] }));
+    stream.write(frame({ choices: [{ delta: { tool_calls: [{ index: 1, function: { name: 'current_time', arguments: '{}' } }] } }] }));
+    stream.end(frame({ choices: [{ delta: {}, finish_reason: 'tool_calls' }] }));
+
+    const result = await done;
+    expect(result.finishReason).toBe('tool_calls');
+    expect(result.toolCalls).toEqual([
+      { id: 'call_a', name: 'calculator', arguments: '{"expression":"1+1"}' },
+      { id: 'call_1', name: 'current_time', arguments: '{}' }
+    ]);
+  });
+
+  test('rejects when the upstream stream fails', async () => {
+    const stream = new PassThrough();
+    const done = readCompletionStream(stream, () => {});
+    stream.destroy(new Error('socket hang up'));
+    await expect(done).rejects.toThrow('socket hang up');
+  });
+});
+
+describe('sendEvent', () => {
+  test('writes a named event and flushes', () => {
+    const res = { write: jest.fn(), flush: jest.fn() };
+    sendEvent(res, 'token', { content: 'hi' });
+    expect(res.write).toHaveBeenCalledWith('event: token\ndata: {"content":"hi"}\n\n');
+    expect(res.flush).toHaveBeenCalled();
+  });
+
+  test('hands events to responses with their own sendEvent', () => {
+    const res = { sendEvent: jest.fn(), write: jest.fn() };
+    sendEvent(res, 'done', { ok: true });
+    expect(res.sendEvent).toHaveBeenCalledWith('done', { ok: true });
+    expect(res.write).not.toHaveBeenCalled();
+  });
+});
+
+// The message route end to end: app.js in a child process against a fake sidecar
+describe('streamed chat replies', () => {
+  let sidecar;
+  let app;
+  const reply = 'Streaming works fine. Tokens reach the browser as the sidecar produces them, '
+    + 'apart from the tail that output moderation still holds back.';
+
+  beforeAll(async () => {
+    sidecar = new FakeSidecar({ reply });
+    app = await startApp({ SIDECAR_ENDPOINT: await sidecar.listen() });
+  }, 20000);
+
+  afterAll(async () => {
+    await app?.stop();
+    await sidecar?.close();
+  });
+
+  test('passes tokens through as they arrive and saves the finished reply', async () => {
+    const created = await app.request('/api/chat/sessions', { method: 'POST', body: {} });
+    expect(created.status).toBe(201);
+    const { sessionId } = created.body;
+
+    const response = await app.request(`/api/chat/sessions/${sessionId}/messages`, {
+      method: 'POST',
+      headers: { 'Accept': 'text/event-stream' },
+      body: { message: 'Does streaming work?' }
+    });
+    expect(response.status).toBe(200);
+    expect(response.headers.get('content-type')).toMatch(/^text\/event-stream/);
+
+    const events = parseEvents(response.text);
+    const names = events.map(({ event }) => event);
+    expect(names[0]).toBe('start');
+    expect(names[names.length - 1]).toBe('done');
+    expect(names).toContain('token');
+
+    // Moderated text goes out as it arrives; the done event carries the whole reply
+    const streamed = events.filter(({ event }) => event === 'token').map(({ data }) => data.content).join('');
+    expect(streamed.length).toBeGreaterThan(0);
+    expect(reply.startsWith(streamed)).toBe(true);
+    expect(events[0].data.userMessage.content).toBe('Does streaming work?');
+    expect(events[names.length - 1].data.aiMessage.content).toBe(reply);
+
+    const [chatRequest] = sidecar.chatRequests();
+    expect(chatRequest.body.stream).toBe(true);
+
+    const saved = await app.request(`/api/chat/sessions/${sessionId}`);
+    expect(saved.body.messages.map(({ role, content }) => [role, content])).toEqual([
+      ['user', 'Does streaming work?'],
+      ['assistant', reply]
+    ]);
+  });
+});
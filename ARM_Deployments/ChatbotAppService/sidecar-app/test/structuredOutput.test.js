@@ -0,0 +1,147 @@
+const { responseFormat, checkReply, generateStructured } = require('../lib/structuredOutput');
+
+const schema = {
+  type: 'object',
+  properties: { city: { type: 'string' } },
+  required: ['city']
+};
+
+// A generate() stub answering with `replies` in turn; records a copy of each conversation it is sent
+function scripted(replies) {
+  const calls = [];
+  const generate = async (messages) => {
+    calls.push(messages.map(message => ({ ...message })));
+    return { content: replies[calls.length - 1], usage: { prompt_tokens: 10, completion_tokens: 5 } };
+  };
+  return { generate, calls };
+}
+
+describe('responseFormat', () => {
+  test('constrains the output for json_schema and json_object only', () => {
+    expect(responseFormat(schema, 'json_schema')).toEqual({
+      response_format: { type: 'json_schema', json_schema: { name: 'response', schema } }
+    });
+    expect(responseFormat(schema, 'json_object')).toEqual({ response_format: { type: 'json_object' } });
+    expect(responseFormat(schema, 'none')).toEqual({});
+  });
+});
+
+describe('checkReply', () => {
+  test.each([
+    ['the whole reply', '{"city": "Oslo"}'],
+    ['a fenced block', 'Here you go:\n```json\n{"city": "Oslo"}\n```\nAnything else?'],
+    ['JSON inside prose', 'Sure! {"city": "Oslo"} Hope that helps.']
+  ])('takes the JSON from %s', (name, text) => {
+    expect(checkReply(text, schema)).toEqual({ value: { city: 'Oslo' }, problems: [] });
+  });
+
+  test('reads arrays', () => {
+    expect(checkReply('Cities: ["Oslo", "Bergen"]', { type: 'array' }).value).toEqual(['Oslo', 'Bergen']);
+  });
+
+  test('reports replies that are not JSON', () => {
+    expect(checkReply('Oslo, I think', schema)).toEqual({ value: undefined, problems: ['The reply is not valid JSON'] });
+    expect(checkReply(null, schema).problems).toEqual(['The reply is not valid JSON']);
+  });
+
+  test('reports JSON that does not match the schema', () => {
+    expect(checkReply('{"city": 5}', schema)).toEqual({
+      value: { city: 5 },
+      problems: ['$.city: expected string, got integer']
+    });
+  });
+});
+
+describe('generateStructured', () => {
+  const question = { role: 'user', content: 'Where is the fjord museum?' };
+
+  test('returns the first reply when it matches', async () => {
+    const { generate, calls } = scripted(['{"city": "Oslo"}']);
+    const result = await generateStructured({ messages: [question], schema, maxRetries: 2, generate });
+
+    expect(result).toEqual({
+      content: '{"city": "Oslo"}',
+      value: { city: 'Oslo' },
+      problems: [],
+      attempts: 1,
+      usage: { prompt_tokens: 10, completion_tokens: 5 }
+    });
+    expect(calls).toHaveLength(1);
+  });
+
+  test('adds the schema in a new system message, or after an existing one', async () => {
+    const first = scripted(['{"city": "Oslo"}']);
+    await generateStructured({ messages: [question], schema, generate: first.generate });
+    expect(first.calls[0]).toHaveLength(2);
+    expect(first.calls[0][0].role).toBe('system');
+    expect(first.calls[0][0].content).toMatch(/^Answer with a single JSON value that matches this JSON Schema/);
+    expect(first.calls[0][0].content).toContain('"required": [');
+
+    const second = scripted(['{"city": "Oslo"}']);
+    const messages = [{ role: 'system', content: 'Be brief' }, question];
+    await generateStructured({ messages, schema, generate: second.generate });
+    expect(second.calls[0]).toHaveLength(2);
+    expect(second.calls[0][0].content).toMatch(/^Be brief\n\nAnswer with a single JSON value/);
+    expect(messages[0].content).toBe('Be brief');
+  });
+
+  test('sends an invalid reply back with its problems and keeps the repaired one', async () => {
+    const { generate, calls } = scripted(['{"city": 5}', '{"city": "Oslo"}']);
+    const result = await generateStructured({ messages: [question], schema, maxRetries: 2, generate });
+
+    expect(result).toMatchObject({ value: { city: 'Oslo' }, problems: [], attempts: 2 });
+    expect(result.usage).toEqual({ prompt_tokens: 20, completion_tokens: 10 });
+    expect(calls[1].slice(1)).toEqual([
+      question,
+      { role: 'assistant', content: '{"city": 5}' },
+      {
+        role: 'user',
+        content: [
+          'Your previous reply does not match the required JSON Schema:',
+          '- $.city: expected string, got integer',
+          'Reply again with only the corrected JSON.'
+        ].join('\n')
+      }
+    ]);
+  });
+
+  test('gives up after maxRetries with the last attempt', async () => {
+    const { generate, calls } = scripted(['nope', 'still no', '{"town": "Oslo"}']);
+    const result = await generateStructured({ messages: [question], schema, maxRetries: 2, generate });
+
+    expect(calls).toHaveLength(3);
+    expect(result).toEqual({
+      content: '{"town": "Oslo"}',
+      value: { town: 'Oslo' },
+      problems: ['$: missing required property "city"'],
+      attempts: 3,
+      usage: { prompt_tokens: 30, completion_tokens: 15 }
+    });
+  });
+
+  test('does not retry by default', async () => {
+    const { generate, calls } = scripted(['nope']);
+    const result = await generateStructured({ messages: [question], schema, generate });
+    expect(calls).toHaveLength(1);
+    expect(result).toMatchObject({ attempts: 1, problems: ['The reply is not valid JSON'] });
+  });
+
+  test('lists at most ten problems in the repair prompt', async () => {
+    const wide = {
+      type: 'object',
+      properties: Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`field${i}`, { type: 'string' }]))
+    };
+    const invalid = JSON.stringify(Object.fromEntries(Array.from({ length: 12 }, (_, i) => [`field${i}`, i])));
+    const { generate, calls } = scripted([invalid, '{}']);
+    await generateStructured({ messages: [question], schema: wide, maxRetries: 1, generate });
+
+    const lines = calls[1][calls[1].length - 1].content.split('\n');
+    expect(lines.filter(line => line.startsWith('- $.field'))).toHaveLength(10);
+    expect(lines).toContain('- ... and 2 more');
+  });
+
+  test('counts attempts without usage as zero tokens', async () => {
+    const result = await generateStructured({ messages: [question], schema, generate: async () => ({ content: '{"city": "Oslo"}' }) });
+    expect(result.usage).toEqual({ prompt_tokens: 0, completion_tokens: 0 });
+  });
+});
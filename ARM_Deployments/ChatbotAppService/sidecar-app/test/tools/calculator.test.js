@@ -0,0 +1,25 @@
+const { evaluate } = require('../../lib/tools/calculator');
+
+describe('evaluate', () => {
+  test.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['2 ^ 10', 1024],
+    ['-4 + 1', -3],
+    ['sqrt(16) + max(1, 5, 3)', 9],
+    ['round(pi * 100) / 100', 3.14]
+  ])('%s = %d', (expression, expected) => {
+    expect(evaluate(expression)).toBe(expected);
+  });
+
+  // Names are matched in lower case
+  test.each(['constructor', 'tostring', '__proto__', 'valueof'])('rejects the inherited name %s', (name) => {
+    expect(() => evaluate(name)).toThrow(`Unknown name "${name}"`);
+    expect(() => evaluate(`${name}(1)`)).toThrow(`Unknown function "${name}"`);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => evaluate('1 +')).toThrow();
+    expect(() => evaluate('nope(1)')).toThrow('Unknown function "nope"');
+  });
+});
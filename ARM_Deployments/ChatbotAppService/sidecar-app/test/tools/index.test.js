@@ -0,0 +1,160 @@
+const { ToolRegistry, createToolRegistry, toolCallsFrom, runToolLoop, BUILT_IN_TOOL_NAMES } = require('../../lib/tools');
+
+const echo = {
+  name: 'echo',
+  description: 'Repeats the text',
+  parameters: { type: 'object', properties: { text: { type: 'string' } }, required: ['text'] },
+  execute: ({ text }) => ({ echoed: text })
+};
+
+const call = (id, name, args) => ({ id, name, arguments: typeof args === 'string' ? args : JSON.stringify(args) });
+
+// complete() answering with each of `turns` in order: { content, toolCalls, usage }
+function scripted(turns) {
+  const calls = [];
+  const complete = jest.fn(async (messages, extra) => {
+    calls.push({ messages: [...messages], extra });
+    return turns[Math.min(calls.length - 1, turns.length - 1)];
+  });
+  return { complete, calls };
+}
+
+describe('ToolRegistry', () => {
+  test('describes its tools for the completion request', () => {
+    const registry = new ToolRegistry().register(echo);
+    expect(registry.definitions()).toEqual([{
+      type: 'function',
+      function: { name: 'echo', description: 'Repeats the text', parameters: echo.parameters }
+    }]);
+  });
+
+  test('refuses bad names, duplicates and invalid parameter schemas', () => {
+    const registry = new ToolRegistry().register(echo);
+    expect(() => registry.register({ ...echo, name: 'has spaces' })).toThrow(TypeError);
+    expect(() => registry.register(echo)).toThrow('Tool "echo" is already registered');
+    expect(() => registry.register({ ...echo, name: 'other', parameters: { type: 'nonsense' } })).toThrow('has invalid parameters');
+  });
+
+  test('runs a call and returns non-string results as JSON', async () => {
+    const registry = new ToolRegistry().register(echo);
+    expect(await registry.call('echo', '{"text":"hi"}')).toEqual({ content: '{"echoed":"hi"}', failed: false });
+  });
+
+  test('reports unknown tools, malformed and invalid arguments, errors and timeouts to the model', async () => {
+    const registry = new ToolRegistry({ timeoutMs: 20 })
+      .register(echo)
+      .register({ name: 'broken', execute: () => { throw new Error('disk full'); } })
+      .register({ name: 'slow', execute: () => new Promise(resolve => setTimeout(resolve, 200)) });
+
+    const error = async (...args) => {
+      const outcome = await registry.call(...args);
+      expect(outcome.failed).toBe(true);
+      return JSON.parse(outcome.content).error;
+    };
+    expect(await error('missing', '{}')).toBe('Unknown tool "missing". Available tools: echo, broken, slow');
+    expect(await error('echo', '{"text":')).toMatch(/^Arguments are not valid JSON: /);
+    expect(await error('echo', '{"text":5}')).toMatch(/^Invalid arguments: /);
+    expect(await error('broken', '')).toBe('disk full');
+    expect(await error('slow', '{}')).toBe('Timed out after 20 ms');
+  });
+
+  test('truncates long results', async () => {
+    const registry = new ToolRegistry().register({ name: 'long', execute: () => 'x'.repeat(9000) });
+    const { content } = await registry.call('long', '{}');
+    expect(content).toBe(`${'x'.repeat(8000)}... (truncated)`);
+  });
+});
+
+describe('createToolRegistry', () => {
+  test('registers the allowed built-in tools', () => {
+    expect(createToolRegistry().names()).toEqual(BUILT_IN_TOOL_NAMES);
+    expect(createToolRegistry({ allowed: [] }).size).toBe(0);
+  });
+});
+
+describe('toolCallsFrom', () => {
+  test('normalizes OpenAI tool calls and skips ones without a name', () => {
+    expect(toolCallsFrom([
+      { id: 'a', function: { name: 'echo', arguments: '{"text":"hi"}' } },
+      { function: { name: 'echo', arguments: { text: 'object' } } },
+      { id: 'c', function: {} }
+    ])).toEqual([
+      { id: 'a', name: 'echo', arguments: '{"text":"hi"}' },
+      { id: 'call_1', name: 'echo', arguments: '{"text":"object"}' }
+    ]);
+    expect(toolCallsFrom(undefined)).toEqual([]);
+  });
+});
+
+describe('runToolLoop', () => {
+  const registry = () => new ToolRegistry().register(echo);
+  const messages = [{ role: 'user', content: 'say hi' }];
+
+  test('runs the calls the model asks for and passes the results back', async () => {
+    const { complete, calls } = scripted([
+      { content: '', toolCalls: [call('c1', 'echo', { text: 'hi' })], usage: { prompt_tokens: 10, completion_tokens: 2 } },
+      { content: 'It said hi.', usage: { prompt_tokens: 20, completion_tokens: 4 } }
+    ]);
+    const onToolMessage = jest.fn();
+
+    const result = await runToolLoop({ registry: registry(), messages, complete, maxSteps: 3, onToolMessage });
+    expect(result).toEqual({ content: 'It said hi.', usage: { prompt_tokens: 30, completion_tokens: 6 } });
+
+    expect(calls[0].extra).toEqual({ tools: registry().definitions(), tool_choice: 'auto' });
+    expect(calls[1].messages.slice(1)).toEqual([
+      {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'c1', type: 'function', function: { name: 'echo', arguments: '{"text":"hi"}' } }]
+      },
+      { role: 'tool', tool_call_id: 'c1', content: '{"echoed":"hi"}' }
+    ]);
+    expect(onToolMessage).toHaveBeenCalledWith({
+      id: expect.any(String),
+      role: 'tool',
+      name: 'echo',
+      toolCallId: 'c1',
+      arguments: '{"text":"hi"}',
+      content: '{"echoed":"hi"}',
+      timestamp: expect.any(String)
+    });
+    expect(messages).toHaveLength(1);
+  });
+
+  test('stops offering tools after maxSteps rounds so the model has to answer', async () => {
+    const { complete, calls } = scripted([
+      { content: 'again', toolCalls: [call('c', 'echo', { text: 'loop' })] }
+    ]);
+    const onToolMessage = jest.fn();
+
+    const result = await runToolLoop({ registry: registry(), messages, complete, maxSteps: 2, onToolMessage });
+    expect(complete).toHaveBeenCalledTimes(3);
+    expect(calls.map(({ extra }) => Boolean(extra.tools))).toEqual([true, true, false]);
+    expect(onToolMessage).toHaveBeenCalledTimes(2);
+    expect(result.content).toBe('again');
+  });
+
+  test('returns unknown tools and malformed arguments to the model as failed results', async () => {
+    const { complete, calls } = scripted([
+      { content: '', toolCalls: [call('c1', 'nope', {}), call('c2', 'echo', '{not json')] },
+      { content: 'Sorry.' }
+    ]);
+    const onToolMessage = jest.fn();
+
+    await runToolLoop({ registry: registry(), messages, complete, maxSteps: 1, onToolMessage });
+    const results = calls[1].messages.filter(message => message.role === 'tool');
+    expect(results.map(({ tool_call_id: id, content }) => [id, JSON.parse(content).error])).toEqual([
+      ['c1', 'Unknown tool "nope". Available tools: echo'],
+      ['c2', expect.stringMatching(/^Arguments are not valid JSON/)]
+    ]);
+    expect(onToolMessage.mock.calls.map(([message]) => message.failed)).toEqual([true, true]);
+  });
+
+  test('ignores tool calls when no tools are offered', async () => {
+    const { complete, calls } = scripted([{ content: 'plain', toolCalls: [call('c1', 'echo', { text: 'x' })] }]);
+    const result = await runToolLoop({ registry: null, messages, complete, maxSteps: 3 });
+    expect(result.content).toBe('plain');
+    expect(calls).toHaveLength(1);
+    expect(calls[0].extra).toEqual({});
+  });
+});
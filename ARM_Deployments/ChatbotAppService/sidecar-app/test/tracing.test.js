@@ -0,0 +1,129 @@
+const express = require('express');
+const request = require('supertest');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { createTracing, correlationFields } = require('../lib/tracing');
+const { createLogger } = require('../lib/logger');
+const { SidecarClient } = require('../lib/sidecarClient');
+const FakeSidecar = require('./helpers/fakeSidecar');
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+const PARENT_SPAN_ID = 'b7ad6b7169203331';
+
+describe('tracing', () => {
+  let tracing;
+  let sidecar;
+  let app;
+  let lines;
+
+  beforeAll(async () => {
+    tracing = createTracing({ exporter: 'memory', serviceName: 'tracing-test' });
+    sidecar = new FakeSidecar();
+    const silent = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+    const client = new SidecarClient({ endpoint: await sidecar.listen(), logger: silent });
+    const logger = createLogger('info', { context: correlationFields });
+
+    app = express();
+    app.use(tracing.middleware);
+    app.get('/things/:id', async (req, res) => {
+      logger.info('Fetching a thing', { thing: req.params.id });
+      await client.listModels();
+      res.json({ id: req.params.id });
+    });
+    app.get('/broken', (req, res) => {
+      res.status(500).json({ error: 'Broken' });
+    });
+  });
+
+  beforeEach(() => {
+    tracing.exporter.reset();
+    sidecar.requests = [];
+    lines = [];
+    jest.spyOn(process.stdout, 'write').mockImplementation((line) => {
+      lines.push(JSON.parse(line));
+      return true;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  afterAll(async () => {
+    await tracing.shutdown();
+    await sidecar.close();
+  });
+
+  test('rejects an unknown exporter', () => {
+    expect(() => createTracing({ exporter: 'zipkin' })).toThrow('Unknown trace exporter "zipkin"');
+  });
+
+  test('echoes a well-formed request id and replaces any other', async () => {
+    const kept = await request(app).get('/things/1').set('X-Request-Id', 'req-123');
+    expect(kept.headers['x-request-id']).toBe('req-123');
+
+    const replaced = await request(app).get('/things/1').set('X-Request-Id', 'bad id\twith spaces');
+    expect(replaced.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+
+    const assigned = await request(app).get('/things/1');
+    expect(assigned.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+  });
+
+  test('adds the request id to error bodies', async () => {
+    const response = await request(app).get('/broken').set('X-Request-Id', 'req-500');
+    expect(response.body).toEqual({ error: 'Broken', requestId: 'req-500' });
+
+    const [span] = tracing.exporter.getFinishedSpans();
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+    expect(span.attributes['http.response.status_code']).toBe(500);
+  });
+
+  test('continues the caller\'s trace in a server span named after the route', async () => {
+    await request(app)
+      .get('/things/42')
+      .set('traceparent', `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`)
+      .set('X-Request-Id', 'req-42');
+
+    const server = tracing.exporter.getFinishedSpans().find(span => span.kind === SpanKind.SERVER);
+    expect(server.name).toBe('GET /things/:id');
+    expect(server.spanContext().traceId).toBe(TRACE_ID);
+    expect(server.parentSpanContext.spanId).toBe(PARENT_SPAN_ID);
+    expect(server.attributes).toMatchObject({
+      'http.request.method': 'GET',
+      'http.route': '/things/:id',
+      'http.response.status_code': 200,
+      'request.id': 'req-42'
+    });
+  });
+
+  test('sends the trace on to the sidecar from a client span', async () => {
+    await request(app).get('/things/7').set('traceparent', `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`);
+
+    const spans = tracing.exporter.getFinishedSpans();
+    const server = spans.find(span => span.kind === SpanKind.SERVER);
+    const client = spans.find(span => span.kind === SpanKind.CLIENT);
+    expect(client.name).toBe('sidecar GET /api/tags');
+    expect(client.parentSpanContext.spanId).toBe(server.spanContext().spanId);
+    expect(client.attributes['http.response.status_code']).toBe(200);
+
+    const [{ headers }] = sidecar.requests;
+    expect(headers.traceparent).toBe(`00-${TRACE_ID}-${client.spanContext().spanId}-01`);
+  });
+
+  test('puts the request id and trace ids on log lines', async () => {
+    await request(app).get('/things/9').set('X-Request-Id', 'req-9');
+
+    const server = tracing.exporter.getFinishedSpans().find(span => span.kind === SpanKind.SERVER);
+    const line = lines.find(({ message }) => message === 'Fetching a thing');
+    expect(line).toMatchObject({
+      level: 'info',
+      thing: '9',
+      requestId: 'req-9',
+      traceId: server.spanContext().traceId,
+      spanId: server.spanContext().spanId
+    });
+  });
+
+  test('leaves log lines outside a request without correlation fields', () => {
+    expect(correlationFields()).toEqual({});
+  });
+});
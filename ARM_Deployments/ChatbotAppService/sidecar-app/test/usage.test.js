@@ -0,0 +1,45 @@
+const { summarizeUsage, withoutUsage } = require('../lib/usage');
+const { parseImport } = require('../lib/sessionExport');
+
+const reply = (tokens, extra = {}) => ({ role: 'assistant', content: 'Hi', model: 'phi4', tokens, promptTokens: 10, ...extra });
+
+const session = {
+  id: 's1',
+  messages: [
+    { role: 'user', content: 'Hello' },
+    reply(5, { alternates: [reply(3)] })
+  ]
+};
+
+describe('summarizeUsage', () => {
+  test('counts replies and their earlier versions', () => {
+    expect(summarizeUsage([session])).toMatchObject({
+      replies: 2,
+      promptTokens: 20,
+      completionTokens: 8,
+      totalTokens: 28,
+      byModel: { phi4: { replies: 2, totalTokens: 28 } }
+    });
+  });
+});
+
+describe('withoutUsage', () => {
+  test('drops token counts from a message and its alternates', () => {
+    expect(withoutUsage(session.messages[1])).toEqual({
+      role: 'assistant',
+      content: 'Hi',
+      model: 'phi4',
+      alternates: [{ role: 'assistant', content: 'Hi', model: 'phi4' }]
+    });
+  });
+
+  test('a copied conversation adds no usage', () => {
+    const copy = { id: 's2', messages: session.messages.map(withoutUsage) };
+    expect(summarizeUsage([session, copy]).totalTokens).toBe(28);
+  });
+
+  test('imported sessions carry no token counts', () => {
+    const { session: imported } = parseImport({ session }, { ownerId: 'user', maxSystemPromptLength: 1000 });
+    expect(summarizeUsage([imported]).totalTokens).toBe(0);
+  });
+});